@@ -0,0 +1,41 @@
+// scripts/alias-loader.mjs
+// Node module hooks that let build scripts import the app's src modules:
+// resolves the `@/` alias and extensionless specifiers, and loads src files
+// as ES modules.
+
+import { existsSync, statSync } from 'fs';
+import { fileURLToPath, pathToFileURL } from 'url';
+import path from 'path';
+
+const SRC_DIR = fileURLToPath(new URL('../src/', import.meta.url));
+
+/**
+ * Find the file a specifier refers to, trying `.js` and `/index.js`
+ */
+const resolveFile = (filePath) => {
+  const candidates = [filePath, `${filePath}.js`, path.join(filePath, 'index.js')];
+  return candidates.find(candidate => existsSync(candidate) && statSync(candidate).isFile());
+};
+
+export async function resolve(specifier, context, nextResolve) {
+  let filePath = null;
+
+  if (specifier.startsWith('@/')) {
+    filePath = resolveFile(path.join(SRC_DIR, specifier.slice(2)));
+  } else if (specifier.startsWith('.') && context.parentURL?.startsWith('file:')) {
+    filePath = resolveFile(path.resolve(path.dirname(fileURLToPath(context.parentURL)), specifier));
+  }
+
+  if (filePath) {
+    return { url: pathToFileURL(filePath).href, shortCircuit: true };
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  // The package has no "type": "module", but src is authored as ESM
+  if (url.startsWith('file:') && fileURLToPath(url).startsWith(SRC_DIR)) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  return nextLoad(url, context);
+}
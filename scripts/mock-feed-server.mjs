@@ -0,0 +1,103 @@
+// scripts/mock-feed-server.mjs
+// Local JSON feed server for trying `useRealTimeData().startPolling` and the
+// API data source. Serves a dataset from public/data (or a feed JSON file) in
+// the contract from src/utils/dataFeed.js, with ETag / Last-Modified and 304
+// responses. Edit the CSV or feed file while it runs to publish a change.
+//
+//   node scripts/mock-feed-server.mjs [--port 4010] [--dataset skin-boosters] [--feed feed.json]
+//
+// The feed is served at http://localhost:<port>/feed
+
+import { register } from 'module';
+import { createServer } from 'http';
+import { createHash } from 'crypto';
+import { readFile } from 'fs/promises';
+import { parseArgs } from 'util';
+
+register('./alias-loader.mjs', import.meta.url);
+
+const { values: args } = parseArgs({
+  options: {
+    port: { type: 'string', default: '4010' },
+    dataset: { type: 'string' },
+    feed: { type: 'string' }
+  }
+});
+
+const { serverDataService } = await import('@/services/serverDataService');
+const { marketDataToFeed } = await import('@/utils/dataFeed');
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'If-None-Match, If-Modified-Since',
+  'Access-Control-Expose-Headers': 'ETag, Last-Modified'
+};
+
+// Last-Modified moves only when the served content changes
+let current = { etag: null, lastModified: null };
+
+/**
+ * Current feed body: the given feed file, or the dataset as a feed
+ */
+const loadFeedBody = async () => {
+  if (args.feed) {
+    return readFile(args.feed, 'utf8');
+  }
+
+  const datasetId = args.dataset || (await serverDataService.getManifest()).defaultDataset;
+  const data = await serverDataService.getMarketData(datasetId);
+  if (!data) {
+    throw new Error(`Unknown dataset: ${datasetId}`);
+  }
+  return JSON.stringify(marketDataToFeed(data, datasetId));
+};
+
+const isNotModified = (request, { etag, lastModified }) => {
+  const ifNoneMatch = request.headers['if-none-match'];
+  if (ifNoneMatch) {
+    return ifNoneMatch.split(',').some(tag => tag.trim() === etag);
+  }
+
+  const ifModifiedSince = Date.parse(request.headers['if-modified-since'] || '');
+  return !Number.isNaN(ifModifiedSince) && Date.parse(lastModified) <= ifModifiedSince;
+};
+
+const server = createServer(async (request, response) => {
+  const { pathname } = new URL(request.url, 'http://localhost');
+
+  if (request.method === 'OPTIONS') {
+    response.writeHead(204, CORS_HEADERS).end();
+    return;
+  }
+  if (request.method !== 'GET' || pathname !== '/feed') {
+    response.writeHead(404, { ...CORS_HEADERS, 'Content-Type': 'application/json' })
+      .end(JSON.stringify({ error: 'Not found; the feed is at /feed' }));
+    return;
+  }
+
+  try {
+    const body = await loadFeedBody();
+    const etag = `"${createHash('sha1').update(body).digest('hex')}"`;
+    if (etag !== current.etag) {
+      current = { etag, lastModified: new Date().toUTCString() };
+    }
+
+    const headers = { ...CORS_HEADERS, ETag: current.etag, 'Last-Modified': current.lastModified };
+    const status = isNotModified(request, current) ? 304 : 200;
+    console.log(`GET /feed ${status}`);
+
+    if (status === 304) {
+      response.writeHead(304, headers).end();
+    } else {
+      response.writeHead(200, { ...headers, 'Content-Type': 'application/json' }).end(body);
+    }
+  } catch (error) {
+    console.error('Failed to serve feed:', error);
+    response.writeHead(500, { ...CORS_HEADERS, 'Content-Type': 'application/json' })
+      .end(JSON.stringify({ error: error.message }));
+  }
+});
+
+server.listen(Number(args.port), () => {
+  console.log(`Mock feed server at http://localhost:${args.port}/feed`);
+});
@@ -0,0 +1,43 @@
+// scripts/precompute-market-data.mjs
+// Processes every dataset in public/data/datasets.json with the same
+// transformation the dashboard uses and writes compact JSON artifacts to
+// public/data/precomputed, so browsers load the default data without
+// parsing CSV. Runs before `next dev` and `next build`; also usable directly:
+//
+//   node scripts/precompute-market-data.mjs
+
+import { register } from 'module';
+import { mkdir, readFile, rm, writeFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import path from 'path';
+
+register('./alias-loader.mjs', import.meta.url);
+
+const DATA_DIR = fileURLToPath(new URL('../public/data/', import.meta.url));
+const OUTPUT_DIR = path.join(DATA_DIR, 'precomputed');
+
+const { embeddedDataService, getPrecomputedDataPath } = await import('@/services/embeddedDataService');
+
+const manifest = JSON.parse(await readFile(path.join(DATA_DIR, 'datasets.json'), 'utf8'));
+
+// Start clean so removed datasets do not leave stale artifacts behind
+await rm(OUTPUT_DIR, { recursive: true, force: true });
+await mkdir(OUTPUT_DIR, { recursive: true });
+
+for (const entry of manifest.datasets) {
+  const dataset = { ...entry, source: 'manifest' };
+  const startedAt = Date.now();
+
+  const csvText = await readFile(path.join(DATA_DIR, dataset.file), 'utf8');
+  const data = await embeddedDataService.processCSVText(csvText, dataset);
+  data.metadata.dataSource = 'precomputed';
+
+  const outputFile = path.join(DATA_DIR, getPrecomputedDataPath(dataset.id));
+  const json = JSON.stringify(data);
+  await writeFile(outputFile, json);
+
+  console.log(
+    `Precomputed ${dataset.id}: ${data.metadata.totalRecords} rows -> ` +
+    `${path.relative(process.cwd(), outputFile)} (${(json.length / 1024).toFixed(1)} KB, ${Date.now() - startedAt} ms)`
+  );
+}
@@ -0,0 +1,21 @@
+// src/app/api/datasets/[id]/data/route.js
+// GET /api/datasets/:id/data - full processed market data, as the dashboards load it
+
+import { NextResponse } from 'next/server';
+import { serverDataService } from '@/services/serverDataService';
+import { errorResponse, serverErrorResponse } from '@/lib/apiResponse';
+
+export async function GET(request, { params }) {
+  const { id } = await params;
+
+  try {
+    const data = await serverDataService.getMarketData(id);
+    if (!data) {
+      return errorResponse(404, `Unknown dataset: ${id}`);
+    }
+
+    return NextResponse.json(data, { headers: { 'Cache-Control': 'no-store' } });
+  } catch (error) {
+    return serverErrorResponse(error);
+  }
+}
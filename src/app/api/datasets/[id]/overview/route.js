@@ -0,0 +1,54 @@
+// src/app/api/datasets/[id]/overview/route.js
+// GET /api/datasets/:id/overview?baseYear=&forecastYear= - market size and CAGR
+
+import { serverDataService } from '@/services/serverDataService';
+import { errorResponse, formatResponse, serverErrorResponse } from '@/lib/apiResponse';
+import { applyYearWindow } from '@/utils/yearWindow';
+import { getInternalValueUnit } from '@/utils/seriesQuery';
+import { describeValueUnit } from '@/utils/valueUnits';
+
+const CSV_FIELDS = ['datasetId', 'marketName', 'baseYear', 'forecastYear', 'marketSizeBase', 'marketSizeForecast', 'cagr', 'valueUnit'];
+
+export async function GET(request, { params }) {
+  const { id } = await params;
+
+  try {
+    let data = await serverDataService.getMarketData(id);
+    if (!data) {
+      return errorResponse(404, `Unknown dataset: ${id}`);
+    }
+
+    // Re-window like the dashboard's year selector
+    const { searchParams } = new URL(request.url);
+    const yearWindow = {};
+    for (const field of ['baseYear', 'forecastYear']) {
+      const value = searchParams.get(field);
+      if (value === null) continue;
+
+      if (!data.overview.availableYears.includes(Number(value))) {
+        return errorResponse(400, `"${field}" must be one of ${data.overview.availableYears.join(', ')}`);
+      }
+      yearWindow[field] = Number(value);
+    }
+    if (Object.keys(yearWindow).length > 0) {
+      const { baseYear, forecastYear } = { ...data.overview, ...yearWindow };
+      if (forecastYear <= baseYear) {
+        return errorResponse(400, '"forecastYear" must be after "baseYear"');
+      }
+      data = applyYearWindow(data, { baseYear, forecastYear });
+    }
+
+    const valueUnit = getInternalValueUnit(data.overview);
+
+    return formatResponse(request, {
+      json: { datasetId: id, valueUnit, overview: data.overview },
+      csv: {
+        fields: CSV_FIELDS,
+        rows: [{ datasetId: id, ...data.overview, valueUnit: describeValueUnit(valueUnit) }]
+      },
+      filename: `${id}-overview`
+    });
+  } catch (error) {
+    return serverErrorResponse(error);
+  }
+}
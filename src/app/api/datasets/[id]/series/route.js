@@ -0,0 +1,49 @@
+// src/app/api/datasets/[id]/series/route.js
+// GET /api/datasets/:id/series?region=&segmentType=&segment=&from=&to= - time series points
+
+import { serverDataService } from '@/services/serverDataService';
+import { errorResponse, formatResponse, serverErrorResponse } from '@/lib/apiResponse';
+import { getInternalValueUnit, getValueColumnHeader, querySeries, toLongFormatRows } from '@/utils/seriesQuery';
+
+const FILTERS = ['region', 'segmentType', 'segment', 'from', 'to'];
+
+export async function GET(request, { params }) {
+  const { id } = await params;
+
+  try {
+    const data = await serverDataService.getMarketData(id);
+    if (!data) {
+      return errorResponse(404, `Unknown dataset: ${id}`);
+    }
+
+    const { searchParams } = new URL(request.url);
+    const filters = {};
+    FILTERS.forEach(filter => {
+      if (searchParams.get(filter)) filters[filter] = searchParams.get(filter);
+    });
+
+    let series;
+    try {
+      series = querySeries(data, filters);
+    } catch (error) {
+      return errorResponse(400, error.message);
+    }
+
+    return formatResponse(request, {
+      json: {
+        datasetId: id,
+        valueUnit: getInternalValueUnit(data.overview),
+        filters,
+        count: series.length,
+        series
+      },
+      csv: {
+        fields: ['Region', 'Segment Type', 'Segment Name', 'Year', getValueColumnHeader(data.overview)],
+        rows: toLongFormatRows(series, data.overview)
+      },
+      filename: `${id}-series`
+    });
+  } catch (error) {
+    return serverErrorResponse(error);
+  }
+}
@@ -0,0 +1,34 @@
+// src/app/api/datasets/route.js
+// GET /api/datasets - datasets available through the market data API
+
+import { serverDataService } from '@/services/serverDataService';
+import { formatResponse, serverErrorResponse } from '@/lib/apiResponse';
+
+const CSV_FIELDS = ['id', 'marketName', 'currency', 'units', 'baseYear', 'forecastYear'];
+
+export async function GET(request) {
+  try {
+    const { defaultDataset, datasets } = await serverDataService.getManifest();
+
+    const entries = datasets.map(({ id, marketName, currency, units, baseYear, forecastYear }) => ({
+      id,
+      marketName,
+      currency,
+      units,
+      baseYear,
+      forecastYear,
+      links: {
+        overview: `/api/datasets/${id}/overview`,
+        series: `/api/datasets/${id}/series`
+      }
+    }));
+
+    return formatResponse(request, {
+      json: { defaultDataset, datasets: entries },
+      csv: { fields: CSV_FIELDS, rows: entries },
+      filename: 'datasets'
+    });
+  } catch (error) {
+    return serverErrorResponse(error);
+  }
+}
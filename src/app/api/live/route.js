@@ -0,0 +1,53 @@
+// src/app/api/live/route.js
+// GET /api/live - Server-Sent Events stream of data directory changes
+
+import { dataWatcherService } from '@/services/dataWatcherService';
+
+export const dynamic = 'force-dynamic';
+
+// Keeps proxies from closing idle connections
+const HEARTBEAT_INTERVAL = 25000;
+
+export async function GET(request) {
+  const encoder = new TextEncoder();
+  let cleanup = null;
+
+  const stream = new ReadableStream({
+    start(controller) {
+      const send = (chunk) => controller.enqueue(encoder.encode(chunk));
+
+      // Sent first so the connection opens right away; also sets the reconnect delay
+      send('retry: 5000\n\n');
+
+      const unsubscribe = dataWatcherService.subscribe(event => {
+        send(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+      });
+      const heartbeat = setInterval(() => send(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+      cleanup = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+      };
+
+      request.signal.addEventListener('abort', () => {
+        cleanup();
+        try {
+          controller.close();
+        } catch {
+          // Already cancelled by the client
+        }
+      });
+    },
+    cancel() {
+      cleanup?.();
+    }
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive'
+    }
+  });
+}
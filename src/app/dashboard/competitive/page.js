@@ -43,6 +43,7 @@ import {
   MarketShareDonut
 } from '@/components/charts';
 import { useMarketData } from '@/hooks/useMarketData';
+import { taxonomyService } from '@/services/taxonomyService';
 import { formatCurrency, formatPercentage, formatNumber } from '@/lib/utils';
 
 const CompetitiveAnalysis = () => {
@@ -91,7 +92,7 @@ const CompetitiveAnalysis = () => {
           'Europe': index === 0 || index === 2 ? 'Strong' : index <= 3 ? 'Moderate' : 'Limited',
           'Asia Pacific': index === 0 || index === 4 ? 'Strong' : 'Moderate',
           'Latin America': index <= 1 ? 'Moderate' : 'Limited',
-          'MEA': index === 0 ? 'Moderate' : 'Limited'
+          'Middle East & Africa': index === 0 ? 'Moderate' : 'Limited'
         },
         competitiveStrengths: index === 0 ? 
           ['Global brand recognition', 'Extensive R&D', 'Strong distribution network', 'Product portfolio breadth'] :
@@ -124,7 +125,7 @@ const CompetitiveAnalysis = () => {
 
   // Geographic presence analysis - MOVED BEFORE EARLY RETURNS
   const geographicAnalysis = useMemo(() => {
-    const regions = ['North America', 'Europe', 'Asia Pacific', 'Latin America', 'MEA'];
+    const regions = taxonomyService.getRegions({ includeGlobal: false }).map(region => region.name);
     return regions.map(region => {
       const strongPlayers = competitiveData.filter(p => p.geographicPresence[region] === 'Strong').length;
       const moderatePlayers = competitiveData.filter(p => p.geographicPresence[region] === 'Moderate').length;
@@ -1,6 +1,6 @@
 // src/app/dashboard/data-management/page.js
 'use client';
-import { useState, useEffect } from 'react';
+import { useState, useMemo } from 'react';
 import { motion } from 'framer-motion';
 import {
   Database,
@@ -8,19 +8,23 @@ import {
   Download,
   RefreshCw,
   Settings,
-  TrendingUp,
   BarChart3,
   Globe,
   Package,
-  Users,
   Calendar,
   AlertCircle,
   CheckCircle,
   Info,
-  Zap
+  Zap,
+  Scale
 } from 'lucide-react';
 import DashboardLayout from '@/components/layout/DashboardLayout';
 import CSVDataManager from '@/components/data/CSVDataManager';
+import ReconciliationReport from '@/components/data/ReconciliationReport';
+import VersionHistory from '@/components/data/VersionHistory';
+import VersionCompare from '@/components/data/VersionCompare';
+import CoverageMatrix from '@/components/data/CoverageMatrix';
+import AuditLog from '@/components/data/AuditLog';
 import { 
   MetricCard, 
   Card, 
@@ -32,83 +36,93 @@ import {
   Alert,
   Separator
 } from '@/components/ui';
-import { 
-  EnhancedLineChart,
-  EnhancedBarChart,
-  MarketShareDonut
-} from '@/components/charts';
-import { csvDataService } from '@/services/csvDataService';
-import { formatCurrency, formatPercentage, formatNumber } from '@/lib/utils';
+import { EnhancedBarChart } from '@/components/charts';
+import { useMarketData } from '@/hooks/useMarketData';
+import { useDatasetVersions } from '@/hooks/useDatasetVersions';
+import { useLiveMode } from '@/hooks/useLiveMode';
+import { useAuditLog } from '@/hooks/useAuditLog';
+import { computeCoverage, countCountriesByRegion, summarizeDataset } from '@/utils/dataCoverage';
+import { formatPercentage, formatNumber } from '@/lib/utils';
+
+// How the active dataset was loaded, for the status alert
+const DATA_SOURCE_LABELS = {
+  'precomputed': 'the bundled dataset',
+  'embedded-csv': 'the bundled dataset',
+  'uploaded-csv': 'uploaded CSV data',
+  'edited': 'data edited in the Data Explorer',
+  'api': 'an API feed'
+};
+
+const MAX_ACTIVITIES = 6;
+
+const ACTIVITY_BADGES = {
+  success: 'success',
+  warning: 'warning',
+  failure: 'error'
+};
 
 const DataManagementPage = () => {
+  const { data: marketData } = useMarketData();
+  const { versions } = useDatasetVersions();
   const [currentData, setCurrentData] = useState(null);
-  const [dataSource, setDataSource] = useState('static'); // 'static' or 'csv'
-  const [isLiveMode, setIsLiveMode] = useState(false);
-  const [lastSync, setLastSync] = useState(null);
+  const [lastUpload, setLastUpload] = useState(null);
+  const [sessionActivity, setSessionActivity] = useState([]);
+  const [showAuditLog, setShowAuditLog] = useState(false);
+  const { entries: auditEntries } = useAuditLog();
 
-  // Sample data for preview
-  const [previewData, setPreviewData] = useState({
-    overview: {
-      totalRecords: 4500,
-      regions: 6,
-      countries: 25,
-      segments: 44,
-      timeRange: '2024-2032'
-    },
-    recentActivity: [
-      { action: 'Data Update', timestamp: new Date(Date.now() - 1000 * 60 * 30), status: 'success' },
-      { action: 'CSV Upload', timestamp: new Date(Date.now() - 1000 * 60 * 60 * 2), status: 'success' },
-      { action: 'Data Validation', timestamp: new Date(Date.now() - 1000 * 60 * 60 * 6), status: 'success' },
-      { action: 'Backup Created', timestamp: new Date(Date.now() - 1000 * 60 * 60 * 24), status: 'info' }
-    ]
-  });
+  const addActivity = (activity) => {
+    setSessionActivity(prev => [activity, ...prev].slice(0, MAX_ACTIVITIES));
+  };
 
   // Handle data update from CSV manager
   const handleDataUpdate = (newData) => {
     setCurrentData(newData);
-    setDataSource('csv');
-    setLastSync(new Date());
-    
-    // Update preview data
-    setPreviewData(prev => ({
-      ...prev,
-      recentActivity: [
-        { action: 'CSV Data Loaded', timestamp: new Date(), status: 'success' },
-        ...prev.recentActivity.slice(0, 3)
-      ]
-    }));
+    setLastUpload(new Date());
   };
 
+  // Live mode: the server watches the data folder and every open dashboard
+  // reloads a dataset when its file changes
+  const { enabled: isLiveMode, status: liveStatus, lastSync: liveSync, setEnabled: setLiveMode } = useLiveMode({
+    onEvent: (event) => {
+      const activity = {
+        'dataset-changed': { action: `${event.marketName} reloaded from ${event.file}`, status: 'success' },
+        'dataset-error': { action: `Failed to reload ${event.file}: ${event.message}`, status: 'warning' },
+        'file-added': { action: `New file ${event.file} in the data folder`, status: 'info' }
+      }[event.type];
+
+      addActivity({ ...activity, key: `live-${event.id}-${event.changedAt}`, timestamp: new Date(event.changedAt) });
+    }
+  });
+  const lastSync = [lastUpload, liveSync].filter(Boolean).sort((a, b) => b - a)[0] || null;
+
   // Toggle live mode
   const toggleLiveMode = () => {
-    setIsLiveMode(!isLiveMode);
-    if (!isLiveMode) {
-      setLastSync(new Date());
-    }
+    setLiveMode(!isLiveMode);
   };
 
-  // Sample chart data
-  const dataGrowthChart = [
-    { year: 2020, records: 2800 },
-    { year: 2021, records: 3200 },
-    { year: 2022, records: 3800 },
-    { year: 2023, records: 4200 },
-    { year: 2024, records: 4500 }
-  ];
+  const datasetSummary = useMemo(() => summarizeDataset(marketData), [marketData]);
+  const regionCountries = useMemo(() => countCountriesByRegion(marketData), [marketData]);
+  const completeness = useMemo(() => computeCoverage(marketData).summary.completeness, [marketData]);
 
-  const dataSourceDistribution = [
-    { name: 'CSV Uploads', value: 65, records: 2925 },
-    { name: 'Static Data', value: 25, records: 1125 },
-    { name: 'API Feeds', value: 10, records: 450 }
-  ];
+  // Versions are listed newest first; the chart reads left to right
+  const versionRecords = versions
+    .map(version => ({ name: `${version.marketName} v${version.version}`, records: version.rowCount }))
+    .reverse();
 
-  const regionCoverage = [
-    { name: 'North America', coverage: 100, countries: 3 },
-    { name: 'Europe', coverage: 85, countries: 8 },
-    { name: 'Asia Pacific', coverage: 75, countries: 6 },
-    { name: 'Latin America', coverage: 60, countries: 4 },
-    { name: 'MEA', coverage: 45, countries: 4 }
-  ];
+  // Live reloads are shown for this session only; every open tab receives them
+  const recentActivity = [
+    ...sessionActivity,
+    ...auditEntries.slice(0, MAX_ACTIVITIES).map(entry => ({
+      key: `audit-${entry.id}`,
+      action: `${entry.summary} (${entry.user})`,
+      timestamp: new Date(entry.timestamp),
+      status: entry.outcome
+    }))
+  ]
+    .sort((a, b) => b.timestamp - a.timestamp)
+    .slice(0, MAX_ACTIVITIES);
+
+  const dataSourceLabel = DATA_SOURCE_LABELS[marketData?.metadata?.dataSource] || 'the bundled dataset';
 
   return (
     <DashboardLayout 
@@ -159,19 +173,26 @@ const DataManagementPage = () => {
             <div>
               <h4 className="font-semibold">Data Source Status</h4>
               <p className="text-sm">
-                Currently using {dataSource === 'csv' ? 'uploaded CSV data' : 'static mock data'}. 
+                Currently using {dataSourceLabel}
+                {marketData?.overview?.marketName && ` (${marketData.overview.marketName})`}.
                 {lastSync && ` Last synced: ${lastSync.toLocaleTimeString()}`}
               </p>
             </div>
           </Alert>
 
           {isLiveMode && (
-            <Alert variant="success">
-              <CheckCircle className="w-4 h-4" />
+            <Alert variant={liveStatus === 'connected' ? 'success' : 'warning'}>
+              {liveStatus === 'connected' ? <CheckCircle className="w-4 h-4" /> : <AlertCircle className="w-4 h-4" />}
               <div>
-                <h4 className="font-semibold">Live Mode Active</h4>
+                <h4 className="font-semibold">
+                  {liveStatus === 'connected' ? 'Live Mode Active' : 'Live Mode Connecting'}
+                </h4>
                 <p className="text-sm">
-                  Data will be automatically refreshed and dashboard will update in real-time
+                  {liveStatus === 'connected'
+                    ? 'Watching the data folder. When a dataset file changes, every open dashboard reloads it.'
+                    : liveStatus === 'unsupported'
+                      ? 'This browser does not support live updates.'
+                      : 'Waiting for the server; the connection retries automatically.'}
                 </p>
               </div>
             </Alert>
@@ -183,30 +204,28 @@ const DataManagementPage = () => {
           {[
             {
               title: 'Total Records',
-              value: formatNumber(previewData.overview.totalRecords),
-              subtitle: 'Data points processed',
-              trend: 12.5,
+              value: formatNumber(datasetSummary.records),
+              subtitle: 'Data points in the active dataset',
               icon: Database
             },
             {
               title: 'Global Coverage',
-              value: `${previewData.overview.regions} Regions`,
-              subtitle: `${previewData.overview.countries} countries`,
-              trend: 8.2,
+              value: `${datasetSummary.regions} Regions`,
+              subtitle: `${datasetSummary.countries} countries`,
               icon: Globe
             },
             {
               title: 'Market Segments',
-              value: previewData.overview.segments.toString(),
+              value: datasetSummary.segments.toString(),
               subtitle: 'Unique segments tracked',
-              trend: 15.3,
               icon: Package
             },
             {
               title: 'Time Range',
-              value: previewData.overview.timeRange,
+              value: datasetSummary.firstYear !== null
+                ? `${datasetSummary.firstYear}-${datasetSummary.lastYear}`
+                : 'N/A',
               subtitle: 'Forecast period',
-              trend: 0,
               icon: Calendar
             }
           ].map((metric, index) => (
@@ -230,87 +249,138 @@ const DataManagementPage = () => {
           <CSVDataManager onDataUpdate={handleDataUpdate} />
         </motion.div>
 
-        {/* Data Analytics Section */}
+        {/* Committed dataset versions */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.32 }}
+        >
+          <VersionHistory />
+        </motion.div>
+
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.34 }}
+        >
+          <VersionCompare />
+        </motion.div>
+
+        {/* Reconciliation of the active dataset */}
+        {currentData && (
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.35 }}
+          >
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center space-x-2">
+                  <Scale className="w-5 h-5" />
+                  <span>Data Reconciliation</span>
+                </CardTitle>
+              </CardHeader>
+              <CardContent>
+                <p className="text-sm text-gray-600 mb-4">
+                  Checks that {currentData.overview?.marketName || 'the active dataset'} adds up across regions, segment dimensions and countries for every year.
+                </p>
+                <ReconciliationReport data={currentData} title="Hierarchy Checks" />
+              </CardContent>
+            </Card>
+          </motion.div>
+        )}
+
+        {/* Region × Segment Type × Year coverage of the active dataset */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.4 }}
+        >
+          <CoverageMatrix data={marketData} />
+        </motion.div>
+
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-          {/* Data Growth Over Time */}
+          {/* Countries reported per region */}
           <motion.div
             initial={{ opacity: 0, x: -20 }}
             animate={{ opacity: 1, x: 0 }}
-            transition={{ delay: 0.4 }}
+            transition={{ delay: 0.5 }}
           >
-            <EnhancedLineChart
-              data={dataGrowthChart}
-              title="Data Volume Growth"
-              description="Historical data collection growth"
-              lines={['records']}
-              xKey="year"
-              height={300}
-              formatter={(value) => formatNumber(value)}
-            />
+            <Card className="h-full">
+              <CardHeader>
+                <CardTitle className="flex items-center space-x-2">
+                  <Globe className="w-5 h-5" />
+                  <span>Regional Country Coverage</span>
+                </CardTitle>
+              </CardHeader>
+              <CardContent>
+                <div className="space-y-4">
+                  {regionCountries.map(region => {
+                    const coverage = region.expected > 0 ? (region.countries.length / region.expected) * 100 : 0;
+
+                    return (
+                      <div key={region.region} className="p-4 bg-gray-50 rounded-lg">
+                        <div className="flex items-center justify-between">
+                          <div>
+                            <h4 className="font-semibold text-gray-900">{region.region}</h4>
+                            <p className="text-sm text-gray-600">
+                              {region.countries.length} of {region.expected} countries reported
+                            </p>
+                          </div>
+                          <div className="flex items-center space-x-4">
+                            <div className="text-lg font-semibold text-gray-900">{formatPercentage(coverage)}</div>
+                            <div className="w-24">
+                              <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+                                <div
+                                  className="h-full bg-primary-600 transition-all duration-300"
+                                  style={{ width: `${coverage}%` }}
+                                />
+                              </div>
+                            </div>
+                          </div>
+                        </div>
+                        {region.missing.length > 0 && (
+                          <p className="text-xs text-gray-500 mt-2">Missing: {region.missing.join(', ')}</p>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              </CardContent>
+            </Card>
           </motion.div>
 
-          {/* Data Source Distribution */}
+          {/* Records per committed version */}
           <motion.div
             initial={{ opacity: 0, x: 20 }}
             animate={{ opacity: 1, x: 0 }}
-            transition={{ delay: 0.5 }}
+            transition={{ delay: 0.6 }}
           >
-            <MarketShareDonut
-              data={dataSourceDistribution}
-              title="Data Source Distribution"
-              description="Breakdown by data source type"
-              height={300}
-            />
+            {versionRecords.length > 0 ? (
+              <EnhancedBarChart
+                data={versionRecords}
+                title="Records per Version"
+                description="Rows in each committed dataset version"
+                bars={['records']}
+                xKey="name"
+                height={300}
+                formatter={(value) => formatNumber(value)}
+              />
+            ) : (
+              <Card className="h-full">
+                <CardHeader>
+                  <CardTitle>Records per Version</CardTitle>
+                </CardHeader>
+                <CardContent>
+                  <p className="text-sm text-gray-500">
+                    No dataset versions yet. Commit an upload to start tracking record counts per version.
+                  </p>
+                </CardContent>
+              </Card>
+            )}
           </motion.div>
         </div>
 
-        {/* Regional Coverage Analysis */}
-        <motion.div
-          initial={{ opacity: 0, y: 20 }}
-          animate={{ opacity: 1, y: 0 }}
-          transition={{ delay: 0.6 }}
-        >
-          <Card>
-            <CardHeader>
-              <CardTitle className="flex items-center space-x-2">
-                <Globe className="w-5 h-5" />
-                <span>Regional Data Coverage</span>
-              </CardTitle>
-            </CardHeader>
-            <CardContent>
-              <div className="space-y-4">
-                {regionCoverage.map((region, index) => (
-                  <div key={region.name} className="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
-                    <div className="flex items-center space-x-4">
-                      <div className="w-12 h-12 bg-primary-100 rounded-lg flex items-center justify-center">
-                        <Globe className="w-6 h-6 text-primary-600" />
-                      </div>
-                      <div>
-                        <h4 className="font-semibold text-gray-900">{region.name}</h4>
-                        <p className="text-sm text-gray-600">{region.countries} countries covered</p>
-                      </div>
-                    </div>
-                    <div className="flex items-center space-x-4">
-                      <div className="text-right">
-                        <div className="text-lg font-semibold text-gray-900">{region.coverage}%</div>
-                        <div className="text-sm text-gray-600">Coverage</div>
-                      </div>
-                      <div className="w-24">
-                        <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
-                          <div 
-                            className="h-full bg-primary-600 transition-all duration-300"
-                            style={{ width: `${region.coverage}%` }}
-                          />
-                        </div>
-                      </div>
-                    </div>
-                  </div>
-                ))}
-              </div>
-            </CardContent>
-          </Card>
-        </motion.div>
-
         {/* Recent Activity */}
         <motion.div
           initial={{ opacity: 0, y: 20 }}
@@ -331,12 +401,16 @@ const DataManagementPage = () => {
             </CardHeader>
             <CardContent>
               <div className="space-y-3">
-                {previewData.recentActivity.map((activity, index) => (
-                  <div key={index} className="flex items-center justify-between p-3 border rounded-lg">
+                {recentActivity.length === 0 && (
+                  <p className="text-sm text-gray-500">No uploads, commits or live updates yet.</p>
+                )}
+                {recentActivity.map(activity => (
+                  <div key={activity.key} className="flex items-center justify-between p-3 border rounded-lg">
                     <div className="flex items-center space-x-3">
                       {activity.status === 'success' && <CheckCircle className="w-5 h-5 text-green-600" />}
                       {activity.status === 'info' && <Info className="w-5 h-5 text-blue-600" />}
                       {activity.status === 'warning' && <AlertCircle className="w-5 h-5 text-yellow-600" />}
+                      {activity.status === 'failure' && <AlertCircle className="w-5 h-5 text-red-600" />}
                       <div>
                         <span className="font-medium text-gray-900">{activity.action}</span>
                         <p className="text-sm text-gray-600">
@@ -345,7 +419,7 @@ const DataManagementPage = () => {
                       </div>
                     </div>
                     <Badge 
-                      variant={activity.status === 'success' ? 'success' : activity.status === 'warning' ? 'warning' : 'secondary'}
+                      variant={ACTIVITY_BADGES[activity.status] || 'secondary'}
                     >
                       {activity.status}
                     </Badge>
@@ -357,16 +431,26 @@ const DataManagementPage = () => {
               
               <div className="flex justify-between items-center">
                 <span className="text-sm text-gray-600">
-                  Showing {previewData.recentActivity.length} recent activities
+                  Showing {recentActivity.length} recent activities
                 </span>
-                <Button variant="outline" size="sm">
-                  View All
+                <Button variant="outline" size="sm" onClick={() => setShowAuditLog(show => !show)}>
+                  {showAuditLog ? 'Hide Audit Log' : 'View All'}
                 </Button>
               </div>
             </CardContent>
           </Card>
         </motion.div>
 
+        {/* Full, filterable audit log */}
+        {showAuditLog && (
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+          >
+            <AuditLog />
+          </motion.div>
+        )}
+
         {/* Data Quality Insights */}
         <motion.div
           initial={{ opacity: 0, y: 20 }}
@@ -380,10 +464,10 @@ const DataManagementPage = () => {
             <CardContent>
               <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
                 <div className="text-center">
-                  <div className="text-3xl font-bold text-green-600 mb-2">98.5%</div>
+                  <div className="text-3xl font-bold text-green-600 mb-2">{formatPercentage(completeness)}</div>
                   <div className="text-sm text-gray-600 mb-2">Data Completeness</div>
                   <div className="text-xs text-gray-500">
-                    Excellent data coverage across all segments
+                    Expected region, segment and year cells present
                   </div>
                 </div>
                 <div className="text-center">
@@ -1,7 +1,7 @@
 
 // market-pro/src/app/dashboard/explorer/page.js
 'use client';
-import { useState, useMemo, useEffect } from 'react';
+import { useState, useMemo, useEffect, Fragment } from 'react';
 import { motion } from 'framer-motion';
 import {
   Database,
@@ -19,9 +19,13 @@ import {
   FileText,
   Grid,
   List,
-  SlidersHorizontal
+  SlidersHorizontal,
+  Info,
+  Pencil
 } from 'lucide-react';
 import DashboardLayout from '@/components/layout/DashboardLayout';
+import ProvenancePopover from '@/components/data/ProvenancePopover';
+import EditableDataGrid from '@/components/data/EditableDataGrid';
 import { 
   Card, 
   CardHeader, 
@@ -36,16 +40,21 @@ import {
   LoadingSpinner
 } from '@/components/ui';
 import { useMarketData } from '@/hooks/useMarketData';
-import { formatCurrency, formatPercentage, downloadCSV, debounce } from '@/lib/utils';
+import { formatCurrency, formatCurrencyTick, formatPercentage, downloadCSV, debounce } from '@/lib/utils';
+import { getDisplayUnitLabel, toDisplayValue } from '@/utils/valueUnits';
+import { auditLogService, getAuditTarget } from '@/services/auditLogService';
 
 const DataExplorer = () => {
   const { data: marketData, loading, error } = useMarketData();
   const [searchTerm, setSearchTerm] = useState('');
   const [currentPage, setCurrentPage] = useState(1);
   const [itemsPerPage, setItemsPerPage] = useState(25);
-  const [sortField, setSortField] = useState('marketSize2032');
+  const [sortField, setSortField] = useState('marketSizeForecast');
   const [sortDirection, setSortDirection] = useState('desc');
   const [viewMode, setViewMode] = useState('table'); // table, grid, insights
+  const [provenanceId, setProvenanceId] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [editedData, setEditedData] = useState(null);
   
   // Filters
   const [filters, setFilters] = useState({
@@ -53,32 +62,37 @@ const DataExplorer = () => {
     segmentType: 'all',
     marketSize: 'all',
     growthRate: 'all',
-    year: '2032'
+    year: 'forecast'
   });
 
+  // While editing, every view shows the data recomputed from the edits
+  const explorerData = (editing && editedData) || marketData;
+  const { baseYear, forecastYear } = explorerData?.overview || {};
+
   // Generate comprehensive dataset from market data
   const generateDataset = useMemo(() => {
-    if (!marketData) return [];
+    if (!explorerData) return [];
     
     const dataset = [];
     
     // Add regional data
-    if (marketData.regions) {
-      marketData.regions.forEach((region, index) => {
-        const size2024 = (marketData.overview.marketSizeBase * region.marketShare2024) / 100;
-        const size2032 = (marketData.overview.marketSizeForecast * region.marketShare2032) / 100;
+    if (explorerData.regions) {
+      explorerData.regions.forEach((region, index) => {
+        const sizeBase = (explorerData.overview.marketSizeBase * region.marketShareBase) / 100;
+        const sizeForecast = (explorerData.overview.marketSizeForecast * region.marketShareForecast) / 100;
         
         dataset.push({
           id: `region-${region.name}`,
           type: 'Region',
           name: region.name,
           segment: 'Geographic',
-          marketSize2024: size2024,
-          marketSize2032: size2032,
-          marketShare2024: region.marketShare2024,
-          marketShare2032: region.marketShare2032,
+          trace: { region: region.name, segmentType: 'Type' },
+          marketSizeBase: sizeBase,
+          marketSizeForecast: sizeForecast,
+          marketShareBase: region.marketShareBase,
+          marketShareForecast: region.marketShareForecast,
           cagr: region.cagr,
-          growth: size2024 > 0 ? ((size2032 - size2024) / size2024) * 100 : 0,
+          growth: sizeBase > 0 ? ((sizeForecast - sizeBase) / sizeBase) * 100 : 0,
           keyMarkets: region.keyMarkets?.join(', ') || '',
           drivers: region.marketDrivers?.join(', ') || ''
         });
@@ -86,22 +100,23 @@ const DataExplorer = () => {
     }
 
     // Add product type data
-    if (marketData.productTypes) {
-      marketData.productTypes.forEach((product) => {
-        const size2024 = (marketData.overview.marketSizeBase * product.marketShare2024) / 100;
-        const size2032 = (marketData.overview.marketSizeForecast * product.marketShare2032) / 100;
+    if (explorerData.productTypes) {
+      explorerData.productTypes.forEach((product) => {
+        const sizeBase = (explorerData.overview.marketSizeBase * product.marketShareBase) / 100;
+        const sizeForecast = (explorerData.overview.marketSizeForecast * product.marketShareForecast) / 100;
         
         dataset.push({
           id: `product-${product.name}`,
           type: 'Product Type',
           name: product.name,
           segment: 'Product',
-          marketSize2024: size2024,
-          marketSize2032: size2032,
-          marketShare2024: product.marketShare2024,
-          marketShare2032: product.marketShare2032,
+          trace: { segmentType: 'Type', segment: product.name },
+          marketSizeBase: sizeBase,
+          marketSizeForecast: sizeForecast,
+          marketShareBase: product.marketShareBase,
+          marketShareForecast: product.marketShareForecast,
           cagr: product.cagr,
-          growth: ((size2032 - size2024) / size2024) * 100,
+          growth: ((sizeForecast - sizeBase) / sizeBase) * 100,
           applications: product.applications?.join(', ') || '',
           description: product.description || ''
         });
@@ -109,85 +124,89 @@ const DataExplorer = () => {
     }
 
     // Add ingredient data
-    if (marketData.ingredients) {
-      marketData.ingredients.forEach((ingredient) => {
-        const size2024 = (marketData.overview.marketSizeBase * ingredient.marketShare2024) / 100;
-        const size2032 = (marketData.overview.marketSizeForecast * ingredient.marketShare2032) / 100;
+    if (explorerData.ingredients) {
+      explorerData.ingredients.forEach((ingredient) => {
+        const sizeBase = (explorerData.overview.marketSizeBase * ingredient.marketShareBase) / 100;
+        const sizeForecast = (explorerData.overview.marketSizeForecast * ingredient.marketShareForecast) / 100;
         
         dataset.push({
           id: `ingredient-${ingredient.name}`,
           type: 'Ingredient',
           name: ingredient.name,
           segment: 'Ingredient',
-          marketSize2024: size2024,
-          marketSize2032: size2032,
-          marketShare2024: ingredient.marketShare2024,
-          marketShare2032: ingredient.marketShare2032,
+          trace: { segmentType: 'Ingredient', segment: ingredient.name },
+          marketSizeBase: sizeBase,
+          marketSizeForecast: sizeForecast,
+          marketShareBase: ingredient.marketShareBase,
+          marketShareForecast: ingredient.marketShareForecast,
           cagr: ingredient.cagr,
-          growth: ((size2032 - size2024) / size2024) * 100,
+          growth: ((sizeForecast - sizeBase) / sizeBase) * 100,
           benefits: ingredient.benefits?.join(', ') || ''
         });
       });
     }
 
     // Add gender segment data
-    if (marketData.gender) {
-      marketData.gender.forEach((gender) => {
-        const size2024 = (marketData.overview.marketSizeBase * gender.marketShare2024) / 100;
-        const size2032 = (marketData.overview.marketSizeForecast * gender.marketShare2032) / 100;
+    if (explorerData.gender) {
+      explorerData.gender.forEach((gender) => {
+        const sizeBase = (explorerData.overview.marketSizeBase * gender.marketShareBase) / 100;
+        const sizeForecast = (explorerData.overview.marketSizeForecast * gender.marketShareForecast) / 100;
         
         dataset.push({
           id: `gender-${gender.name}`,
           type: 'Demographics',
           name: gender.name,
           segment: 'Gender',
-          marketSize2024: size2024,
-          marketSize2032: size2032,
-          marketShare2024: gender.marketShare2024,
-          marketShare2032: gender.marketShare2032,
+          trace: { segmentType: 'Gender', segment: gender.name },
+          marketSizeBase: sizeBase,
+          marketSizeForecast: sizeForecast,
+          marketShareBase: gender.marketShareBase,
+          marketShareForecast: gender.marketShareForecast,
           cagr: gender.cagr,
-          growth: ((size2032 - size2024) / size2024) * 100,
+          growth: ((sizeForecast - sizeBase) / sizeBase) * 100,
           ageGroups: gender.ageGroups?.join(', ') || ''
         });
       });
     }
 
     // Add end user data
-    if (marketData.endUsers) {
-      marketData.endUsers.forEach((endUser) => {
-        const size2024 = (marketData.overview.marketSizeBase * endUser.marketShare2024) / 100;
-        const size2032 = (marketData.overview.marketSizeForecast * endUser.marketShare2032) / 100;
+    if (explorerData.endUsers) {
+      explorerData.endUsers.forEach((endUser) => {
+        const sizeBase = (explorerData.overview.marketSizeBase * endUser.marketShareBase) / 100;
+        const sizeForecast = (explorerData.overview.marketSizeForecast * endUser.marketShareForecast) / 100;
         
         dataset.push({
           id: `enduser-${endUser.name}`,
           type: 'End User',
           name: endUser.name,
           segment: 'Channel',
-          marketSize2024: size2024,
-          marketSize2032: size2032,
-          marketShare2024: endUser.marketShare2024,
-          marketShare2032: endUser.marketShare2032,
+          trace: { segmentType: 'End User', segment: endUser.name },
+          marketSizeBase: sizeBase,
+          marketSizeForecast: sizeForecast,
+          marketShareBase: endUser.marketShareBase,
+          marketShareForecast: endUser.marketShareForecast,
           cagr: endUser.cagr,
-          growth: ((size2032 - size2024) / size2024) * 100,
+          growth: ((sizeForecast - sizeBase) / sizeBase) * 100,
           characteristics: endUser.characteristics?.join(', ') || ''
         });
       });
     }
 
     // Add country data
-    if (marketData.countries) {
-      Object.entries(marketData.countries).forEach(([country, data]) => {
+    if (explorerData.countries) {
+      Object.entries(explorerData.countries).forEach(([country, data]) => {
         dataset.push({
           id: `country-${country}`,
           type: 'Country',
           name: country,
           segment: 'Geographic',
-          marketSize2024: data.marketSize2024,
-          marketSize2032: data.marketSize2032,
-          marketShare2024: (data.marketSize2024 / marketData.overview.marketSizeBase) * 100,
-          marketShare2032: (data.marketSize2032 / marketData.overview.marketSizeForecast) * 100,
+          trace: { segmentType: 'Country', segment: country },
+          marketSizeBase: data.marketSizeBase,
+          marketSizeForecast: data.marketSizeForecast,
+          marketShareBase: (data.marketSizeBase / explorerData.overview.marketSizeBase) * 100,
+          marketShareForecast: (data.marketSizeForecast / explorerData.overview.marketSizeForecast) * 100,
           cagr: data.cagr,
-          growth: ((data.marketSize2032 - data.marketSize2024) / data.marketSize2024) * 100,
+          growth: ((data.marketSizeForecast - data.marketSizeBase) / data.marketSizeBase) * 100,
           population: data.population,
           penetrationRate: data.penetrationRate,
           avgSpending: data.averageSpending
@@ -196,7 +215,7 @@ const DataExplorer = () => {
     }
 
     return dataset;
-  }, [marketData]);
+  }, [explorerData]);
 
   // Apply filters and search
   const filteredData = useMemo(() => {
@@ -222,7 +241,7 @@ const DataExplorer = () => {
     }
 
     if (filters.marketSize !== 'all') {
-      const sizeKey = filters.year === '2024' ? 'marketSize2024' : 'marketSize2032';
+      const sizeKey = filters.year === 'base' ? 'marketSizeBase' : 'marketSizeForecast';
       switch (filters.marketSize) {
         case 'large':
           filtered = filtered.filter(item => item[sizeKey] >= 500);
@@ -282,7 +301,7 @@ const DataExplorer = () => {
 
   // Summary statistics
   const summaryStats = useMemo(() => {
-    const totalMarketSize = sortedData.reduce((sum, item) => sum + item.marketSize2032, 0);
+    const totalMarketSize = sortedData.reduce((sum, item) => sum + item.marketSizeForecast, 0);
     const averageCAGR = sortedData.reduce((sum, item) => sum + item.cagr, 0) / sortedData.length;
     const highGrowthSegments = sortedData.filter(item => item.cagr >= 12).length;
     
@@ -292,7 +311,7 @@ const DataExplorer = () => {
       averageCAGR,
       highGrowthSegments,
       topPerformer: sortedData.reduce((max, item) => 
-        item.marketSize2032 > max.marketSize2032 ? item : max, sortedData[0] || {}
+        item.marketSizeForecast > max.marketSizeForecast ? item : max, sortedData[0] || {}
       )
     };
   }, [sortedData]);
@@ -318,21 +337,33 @@ const DataExplorer = () => {
     setCurrentPage(1);
   };
 
+  const closeEditor = () => {
+    setEditing(false);
+    setEditedData(null);
+  };
+
   // Export data
   const handleExport = () => {
+    const unitLabel = getDisplayUnitLabel();
     const exportData = sortedData.map(item => ({
       'Type': item.type,
       'Name': item.name,
       'Segment': item.segment,
-      'Market Size 2024 (USD M)': item.marketSize2024.toFixed(2),
-      'Market Size 2032 (USD M)': item.marketSize2032.toFixed(2),
-      'Market Share 2024 (%)': item.marketShare2024.toFixed(2),
-      'Market Share 2032 (%)': item.marketShare2032.toFixed(2),
+      [`Market Size ${baseYear} (${unitLabel})`]: toDisplayValue(item.marketSizeBase).toFixed(2),
+      [`Market Size ${forecastYear} (${unitLabel})`]: toDisplayValue(item.marketSizeForecast).toFixed(2),
+      [`Market Share ${baseYear} (%)`]: item.marketShareBase.toFixed(2),
+      [`Market Share ${forecastYear} (%)`]: item.marketShareForecast.toFixed(2),
       'CAGR (%)': item.cagr.toFixed(2),
       'Growth (%)': item.growth.toFixed(2)
     }));
     
     downloadCSV(exportData, 'market-data-analysis');
+    auditLogService.record({
+      action: 'export',
+      summary: 'Exported market-data-analysis.csv',
+      details: `${exportData.length} rows from the Data Explorer`,
+      ...getAuditTarget(marketData)
+    });
   };
 
   // Show loading state
@@ -424,6 +455,14 @@ const DataExplorer = () => {
                 <BarChart3 className="w-4 h-4" />
               </Button>
             </div>
+            <Button
+              variant={editing ? 'default' : 'outline'}
+              size="sm"
+              onClick={() => (editing ? closeEditor() : setEditing(true))}
+            >
+              <Pencil className="w-4 h-4 mr-2" />
+              Edit Data
+            </Button>
             <Button variant="outline" size="sm" onClick={handleExport}>
               <Download className="w-4 h-4 mr-2" />
               Export ({sortedData.length})
@@ -431,6 +470,15 @@ const DataExplorer = () => {
           </div>
         </motion.div>
 
+        {editing && marketData && (
+          <EditableDataGrid
+            key={getAuditTarget(marketData).datasetId}
+            data={marketData}
+            onPreviewChange={setEditedData}
+            onClose={closeEditor}
+          />
+        )}
+
         {/* Summary Statistics */}
         <motion.div
           initial={{ opacity: 0, y: 20 }}
@@ -511,9 +559,9 @@ const DataExplorer = () => {
                   onChange={(e) => handleFilterChange('marketSize', e.target.value)}
                 >
                   <option value="all">All Market Sizes</option>
-                  <option value="large">Large (≥$500M)</option>
-                  <option value="medium">Medium ($100M-$500M)</option>
-                  <option value="small">Small (&lt;$100M)</option>
+                  <option value="large">Large (≥{formatCurrencyTick(500)})</option>
+                  <option value="medium">Medium ({formatCurrencyTick(100)}-{formatCurrencyTick(500)})</option>
+                  <option value="small">Small (&lt;{formatCurrencyTick(100)})</option>
                 </Select>
 
                 {/* Growth Rate Filter */}
@@ -532,8 +580,8 @@ const DataExplorer = () => {
                   value={filters.year} 
                   onChange={(e) => handleFilterChange('year', e.target.value)}
                 >
-                  <option value="2024">2024 Data</option>
-                  <option value="2032">2032 Projections</option>
+                  <option value="base">{baseYear} Data</option>
+                  <option value="forecast">{forecastYear} Projections</option>
                 </Select>
               </div>
             </CardContent>
@@ -582,9 +630,9 @@ const DataExplorer = () => {
                           { key: 'type', label: 'Type' },
                           { key: 'name', label: 'Name' },
                           { key: 'segment', label: 'Segment' },
-                          { key: 'marketSize2024', label: '2024 Size (USD M)' },
-                          { key: 'marketSize2032', label: '2032 Size (USD M)' },
-                          { key: 'marketShare2032', label: 'Market Share (%)' },
+                          { key: 'marketSizeBase', label: `${baseYear} Size (${getDisplayUnitLabel()})` },
+                          { key: 'marketSizeForecast', label: `${forecastYear} Size (${getDisplayUnitLabel()})` },
+                          { key: 'marketShareForecast', label: 'Market Share (%)' },
                           { key: 'cagr', label: 'CAGR (%)' },
                           { key: 'growth', label: 'Growth (%)' }
                         ].map(column => (
@@ -603,40 +651,67 @@ const DataExplorer = () => {
                     </thead>
                     <tbody>
                       {paginatedData.map((item, index) => (
-                        <tr key={item.id} className="border-b border-gray-100 hover:bg-gray-50">
-                          <td className="py-3 px-4">
-                            <Badge 
-                              variant={
-                                item.type === 'Region' ? 'default' :
-                                item.type === 'Country' ? 'secondary' :
-                                item.type === 'Product Type' ? 'success' :
-                                item.type === 'Ingredient' ? 'warning' :
-                                'outline'
-                              }
-                              className="text-xs"
-                            >
-                              {item.type}
-                            </Badge>
-                          </td>
-                          <td className="py-3 px-4 font-medium">{item.name}</td>
-                          <td className="py-3 px-4 text-gray-600">{item.segment}</td>
-                          <td className="py-3 px-4 text-right">{item.marketSize2024.toFixed(1)}</td>
-                          <td className="py-3 px-4 text-right font-semibold">{item.marketSize2032.toFixed(1)}</td>
-                          <td className="py-3 px-4 text-right">
-                            <div className="flex items-center justify-end space-x-2">
-                              <Progress value={item.marketShare2032} className="w-12 h-2" />
-                              <span>{item.marketShare2032.toFixed(1)}%</span>
-                            </div>
-                          </td>
-                          <td className="py-3 px-4 text-right">
-                            <Badge 
-                              variant={item.cagr >= 12 ? 'success' : item.cagr >= 8 ? 'warning' : 'secondary'}
-                            >
-                              {item.cagr.toFixed(1)}%
-                            </Badge>
-                          </td>
-                          <td className="py-3 px-4 text-right">{item.growth.toFixed(1)}%</td>
-                        </tr>
+                        <Fragment key={item.id}>
+                          <tr className="border-b border-gray-100 hover:bg-gray-50">
+                            <td className="py-3 px-4">
+                              <Badge 
+                                variant={
+                                  item.type === 'Region' ? 'default' :
+                                  item.type === 'Country' ? 'secondary' :
+                                  item.type === 'Product Type' ? 'success' :
+                                  item.type === 'Ingredient' ? 'warning' :
+                                  'outline'
+                                }
+                                className="text-xs"
+                              >
+                                {item.type}
+                              </Badge>
+                            </td>
+                            <td className="py-3 px-4 font-medium">
+                              <div className="flex items-center space-x-1">
+                                <span>{item.name}</span>
+                                <button
+                                  type="button"
+                                  onClick={() => setProvenanceId(item.id)}
+                                  className="text-gray-400 hover:text-primary-600"
+                                  title="Where does this number come from?"
+                                  aria-label={`Source of the ${item.name} values`}
+                                >
+                                  <Info className="w-3.5 h-3.5" />
+                                </button>
+                              </div>
+                            </td>
+                            <td className="py-3 px-4 text-gray-600">{item.segment}</td>
+                            <td className="py-3 px-4 text-right">{item.marketSizeBase.toFixed(1)}</td>
+                            <td className="py-3 px-4 text-right font-semibold">{item.marketSizeForecast.toFixed(1)}</td>
+                            <td className="py-3 px-4 text-right">
+                              <div className="flex items-center justify-end space-x-2">
+                                <Progress value={item.marketShareForecast} className="w-12 h-2" />
+                                <span>{item.marketShareForecast.toFixed(1)}%</span>
+                              </div>
+                            </td>
+                            <td className="py-3 px-4 text-right">
+                              <Badge 
+                                variant={item.cagr >= 12 ? 'success' : item.cagr >= 8 ? 'warning' : 'secondary'}
+                              >
+                                {item.cagr.toFixed(1)}%
+                              </Badge>
+                            </td>
+                            <td className="py-3 px-4 text-right">{item.growth.toFixed(1)}%</td>
+                          </tr>
+                          {provenanceId === item.id && (
+                            <tr className="border-b border-gray-100 bg-gray-50">
+                              <td colSpan={8} className="py-3 px-4">
+                                <ProvenancePopover
+                                  target={{ ...item.trace, label: item.name, years: [baseYear, forecastYear] }}
+                                  data={explorerData}
+                                  onClose={() => setProvenanceId(null)}
+                                  className="w-full max-w-xl"
+                                />
+                              </td>
+                            </tr>
+                          )}
+                        </Fragment>
                       ))}
                     </tbody>
                   </table>
@@ -699,19 +774,19 @@ const DataExplorer = () => {
                   <h4 className="font-semibold text-gray-900 mb-2">{item.name}</h4>
                   <div className="space-y-2 text-sm">
                     <div className="flex justify-between">
-                      <span className="text-gray-600">2032 Size:</span>
-                      <span className="font-semibold">{formatCurrency(item.marketSize2032)}</span>
+                      <span className="text-gray-600">{forecastYear} Size:</span>
+                      <span className="font-semibold">{formatCurrency(item.marketSizeForecast)}</span>
                     </div>
                     <div className="flex justify-between">
                       <span className="text-gray-600">Market Share:</span>
-                      <span>{item.marketShare2032.toFixed(1)}%</span>
+                      <span>{item.marketShareForecast.toFixed(1)}%</span>
                     </div>
                     <div className="flex justify-between">
                       <span className="text-gray-600">Growth:</span>
                       <span>{item.growth.toFixed(1)}%</span>
                     </div>
                   </div>
-                  <Progress value={item.marketShare2032} className="mt-3" />
+                  <Progress value={item.marketShareForecast} className="mt-3" />
                 </CardContent>
               </Card>
             ))}
@@ -735,7 +810,7 @@ const DataExplorer = () => {
                   <div className="p-4 bg-blue-50 rounded-lg">
                     <h4 className="font-semibold text-blue-900 mb-2">Top Performer</h4>
                     <p className="text-sm text-blue-800 mb-1">{summaryStats.topPerformer?.name}</p>
-                    <p className="text-xs text-blue-600">{formatCurrency(summaryStats.topPerformer?.marketSize2032 || 0)} market size</p>
+                    <p className="text-xs text-blue-600">{formatCurrency(summaryStats.topPerformer?.marketSizeForecast || 0)} market size</p>
                   </div>
                   <div className="p-4 bg-green-50 rounded-lg">
                     <h4 className="font-semibold text-green-900 mb-2">Growth Leaders</h4>
@@ -37,50 +37,112 @@ import {
   EnhancedBarChart,
   MarketGrowthChart
 } from '@/components/charts';
+import ForecastModelPanel from '@/components/forecast/ForecastModelPanel';
+import ScenarioBuilder from '@/components/forecast/ScenarioBuilder';
+import ScenarioComparison from '@/components/forecast/ScenarioComparison';
+import MonteCarloPanel from '@/components/forecast/MonteCarloPanel';
+import SensitivityPanel from '@/components/forecast/SensitivityPanel';
+import GrowthWaterfall from '@/components/forecast/GrowthWaterfall';
 import { useMarketData } from '@/hooks/useMarketData';
-import { formatCurrency, formatPercentage, calculateCAGR } from '@/lib/utils';
+import { useScenarios } from '@/hooks/useScenarios';
+import { formatCurrency, formatPercentage, formatYearRange, calculateCAGR } from '@/lib/utils';
+import {
+  FORECAST_MODELS,
+  getForecastSeries,
+  fitForecastModels,
+  getFitThroughYears,
+  getDefaultFitThroughYear,
+  createModelBaseline
+} from '@/utils/forecastModels';
+import { buildScenarioTimeSeries, summarizeScenario } from '@/utils/scenarioModel';
 
-// Move scenarios outside component to avoid dependency array issue
-const scenarios = {
-  conservative: { label: 'Conservative', modifier: 0.85, color: 'text-red-600' },
-  base: { label: 'Base Case', modifier: 1.0, color: 'text-blue-600' },
-  optimistic: { label: 'Optimistic', modifier: 1.15, color: 'text-green-600' }
+// Confidence shown for the built-in scenarios
+const SCENARIO_CONFIDENCE = {
+  conservative: { value: 'Very High', trend: 9.1 },
+  base: { value: 'High', trend: 8.5 },
+  optimistic: { value: 'Medium', trend: 6.2 }
 };
 
 const GrowthAnalysis = () => {
   const { data: marketData, loading, error } = useMarketData();
-  const [selectedScenario, setSelectedScenario] = useState('base');
+  const { scenarios, saveScenario, deleteScenario } = useScenarios();
+  const [activeScenarioId, setActiveScenarioId] = useState('base');
+  const [compareIds, setCompareIds] = useState([]);
+  const [showBuilder, setShowBuilder] = useState(false);
   const [selectedTimeframe, setSelectedTimeframe] = useState('full'); // full, short, long
   const [focusMetric, setFocusMetric] = useState('revenue'); // revenue, growth, penetration
+  const [projectionModel, setProjectionModel] = useState('dataset'); // dataset forecast or a FORECAST_MODELS key
+  const [seriesKey, setSeriesKey] = useState('market');
+  const [fitThroughYear, setFitThroughYear] = useState(null);
 
-  // Generate time series data for market growth
-  const generateTimeSeriesData = (baseValue, cagr, startYear = 2024, endYear = 2032) => {
-    const data = [];
-    for (let year = startYear; year <= endYear; year++) {
-      const value = baseValue * Math.pow(1 + cagr / 100, year - startYear);
-      data.push({
-        year,
-        value: Math.round(value * 100) / 100
-      });
-    }
-    return data;
-  };
+  // Base/forecast window of the active dataset
+  const { baseYear, forecastYear } = marketData?.overview || {};
+  const forecastPeriod = forecastYear - baseYear;
+  const midYear = baseYear + Math.round(forecastPeriod / 2);
+
+  // Series the forecasting models can be fitted to, and the fits for the selected one
+  const forecastSeries = useMemo(() => getForecastSeries(marketData), [marketData]);
+  const fitThroughYears = useMemo(() => getFitThroughYears(marketData?.overview?.availableYears), [marketData]);
+  const activeFitThroughYear = fitThroughYears.includes(fitThroughYear)
+    ? fitThroughYear
+    : getDefaultFitThroughYear(marketData?.overview?.availableYears);
+  const activeSeries = forecastSeries.find(series => series.key === seriesKey) || forecastSeries[0];
+
+  const forecastFits = useMemo(() => {
+    if (!activeSeries || !activeFitThroughYear) return { fits: [], recommended: null };
+    return fitForecastModels(activeSeries.points, activeFitThroughYear);
+  }, [activeSeries, activeFitThroughYear]);
+
+  const projectionLabel = FORECAST_MODELS[projectionModel]?.label || 'Dataset forecast';
+
+  // Active scenario first, then the ones it is compared with
+  const shownScenarios = useMemo(() => {
+    const active = scenarios.find(scenario => scenario.id === activeScenarioId) || scenarios.find(scenario => scenario.id === 'base');
+    return [active, ...scenarios.filter(scenario => compareIds.includes(scenario.id) && scenario.id !== active.id)];
+  }, [scenarios, activeScenarioId, compareIds]);
+  const activeScenario = shownScenarios[0];
+  const isComparing = shownScenarios.length > 1;
+
+  // Every scenario is built from the same baseline: the dataset's values, or one model projecting each series
+  const scenarioYears = useMemo(
+    () => (forecastPeriod > 0 ? Array.from({ length: forecastPeriod + 1 }, (_, i) => baseYear + i) : []),
+    [baseYear, forecastPeriod]
+  );
+  const baseline = useMemo(() => (
+    FORECAST_MODELS[projectionModel] && activeFitThroughYear
+      ? createModelBaseline(projectionModel, activeFitThroughYear, marketData?.overview?.availableYears)
+      : undefined
+  ), [projectionModel, activeFitThroughYear, marketData]);
+
+  const scenarioResults = useMemo(() => {
+    if (!marketData?.timeSeries || scenarioYears.length === 0) return [];
+
+    return shownScenarios.map(scenario => {
+      const timeSeries = buildScenarioTimeSeries(marketData, scenario, scenarioYears, baseline);
+      const summary = summarizeScenario(timeSeries, scenarioYears);
+      const series = getForecastSeries({ timeSeries, overview: { availableYears: scenarioYears } })
+        .find(candidate => candidate.key === activeSeries?.key);
+
+      return { scenario, timeSeries, years: scenarioYears, summary, points: series?.points || summary.market };
+    });
+  }, [marketData, scenarioYears, baseline, shownScenarios, activeSeries]);
 
   // Calculate scenario-based projections - MOVED BEFORE EARLY RETURNS
   const getScenarioData = useMemo(() => {
-    if (!marketData?.overview) return { cagr: 0, marketSize2032: 0, timeSeriesData: [], totalGrowth: 0 };
-    
-    const modifier = scenarios[selectedScenario].modifier;
-    const baseCAGR = marketData.overview.cagr;
-    const adjustedCAGR = baseCAGR * modifier;
-    
+    const points = scenarioResults[0]?.points || [];
+    if (points.length === 0) return { cagr: 0, marketSizeForecast: 0, timeSeriesData: [], totalGrowth: 0 };
+
+    const startValue = points[0].value;
+    const endValue = points[points.length - 1].value;
+
+    // The metrics are read off the plotted series, so they always agree with the chart
     return {
-      cagr: adjustedCAGR,
-      marketSize2032: marketData.overview.marketSizeBase * Math.pow(1 + adjustedCAGR / 100, 8) * modifier,
-      timeSeriesData: generateTimeSeriesData(marketData.overview.marketSizeBase, adjustedCAGR),
-      totalGrowth: ((marketData.overview.marketSizeBase * Math.pow(1 + adjustedCAGR / 100, 8) * modifier - marketData.overview.marketSizeBase) / marketData.overview.marketSizeBase) * 100
+      cagr: calculateCAGR(startValue, endValue, points.length - 1),
+      marketSizeForecast: endValue,
+      timeSeriesData: points.map(point => ({ year: point.year, value: Math.round(point.value * 100) / 100 })),
+      totalGrowth: startValue > 0 ? ((endValue - startValue) / startValue) * 100 : 0
     };
-  }, [selectedScenario, marketData]); 
+  }, [scenarioResults]);
 
   // Calculate compound metrics - MOVED BEFORE EARLY RETURNS
   const cumulativeGrowth = useMemo(() => {
@@ -92,28 +154,44 @@ const GrowthAnalysis = () => {
     }));
   }, [getScenarioData]);
 
-  // Regional growth comparison using real data - MOVED BEFORE EARLY RETURNS
+  // Regional growth of the active scenario - MOVED BEFORE EARLY RETURNS
   const regionalGrowthData = useMemo(() => {
-    if (!marketData?.regions) return [];
-    
-    return marketData.regions.map(region => {
-      const startValue = (marketData.overview.marketSizeBase * region.marketShare2024) / 100;
-      const endValue = (marketData.overview.marketSizeForecast * region.marketShare2032) / 100;
-      const cagr = region.cagr;
-      
-      return {
-        region: region.name,
-        cagr,
-        startValue,
-        endValue,
-        totalGrowth: ((endValue - startValue) / startValue) * 100,
-        data: generateTimeSeriesData(startValue, cagr).map(point => ({ 
-          ...point, 
-          growth: ((point.value - startValue) / startValue) * 100 
-        }))
-      };
-    });
-  }, [marketData]);
+    return (scenarioResults[0]?.summary.regions || []).map(region => ({
+      region: region.region,
+      cagr: region.cagr,
+      startValue: region.start,
+      endValue: region.end,
+      totalGrowth: region.totalGrowth
+    }));
+  }, [scenarioResults]);
+
+  // One column per scenario for the comparison charts
+  const comparisonCharts = useMemo(() => {
+    const names = scenarioResults.map(result => result.scenario.name);
+    const years = scenarioResults[0]?.points.map(point => point.year) || [];
+
+    return {
+      names,
+      projection: years.map((year, i) => ({
+        year,
+        ...Object.fromEntries(scenarioResults.map(({ scenario, points }) => [scenario.name, points[i].value]))
+      })),
+      cumulative: years.map((year, i) => ({
+        year,
+        ...Object.fromEntries(scenarioResults.map(({ scenario, points }) => [
+          scenario.name,
+          points[0].value > 0 ? ((points[i].value - points[0].value) / points[0].value) * 100 : 0
+        ]))
+      })),
+      regional: (scenarioResults[0]?.summary.regions || []).map(({ region }) => ({
+        name: region.replace(' & ', ' &\n'),
+        ...Object.fromEntries(scenarioResults.map(({ scenario, summary }) => [
+          scenario.name,
+          summary.regions.find(other => other.region === region)?.cagr || 0
+        ]))
+      }))
+    };
+  }, [scenarioResults]);
 
   // Show loading state
   if (loading) {
@@ -249,7 +327,7 @@ const GrowthAnalysis = () => {
     {
       title: 'Market Acceleration',
       icon: Zap,
-      content: `Market growth is accelerating with ${formatPercentage(getScenarioData.cagr)} CAGR in ${selectedScenario} scenario`,
+      content: `Market growth is accelerating with ${formatPercentage(getScenarioData.cagr)} CAGR in the ${activeScenario.name} scenario`,
       type: 'success'
     },
     {
@@ -318,12 +396,12 @@ const GrowthAnalysis = () => {
           
           <div className="flex flex-wrap gap-3">
             <Select 
-              value={selectedScenario} 
-              onChange={(e) => setSelectedScenario(e.target.value)}
+              value={activeScenario.id} 
+              onChange={(e) => setActiveScenarioId(e.target.value)}
               className="min-w-[150px]"
             >
-              {Object.entries(scenarios).map(([key, scenario]) => (
-                <option key={key} value={key}>{scenario.label}</option>
+              {scenarios.map(scenario => (
+                <option key={scenario.id} value={scenario.id}>{scenario.name}</option>
               ))}
             </Select>
             
@@ -331,18 +409,49 @@ const GrowthAnalysis = () => {
               value={selectedTimeframe} 
               onChange={(e) => setSelectedTimeframe(e.target.value)}
             >
-              <option value="full">Full Period (2024-2032)</option>
-              <option value="short">Short Term (2024-2028)</option>
-              <option value="long">Long Term (2028-2032)</option>
+              <option value="full">Full Period ({formatYearRange(baseYear, forecastYear)})</option>
+              <option value="short">Short Term ({formatYearRange(baseYear, midYear)})</option>
+              <option value="long">Long Term ({formatYearRange(midYear, forecastYear)})</option>
+            </Select>
+
+            <Select
+              value={projectionModel}
+              onChange={(e) => setProjectionModel(e.target.value)}
+              className="min-w-[180px]"
+            >
+              <option value="dataset">Dataset forecast</option>
+              {Object.entries(FORECAST_MODELS).map(([key, model]) => (
+                <option key={key} value={key}>{model.label}</option>
+              ))}
             </Select>
             
-            <Button variant="outline" size="sm">
+            <Button variant={showBuilder ? 'default' : 'outline'} size="sm" onClick={() => setShowBuilder(open => !open)}>
               <Calculator className="w-4 h-4 mr-2" />
-              Model Builder
+              Scenario Builder
             </Button>
           </div>
         </motion.div>
 
+        {showBuilder && marketData && (
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+          >
+            <ScenarioBuilder
+              key={activeScenario.id}
+              data={marketData}
+              years={scenarioResults[0]?.points.map(point => point.year) || []}
+              scenarios={scenarios}
+              activeId={activeScenario.id}
+              onActivate={setActiveScenarioId}
+              compareIds={compareIds}
+              onCompareChange={setCompareIds}
+              onSave={saveScenario}
+              onDelete={deleteScenario}
+            />
+          </motion.div>
+        )}
+
         {/* Growth Insights */}
         <motion.div
           initial={{ opacity: 0, y: 20 }}
@@ -369,29 +478,29 @@ const GrowthAnalysis = () => {
             {
               title: 'Projected CAGR',
               value: formatPercentage(getScenarioData.cagr),
-              subtitle: `${scenarios[selectedScenario].label} scenario`,
+              subtitle: `${activeScenario.name} scenario · ${projectionLabel}`,
               trend: getScenarioData.cagr,
               icon: TrendingUp
             },
             {
-              title: 'Market Size 2032',
-              value: formatCurrency(getScenarioData.marketSize2032),
-              subtitle: 'Projected market value',
+              title: `Market Size ${forecastYear}`,
+              value: formatCurrency(getScenarioData.marketSizeForecast),
+              subtitle: `Projected ${activeSeries && activeSeries.key !== 'market' ? activeSeries.label : 'market'} value`,
               trend: getScenarioData.cagr,
               icon: Target
             },
             {
               title: 'Total Growth',
               value: formatPercentage(getScenarioData.totalGrowth),
-              subtitle: '2024-2032 cumulative',
+              subtitle: `${formatYearRange(baseYear, forecastYear)} cumulative`,
               trend: getScenarioData.totalGrowth > 200 ? 12.5 : 8.2,
               icon: Activity
             },
             {
               title: 'Growth Confidence',
-              value: selectedScenario === 'base' ? 'High' : selectedScenario === 'optimistic' ? 'Medium' : 'Very High',
-              subtitle: 'Scenario probability',
-              trend: selectedScenario === 'base' ? 8.5 : selectedScenario === 'optimistic' ? 6.2 : 9.1,
+              value: SCENARIO_CONFIDENCE[activeScenario.id]?.value || 'Custom',
+              subtitle: SCENARIO_CONFIDENCE[activeScenario.id] ? 'Scenario probability' : `${activeScenario.assumptions.length} analyst assumptions`,
+              trend: SCENARIO_CONFIDENCE[activeScenario.id]?.trend,
               icon: CheckCircle
             }
           ].map((metric, index) => (
@@ -406,6 +515,10 @@ const GrowthAnalysis = () => {
           ))}
         </div>
 
+        {isComparing && (
+          <ScenarioComparison results={scenarioResults} baseYear={baseYear} forecastYear={forecastYear} />
+        )}
+
         {/* Main Growth Charts */}
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
           {/* Scenario-based Growth Projection */}
@@ -414,12 +527,22 @@ const GrowthAnalysis = () => {
             animate={{ opacity: 1, x: 0 }}
             transition={{ delay: 0.3 }}
           >
-            <MarketGrowthChart
-              data={cumulativeGrowth}
-              title={`Growth Projection - ${scenarios[selectedScenario].label}`}
-              description="Market size evolution with growth rate overlay"
-              height={400}
-            />
+            {isComparing ? (
+              <EnhancedLineChart
+                data={comparisonCharts.projection}
+                title={`Growth Projection - ${activeSeries?.label || 'Total market'}`}
+                description={`${projectionLabel}, one line per scenario`}
+                lines={comparisonCharts.names}
+                height={400}
+              />
+            ) : (
+              <MarketGrowthChart
+                data={cumulativeGrowth}
+                title={`Growth Projection - ${activeScenario.name}`}
+                description={`${activeSeries?.label || 'Total market'} · ${projectionLabel}${FORECAST_MODELS[projectionModel] ? `, actual values through ${activeFitThroughYear}` : ''}; growth rate overlay`}
+                height={400}
+              />
+            )}
           </motion.div>
 
           {/* Cumulative Growth Analysis */}
@@ -429,16 +552,84 @@ const GrowthAnalysis = () => {
             transition={{ delay: 0.4 }}
           >
             <EnhancedAreaChart
-              data={cumulativeGrowth}
+              data={isComparing ? comparisonCharts.cumulative : cumulativeGrowth}
               title="Cumulative Growth Analysis"
-              description="Total growth accumulation over time"
-              areas={['growth']}
+              description={isComparing ? 'Growth since the base year by scenario' : 'Total growth accumulation over time'}
+              areas={isComparing ? comparisonCharts.names : ['growth']}
               height={400}
               formatter={(value) => formatPercentage(value)}
             />
           </motion.div>
         </div>
 
+        {/* Statistical Forecast Models */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.45 }}
+        >
+          <ForecastModelPanel
+            series={forecastSeries}
+            seriesKey={activeSeries?.key}
+            onSeriesChange={setSeriesKey}
+            result={forecastFits}
+            fitThroughYears={fitThroughYears}
+            fitThroughYear={activeFitThroughYear}
+            onFitThroughYearChange={setFitThroughYear}
+            forecastYear={forecastYear}
+            projectionModel={projectionModel}
+            onProjectionModelChange={setProjectionModel}
+          />
+        </motion.div>
+
+        {/* Monte Carlo Forecast Ranges */}
+        {scenarioResults[0] && (
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.5 }}
+          >
+            <MonteCarloPanel
+              timeSeries={scenarioResults[0].timeSeries}
+              summary={scenarioResults[0].summary}
+              years={scenarioResults[0].years}
+              scenarioName={activeScenario.name}
+            />
+          </motion.div>
+        )}
+
+        {/* Sensitivity of the Forecast to Each Driver */}
+        {scenarioResults[0] && (
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.5 }}
+          >
+            <SensitivityPanel
+              data={marketData}
+              scenario={activeScenario}
+              years={scenarioYears}
+              baseline={baseline}
+            />
+          </motion.div>
+        )}
+
+        {/* Growth Decomposition */}
+        {scenarioResults[0] && (
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.5 }}
+          >
+            <GrowthWaterfall
+              timeSeries={scenarioResults[0].timeSeries}
+              startYear={baseYear}
+              endYear={forecastYear}
+              description={`${activeScenario.name} scenario · ${projectionLabel}`}
+            />
+          </motion.div>
+        )}
+
         {/* Regional Growth Comparison */}
         <motion.div
           initial={{ opacity: 0, y: 20 }}
@@ -446,14 +637,14 @@ const GrowthAnalysis = () => {
           transition={{ delay: 0.5 }}
         >
           <EnhancedBarChart
-            data={regionalGrowthData.map(region => ({
+            data={isComparing ? comparisonCharts.regional : regionalGrowthData.map(region => ({
               name: region.region.replace(' & ', ' &\n'),
               cagr: region.cagr,
               totalGrowth: region.totalGrowth
             }))}
             title="Regional Growth Rate Comparison"
-            description="CAGR and total growth by geographic region"
-            bars={['cagr', 'totalGrowth']}
+            description={isComparing ? 'CAGR by geographic region and scenario' : 'CAGR and total growth by geographic region'}
+            bars={isComparing ? comparisonCharts.names : ['cagr', 'totalGrowth']}
             xKey="name"
             height={350}
             formatter={(value) => formatPercentage(value)}
@@ -609,14 +800,14 @@ const GrowthAnalysis = () => {
                   </div>
                   <div className="text-sm text-gray-600 mb-2">Projected CAGR</div>
                   <div className="text-xs text-gray-500">
-                    {scenarios[selectedScenario].label} Scenario
+                    {activeScenario.name} Scenario
                   </div>
                 </div>
                 <div className="text-center">
                   <div className="text-3xl font-bold text-green-600 mb-2">
-                    {formatCurrency(getScenarioData.marketSize2032)}
+                    {formatCurrency(getScenarioData.marketSizeForecast)}
                   </div>
-                  <div className="text-sm text-gray-600 mb-2">Market Size 2032</div>
+                  <div className="text-sm text-gray-600 mb-2">Market Size {forecastYear}</div>
                   <div className="text-xs text-gray-500">
                     Projected Value
                   </div>
@@ -627,7 +818,7 @@ const GrowthAnalysis = () => {
                   </div>
                   <div className="text-sm text-gray-600 mb-2">Total Growth</div>
                   <div className="text-xs text-gray-500">
-                    2024-2032 Period
+                    {formatYearRange(baseYear, forecastYear)} Period
                   </div>
                 </div>
               </div>
@@ -34,8 +34,9 @@ import {
   MarketShareDonut,
   MarketGrowthChart
 } from '@/components/charts';
+import GrowthWaterfall from '@/components/forecast/GrowthWaterfall';
 import { useMarketData } from '@/hooks/useMarketData';
-import { formatCurrency, formatPercentage } from '@/lib/utils';
+import { formatCurrency, formatPercentage, formatYearRange } from '@/lib/utils';
 import { generateTimeSeriesData } from '@/data/marketData';
 
 const ExecutiveSummary = () => {
@@ -99,53 +100,52 @@ const ExecutiveSummary = () => {
   const ingredients = marketData?.ingredients || [];
 
   // Calculate key metrics
-  const currentYear = 2024;
-  const forecastYear = 2032;
-  const globalMarketSize2024 = overview.marketSizeBase || 0;
-  const globalMarketSize2032 = overview.marketSizeForecast || 0;
+  const { baseYear, forecastYear } = overview;
+  const globalMarketSizeBase = overview.marketSizeBase || 0;
+  const globalMarketSizeForecast = overview.marketSizeForecast || 0;
   const marketCAGR = overview.cagr || 0;
   
-  // Regional data for 2032
-  const regionalData2032 = regions.map(region => ({
+  // Regional data for the forecast year
+  const regionalDataForecast = regions.map(region => ({
     name: region.name,
-    value: (globalMarketSize2032 * region.marketShare2032) / 100,
-    share: region.marketShare2032,
+    value: (globalMarketSizeForecast * region.marketShareForecast) / 100,
+    share: region.marketShareForecast,
     cagr: region.cagr
   })).sort((a, b) => b.value - a.value);
 
   // Product type data
-  const productTypeData2032 = productTypes.map(product => ({
+  const productTypeDataForecast = productTypes.map(product => ({
     name: product.name,
-    value: (globalMarketSize2032 * product.marketShare2032) / 100,
-    share: product.marketShare2032
+    value: (globalMarketSizeForecast * product.marketShareForecast) / 100,
+    share: product.marketShareForecast
   }));
 
   // Ingredient data
-  const ingredientData2032 = ingredients.slice(0, 5).map(ingredient => ({
+  const ingredientDataForecast = ingredients.slice(0, 5).map(ingredient => ({
     name: ingredient.name,
-    value: (globalMarketSize2032 * ingredient.marketShare2032) / 100,
-    share: ingredient.marketShare2032
+    value: (globalMarketSizeForecast * ingredient.marketShareForecast) / 100,
+    share: ingredient.marketShareForecast
   }));
 
   // Generate market trend data
-  const marketTrendData = generateTimeSeriesData(globalMarketSize2024, marketCAGR);
+  const marketTrendData = generateTimeSeriesData(globalMarketSizeBase, marketCAGR, baseYear, forecastYear);
 
   // Key insights calculations
-  const totalGrowth = globalMarketSize2024 > 0 ? ((globalMarketSize2032 - globalMarketSize2024) / globalMarketSize2024) * 100 : 0;
-  const leadingRegion = regionalData2032[0] || { name: 'N/A', share: 0, cagr: 0 };
+  const totalGrowth = globalMarketSizeBase > 0 ? ((globalMarketSizeForecast - globalMarketSizeBase) / globalMarketSizeBase) * 100 : 0;
+  const leadingRegion = regionalDataForecast[0] || { name: 'N/A', share: 0, cagr: 0 };
   const fastestGrowingRegion = regions.reduce((a, b) => (a.cagr || 0) > (b.cagr || 0) ? a : b, { name: 'N/A', cagr: 0 });
 
   const keyMetrics = [
     {
-      title: 'Market Size 2032',
-      value: formatCurrency(globalMarketSize2032),
+      title: `Market Size ${forecastYear}`,
+      value: formatCurrency(globalMarketSizeForecast),
       subtitle: 'Global market value',
       trend: marketCAGR,
       icon: DollarSign,
       color: 'from-blue-500 to-blue-600'
     },
     {
-      title: 'CAGR (2024-2032)',
+      title: `CAGR (${formatYearRange(baseYear, forecastYear)})`,
       value: formatPercentage(marketCAGR),
       subtitle: 'Compound Annual Growth Rate',
       trend: marketCAGR > 10 ? 5.2 : -2.1,
@@ -163,7 +163,7 @@ const ExecutiveSummary = () => {
     {
       title: 'Total Growth',
       value: formatPercentage(totalGrowth),
-      subtitle: '2024-2032 period',
+      subtitle: `${formatYearRange(baseYear, forecastYear)} period`,
       trend: totalGrowth > 100 ? 8.3 : 3.1,
       icon: Activity,
       color: 'from-orange-500 to-orange-600'
@@ -222,7 +222,7 @@ const ExecutiveSummary = () => {
             <div>
               <h2 className="text-2xl font-bold mb-2">{overview.marketName || 'Global Skin Boosters Market'}</h2>
               <p className="text-primary-100 mb-4">
-                Real-time market analysis and forecasting for {currentYear}-{forecastYear}
+                Real-time market analysis and forecasting for {formatYearRange(baseYear, forecastYear)}
               </p>
               <div className="flex flex-wrap gap-4">
                 <div className="flex items-center space-x-2">
@@ -283,10 +283,19 @@ const ExecutiveSummary = () => {
             <EnhancedLineChart
               data={marketTrendData}
               title="Market Growth Trajectory"
-              description={`Global market size from ${currentYear} to ${forecastYear}`}
+              description={`Global market size from ${baseYear} to ${forecastYear}`}
               lines={['value']}
               height={350}
               formatter={(value) => formatCurrency(value)}
+              getProvenance={(point) => ({
+                region: 'Global',
+                segmentType: 'Type',
+                years: [baseYear, forecastYear],
+                label: `Global market size ${point.year}`,
+                transforms: point.year === baseYear || point.year === forecastYear
+                  ? []
+                  : [{ type: 'interpolation', year: point.year, from: baseYear, to: forecastYear, cagr: marketCAGR }]
+              })}
             />
           </motion.div>
 
@@ -297,8 +306,8 @@ const ExecutiveSummary = () => {
             transition={{ delay: 0.3 }}
           >
             <MarketShareDonut
-              data={regionalData2032}
-              title="Regional Market Share 2032"
+              data={regionalDataForecast}
+              title={`Regional Market Share ${forecastYear}`}
               description="Market distribution by geographic regions"
               height={350}
             />
@@ -314,13 +323,14 @@ const ExecutiveSummary = () => {
             transition={{ delay: 0.4 }}
           >
             <EnhancedBarChart
-              data={productTypeData2032}
+              data={productTypeDataForecast}
               title="Product Type Breakdown"
               description="Market share by product categories"
               bars={['value']}
               xKey="name"
               height={300}
               formatter={(value) => formatCurrency(value)}
+              getProvenance={(product) => ({ segmentType: 'Type', segment: product.name, years: [forecastYear] })}
             />
           </motion.div>
 
@@ -331,7 +341,7 @@ const ExecutiveSummary = () => {
             transition={{ delay: 0.5 }}
           >
             <EnhancedBarChart
-              data={ingredientData2032}
+              data={ingredientDataForecast}
               title="Leading Ingredients"
               description="Top 5 ingredients by market value"
               bars={['value']}
@@ -339,10 +349,24 @@ const ExecutiveSummary = () => {
               height={300}
               horizontal={true}
               formatter={(value) => formatCurrency(value)}
+              getProvenance={(ingredient) => ({ segmentType: 'Ingredient', segment: ingredient.name, years: [forecastYear] })}
             />
           </motion.div>
         </div>
 
+        {/* Growth Decomposition */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.55 }}
+        >
+          <GrowthWaterfall
+            timeSeries={marketData?.timeSeries}
+            startYear={baseYear}
+            endYear={forecastYear}
+          />
+        </motion.div>
+
         {/* Market Insights */}
         <motion.div
           initial={{ opacity: 0, y: 20 }}
@@ -386,16 +410,16 @@ const ExecutiveSummary = () => {
               <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
                 <div className="text-center">
                   <div className="text-2xl font-bold text-primary-600">
-                    {formatCurrency(globalMarketSize2032)}
+                    {formatCurrency(globalMarketSizeForecast)}
                   </div>
-                  <div className="text-sm text-gray-600">Market Size 2032</div>
+                  <div className="text-sm text-gray-600">Market Size {forecastYear}</div>
                   <Progress value={100} className="mt-2" />
                 </div>
                 <div className="text-center">
                   <div className="text-2xl font-bold text-green-600">
                     {formatPercentage(marketCAGR)}
                   </div>
-                  <div className="text-sm text-gray-600">CAGR 2024-32</div>
+                  <div className="text-sm text-gray-600">CAGR {formatYearRange(baseYear, forecastYear, true)}</div>
                   <Progress value={marketCAGR * 8.5} className="mt-2" />
                 </div>
                 <div className="text-center">
@@ -424,10 +448,10 @@ const ExecutiveSummary = () => {
                     • <strong>{fastestGrowingRegion.name}</strong> shows fastest growth at {formatPercentage(fastestGrowingRegion.cagr)} CAGR
                   </div>
                   <div>
-                    • <strong>{productTypes[0]?.name || 'Leading Product'}</strong> leads product category with {formatPercentage(productTypes[0]?.marketShare2032 || 0)} share
+                    • <strong>{productTypes[0]?.name || 'Leading Product'}</strong> leads product category with {formatPercentage(productTypes[0]?.marketShareForecast || 0)} share
                   </div>
                   <div>
-                    • <strong>{ingredients[0]?.name || 'Leading Ingredient'}</strong> dominates ingredient segment with {formatPercentage(ingredients[0]?.marketShare2032 || 0)} share
+                    • <strong>{ingredients[0]?.name || 'Leading Ingredient'}</strong> dominates ingredient segment with {formatPercentage(ingredients[0]?.marketShareForecast || 0)} share
                   </div>
                 </div>
               </div>
@@ -38,12 +38,13 @@ import {
   RegionalComparisonChart
 } from '@/components/charts';
 import { useMarketData } from '@/hooks/useMarketData';
-import { formatCurrency, formatPercentage, calculateCAGR, analyzeRegionalPerformance } from '@/lib/utils';
+import { taxonomyService } from '@/services/taxonomyService';
+import { formatCurrency, formatPercentage, formatYearRange, calculateCAGR, analyzeRegionalPerformance } from '@/lib/utils';
 
 const RegionalAnalysis = () => {
   const { data: marketData, loading, error } = useMarketData();
   const [selectedRegion, setSelectedRegion] = useState('North America');
-  const [selectedYear, setSelectedYear] = useState('2032');
+  const [selectedYear, setSelectedYear] = useState(null);
   const [viewMode, setViewMode] = useState('overview');
 
   // Show loading state
@@ -95,13 +96,15 @@ const RegionalAnalysis = () => {
   const regions = marketData?.regions || [];
   const countries = marketData?.countries || {};
   const timeSeries = marketData?.timeSeries || {};
+  const { baseYear, forecastYear, availableYears = [] } = marketData?.overview || {};
+  const years = availableYears.filter(year => year >= baseYear && year <= forecastYear);
+  const displayYear = years.includes(selectedYear) ? selectedYear : forecastYear;
 
   // Create regional market data from time series
   const regionalMarketData = {};
   Object.keys(timeSeries).forEach(region => {
     if (timeSeries[region].Type) {
       const regionTypeData = timeSeries[region].Type;
-      const years = [2024, 2025, 2026, 2027, 2028, 2029, 2030, 2031, 2032];
       
       regionalMarketData[region] = years.map(year => {
         let totalValue = 0;
@@ -122,13 +125,13 @@ const RegionalAnalysis = () => {
   const currentRegionData = regionalMarketData[selectedRegion] || [];
   
   // Calculate regional metrics
-  const regionSize2024 = currentRegionData[0]?.value || 0;
-  const regionSize2032 = currentRegionData[currentRegionData.length - 1]?.value || 0;
-  const regionCAGR = calculateCAGR(regionSize2024, regionSize2032, 8);
-  const regionGrowth = regionSize2024 > 0 ? ((regionSize2032 - regionSize2024) / regionSize2024) * 100 : 0;
+  const regionSizeBase = currentRegionData[0]?.value || 0;
+  const regionSizeForecast = currentRegionData[currentRegionData.length - 1]?.value || 0;
+  const regionCAGR = calculateCAGR(regionSizeBase, regionSizeForecast, forecastYear - baseYear);
+  const regionGrowth = regionSizeBase > 0 ? ((regionSizeForecast - regionSizeBase) / regionSizeBase) * 100 : 0;
 
   // Market share data for selected year
-  const yearIndex = selectedYear === '2024' ? 0 : selectedYear === '2032' ? 8 : 4;
+  const yearIndex = years.indexOf(displayYear);
   const regionalShareData = regionalAnalysis.regions.map(region => ({
     name: region.region,
     value: region.data[yearIndex]?.value || 0,
@@ -137,26 +140,18 @@ const RegionalAnalysis = () => {
 
   // Top performing countries (if region is selected)
   const countryPerformance = Object.entries(countries)
-    .filter(([country, data]) => {
-      // Filter countries by region (simplified mapping)
-      const regionCountryMap = {
-        'North America': ['United States', 'Canada', 'Mexico', 'US'],
-        'Europe': ['Germany', 'United Kingdom', 'France'],
-        'Asia Pacific': ['China', 'Japan', 'South Korea'],
-        'Latin America': ['Brazil', 'Argentina'],
-        'Middle East & Africa': ['UAE', 'Saudi Arabia', 'South Africa']
-      };
-      return regionCountryMap[selectedRegion]?.includes(country) || selectedRegion === 'Global';
+    .filter(([country]) => {
+      return selectedRegion === 'Global' || taxonomyService.getCountryRegion(country) === selectedRegion;
     })
     .map(([country, data]) => ({
       country,
-      marketSize2024: data.marketSize2024,
-      marketSize2032: data.marketSize2032,
+      marketSizeBase: data.marketSizeBase,
+      marketSizeForecast: data.marketSizeForecast,
       cagr: data.cagr,
       penetration: data.penetrationRate,
       avgSpending: data.averageSpending
     }))
-    .sort((a, b) => b.marketSize2032 - a.marketSize2032);
+    .sort((a, b) => b.marketSizeForecast - a.marketSizeForecast);
 
   // Regional insights
   const regionalInsights = [
@@ -164,7 +159,7 @@ const RegionalAnalysis = () => {
       title: 'Market Leadership',
       icon: Star,
       content: regionalAnalysis.largest ? 
-        `${regionalAnalysis.largest.region} leads the global market with ${formatCurrency(regionalAnalysis.largest.endValue)} in ${selectedYear}` :
+        `${regionalAnalysis.largest.region} leads the global market with ${formatCurrency(regionalAnalysis.largest.endValue)} in ${forecastYear}` :
         'Regional leadership data not available',
       type: 'success'
     },
@@ -220,12 +215,12 @@ const RegionalAnalysis = () => {
             </Select>
             
             <Select 
-              value={selectedYear} 
-              onChange={(e) => setSelectedYear(e.target.value)}
+              value={displayYear || ''} 
+              onChange={(e) => setSelectedYear(Number(e.target.value))}
             >
-              <option value="2024">2024</option>
-              <option value="2028">2028</option>
-              <option value="2032">2032</option>
+              {years.map(year => (
+                <option key={year} value={year}>{year}</option>
+              ))}
             </Select>
             
             <Button variant="outline" size="sm">
@@ -260,21 +255,21 @@ const RegionalAnalysis = () => {
           {[
             {
               title: `${selectedRegion} Market Size`,
-              value: formatCurrency(regionSize2032),
-              subtitle: `${selectedYear} projection`,
+              value: formatCurrency(regionSizeForecast),
+              subtitle: `${forecastYear} projection`,
               trend: regionCAGR,
               icon: DollarSign
             },
             {
               title: 'Regional CAGR',
               value: formatPercentage(regionCAGR),
-              subtitle: '2024-2032 period',
+              subtitle: `${formatYearRange(baseYear, forecastYear)} period`,
               trend: regionCAGR > 10 ? 5.2 : 2.1,
               icon: TrendingUp
             },
             {
               title: 'Market Share',
-              value: formatPercentage(currentRegionInfo?.marketShare2032 || 0),
+              value: formatPercentage(currentRegionInfo?.marketShareForecast || 0),
               subtitle: 'Global market share',
               trend: 3.1,
               icon: Globe
@@ -282,7 +277,7 @@ const RegionalAnalysis = () => {
             {
               title: 'Growth Rate',
               value: formatPercentage(regionGrowth),
-              subtitle: 'Total growth 2024-32',
+              subtitle: `Total growth ${formatYearRange(baseYear, forecastYear, true)}`,
               trend: regionGrowth > 100 ? 8.5 : 4.2,
               icon: BarChart3
             }
@@ -322,7 +317,7 @@ const RegionalAnalysis = () => {
           >
             <MarketShareDonut
               data={regionalShareData}
-              title={`Regional Distribution ${selectedYear}`}
+              title={`Regional Distribution ${displayYear}`}
               description="Market share by geographic region"
               height={400}
             />
@@ -350,8 +345,8 @@ const RegionalAnalysis = () => {
                     <thead>
                       <tr className="border-b border-gray-200">
                         <th className="text-left py-3 px-4 font-semibold">Country</th>
-                        <th className="text-right py-3 px-4 font-semibold">Market Size 2024</th>
-                        <th className="text-right py-3 px-4 font-semibold">Market Size 2032</th>
+                        <th className="text-right py-3 px-4 font-semibold">Market Size {baseYear}</th>
+                        <th className="text-right py-3 px-4 font-semibold">Market Size {forecastYear}</th>
                         <th className="text-right py-3 px-4 font-semibold">CAGR</th>
                         <th className="text-right py-3 px-4 font-semibold">Penetration</th>
                         <th className="text-right py-3 px-4 font-semibold">Avg Spending</th>
@@ -368,8 +363,8 @@ const RegionalAnalysis = () => {
                               <span className="font-medium">{country.country}</span>
                             </div>
                           </td>
-                          <td className="text-right py-3 px-4">{formatCurrency(country.marketSize2024)}</td>
-                          <td className="text-right py-3 px-4 font-semibold">{formatCurrency(country.marketSize2032)}</td>
+                          <td className="text-right py-3 px-4">{formatCurrency(country.marketSizeBase)}</td>
+                          <td className="text-right py-3 px-4 font-semibold">{formatCurrency(country.marketSizeForecast)}</td>
                           <td className="text-right py-3 px-4">
                             <Badge 
                               variant={country.cagr > 12 ? "success" : country.cagr > 8 ? "warning" : "secondary"}
@@ -44,7 +44,7 @@ import { formatCurrency, formatPercentage, calculateCAGR, getMarketSegmentInsigh
 const MarketSegments = () => {
   const { data: marketData, loading, error } = useMarketData();
   const [selectedSegmentType, setSelectedSegmentType] = useState('productType');
-  const [selectedTimeframe, setSelectedTimeframe] = useState('2032');
+  const [selectedTimeframe, setSelectedTimeframe] = useState('forecast');
   const [viewMode, setViewMode] = useState('overview'); // overview, detailed, trends
 
   // Show loading state
@@ -92,58 +92,66 @@ const MarketSegments = () => {
     );
   }
 
+  const { baseYear, forecastYear } = marketData?.overview || {};
+
   // Calculate segment data based on selection
   const getSegmentData = () => {
     if (!marketData) return [];
     
-    const baseYear = 2024;
-    const forecastYear = 2032;
     const totalMarket = marketData.overview.marketSizeForecast;
 
     switch (selectedSegmentType) {
       case 'productType':
         return marketData.productTypes?.map(product => ({
           ...product,
-          value2024: (marketData.overview.marketSizeBase * product.marketShare2024) / 100,
-          value2032: (totalMarket * product.marketShare2032) / 100,
+          valueBase: (marketData.overview.marketSizeBase * product.marketShareBase) / 100,
+          valueForecast: (totalMarket * product.marketShareForecast) / 100,
           timeSeriesData: generateTimeSeriesData(
-            (marketData.overview.marketSizeBase * product.marketShare2024) / 100,
-            product.cagr
+            (marketData.overview.marketSizeBase * product.marketShareBase) / 100,
+            product.cagr,
+            baseYear,
+            forecastYear
           )
         })) || [];
       
       case 'ingredient':
         return marketData.ingredients?.map(ingredient => ({
           ...ingredient,
-          value2024: (marketData.overview.marketSizeBase * ingredient.marketShare2024) / 100,
-          value2032: (totalMarket * ingredient.marketShare2032) / 100,
+          valueBase: (marketData.overview.marketSizeBase * ingredient.marketShareBase) / 100,
+          valueForecast: (totalMarket * ingredient.marketShareForecast) / 100,
           timeSeriesData: generateTimeSeriesData(
-            (marketData.overview.marketSizeBase * ingredient.marketShare2024) / 100,
-            ingredient.cagr
+            (marketData.overview.marketSizeBase * ingredient.marketShareBase) / 100,
+            ingredient.cagr,
+            baseYear,
+            forecastYear
           )
         })) || [];
       
       case 'gender':
         return marketData.gender?.map(gender => ({
           ...gender,
-          value2024: (marketData.overview.marketSizeBase * gender.marketShare2024) / 100,
-          value2032: (totalMarket * gender.marketShare2032) / 100,
+          valueBase: (marketData.overview.marketSizeBase * gender.marketShareBase) / 100,
+          valueForecast: (totalMarket * gender.marketShareForecast) / 100,
           cagr: gender.cagr,
           timeSeriesData: generateTimeSeriesData(
-            (marketData.overview.marketSizeBase * gender.marketShare2024) / 100,
-            gender.cagr
+            (marketData.overview.marketSizeBase * gender.marketShareBase) / 100,
+            gender.cagr,
+            baseYear,
+            forecastYear
           )
         })) || [];
       
       case 'endUser':
         return marketData.endUsers?.map(endUser => ({
           ...endUser,
-          value2024: (marketData.overview.marketSizeBase * endUser.marketShare2024) / 100,
-          value2032: (totalMarket * endUser.marketShare2032) / 100,
+          valueBase: (marketData.overview.marketSizeBase * endUser.marketShareBase) / 100,
+          valueForecast: (totalMarket * endUser.marketShareForecast) / 100,
           cagr: endUser.cagr,
           timeSeriesData: generateTimeSeriesData(
-            (marketData.overview.marketSizeBase * endUser.marketShare2024) / 100,
-            endUser.cagr
+            (marketData.overview.marketSizeBase * endUser.marketShareBase) / 100,
+            endUser.cagr,
+            baseYear,
+            forecastYear
           )
         })) || [];
       
@@ -153,7 +161,7 @@ const MarketSegments = () => {
   };
 
   // Generate time series data
-  const generateTimeSeriesData = (baseValue, cagr, startYear = 2024, endYear = 2032) => {
+  const generateTimeSeriesData = (baseValue, cagr, startYear, endYear) => {
     const data = [];
     for (let year = startYear; year <= endYear; year++) {
       const value = baseValue * Math.pow(1 + cagr / 100, year - startYear);
@@ -166,20 +174,21 @@ const MarketSegments = () => {
   };
 
   const segmentData = getSegmentData();
-  const selectedYearValue = selectedTimeframe === '2024' ? 'value2024' : 'value2032';
+  const selectedYear = selectedTimeframe === 'base' ? baseYear : forecastYear;
+  const selectedYearValue = selectedTimeframe === 'base' ? 'valueBase' : 'valueForecast';
   
   // Prepare chart data
   const pieChartData = segmentData.map(segment => ({
     name: segment.name,
     value: segment[selectedYearValue],
-    share: selectedTimeframe === '2024' ? segment.marketShare2024 : segment.marketShare2032
+    share: selectedTimeframe === 'base' ? segment.marketShareBase : segment.marketShareForecast
   }));
 
   const barChartData = segmentData.map(segment => ({
     name: segment.name.length > 15 ? segment.name.substring(0, 15) + '...' : segment.name,
     fullName: segment.name,
-    value2024: segment.value2024,
-    value2032: segment.value2032,
+    [baseYear]: segment.valueBase,
+    [forecastYear]: segment.valueForecast,
     cagr: segment.cagr
   }));
 
@@ -202,24 +211,28 @@ const MarketSegments = () => {
       label: 'Product Types', 
       icon: Package, 
       description: 'Treatment method segmentation',
+      segmentType: 'Type',
       color: 'from-blue-500 to-blue-600' 
     },
     ingredient: { 
       label: 'Active Ingredients', 
       icon: Layers, 
       description: 'Key ingredient analysis',
+      segmentType: 'Ingredient',
       color: 'from-green-500 to-green-600' 
     },
     gender: { 
       label: 'Demographics', 
       icon: Users, 
       description: 'Consumer demographic breakdown',
+      segmentType: 'Gender',
       color: 'from-purple-500 to-purple-600' 
     },
     endUser: { 
       label: 'End Users', 
       icon: Target, 
       description: 'Distribution channel analysis',
+      segmentType: 'End User',
       color: 'from-orange-500 to-orange-600' 
     }
   };
@@ -262,8 +275,8 @@ const MarketSegments = () => {
               value={selectedTimeframe} 
               onChange={(e) => setSelectedTimeframe(e.target.value)}
             >
-              <option value="2024">2024 Baseline</option>
-              <option value="2032">2032 Forecast</option>
+              <option value="base">{baseYear} Baseline</option>
+              <option value="forecast">{forecastYear} Forecast</option>
             </Select>
             
             <Button variant="outline" size="sm">
@@ -297,7 +310,7 @@ const MarketSegments = () => {
             {
               title: 'Leading Segment',
               value: leadingSegment.name || 'N/A',
-              subtitle: `${formatPercentage(leadingSegment.marketShare2032 || leadingSegment.marketShare2024)} market share`,
+              subtitle: `${formatPercentage(leadingSegment.marketShareForecast || leadingSegment.marketShareBase)} market share`,
               trend: leadingSegment.cagr || 0,
               icon: Star
             },
@@ -311,7 +324,7 @@ const MarketSegments = () => {
             {
               title: 'Total Segment Value',
               value: formatCurrency(totalSegmentValue),
-              subtitle: `${selectedTimeframe} market size`,
+              subtitle: `${selectedYear} market size`,
               trend: averageCAGR || 0,
               icon: BarChart3
             },
@@ -344,7 +357,7 @@ const MarketSegments = () => {
           >
             <MarketShareDonut
               data={pieChartData}
-              title={`${currentSegmentType.label} Distribution ${selectedTimeframe}`}
+              title={`${currentSegmentType.label} Distribution ${selectedYear}`}
               description="Market share by segment"
               height={400}
             />
@@ -359,11 +372,16 @@ const MarketSegments = () => {
             <EnhancedBarChart
               data={barChartData}
               title="Segment Size Comparison"
-              description="2024 vs 2032 segment values"
-              bars={['value2024', 'value2032']}
+              description={`${baseYear} vs ${forecastYear} segment values`}
+              bars={[String(baseYear), String(forecastYear)]}
               xKey="name"
               height={400}
               formatter={(value) => formatCurrency(value)}
+              getProvenance={(segment) => ({
+                segmentType: currentSegmentType.segmentType,
+                segment: segment.fullName,
+                years: [baseYear, forecastYear]
+              })}
             />
           </motion.div>
         </div>
@@ -382,6 +400,14 @@ const MarketSegments = () => {
               lines={['value']}
               height={350}
               formatter={(value) => formatCurrency(value)}
+              getProvenance={(point) => ({
+                segmentType: currentSegmentType.segmentType,
+                segment: leadingSegment.name,
+                years: [baseYear, forecastYear],
+                transforms: point.year === baseYear || point.year === forecastYear
+                  ? []
+                  : [{ type: 'interpolation', year: point.year, from: baseYear, to: forecastYear, cagr: leadingSegment.cagr }]
+              })}
             />
           </motion.div>
         )}
@@ -405,8 +431,8 @@ const MarketSegments = () => {
                   <thead>
                     <tr className="border-b border-gray-200">
                       <th className="text-left py-3 px-4 font-semibold">Segment</th>
-                      <th className="text-right py-3 px-4 font-semibold">2024 Size</th>
-                      <th className="text-right py-3 px-4 font-semibold">2032 Size</th>
+                      <th className="text-right py-3 px-4 font-semibold">{baseYear} Size</th>
+                      <th className="text-right py-3 px-4 font-semibold">{forecastYear} Size</th>
                       <th className="text-right py-3 px-4 font-semibold">Market Share</th>
                       <th className="text-right py-3 px-4 font-semibold">CAGR</th>
                       <th className="text-right py-3 px-4 font-semibold">Growth</th>
@@ -417,7 +443,7 @@ const MarketSegments = () => {
                     {segmentData
                       .sort((a, b) => b[selectedYearValue] - a[selectedYearValue])
                       .map((segment, index) => {
-                        const growth = ((segment.value2032 - segment.value2024) / segment.value2024) * 100;
+                        const growth = ((segment.valueForecast - segment.valueBase) / segment.valueBase) * 100;
                         const performance = segment.cagr > averageCAGR ? 'High' : segment.cagr > 8 ? 'Medium' : 'Low';
                         
                         return (
@@ -435,15 +461,15 @@ const MarketSegments = () => {
                                 </div>
                               </div>
                             </td>
-                            <td className="text-right py-3 px-4">{formatCurrency(segment.value2024)}</td>
-                            <td className="text-right py-3 px-4 font-semibold">{formatCurrency(segment.value2032)}</td>
+                            <td className="text-right py-3 px-4">{formatCurrency(segment.valueBase)}</td>
+                            <td className="text-right py-3 px-4 font-semibold">{formatCurrency(segment.valueForecast)}</td>
                             <td className="text-right py-3 px-4">
                               <div className="flex items-center justify-end space-x-2">
                                 <Progress 
-                                  value={segment.marketShare2032 || segment.marketShare2024} 
+                                  value={segment.marketShareForecast || segment.marketShareBase} 
                                   className="w-16 h-2" 
                                 />
-                                <span>{formatPercentage(segment.marketShare2032 || segment.marketShare2024)}</span>
+                                <span>{formatPercentage(segment.marketShareForecast || segment.marketShareBase)}</span>
                               </div>
                             </td>
                             <td className="text-right py-3 px-4">
@@ -502,7 +528,7 @@ const MarketSegments = () => {
                           <span className="font-medium text-sm">{segment.name}</span>
                         </div>
                         <span className="text-xs font-semibold text-blue-700">
-                          {formatPercentage(segment.marketShare2032 || segment.marketShare2024)}
+                          {formatPercentage(segment.marketShareForecast || segment.marketShareBase)}
                         </span>
                       </div>
                     ))}
@@ -555,7 +581,7 @@ const MarketSegments = () => {
                         segmentData
                           .sort((a, b) => b[selectedYearValue] - a[selectedYearValue])
                           .slice(0, 3)
-                          .reduce((sum, s) => sum + (s.marketShare2032 || s.marketShare2024), 0)
+                          .reduce((sum, s) => sum + (s.marketShareForecast || s.marketShareBase), 0)
                       )} of the market
                     </p>
                   </div>
@@ -1,5 +1,5 @@
 'use client';
-import React from 'react';
+import React, { useState, useCallback } from 'react';
 import {
   LineChart,
   Line,
@@ -20,10 +20,12 @@ import {
   ComposedChart
 } from 'recharts';
 import { ChartContainer } from '@/components/ui';
-import { formatCurrency, formatPercentage, getChartColors } from '@/lib/utils';
+import ProvenancePopover from '@/components/data/ProvenancePopover';
+import { formatCurrency, formatCurrencyTick, formatPercentage, getChartColors } from '@/lib/utils';
+import { getDisplayUnitLabel } from '@/utils/valueUnits';
 
 // Custom Tooltip Component
-const CustomTooltip = ({ active, payload, label, formatter }) => {
+const CustomTooltip = ({ active, payload, label, formatter, hint }) => {
   if (active && payload && payload.length) {
     return (
       <div className="chart-tooltip">
@@ -34,18 +36,45 @@ const CustomTooltip = ({ active, payload, label, formatter }) => {
               className="w-3 h-3 rounded-full" 
               style={{ backgroundColor: entry.color }}
             />
-            <span className="text-sm text-gray-600">{entry.dataKey}:</span>
+            <span className="text-sm text-gray-600">{typeof entry.dataKey === 'function' ? entry.name : entry.dataKey}:</span>
             <span className="text-sm font-medium text-gray-900">
-              {formatter ? formatter(entry.value, entry.dataKey) : entry.value}
+              {/* Range areas carry [lower, upper] */}
+              {Array.isArray(entry.value)
+                ? entry.value.map(value => (formatter ? formatter(value, entry.name) : value)).join(' – ')
+                : formatter ? formatter(entry.value, entry.dataKey) : entry.value}
             </span>
           </div>
         ))}
+        {hint && <p className="text-xs text-gray-400 mt-2">{hint}</p>}
       </div>
     );
   }
   return null;
 };
 
+/**
+ * Opens the provenance popover for the clicked datum
+ * @param {Function} getProvenance - Maps a datum to a ProvenancePopover target, or null
+ */
+const useProvenance = (getProvenance) => {
+  const [target, setTarget] = useState(null);
+  const close = useCallback(() => setTarget(null), []);
+
+  const handleClick = (state) => {
+    const datum = state?.activePayload?.[0]?.payload;
+    const next = datum && getProvenance(datum);
+    if (next) setTarget(next);
+  };
+
+  return {
+    chartProps: getProvenance ? { onClick: handleClick, style: { cursor: 'pointer' } } : {},
+    hint: getProvenance ? 'Click for the source of this number' : null,
+    popover: target && (
+      <ProvenancePopover target={target} onClose={close} className="absolute top-0 right-0" />
+    )
+  };
+};
+
 // Enhanced Line Chart
 export const EnhancedLineChart = ({ 
   data, 
@@ -57,45 +86,51 @@ export const EnhancedLineChart = ({
   showGrid = true,
   showLegend = true,
   formatter = (value) => formatCurrency(value),
+  tickFormatter = formatter,
+  getProvenance,
   className,
   ...props
 }) => {
   const colors = getChartColors(lines.length);
+  const provenance = useProvenance(getProvenance);
   
   return (
     <ChartContainer title={title} description={description} className={className}>
-      <ResponsiveContainer width="100%" height={height}>
-        <LineChart data={data} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
-          {showGrid && <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />}
-          <XAxis 
-            dataKey={xKey} 
-            stroke="#666" 
-            fontSize={12}
-            tickLine={false}
-            axisLine={false}
-          />
-          <YAxis 
-            stroke="#666" 
-            fontSize={12}
-            tickLine={false}
-            axisLine={false}
-            tickFormatter={(value) => formatter(value).replace('$', '$').replace('M', 'M')}
-          />
-          <Tooltip content={<CustomTooltip formatter={formatter} />} />
-          {showLegend && <Legend />}
-          {lines.map((lineKey, index) => (
-            <Line
-              key={lineKey}
-              type="monotone"
-              dataKey={lineKey}
-              stroke={colors[index]}
-              strokeWidth={2}
-              dot={{ r: 4, strokeWidth: 2 }}
-              activeDot={{ r: 6, strokeWidth: 2 }}
+      <div className="relative">
+        <ResponsiveContainer width="100%" height={height}>
+          <LineChart data={data} margin={{ top: 5, right: 30, left: 20, bottom: 5 }} {...provenance.chartProps}>
+            {showGrid && <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />}
+            <XAxis 
+              dataKey={xKey} 
+              stroke="#666" 
+              fontSize={12}
+              tickLine={false}
+              axisLine={false}
             />
-          ))}
-        </LineChart>
-      </ResponsiveContainer>
+            <YAxis 
+              stroke="#666" 
+              fontSize={12}
+              tickLine={false}
+              axisLine={false}
+              tickFormatter={tickFormatter}
+            />
+            <Tooltip content={<CustomTooltip formatter={formatter} hint={provenance.hint} />} />
+            {showLegend && <Legend />}
+            {lines.map((lineKey, index) => (
+              <Line
+                key={lineKey}
+                type="monotone"
+                dataKey={lineKey}
+                stroke={colors[index]}
+                strokeWidth={2}
+                dot={{ r: 4, strokeWidth: 2 }}
+                activeDot={{ r: 6, strokeWidth: 2 }}
+              />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+        {provenance.popover}
+      </div>
     </ChartContainer>
   );
 };
@@ -106,49 +141,79 @@ export const EnhancedAreaChart = ({
   title, 
   description,
   areas = [],
+  bands = [],
+  lines = [],
   xKey = 'year',
   height = 300,
   stacked = false,
   formatter = (value) => formatCurrency(value),
+  tickFormatter = formatter,
+  getProvenance,
   className,
   ...props
 }) => {
-  const colors = getChartColors(areas.length);
+  const colors = getChartColors(areas.length + lines.length);
+  const provenance = useProvenance(getProvenance);
   
   return (
     <ChartContainer title={title} description={description} className={className}>
-      <ResponsiveContainer width="100%" height={height}>
-        <AreaChart data={data} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
-          <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
-          <XAxis 
-            dataKey={xKey} 
-            stroke="#666" 
-            fontSize={12}
-            tickLine={false}
-            axisLine={false}
-          />
-          <YAxis 
-            stroke="#666" 
-            fontSize={12}
-            tickLine={false}
-            axisLine={false}
-            tickFormatter={(value) => formatter(value).replace('$', '$').replace('M', 'M')}
-          />
-          <Tooltip content={<CustomTooltip formatter={formatter} />} />
-          <Legend />
-          {areas.map((areaKey, index) => (
-            <Area
-              key={areaKey}
-              type="monotone"
-              dataKey={areaKey}
-              stackId={stacked ? "1" : undefined}
-              stroke={colors[index]}
-              fill={colors[index]}
-              fillOpacity={0.6}
+      <div className="relative">
+        <ResponsiveContainer width="100%" height={height}>
+          <AreaChart data={data} margin={{ top: 5, right: 30, left: 20, bottom: 5 }} {...provenance.chartProps}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+            <XAxis 
+              dataKey={xKey} 
+              stroke="#666" 
+              fontSize={12}
+              tickLine={false}
+              axisLine={false}
             />
-          ))}
-        </AreaChart>
-      </ResponsiveContainer>
+            <YAxis 
+              stroke="#666" 
+              fontSize={12}
+              tickLine={false}
+              axisLine={false}
+              tickFormatter={tickFormatter}
+            />
+            <Tooltip content={<CustomTooltip formatter={formatter} hint={provenance.hint} />} />
+            <Legend />
+            {areas.map((areaKey, index) => (
+              <Area
+                key={areaKey}
+                type="monotone"
+                dataKey={areaKey}
+                stackId={stacked ? "1" : undefined}
+                stroke={colors[index]}
+                fill={colors[index]}
+                fillOpacity={0.6}
+              />
+            ))}
+            {/* Shaded ranges between two keys, e.g. P10 to P90 */}
+            {bands.map(band => (
+              <Area
+                key={band.name}
+                type="monotone"
+                dataKey={(datum) => [datum[band.lower], datum[band.upper]]}
+                name={band.name}
+                stroke="none"
+                fill={band.color || '#3B82F6'}
+                fillOpacity={band.opacity ?? 0.25}
+              />
+            ))}
+            {lines.map((lineKey, index) => (
+              <Area
+                key={lineKey}
+                type="monotone"
+                dataKey={lineKey}
+                stroke={colors[areas.length + index]}
+                strokeWidth={2}
+                fill="none"
+              />
+            ))}
+          </AreaChart>
+        </ResponsiveContainer>
+        {provenance.popover}
+      </div>
     </ChartContainer>
   );
 };
@@ -163,59 +228,66 @@ export const EnhancedBarChart = ({
   height = 300,
   horizontal = false,
   formatter = (value) => formatCurrency(value),
+  tickFormatter = formatter,
+  getProvenance,
   className,
   ...props
 }) => {
   const colors = getChartColors(bars.length);
+  const provenance = useProvenance(getProvenance);
   
   return (
     <ChartContainer title={title} description={description} className={className}>
-      <ResponsiveContainer width="100%" height={height}>
-        <BarChart 
-          data={data} 
-          layout={horizontal ? 'horizontal' : 'vertical'}
-          margin={{ top: 5, right: 30, left: 20, bottom: 5 }}
-        >
-          <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
-          {horizontal ? (
-            <>
-              <XAxis 
-                type="number" 
-                stroke="#666" 
-                fontSize={12}
-                tickFormatter={(value) => formatter(value).replace('$', '$').replace('M', 'M')}
-              />
-              <YAxis type="category" dataKey={xKey} stroke="#666" fontSize={12} />
-            </>
-          ) : (
-            <>
-              <XAxis 
-                dataKey={xKey} 
-                stroke="#666" 
-                fontSize={12}
-                angle={-45}
-                textAnchor="end"
-                height={60}
-              />
-              <YAxis 
-                stroke="#666" 
-                fontSize={12}
-                tickFormatter={(value) => formatter(value).replace('$', '$').replace('M', 'M')}
+      <div className="relative">
+        <ResponsiveContainer width="100%" height={height}>
+          <BarChart 
+            data={data} 
+            layout={horizontal ? 'horizontal' : 'vertical'}
+            margin={{ top: 5, right: 30, left: 20, bottom: 5 }}
+            {...provenance.chartProps}
+          >
+            <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+            {horizontal ? (
+              <>
+                <XAxis 
+                  type="number" 
+                  stroke="#666" 
+                  fontSize={12}
+                  tickFormatter={tickFormatter}
+                />
+                <YAxis type="category" dataKey={xKey} stroke="#666" fontSize={12} />
+              </>
+            ) : (
+              <>
+                <XAxis 
+                  dataKey={xKey} 
+                  stroke="#666" 
+                  fontSize={12}
+                  angle={-45}
+                  textAnchor="end"
+                  height={60}
+                />
+                <YAxis 
+                  stroke="#666" 
+                  fontSize={12}
+                  tickFormatter={tickFormatter}
+                />
+              </>
+            )}
+            <Tooltip content={<CustomTooltip formatter={formatter} hint={provenance.hint} />} />
+            <Legend />
+            {bars.map((barKey, index) => (
+              <Bar
+                key={barKey}
+                dataKey={barKey}
+                fill={colors[index]}
+                radius={[4, 4, 0, 0]}
               />
-            </>
-          )}
-          <Tooltip content={<CustomTooltip formatter={formatter} />} />
-          <Legend />
-          {bars.map((barKey, index) => (
-            <Bar
-              key={barKey}
-              dataKey={barKey}
-              fill={colors[index]}
-              radius={[4, 4, 0, 0]}
-            />
-          ))}
-        </BarChart>
-      </ResponsiveContainer>
+            ))}
+          </BarChart>
+        </ResponsiveContainer>
+        {provenance.popover}
+      </div>
     </ChartContainer>
   );
 };
@@ -295,7 +367,7 @@ export const MarketGrowthChart = ({
             fontSize={12}
             tickLine={false}
             axisLine={false}
-            tickFormatter={(value) => `$${value}M`}
+            tickFormatter={formatCurrencyTick}
           />
           <YAxis 
             yAxisId="right"
@@ -312,7 +384,7 @@ export const MarketGrowthChart = ({
             yAxisId="left"
             dataKey={valueKey} 
             fill="#3B82F6" 
-            name="Market Value (USD M)"
+            name={`Market Value (${getDisplayUnitLabel()})`}
             radius={[4, 4, 0, 0]}
           />
           <Line 
@@ -330,8 +402,189 @@ export const MarketGrowthChart = ({
   );
 };
 
+// Forecast Fit Chart: actual values as points, one line per fitted model
+export const ForecastFitChart = ({
+  data,
+  title = "Fitted vs Actual",
+  description,
+  models = [],
+  selected,
+  fitThroughYear,
+  actualKey = 'Actual',
+  height = 350,
+  formatter = (value) => formatCurrency(value),
+  className,
+  ...props
+}) => {
+  const colors = getChartColors(models.length);
+
+  return (
+    <ChartContainer title={title} description={description} className={className}>
+      <ResponsiveContainer width="100%" height={height}>
+        <LineChart data={data} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+          <XAxis
+            dataKey="year"
+            stroke="#666"
+            fontSize={12}
+            tickLine={false}
+            axisLine={false}
+          />
+          <YAxis
+            stroke="#666"
+            fontSize={12}
+            tickLine={false}
+            axisLine={false}
+            tickFormatter={formatCurrencyTick}
+          />
+          <Tooltip content={<CustomTooltip formatter={formatter} />} />
+          <Legend />
+          {fitThroughYear && (
+            <ReferenceLine x={fitThroughYear} stroke="#9CA3AF" strokeDasharray="4 4" label={{ value: 'Fit through', fontSize: 11, fill: '#6B7280', position: 'top' }} />
+          )}
+          {models.map((model, index) => (
+            <Line
+              key={model}
+              type="monotone"
+              dataKey={model}
+              stroke={colors[index]}
+              strokeWidth={model === selected ? 3 : 1.5}
+              strokeDasharray={model === selected ? undefined : '5 5'}
+              dot={false}
+            />
+          ))}
+          <Line
+            type="monotone"
+            dataKey={actualKey}
+            stroke="#111827"
+            strokeWidth={0}
+            dot={{ r: 4, fill: '#111827' }}
+            activeDot={{ r: 6 }}
+            legendType="circle"
+          />
+        </LineChart>
+      </ResponsiveContainer>
+    </ChartContainer>
+  );
+};
+
+// Tornado Chart: change from a base value when each driver is lowered or raised
+export const TornadoChart = ({
+  data,
+  title = "Sensitivity Analysis",
+  description,
+  lowKey = 'Decrease',
+  highKey = 'Increase',
+  nameKey = 'name',
+  height,
+  formatter = (value) => formatCurrency(value),
+  tickFormatter = formatter,
+  className,
+  ...props
+}) => {
+  return (
+    <ChartContainer title={title} description={description} className={className}>
+      <ResponsiveContainer width="100%" height={height || Math.max(200, data.length * 32 + 60)}>
+        <BarChart data={data} layout="vertical" stackOffset="sign" margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+          <XAxis
+            type="number"
+            stroke="#666"
+            fontSize={12}
+            tickLine={false}
+            axisLine={false}
+            tickFormatter={tickFormatter}
+          />
+          <YAxis
+            type="category"
+            dataKey={nameKey}
+            stroke="#666"
+            fontSize={12}
+            tickLine={false}
+            axisLine={false}
+            width={180}
+          />
+          <Tooltip content={<CustomTooltip formatter={formatter} />} />
+          <Legend />
+          <ReferenceLine x={0} stroke="#9CA3AF" />
+          <Bar dataKey={lowKey} stackId="swing" fill="#EF4444" />
+          <Bar dataKey={highKey} stackId="swing" fill="#10B981" />
+        </BarChart>
+      </ResponsiveContainer>
+    </ChartContainer>
+  );
+};
+
+const WATERFALL_COLORS = {
+  total: '#3B82F6',
+  increase: '#10B981',
+  decrease: '#EF4444'
+};
+
+// Waterfall steps float between two values; the tooltip shows the step itself
+const WaterfallTooltip = ({ active, payload, label, formatter }) => {
+  if (!active || !payload?.length) return null;
+
+  const step = payload[0].payload;
+  return (
+    <div className="chart-tooltip">
+      <p className="font-medium text-gray-900 mb-1">{label}</p>
+      <span className="text-sm font-medium" style={{ color: WATERFALL_COLORS[step.kind] }}>
+        {step.kind === 'increase' ? '+' : ''}{formatter(step.value)}
+      </span>
+    </div>
+  );
+};
+
+// Waterfall Chart: a start total, the steps that change it and the end total
+export const WaterfallChart = ({
+  data,
+  title = "Growth Decomposition",
+  description,
+  nameKey = 'name',
+  height = 350,
+  formatter = (value) => formatCurrency(value),
+  tickFormatter = formatCurrencyTick,
+  className,
+  ...props
+}) => {
+  return (
+    <ChartContainer title={title} description={description} className={className}>
+      <ResponsiveContainer width="100%" height={height}>
+        <BarChart data={data} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+          <XAxis
+            dataKey={nameKey}
+            stroke="#666"
+            fontSize={12}
+            tickLine={false}
+            axisLine={false}
+            interval={0}
+            angle={-30}
+            textAnchor="end"
+            height={80}
+          />
+          <YAxis
+            stroke="#666"
+            fontSize={12}
+            tickLine={false}
+            axisLine={false}
+            tickFormatter={tickFormatter}
+          />
+          <Tooltip content={<WaterfallTooltip formatter={formatter} />} />
+          <Bar dataKey="range" radius={[4, 4, 0, 0]}>
+            {data.map((step, index) => (
+              <Cell key={`cell-${index}`} fill={WATERFALL_COLORS[step.kind]} />
+            ))}
+          </Bar>
+        </BarChart>
+      </ResponsiveContainer>
+    </ChartContainer>
+  );
+};
+
 // Regional Comparison Chart
-export const RegionalComparisonChart = ({ 
+export const RegionalComparisonChart = ({
   data, 
   title = "Regional Market Comparison",
   description,
@@ -370,7 +623,7 @@ export const RegionalComparisonChart = ({
             fontSize={12}
             tickLine={false}
             axisLine={false}
-            tickFormatter={(value) => `$${value}M`}
+            tickFormatter={formatCurrencyTick}
           />
           <Tooltip content={<CustomTooltip formatter={(value) => formatCurrency(value)} />} />
           <Legend />
@@ -0,0 +1,230 @@
+// src/components/data/AuditLog.js
+'use client';
+import React, { useState, useEffect } from 'react';
+import { ClipboardList, Download, RefreshCw, AlertCircle } from 'lucide-react';
+import {
+  Card,
+  CardHeader,
+  CardTitle,
+  CardContent,
+  Button,
+  Badge,
+  Alert,
+  Select,
+  Input,
+  Label
+} from '@/components/ui';
+import { useAuditLog } from '@/hooks/useAuditLog';
+import {
+  auditLogService,
+  auditEntriesToRows,
+  AUDIT_ACTIONS,
+  AUDIT_OUTCOMES
+} from '@/services/auditLogService';
+import { downloadCSV, formatNumber } from '@/lib/utils';
+
+const PAGE_SIZE = 25;
+
+const OUTCOME_BADGES = {
+  success: 'success',
+  warning: 'warning',
+  failure: 'error'
+};
+
+// Date inputs give local calendar days; entries store ISO timestamps
+const toStartOfDay = (date) => (date ? new Date(`${date}T00:00:00`).toISOString() : undefined);
+const toEndOfDay = (date) => (date ? new Date(`${date}T23:59:59.999`).toISOString() : undefined);
+
+const AuditLog = () => {
+  const [action, setAction] = useState('');
+  const [outcome, setOutcome] = useState('');
+  const [search, setSearch] = useState('');
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+  const { entries, user, setUser, loading, error } = useAuditLog({
+    action: action || undefined,
+    outcome: outcome || undefined,
+    search: search.trim() || undefined,
+    from: toStartOfDay(fromDate),
+    to: toEndOfDay(toDate)
+  });
+  const [userName, setUserName] = useState(user);
+
+  useEffect(() => {
+    setUserName(user);
+  }, [user]);
+
+  const hasFilters = action || outcome || search || fromDate || toDate;
+
+  const clearFilters = () => {
+    setAction('');
+    setOutcome('');
+    setSearch('');
+    setFromDate('');
+    setToDate('');
+  };
+
+  // Export exactly what the filters show
+  const handleExport = () => {
+    const filename = `audit-log-${new Date().toISOString().split('T')[0]}`;
+    downloadCSV(auditEntriesToRows(entries), filename);
+    auditLogService.record({
+      action: 'export',
+      summary: `Exported ${filename}.csv`,
+      details: `${entries.length} audit log entries`
+    });
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2">
+          <ClipboardList className="w-5 h-5" />
+          <span>Audit Log</span>
+          <Badge variant="secondary" className="ml-auto">
+            {formatNumber(entries.length)} entries
+          </Badge>
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        <div className="flex flex-col md:flex-row md:items-end md:justify-between gap-3 mb-4">
+          <p className="text-sm text-gray-600">
+            Uploads, validation runs, commits, rollbacks, exports and settings changes, kept in this browser.
+          </p>
+          <div className="flex items-end gap-2">
+            <div>
+              <Label htmlFor="audit-user" className="text-xs">Recorded as</Label>
+              <Input
+                id="audit-user"
+                value={userName}
+                onChange={(e) => setUserName(e.target.value)}
+                onBlur={() => setUser(userName)}
+                onKeyDown={(e) => e.key === 'Enter' && setUser(userName)}
+                className="h-9 w-[160px] text-xs"
+              />
+            </div>
+            <Button variant="outline" size="sm" onClick={handleExport} disabled={entries.length === 0}>
+              <Download className="w-4 h-4 mr-1" />
+              Export CSV
+            </Button>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-3 mb-4">
+          <Select value={action} onChange={(e) => setAction(e.target.value)} className="h-9 text-xs" aria-label="Filter by action">
+            <option value="">All actions</option>
+            {Object.entries(AUDIT_ACTIONS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </Select>
+          <Select value={outcome} onChange={(e) => setOutcome(e.target.value)} className="h-9 text-xs" aria-label="Filter by outcome">
+            <option value="">All outcomes</option>
+            {AUDIT_OUTCOMES.map(value => (
+              <option key={value} value={value}>{value}</option>
+            ))}
+          </Select>
+          <Input
+            type="date"
+            value={fromDate}
+            onChange={(e) => setFromDate(e.target.value)}
+            className="h-9 text-xs"
+            aria-label="From date"
+          />
+          <Input
+            type="date"
+            value={toDate}
+            onChange={(e) => setToDate(e.target.value)}
+            className="h-9 text-xs"
+            aria-label="To date"
+          />
+          <Input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search user, dataset, details..."
+            className="h-9 text-xs"
+          />
+        </div>
+
+        {error && (
+          <Alert variant="error" className="mb-4">
+            <div className="flex items-start space-x-2">
+              <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+              <p className="text-sm">{error}</p>
+            </div>
+          </Alert>
+        )}
+
+        {loading ? (
+          <div className="flex items-center space-x-2 text-sm text-gray-600 py-4">
+            <RefreshCw className="w-4 h-4 animate-spin" />
+            <span>Loading audit log...</span>
+          </div>
+        ) : entries.length === 0 ? (
+          <div className="text-sm text-gray-500 py-4">
+            {hasFilters ? (
+              <>
+                No entries match these filters.{' '}
+                <button type="button" onClick={clearFilters} className="text-primary-600 hover:underline">
+                  Clear filters
+                </button>
+              </>
+            ) : (
+              'Nothing recorded yet.'
+            )}
+          </div>
+        ) : (
+          <>
+            <div className="overflow-x-auto border rounded-lg">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="text-left py-2 px-3 font-semibold">Time</th>
+                    <th className="text-left py-2 px-3 font-semibold">Action</th>
+                    <th className="text-left py-2 px-3 font-semibold">User</th>
+                    <th className="text-left py-2 px-3 font-semibold">Dataset Version</th>
+                    <th className="text-left py-2 px-3 font-semibold">Details</th>
+                    <th className="text-left py-2 px-3 font-semibold">Outcome</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {entries.slice(0, visibleCount).map(entry => (
+                    <tr key={entry.id} className="border-t border-gray-100 align-top">
+                      <td className="py-2 px-3 text-gray-600 whitespace-nowrap">
+                        {new Date(entry.timestamp).toLocaleString()}
+                      </td>
+                      <td className="py-2 px-3 font-medium text-gray-900 whitespace-nowrap">
+                        {AUDIT_ACTIONS[entry.action] || entry.action}
+                      </td>
+                      <td className="py-2 px-3 text-gray-600 whitespace-nowrap">{entry.user}</td>
+                      <td className="py-2 px-3 text-gray-600 whitespace-nowrap">
+                        {entry.version || entry.datasetId || <span className="text-gray-400">-</span>}
+                      </td>
+                      <td className="py-2 px-3">
+                        <div className="text-gray-900">{entry.summary}</div>
+                        {entry.details && <div className="text-xs text-gray-500">{entry.details}</div>}
+                      </td>
+                      <td className="py-2 px-3">
+                        <Badge variant={OUTCOME_BADGES[entry.outcome] || 'secondary'}>{entry.outcome}</Badge>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {entries.length > visibleCount && (
+              <div className="flex justify-center mt-4">
+                <Button variant="outline" size="sm" onClick={() => setVisibleCount(count => count + PAGE_SIZE)}>
+                  Show more ({formatNumber(entries.length - visibleCount)} remaining)
+                </Button>
+              </div>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default AuditLog;
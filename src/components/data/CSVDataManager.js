@@ -26,11 +26,13 @@ import {
   Badge,
   Separator
 } from '@/components/ui';
+import CSVUploadPanel from '@/components/data/CSVUploadPanel';
 import { useMarketData } from '@/hooks/useMarketData';
-import { formatCurrency, formatPercentage, formatNumber } from '@/lib/utils';
+import { auditLogService, getAuditTarget } from '@/services/auditLogService';
+import { formatCurrency, formatPercentage, formatNumber, formatYearRange } from '@/lib/utils';
 
 const CSVDataManager = ({ onDataUpdate }) => {
-  const { data: marketData, loading, error, refreshData, isLoaded } = useMarketData();
+  const { data: marketData, loading, error, refreshData, commitData, isLoaded } = useMarketData();
   const [dataStats, setDataStats] = useState(null);
 
   // Generate statistics from market data
@@ -50,18 +52,22 @@ const CSVDataManager = ({ onDataUpdate }) => {
   const generateDataStats = (data) => {
     if (!data || !data.overview) return null;
 
+    const availableYears = data.overview.availableYears || [];
     const stats = {
       totalRecords: 0,
       regions: data.regions?.length || 0,
       countries: Object.keys(data.countries || {}).length,
       productTypes: data.productTypes?.length || 0,
       ingredients: data.ingredients?.length || 0,
-      marketSize2024: data.overview?.marketSizeBase || 0,
-      marketSize2032: data.overview?.marketSizeForecast || 0,
+      marketSizeBase: data.overview?.marketSizeBase || 0,
+      marketSizeForecast: data.overview?.marketSizeForecast || 0,
       cagr: data.overview?.cagr || 0,
-      yearRange: '2024-2032',
+      baseYear: data.overview.baseYear,
+      forecastYear: data.overview.forecastYear,
+      yearRange: formatYearRange(availableYears[0], availableYears[availableYears.length - 1]),
       lastProcessed: new Date(),
-      dataSource: data.metadata?.dataSource || 'embedded-csv'
+      dataSource: data.metadata?.dataSource || 'embedded-csv',
+      fileName: data.metadata?.fileName || null
     };
 
     // Calculate total records from time series data
@@ -97,7 +103,7 @@ const CSVDataManager = ({ onDataUpdate }) => {
     const exportData = {
       metadata: {
         exportDate: new Date().toISOString(),
-        dataSource: 'Embedded CSV Data',
+        dataSource: dataStats?.fileName || 'Embedded CSV Data',
         lastUpdated: dataStats?.lastProcessed?.toISOString()
       },
       overview: marketData.overview,
@@ -119,6 +125,13 @@ const CSVDataManager = ({ onDataUpdate }) => {
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
+
+    auditLogService.record({
+      action: 'export',
+      summary: `Exported ${a.download}`,
+      details: 'Overview and segment summaries as JSON',
+      ...getAuditTarget(marketData)
+    });
   };
 
   return (
@@ -144,13 +157,27 @@ const CSVDataManager = ({ onDataUpdate }) => {
                 <FileText className="w-6 h-6 text-white" />
               </div>
               <div className="flex-1">
-                <h3 className="text-lg font-semibold text-gray-900 mb-2">
-                  Embedded Market Research Data
-                </h3>
-                <p className="text-gray-600 mb-3">
-                  This dashboard is powered by real market research data that&lsquo;s embedded directly 
-                  in the application. No upload required - the data is always current and ready.
-                </p>
+                {dataStats?.dataSource === 'uploaded-csv' ? (
+                  <>
+                    <h3 className="text-lg font-semibold text-gray-900 mb-2">
+                      Uploaded Dataset: {dataStats.fileName}
+                    </h3>
+                    <p className="text-gray-600 mb-3">
+                      The dashboard is running on a committed CSV upload. Every page reflects this dataset
+                      until another file is committed or the page is reloaded.
+                    </p>
+                  </>
+                ) : (
+                  <>
+                    <h3 className="text-lg font-semibold text-gray-900 mb-2">
+                      Embedded Market Research Data
+                    </h3>
+                    <p className="text-gray-600 mb-3">
+                      This dashboard is powered by real market research data that&lsquo;s embedded directly 
+                      in the application. Upload your own CSV below to replace it.
+                    </p>
+                  </>
+                )}
                 <div className="flex flex-wrap gap-2">
                   <Badge variant="secondary">CSV-Powered</Badge>
                   <Badge variant="secondary">Real-Time Processing</Badge>
@@ -217,6 +244,9 @@ const CSVDataManager = ({ onDataUpdate }) => {
         </CardContent>
       </Card>
 
+      {/* Upload, Preview & Commit */}
+      <CSVUploadPanel onCommit={commitData} />
+
       {/* Data Statistics */}
       {dataStats && (
         <motion.div
@@ -248,9 +278,9 @@ const CSVDataManager = ({ onDataUpdate }) => {
                 <div className="text-center p-4 bg-green-50 rounded-lg">
                   <TrendingUp className="w-8 h-8 text-green-600 mx-auto mb-2" />
                   <div className="text-2xl font-bold text-green-700">
-                    {formatCurrency(dataStats.marketSize2032)}
+                    {formatCurrency(dataStats.marketSizeForecast)}
                   </div>
-                  <div className="text-sm text-green-600">Market Size 2032</div>
+                  <div className="text-sm text-green-600">Market Size {dataStats.forecastYear}</div>
                 </div>
 
                 {/* CAGR */}
@@ -259,7 +289,9 @@ const CSVDataManager = ({ onDataUpdate }) => {
                   <div className="text-2xl font-bold text-purple-700">
                     {formatPercentage(dataStats.cagr)}
                   </div>
-                  <div className="text-sm text-purple-600">CAGR 2024-32</div>
+                  <div className="text-sm text-purple-600">
+                    CAGR {formatYearRange(dataStats.baseYear, dataStats.forecastYear, true)}
+                  </div>
                 </div>
 
                 {/* Geographic Coverage */}
@@ -299,22 +331,22 @@ const CSVDataManager = ({ onDataUpdate }) => {
                 <h4 className="font-semibold text-gray-900 mb-3">Market Growth Summary</h4>
                 <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
                   <div>
-                    <div className="text-sm text-gray-600">Base Year (2024)</div>
+                    <div className="text-sm text-gray-600">Base Year ({dataStats.baseYear})</div>
                     <div className="text-lg font-semibold text-gray-900">
-                      {formatCurrency(dataStats.marketSize2024)}
+                      {formatCurrency(dataStats.marketSizeBase)}
                     </div>
                   </div>
                   <div>
-                    <div className="text-sm text-gray-600">Forecast Year (2032)</div>
+                    <div className="text-sm text-gray-600">Forecast Year ({dataStats.forecastYear})</div>
                     <div className="text-lg font-semibold text-gray-900">
-                      {formatCurrency(dataStats.marketSize2032)}
+                      {formatCurrency(dataStats.marketSizeForecast)}
                     </div>
                   </div>
                   <div>
                     <div className="text-sm text-gray-600">Total Growth</div>
                     <div className="text-lg font-semibold text-green-600">
                       {formatPercentage(
-                        ((dataStats.marketSize2032 - dataStats.marketSize2024) / dataStats.marketSize2024) * 100
+                        ((dataStats.marketSizeForecast - dataStats.marketSizeBase) / dataStats.marketSizeBase) * 100
                       )}
                     </div>
                   </div>
@@ -345,7 +377,11 @@ const CSVDataManager = ({ onDataUpdate }) => {
                 </div>
                 <div className="flex items-center space-x-2">
                   <Calendar className="w-4 h-4 text-blue-600" />
-                  <span>8-year forecast period (2024-2032)</span>
+                  <span>
+                    {dataStats
+                      ? `${dataStats.forecastYear - dataStats.baseYear}-year forecast period (${formatYearRange(dataStats.baseYear, dataStats.forecastYear)})`
+                      : 'Multi-year forecast period'}
+                  </span>
                 </div>
                 <div className="flex items-center space-x-2">
                   <TrendingUp className="w-4 h-4 text-blue-600" />
@@ -0,0 +1,474 @@
+// src/components/data/CSVUploadPanel.js
+'use client';
+import React, { useState, useRef, useMemo } from 'react';
+import { motion } from 'framer-motion';
+import {
+  Upload,
+  FileText,
+  CheckCircle,
+  AlertCircle,
+  AlertTriangle,
+  RefreshCw,
+  X
+} from 'lucide-react';
+import {
+  Card,
+  CardHeader,
+  CardTitle,
+  CardContent,
+  Button,
+  Alert,
+  Badge,
+  Progress,
+  Separator,
+  Input,
+  Label
+} from '@/components/ui';
+import { csvDataService } from '@/services/csvDataService';
+import { toUploadDatasetId } from '@/services/datasetRegistry';
+import ColumnMappingStep from '@/components/data/ColumnMappingStep';
+import ReconciliationReport from '@/components/data/ReconciliationReport';
+import DatasetDiffReport from '@/components/data/DatasetDiffReport';
+import { useMarketData } from '@/hooks/useMarketData';
+import { formatCurrency, formatNumber, formatPercentage, cn } from '@/lib/utils';
+
+const PREVIEW_ROW_LIMIT = 10;
+const ISSUE_LIST_LIMIT = 5;
+
+const PROGRESS_PHASE_LABELS = {
+  parsing: 'Parsing',
+  cleaning: 'Cleaning',
+  validating: 'Validating',
+  transforming: 'Building market data'
+};
+
+// Duplicate warnings cover a group of file lines
+const formatIssueRows = (issue) => {
+  if (!issue.rows) return `Line ${issue.row}`;
+
+  const listed = issue.rows.slice(0, ISSUE_LIST_LIMIT).join(', ');
+  return `Lines ${listed}${issue.rows.length > ISSUE_LIST_LIMIT ? ', ...' : ''}`;
+};
+
+const CSVUploadPanel = ({ onCommit }) => {
+  const [isDragging, setIsDragging] = useState(false);
+  const [status, setStatus] = useState('idle'); // idle, parsing, staged, error
+  const [staged, setStaged] = useState(null);
+  const [uploadError, setUploadError] = useState(null);
+  const [datasetName, setDatasetName] = useState('');
+  const [versionAuthor, setVersionAuthor] = useState('');
+  const [versionNote, setVersionNote] = useState('');
+  const [remapping, setRemapping] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const fileInputRef = useRef(null);
+  const abortControllerRef = useRef(null);
+  const { data: activeData } = useMarketData();
+
+  // What the staged file would change in the active dataset
+  const stagedDiff = useMemo(() => {
+    return staged ? csvDataService.diffStagedData(activeData) : null;
+  }, [staged, activeData]);
+
+  // Parse, validate and stage a dropped or selected file
+  const handleFile = async (file) => {
+    if (!file) return;
+
+    if (!file.name.toLowerCase().endsWith('.csv')) {
+      setStatus('error');
+      setUploadError(`Unsupported file type: ${file.name}. Please upload a .csv file.`);
+      return;
+    }
+
+    setStatus('parsing');
+    setUploadError(null);
+    setStaged(null);
+    setProgress(null);
+    abortControllerRef.current = new AbortController();
+
+    try {
+      const stagedData = await csvDataService.stageCSVData(file, {
+        signal: abortControllerRef.current.signal,
+        onProgress: setProgress
+      });
+      setStaged(stagedData);
+      setDatasetName(file.name.replace(/\.csv$/i, ''));
+      setStatus('staged');
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        setStatus('idle');
+        return;
+      }
+      setStatus('error');
+      setUploadError(err.message);
+    } finally {
+      abortControllerRef.current = null;
+    }
+  };
+
+  // Stop parsing a large file; the worker is terminated
+  const handleCancel = (event) => {
+    event.stopPropagation();
+    abortControllerRef.current?.abort();
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setIsDragging(false);
+    handleFile(event.dataTransfer.files?.[0]);
+  };
+
+  const handleDragOver = (event) => {
+    event.preventDefault();
+    setIsDragging(true);
+  };
+
+  const handleInputChange = (event) => {
+    handleFile(event.target.files?.[0]);
+    // Allow re-selecting the same file after a discard
+    event.target.value = '';
+  };
+
+  // Re-validate the staged file after a column mapping or value unit change
+  const handleMappingChange = async (mapping, valueUnit) => {
+    setRemapping(true);
+    setUploadError(null);
+
+    try {
+      setStaged(await csvDataService.remapStagedData(mapping, valueUnit));
+    } catch (err) {
+      setUploadError(err.message);
+    } finally {
+      setRemapping(false);
+    }
+  };
+
+  const handleCommit = () => {
+    const marketName = datasetName.trim() || staged.fileName;
+    const dataset = {
+      id: toUploadDatasetId(marketName),
+      marketName
+    };
+    const committedData = csvDataService.commitStagedData(dataset);
+    setStaged(null);
+    setStatus('idle');
+    setVersionNote('');
+
+    if (onCommit) {
+      onCommit(dataset, committedData, { note: versionNote, author: versionAuthor });
+    }
+  };
+
+  const handleDiscard = () => {
+    csvDataService.discardStagedData();
+    setStaged(null);
+    setUploadError(null);
+    setStatus('idle');
+  };
+
+  const previewColumns = staged?.rows.length ? Object.keys(staged.rows[0]) : [];
+  const validation = staged?.validationResults;
+  const coverage = staged?.metadata?.coverage;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2">
+          <Upload className="w-5 h-5" />
+          <span>Upload Dataset</span>
+          {status === 'staged' && (
+            <Badge variant="warning" className="ml-auto">
+              Pending Commit
+            </Badge>
+          )}
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        {/* Drop Zone */}
+        <div
+          onDragOver={handleDragOver}
+          onDragLeave={() => setIsDragging(false)}
+          onDrop={handleDrop}
+          onClick={() => fileInputRef.current?.click()}
+          className={cn(
+            "border-2 border-dashed rounded-lg p-8 text-center cursor-pointer transition-colors duration-150",
+            isDragging ? "border-primary-500 bg-primary-50" : "border-gray-300 hover:border-primary-400 hover:bg-gray-50"
+          )}
+        >
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".csv,text/csv"
+            className="hidden"
+            onChange={handleInputChange}
+          />
+          {status === 'parsing' ? (
+            <>
+              <RefreshCw className="w-8 h-8 text-primary-600 animate-spin mx-auto mb-3" />
+              <p className="font-medium text-gray-900">
+                {progress
+                  ? `${PROGRESS_PHASE_LABELS[progress.phase]}: ${formatNumber(progress.rowsProcessed)}${progress.totalRows ? ` of ${formatNumber(progress.totalRows)}` : ''} rows`
+                  : 'Parsing and validating file...'}
+              </p>
+              {progress?.percent !== null && progress?.percent !== undefined && (
+                <Progress value={progress.percent} className="max-w-sm mx-auto mt-3" />
+              )}
+              <Button variant="outline" size="sm" className="mt-4" onClick={handleCancel}>
+                <X className="w-4 h-4 mr-2" />
+                Cancel
+              </Button>
+            </>
+          ) : (
+            <>
+              <Upload className="w-8 h-8 text-gray-400 mx-auto mb-3" />
+              <p className="font-medium text-gray-900">
+                Drag and drop a CSV file here, or click to browse
+              </p>
+              <p className="text-sm text-gray-500 mt-1">
+                Columns are matched to Region, Segment Type, Segment Name, Year and Value; you can adjust the mapping before committing
+              </p>
+            </>
+          )}
+        </div>
+
+        {/* Upload Error */}
+        {uploadError && (
+          <Alert variant="error" className="mt-4">
+            <div className="flex items-start space-x-2">
+              <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+              <div>
+                <h4 className="font-semibold">Upload Failed</h4>
+                <p className="text-sm">{uploadError}</p>
+              </div>
+            </div>
+          </Alert>
+        )}
+
+        {/* Staged Dataset */}
+        {status === 'staged' && staged && (
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="mt-6 space-y-6"
+          >
+            {/* File Summary */}
+            <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 p-4 bg-gray-50 rounded-lg">
+              <div className="flex items-center space-x-3">
+                <FileText className="w-8 h-8 text-primary-600" />
+                <div>
+                  <h4 className="font-semibold text-gray-900">{staged.fileName}</h4>
+                  <p className="text-sm text-gray-600">
+                    {formatNumber(staged.rows.length)} rows
+                    {coverage && ` · ${coverage.regions} regions · ${coverage.yearRange.start}-${coverage.yearRange.end}`}
+                  </p>
+                  {staged.layout === 'wide' && (
+                    <p className="text-xs text-gray-500 mt-1">
+                      Wide layout: {staged.yearColumns.length} year columns unpivoted into rows
+                    </p>
+                  )}
+                </div>
+              </div>
+              {staged.data && (
+                <div className="grid grid-cols-2 gap-4 text-sm">
+                  <div>
+                    <div className="text-gray-600">Base Market Size</div>
+                    <div className="font-semibold">{formatCurrency(staged.data.overview.marketSizeBase)}</div>
+                  </div>
+                  <div>
+                    <div className="text-gray-600">Forecast Market Size</div>
+                    <div className="font-semibold">{formatCurrency(staged.data.overview.marketSizeForecast)}</div>
+                  </div>
+                </div>
+              )}
+            </div>
+
+            {/* Column Mapping */}
+            <ColumnMappingStep
+              staged={staged}
+              onChange={handleMappingChange}
+              disabled={remapping}
+            />
+
+            {/* Validation Report */}
+            {validation && (
+              <div>
+                <h4 className="font-semibold text-gray-900 mb-3">Validation Report</h4>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+                  {[
+                    { label: 'Completeness', value: validation.quality.completeness },
+                    { label: 'Consistency', value: validation.quality.consistency },
+                    { label: 'Accuracy', value: validation.quality.accuracy }
+                  ].map(metric => (
+                    <div key={metric.label} className="p-3 border rounded-lg">
+                      <div className="flex justify-between text-sm mb-2">
+                        <span className="text-gray-600">{metric.label}</span>
+                        <span className="font-semibold">{formatPercentage(metric.value)}</span>
+                      </div>
+                      <Progress value={metric.value} />
+                    </div>
+                  ))}
+                </div>
+
+                <div className="flex flex-wrap gap-2 mb-4">
+                  <Badge variant="success">{formatNumber(validation.validRows)} valid rows</Badge>
+                  <Badge variant={validation.errors.length > 0 ? 'error' : 'secondary'}>
+                    {validation.errors.length} errors
+                  </Badge>
+                  <Badge variant={validation.warnings.length > 0 ? 'warning' : 'secondary'}>
+                    {validation.warnings.length} warnings
+                  </Badge>
+                  {validation.duplicates?.conflictingGroups > 0 && (
+                    <Badge variant="warning">
+                      {formatNumber(validation.duplicates.conflictingGroups)} conflicting duplicates
+                    </Badge>
+                  )}
+                </div>
+
+                {validation.errors.length > 0 && (
+                  <Alert variant="error" className="mb-3">
+                    <h5 className="font-semibold text-sm mb-2">Errors</h5>
+                    <ul className="space-y-1 text-sm">
+                      {validation.errors.slice(0, ISSUE_LIST_LIMIT).map((issue, index) => (
+                        <li key={index}>Line {issue.row} ({issue.column}): {issue.message}</li>
+                      ))}
+                    </ul>
+                    {validation.errors.length > ISSUE_LIST_LIMIT && (
+                      <p className="text-xs mt-2">
+                        and {validation.errors.length - ISSUE_LIST_LIMIT} more
+                      </p>
+                    )}
+                  </Alert>
+                )}
+
+                {validation.warnings.length > 0 && (
+                  <Alert variant="warning">
+                    <h5 className="font-semibold text-sm mb-2">Warnings</h5>
+                    <ul className="space-y-1 text-sm">
+                      {validation.warnings.slice(0, ISSUE_LIST_LIMIT).map((issue, index) => (
+                        <li key={index}>{formatIssueRows(issue)}: {issue.message}</li>
+                      ))}
+                    </ul>
+                    {validation.warnings.length > ISSUE_LIST_LIMIT && (
+                      <p className="text-xs mt-2">
+                        and {validation.warnings.length - ISSUE_LIST_LIMIT} more
+                      </p>
+                    )}
+                  </Alert>
+                )}
+              </div>
+            )}
+
+            {/* Reconciliation */}
+            {staged.data && <ReconciliationReport data={staged.data} />}
+
+            {/* Changes vs Active Dataset */}
+            {stagedDiff && (
+              <DatasetDiffReport
+                diff={stagedDiff}
+                title={`Changes vs ${activeData?.overview?.marketName || 'active dataset'}`}
+                baseLabel="Active"
+                compareLabel="Staged"
+              />
+            )}
+
+            {/* Row Preview */}
+            <div>
+              <h4 className="font-semibold text-gray-900 mb-3">
+                Preview
+                <span className="text-sm font-normal text-gray-500 ml-2">
+                  first {Math.min(PREVIEW_ROW_LIMIT, staged.rows.length)} of {formatNumber(staged.rows.length)} rows
+                </span>
+              </h4>
+              <div className="overflow-x-auto border rounded-lg">
+                <table className="w-full text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      {previewColumns.map(column => (
+                        <th key={column} className="text-left py-2 px-3 font-semibold whitespace-nowrap">
+                          {column}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {staged.rows.slice(0, PREVIEW_ROW_LIMIT).map((row, index) => (
+                      <tr key={index} className="border-t border-gray-100">
+                        {previewColumns.map(column => (
+                          <td key={column} className="py-2 px-3 whitespace-nowrap">
+                            {String(row[column] ?? '')}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+
+            <Separator />
+
+            {/* Dataset Details */}
+            <div className="max-w-md space-y-2">
+              <Label htmlFor="dataset-name">Market name</Label>
+              <Input
+                id="dataset-name"
+                value={datasetName}
+                onChange={(e) => setDatasetName(e.target.value)}
+                placeholder="e.g. Global Dermal Fillers Market"
+              />
+              <p className="text-xs text-gray-500">
+                Shown in the dataset switcher and on every dashboard page. Committing under an existing
+                market name stores a new version of that dataset.
+              </p>
+            </div>
+
+            {/* Version Details */}
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="space-y-2">
+                <Label htmlFor="version-author">Author</Label>
+                <Input
+                  id="version-author"
+                  value={versionAuthor}
+                  onChange={(e) => setVersionAuthor(e.target.value)}
+                  placeholder="Your name"
+                />
+              </div>
+              <div className="space-y-2 md:col-span-2">
+                <Label htmlFor="version-note">Version note</Label>
+                <Input
+                  id="version-note"
+                  value={versionNote}
+                  onChange={(e) => setVersionNote(e.target.value)}
+                  placeholder="e.g. Q3 refresh with revised APAC estimates"
+                />
+              </div>
+            </div>
+
+            {/* Commit Actions */}
+            <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+              <div className="flex items-center space-x-2 text-sm text-gray-600">
+                {validation?.errors.length > 0 ? (
+                  <AlertTriangle className="w-4 h-4 text-yellow-600" />
+                ) : (
+                  <CheckCircle className="w-4 h-4 text-green-600" />
+                )}
+                <span>Committing adds this dataset to the switcher and makes it active on every page.</span>
+              </div>
+              <div className="flex gap-3">
+                <Button variant="outline" onClick={handleDiscard}>
+                  <X className="w-4 h-4 mr-2" />
+                  Discard
+                </Button>
+                <Button onClick={handleCommit} disabled={remapping || !validation || validation.validRows === 0}>
+                  <CheckCircle className="w-4 h-4 mr-2" />
+                  Commit Dataset
+                </Button>
+              </div>
+            </div>
+          </motion.div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default CSVUploadPanel;
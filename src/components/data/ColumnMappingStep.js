@@ -0,0 +1,128 @@
+// src/components/data/ColumnMappingStep.js
+'use client';
+import React from 'react';
+import { Columns, AlertTriangle } from 'lucide-react';
+import { Alert, Badge, Select, Label } from '@/components/ui';
+import { CANONICAL_FIELDS } from '@/services/columnMappingService';
+import { FX_RATES, UNIT_SCALES, describeValueUnit } from '@/utils/valueUnits';
+
+const ORIGIN_BADGES = {
+  saved: { label: 'Saved mapping for this source', variant: 'success' },
+  suggested: { label: 'Auto-detected', variant: 'secondary' },
+  manual: { label: 'Edited', variant: 'warning' }
+};
+
+const UNIT_SOURCE_NOTES = {
+  header: 'Read from the value column header',
+  explicit: 'Chosen at import',
+  default: 'Not stated in the header; assumed'
+};
+
+const ColumnMappingStep = ({ staged, onChange, disabled = false }) => {
+  const { headers, mapping, valueUnit, mappingOrigin, missingFields, rawRows } = staged;
+  const sampleRow = rawRows[0] || {};
+  const originBadge = ORIGIN_BADGES[mappingOrigin] || ORIGIN_BADGES.suggested;
+
+  const handleFieldChange = (fieldKey, header) => {
+    onChange({ ...mapping, [fieldKey]: header || null });
+  };
+
+  const handleUnitChange = (changes) => {
+    onChange(mapping, { currency: valueUnit.currency, unit: valueUnit.unit, ...changes });
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="font-semibold text-gray-900 flex items-center space-x-2">
+          <Columns className="w-4 h-4" />
+          <span>Column Mapping</span>
+        </h4>
+        <Badge variant={originBadge.variant}>{originBadge.label}</Badge>
+      </div>
+
+      <div className="overflow-x-auto border rounded-lg">
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="text-left py-2 px-3 font-semibold">Dashboard Field</th>
+              <th className="text-left py-2 px-3 font-semibold">Column in File</th>
+              <th className="text-left py-2 px-3 font-semibold">Sample Value</th>
+            </tr>
+          </thead>
+          <tbody>
+            {CANONICAL_FIELDS.map(field => (
+              <tr key={field.key} className="border-t border-gray-100">
+                <td className="py-2 px-3 font-medium text-gray-900">{field.label}</td>
+                <td className="py-2 px-3">
+                  <Select
+                    value={mapping[field.key] || ''}
+                    onChange={(e) => handleFieldChange(field.key, e.target.value)}
+                    disabled={disabled}
+                    className="h-9 text-xs"
+                    aria-label={`Column for ${field.label}`}
+                  >
+                    <option value="">Not mapped</option>
+                    {headers.map(header => (
+                      <option key={header} value={header}>{header}</option>
+                    ))}
+                  </Select>
+                </td>
+                <td className="py-2 px-3 text-gray-600 whitespace-nowrap">
+                  {mapping[field.key] ? String(sampleRow[mapping[field.key]] ?? '') : '-'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Value Unit */}
+      <div className="flex flex-col md:flex-row md:items-center gap-3 mt-3">
+        <Label className="whitespace-nowrap">Value unit</Label>
+        <div className="flex items-center space-x-2">
+          <Select
+            value={valueUnit.currency || ''}
+            onChange={(e) => handleUnitChange({ currency: e.target.value || null })}
+            disabled={disabled}
+            className="h-9 w-[150px] text-xs"
+            aria-label="Value currency"
+          >
+            {Object.keys(FX_RATES).map(currency => (
+              <option key={currency} value={currency}>{currency}</option>
+            ))}
+            <option value="">Volume (no currency)</option>
+          </Select>
+          <Select
+            value={valueUnit.unit}
+            onChange={(e) => handleUnitChange({ unit: e.target.value })}
+            disabled={disabled}
+            className="h-9 w-[120px] text-xs"
+            aria-label="Value unit scale"
+          >
+            {Object.keys(UNIT_SCALES).map(unit => (
+              <option key={unit} value={unit}>{unit}</option>
+            ))}
+          </Select>
+        </div>
+        <span className="text-xs text-gray-500">
+          {UNIT_SOURCE_NOTES[valueUnit.source]}
+          {valueUnit.source === 'default' && ` ${describeValueUnit(valueUnit)}`}
+        </span>
+      </div>
+
+      {missingFields.length > 0 && (
+        <Alert variant="warning" className="mt-3">
+          <div className="flex items-start space-x-2">
+            <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+            <p className="text-sm">
+              Map {missingFields.join(', ')} to validate and commit this file.
+            </p>
+          </div>
+        </Alert>
+      )}
+    </div>
+  );
+};
+
+export default ColumnMappingStep;
@@ -0,0 +1,122 @@
+// src/components/data/CoverageMatrix.js
+'use client';
+import React, { useMemo, useState } from 'react';
+import { Grid3X3 } from 'lucide-react';
+import {
+  Card,
+  CardHeader,
+  CardTitle,
+  CardContent,
+  Badge,
+  Select
+} from '@/components/ui';
+import { computeCoverage } from '@/utils/dataCoverage';
+import { formatNumber, formatPercentage, cn } from '@/lib/utils';
+
+const CELL_STYLES = {
+  complete: 'bg-green-100 text-green-800',
+  partial: 'bg-yellow-100 text-yellow-800',
+  empty: 'bg-red-100 text-red-700'
+};
+
+const cellState = ({ present, expected }) => {
+  if (present === expected) return 'complete';
+  return present === 0 ? 'empty' : 'partial';
+};
+
+const cellTitle = (row, cell) => {
+  const location = `${row.region} › ${row.segmentType} (${cell.year})`;
+  if (cell.missing.length === 0) return `${location}: all ${cell.expected} segments present`;
+  return `${location}: missing ${cell.missing.join(', ')}`;
+};
+
+/**
+ * Region × Segment Type × Year heatmap of which cells the dataset covers
+ * @param {Object} data - Processed market data
+ */
+const CoverageMatrix = ({ data }) => {
+  const [segmentTypeFilter, setSegmentTypeFilter] = useState('all');
+  const coverage = useMemo(() => computeCoverage(data), [data]);
+  const { years, summary } = coverage;
+
+  const segmentTypes = [...new Set(coverage.rows.map(row => row.segmentType))];
+  const rows = segmentTypeFilter === 'all'
+    ? coverage.rows
+    : coverage.rows.filter(row => row.segmentType === segmentTypeFilter);
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+          <CardTitle className="flex items-center space-x-2">
+            <Grid3X3 className="w-5 h-5" />
+            <span>Data Coverage</span>
+          </CardTitle>
+          <div className="flex flex-wrap items-center gap-2">
+            <Badge variant="success">{formatNumber(summary.complete)} complete</Badge>
+            <Badge variant="warning">{formatNumber(summary.partial)} partial</Badge>
+            <Badge variant="error">{formatNumber(summary.empty)} missing</Badge>
+            <Select
+              value={segmentTypeFilter}
+              onChange={(e) => setSegmentTypeFilter(e.target.value)}
+              className="h-9 w-[160px] text-xs"
+              aria-label="Filter segment type"
+            >
+              <option value="all">All segment types</option>
+              {segmentTypes.map(segmentType => (
+                <option key={segmentType} value={segmentType}>{segmentType}</option>
+              ))}
+            </Select>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent>
+        <p className="text-sm text-gray-600 mb-4">
+          Each cell shows how many of the segments tracked for a segment type have a value for that region and year
+          ({formatPercentage(summary.completeness)} of expected data points present). Countries are checked against
+          the countries of each region.
+        </p>
+
+        {rows.length === 0 ? (
+          <p className="text-sm text-gray-500 py-4">No time series in the active dataset.</p>
+        ) : (
+          <div className="overflow-x-auto border rounded-lg">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="text-left py-2 px-3 font-semibold">Region</th>
+                  <th className="text-left py-2 px-3 font-semibold">Segment Type</th>
+                  {years.map(year => (
+                    <th key={year} className="text-center py-2 px-2 font-semibold">{year}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row, index) => (
+                  <tr key={`${row.region}|${row.segmentType}`} className="border-t border-gray-100">
+                    <td className="py-1.5 px-3 font-medium text-gray-900 whitespace-nowrap">
+                      {rows[index - 1]?.region === row.region ? '' : row.region}
+                    </td>
+                    <td className="py-1.5 px-3 text-gray-600 whitespace-nowrap">{row.segmentType}</td>
+                    {row.cells.map(cell => (
+                      <td key={cell.year} className="py-1 px-1">
+                        <div
+                          className={cn('rounded text-center text-xs py-1.5 font-medium', CELL_STYLES[cellState(cell)])}
+                          title={cellTitle(row, cell)}
+                        >
+                          {cell.present}/{cell.expected}
+                        </div>
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default CoverageMatrix;
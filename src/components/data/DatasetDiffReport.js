@@ -0,0 +1,161 @@
+// src/components/data/DatasetDiffReport.js
+'use client';
+import React, { useState } from 'react';
+import { GitCompare } from 'lucide-react';
+import { Badge, Select } from '@/components/ui';
+import { CHANGE_TYPES } from '@/utils/datasetDiff';
+import { formatCurrency, formatNumber, formatPercentage, cn } from '@/lib/utils';
+
+const CHANGE_LIST_LIMIT = 25;
+
+const CHANGE_BADGE_VARIANTS = {
+  added: 'success',
+  removed: 'error',
+  changed: 'warning'
+};
+
+// Individual cells are small next to market totals, so keep more precision
+const formatCellValue = (value) => formatCurrency(value, { maximumFractionDigits: 3 });
+
+const formatSigned = (value, formatter) => {
+  if (value === null) return '—';
+  return `${value > 0 ? '+' : value < 0 ? '−' : ''}${formatter(Math.abs(value))}`;
+};
+
+const formatOverviewValue = (value, kind) => {
+  if (value === null) return '—';
+  return kind === 'percentage' ? formatPercentage(value) : formatCurrency(value);
+};
+
+const deltaClassName = (delta) => {
+  if (!delta) return 'text-gray-600';
+  return delta > 0 ? 'text-green-600' : 'text-red-600';
+};
+
+/**
+ * Cell-level diff of two datasets with its overview impact
+ * @param {Object} diff - Result of diffMarketData / csvDataService.diffStagedData
+ */
+const DatasetDiffReport = ({ diff, title = 'Changes', baseLabel = 'Before', compareLabel = 'After' }) => {
+  const [typeFilter, setTypeFilter] = useState('all');
+  const { summary } = diff;
+
+  const changes = typeFilter === 'all'
+    ? diff.changes
+    : diff.changes.filter(change => change.type === typeFilter);
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="font-semibold text-gray-900 flex items-center space-x-2">
+          <GitCompare className="w-4 h-4" />
+          <span>{title}</span>
+        </h4>
+        {summary.identical ? (
+          <Badge variant="success">No cell changes</Badge>
+        ) : (
+          <div className="flex flex-wrap gap-2">
+            <Badge variant="success">{formatNumber(summary.added)} added</Badge>
+            <Badge variant="error">{formatNumber(summary.removed)} removed</Badge>
+            <Badge variant="warning">{formatNumber(summary.changed)} changed</Badge>
+          </div>
+        )}
+      </div>
+
+      {/* Overview Impact */}
+      {diff.overview && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+          {diff.overview.map(({ field, label, kind, base, compare, delta, percentDelta }) => (
+            <div key={field} className="p-3 border rounded-lg">
+              <div className="text-sm text-gray-600 mb-1">{label}</div>
+              <div className="flex items-baseline justify-between gap-2">
+                <span className="text-sm text-gray-500">{formatOverviewValue(base, kind)}</span>
+                <span className="text-gray-400">→</span>
+                <span className="font-semibold text-gray-900">{formatOverviewValue(compare, kind)}</span>
+              </div>
+              <div className={cn("text-xs mt-1", deltaClassName(delta))}>
+                {kind === 'percentage'
+                  ? `${formatSigned(delta, value => value.toFixed(2))} pp`
+                  : `${formatSigned(delta, formatCurrency)}${percentDelta !== null ? ` (${formatSigned(percentDelta, formatPercentage)})` : ''}`}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <p className="text-sm text-gray-600 mb-2">
+        {formatNumber(summary.compared)} cells aligned on Region, Segment Type, Segment Name and Year;
+        {' '}{formatNumber(summary.unchanged)} unchanged.
+      </p>
+
+      {!summary.identical && (
+        <>
+          <div className="flex justify-end mb-2">
+            <Select
+              value={typeFilter}
+              onChange={(e) => setTypeFilter(e.target.value)}
+              className="h-9 w-[160px] text-xs"
+              aria-label="Filter change type"
+            >
+              <option value="all">All changes</option>
+              {Object.entries(CHANGE_TYPES).map(([type, label]) => (
+                <option key={type} value={type}>{label}</option>
+              ))}
+            </Select>
+          </div>
+
+          <div className="overflow-x-auto border rounded-lg">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="text-left py-2 px-3 font-semibold">Change</th>
+                  <th className="text-left py-2 px-3 font-semibold">Location</th>
+                  <th className="text-left py-2 px-3 font-semibold">Year</th>
+                  <th className="text-right py-2 px-3 font-semibold">{baseLabel}</th>
+                  <th className="text-right py-2 px-3 font-semibold">{compareLabel}</th>
+                  <th className="text-right py-2 px-3 font-semibold">Delta</th>
+                  <th className="text-right py-2 px-3 font-semibold">Delta %</th>
+                </tr>
+              </thead>
+              <tbody>
+                {changes.slice(0, CHANGE_LIST_LIMIT).map(change => (
+                  <tr
+                    key={`${change.region}|${change.segmentType}|${change.segmentName}|${change.year}`}
+                    className="border-t border-gray-100"
+                  >
+                    <td className="py-2 px-3">
+                      <Badge variant={CHANGE_BADGE_VARIANTS[change.type]}>{CHANGE_TYPES[change.type]}</Badge>
+                    </td>
+                    <td className="py-2 px-3 font-medium text-gray-900 whitespace-nowrap">
+                      {[change.region, change.segmentType, change.segmentName].join(' › ')}
+                    </td>
+                    <td className="py-2 px-3">{change.year}</td>
+                    <td className="py-2 px-3 text-right whitespace-nowrap">
+                      {change.base === null ? '—' : formatCellValue(change.base)}
+                    </td>
+                    <td className="py-2 px-3 text-right whitespace-nowrap">
+                      {change.compare === null ? '—' : formatCellValue(change.compare)}
+                    </td>
+                    <td className={cn("py-2 px-3 text-right whitespace-nowrap font-medium", deltaClassName(change.delta))}>
+                      {formatSigned(change.delta, formatCellValue)}
+                    </td>
+                    <td className={cn("py-2 px-3 text-right whitespace-nowrap", deltaClassName(change.delta))}>
+                      {formatSigned(change.percentDelta, formatPercentage)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {changes.length > CHANGE_LIST_LIMIT && (
+            <p className="text-xs text-gray-500 mt-2">
+              and {formatNumber(changes.length - CHANGE_LIST_LIMIT)} more, largest changes first
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DatasetDiffReport;
@@ -0,0 +1,370 @@
+// src/components/data/EditableDataGrid.js
+'use client';
+import React, { useState, useEffect } from 'react';
+import {
+  Pencil,
+  Undo2,
+  Redo2,
+  Save,
+  X,
+  RefreshCw,
+  AlertCircle,
+  Info,
+  ChevronLeft,
+  ChevronRight
+} from 'lucide-react';
+import {
+  Card,
+  CardHeader,
+  CardTitle,
+  CardContent,
+  Button,
+  Badge,
+  Alert,
+  Input,
+  Label
+} from '@/components/ui';
+import DatasetDiffReport from '@/components/data/DatasetDiffReport';
+import { useGridEditor } from '@/hooks/useGridEditor';
+import { parseCellValue, parseClipboardTable, pasteIntoRows, NAME_COLUMNS } from '@/utils/gridEditing';
+import { getInternalValueUnit } from '@/utils/seriesQuery';
+import { describeValueUnit } from '@/utils/valueUnits';
+import { formatNumber, cn } from '@/lib/utils';
+
+const PAGE_SIZE = 50;
+const ISSUE_LIST_LIMIT = 5;
+
+/**
+ * One editable cell; the edit is applied when the cell loses focus
+ */
+const GridCell = ({ value, numeric, editedFrom, onCommit, onPaste }) => {
+  const [invalid, setInvalid] = useState(null);
+
+  const commit = (text) => {
+    if (text === String(value)) {
+      setInvalid(null);
+      return;
+    }
+
+    const parsed = parseCellValue(text, numeric);
+    setInvalid(parsed.error || null);
+    if (!parsed.error) onCommit(parsed.value);
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Enter') {
+      event.currentTarget.blur();
+    } else if (event.key === 'Escape') {
+      event.currentTarget.value = String(value);
+      setInvalid(null);
+      event.currentTarget.blur();
+    }
+  };
+
+  // Blocks copied from a spreadsheet fill the grid from this cell
+  const handlePaste = (event) => {
+    const text = event.clipboardData.getData('text/plain');
+    if (/[\t\n]/.test(text.replace(/\r?\n$/, ''))) {
+      event.preventDefault();
+      onPaste(text);
+    }
+  };
+
+  return (
+    <input
+      defaultValue={value}
+      onBlur={(event) => commit(event.target.value)}
+      onKeyDown={handleKeyDown}
+      onPaste={handlePaste}
+      title={invalid || (editedFrom !== undefined ? `Was ${editedFrom}` : undefined)}
+      aria-invalid={Boolean(invalid)}
+      className={cn(
+        'w-full px-2 py-1 text-sm bg-transparent border border-transparent rounded focus:outline-none focus:border-primary-500 focus:bg-white',
+        numeric && 'text-right',
+        editedFrom !== undefined && 'bg-yellow-50',
+        invalid && 'border-red-500 bg-red-50'
+      )}
+    />
+  );
+};
+
+/**
+ * Edit mode of the Data Explorer: inline editing of the dataset's
+ * long-format rows with spreadsheet paste, undo/redo and a live preview
+ * of the recomputed market data, saved as a new dataset version
+ * @param {Object} data - Processed market data to edit
+ * @param {Function} onPreviewChange - Called with the recomputed data (null without edits)
+ * @param {Function} onClose - Called after saving or discarding
+ */
+const EditableDataGrid = ({ data, onPreviewChange, onClose }) => {
+  const {
+    columns,
+    valueColumn,
+    rows,
+    originalRows,
+    edited,
+    updateCells,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+    preview,
+    recomputing,
+    save,
+    saving,
+    error
+  } = useGridEditor(data);
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(1);
+  const [pasteResult, setPasteResult] = useState(null);
+  const [versionNote, setVersionNote] = useState('');
+  const [versionAuthor, setVersionAuthor] = useState('');
+
+  useEffect(() => {
+    if (onPreviewChange) onPreviewChange(preview?.data || null);
+  }, [preview, onPreviewChange]);
+
+  const isNumeric = (column) => column === 'Year' || column === valueColumn;
+
+  const searchLower = search.trim().toLowerCase();
+  const visibleRows = searchLower
+    ? rows.filter(row => [...NAME_COLUMNS, 'Year'].some(column => String(row[column]).toLowerCase().includes(searchLower)))
+    : rows;
+  const totalPages = Math.max(1, Math.ceil(visibleRows.length / PAGE_SIZE));
+  const currentPage = Math.min(page, totalPages);
+  const pageStart = (currentPage - 1) * PAGE_SIZE;
+  const pageRows = visibleRows.slice(pageStart, pageStart + PAGE_SIZE);
+  const editedCellCount = [...edited.values()].reduce((sum, fields) => sum + fields.length, 0);
+  const validation = preview?.validationResults;
+
+  const handlePaste = (rowIndex, columnIndex, text) => {
+    const result = pasteIntoRows(visibleRows, columns, { rowIndex, columnIndex }, parseClipboardTable(text), isNumeric);
+    updateCells(result.updates);
+    setPasteResult(result);
+  };
+
+  // Undo/redo the grid unless a cell has typing of its own to undo
+  const handleKeyDown = (event) => {
+    const isShortcut = (event.ctrlKey || event.metaKey) && !event.altKey;
+    const target = event.target;
+    if (!isShortcut || (target.tagName === 'INPUT' && target.value !== target.defaultValue)) return;
+
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+      event.preventDefault();
+      undo();
+    } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+      event.preventDefault();
+      redo();
+    }
+  };
+
+  const handleSave = async () => {
+    const saved = await save({ note: versionNote, author: versionAuthor });
+    if (saved) onClose();
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2">
+          <Pencil className="w-5 h-5" />
+          <span>Edit Data</span>
+          {editedCellCount > 0 && (
+            <Badge variant="warning" className="ml-auto">
+              {formatNumber(editedCellCount)} cells edited
+            </Badge>
+          )}
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 mb-4">
+          <p className="text-sm text-gray-600">
+            Click a cell to change it, or paste a block copied from a spreadsheet into the top-left cell.
+            Values are in {describeValueUnit(getInternalValueUnit(data.overview))}; the page recalculates as you edit.
+          </p>
+          <div className="flex items-center gap-2">
+            <Input
+              value={search}
+              onChange={(e) => {
+                setSearch(e.target.value);
+                setPage(1);
+              }}
+              placeholder="Filter rows..."
+              className="h-9 w-[180px] text-xs"
+            />
+            <Button variant="outline" size="sm" onClick={undo} disabled={!canUndo} title="Undo (Ctrl+Z)">
+              <Undo2 className="w-4 h-4" />
+            </Button>
+            <Button variant="outline" size="sm" onClick={redo} disabled={!canRedo} title="Redo (Ctrl+Shift+Z)">
+              <Redo2 className="w-4 h-4" />
+            </Button>
+          </div>
+        </div>
+
+        <Alert className="mb-4">
+          <div className="flex items-start space-x-2">
+            <Info className="w-4 h-4 mt-0.5 flex-shrink-0" />
+            <p className="text-sm">
+              These are the processed values the dashboards use, not the rows of the original file: region and
+              segment aliases are already resolved, wide files are split into one row per year and values are
+              converted to {describeValueUnit(getInternalValueUnit(data.overview))}. To correct the file&apos;s own
+              values or units, fix the CSV and upload it again.
+            </p>
+          </div>
+        </Alert>
+
+        {pasteResult && (
+          <p className="text-xs text-gray-600 mb-2">
+            Pasted {pasteResult.updates.length.toLocaleString()} cells
+            {pasteResult.skipped > 0 && `; ${pasteResult.skipped.toLocaleString()} fell outside the grid`}
+            {pasteResult.invalid > 0 && `; ${pasteResult.invalid.toLocaleString()} were empty or not numbers`}
+          </p>
+        )}
+
+        <div className="overflow-x-auto border rounded-lg" onKeyDown={handleKeyDown}>
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="text-right py-2 px-3 font-semibold text-gray-500 w-12">#</th>
+                {columns.map(column => (
+                  <th
+                    key={column}
+                    className={cn('py-2 px-3 font-semibold', isNumeric(column) ? 'text-right' : 'text-left')}
+                  >
+                    {column}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {pageRows.map((row, index) => {
+                const editedFields = edited.get(row.id) || [];
+
+                return (
+                  <tr key={row.id} className="border-t border-gray-100">
+                    <td className="py-1 px-3 text-right text-xs text-gray-400">{row.id + 1}</td>
+                    {columns.map((column, columnIndex) => {
+                      const editedField = editedFields.find(({ field }) => field === column);
+
+                      return (
+                        <td key={column} className="px-1 py-0.5">
+                          <GridCell
+                            // Remount when undo/redo or a paste changes the value
+                            key={`${row.id}:${row[column]}`}
+                            value={row[column]}
+                            numeric={isNumeric(column)}
+                            editedFrom={editedField?.from}
+                            onCommit={(value) => updateCells([{ id: row.id, column, value }])}
+                            onPaste={(text) => handlePaste(pageStart + index, columnIndex, text)}
+                          />
+                        </td>
+                      );
+                    })}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="flex items-center justify-between mt-3">
+          <div className="text-xs text-gray-600">
+            {visibleRows.length === 0
+              ? 'No rows match the filter'
+              : `Rows ${(pageStart + 1).toLocaleString()}-${(pageStart + pageRows.length).toLocaleString()} of ${visibleRows.length.toLocaleString()}`}
+            {visibleRows.length !== originalRows.length && ` (filtered from ${originalRows.length.toLocaleString()})`}
+          </div>
+          <div className="flex items-center space-x-2">
+            <Button variant="outline" size="sm" onClick={() => setPage(currentPage - 1)} disabled={currentPage === 1}>
+              <ChevronLeft className="w-4 h-4" />
+            </Button>
+            <span className="text-xs text-gray-600">{currentPage} / {totalPages}</span>
+            <Button variant="outline" size="sm" onClick={() => setPage(currentPage + 1)} disabled={currentPage === totalPages}>
+              <ChevronRight className="w-4 h-4" />
+            </Button>
+          </div>
+        </div>
+
+        {error && (
+          <Alert variant="error" className="mt-4">
+            <div className="flex items-start space-x-2">
+              <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+              <p className="text-sm">{error}</p>
+            </div>
+          </Alert>
+        )}
+
+        {recomputing && (
+          <div className="flex items-center space-x-2 text-sm text-gray-600 mt-4">
+            <RefreshCw className="w-4 h-4 animate-spin" />
+            <span>Recalculating market data...</span>
+          </div>
+        )}
+
+        {validation?.errors.length > 0 && (
+          <Alert variant="error" className="mt-4">
+            <h5 className="font-semibold text-sm mb-2">Errors</h5>
+            <ul className="space-y-1 text-sm">
+              {validation.errors.slice(0, ISSUE_LIST_LIMIT).map((issue, index) => (
+                <li key={index}>Line {issue.row} ({issue.column}): {issue.message}</li>
+              ))}
+            </ul>
+            {validation.errors.length > ISSUE_LIST_LIMIT && (
+              <p className="text-xs mt-2">and {validation.errors.length - ISSUE_LIST_LIMIT} more</p>
+            )}
+          </Alert>
+        )}
+
+        {preview && (
+          <div className="mt-4">
+            <DatasetDiffReport
+              diff={preview.diff}
+              title="Impact of Your Edits"
+              baseLabel="Current"
+              compareLabel="Edited"
+            />
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mt-4">
+          <div>
+            <Label htmlFor="edit-version-author">Author</Label>
+            <Input
+              id="edit-version-author"
+              value={versionAuthor}
+              onChange={(e) => setVersionAuthor(e.target.value)}
+              placeholder="Your name"
+            />
+          </div>
+          <div>
+            <Label htmlFor="edit-version-note">Change note</Label>
+            <Input
+              id="edit-version-note"
+              value={versionNote}
+              onChange={(e) => setVersionNote(e.target.value)}
+              placeholder="What was corrected and why"
+            />
+          </div>
+        </div>
+
+        <div className="flex justify-end gap-2 mt-4">
+          <Button variant="outline" onClick={onClose} disabled={saving}>
+            <X className="w-4 h-4 mr-2" />
+            {edited.size > 0 ? 'Discard Edits' : 'Close'}
+          </Button>
+          <Button
+            onClick={handleSave}
+            disabled={!preview || recomputing || saving || !versionNote.trim()}
+            title={!versionNote.trim() ? 'Add a change note to save' : undefined}
+          >
+            <Save className="w-4 h-4 mr-2" />
+            {saving ? 'Saving...' : 'Save as New Version'}
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default EditableDataGrid;
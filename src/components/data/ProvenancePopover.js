@@ -0,0 +1,177 @@
+// src/components/data/ProvenancePopover.js
+'use client';
+import React, { useEffect, useRef } from 'react';
+import { FileSearch, X } from 'lucide-react';
+import { Badge } from '@/components/ui';
+import { useMarketData } from '@/hooks/useMarketData';
+import { traceValue, describeTransform } from '@/utils/provenance';
+import { formatCurrency, cn } from '@/lib/utils';
+
+const POINT_LIST_LIMIT = 6;
+
+// Source values are shown as written in the file, without float noise
+const formatSourceValue = (value) => value.toLocaleString('en-US', { maximumFractionDigits: 6 });
+
+const describePosition = (point) => {
+  if (point.row === null) return 'Row not recorded';
+  return point.column ? `Row ${point.row}, column "${point.column}"` : `Row ${point.row}`;
+};
+
+/**
+ * One traced year: the value, and the rows it was read from
+ */
+const TraceDetails = ({ trace }) => {
+  const single = trace.points.length === 1 && trace.segment;
+
+  return (
+    <div className="border-t border-gray-100 pt-2 mt-2">
+      <div className="flex items-baseline justify-between">
+        <span className="font-medium text-gray-900">{trace.year}</span>
+        <span className="font-semibold text-gray-900">
+          {formatCurrency(trace.value, { maximumFractionDigits: 3 })}
+        </span>
+      </div>
+
+      {single ? (
+        <p className="text-xs text-gray-600 mt-1">
+          {describePosition(trace.points[0])}
+          {trace.sourceUnit && trace.points[0].sourceValue !== null &&
+            `: ${formatSourceValue(trace.points[0].sourceValue)} ${trace.sourceUnit}`}
+        </p>
+      ) : (
+        <ul className="text-xs text-gray-600 mt-1 space-y-0.5">
+          {trace.points.slice(0, POINT_LIST_LIMIT).map(point => (
+            <li key={point.segment} className="flex justify-between gap-2">
+              <span className="truncate">{point.segment}</span>
+              <span className="whitespace-nowrap">{describePosition(point)}</span>
+            </li>
+          ))}
+          {trace.points.length > POINT_LIST_LIMIT && (
+            <li className="text-gray-400">and {trace.points.length - POINT_LIST_LIMIT} more</li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+/**
+ * "Where does this number come from?" for a dashboard value: the source
+ * file and rows, dataset version and the transformations applied
+ * @param {Object} target - { region, segmentType, segment, years, label, transforms };
+ *   without a segment the value is the sum of the segment type (see traceValue).
+ *   transforms lists what the page did to the traced values, e.g. interpolation
+ * @param {Function} onClose - Called on the close button, Escape or a click outside
+ * @param {Object} data - Market data to trace in, the active dataset by default
+ */
+const ProvenancePopover = ({ target, onClose, data: tracedData, className }) => {
+  const { data: activeData } = useMarketData();
+  const data = tracedData || activeData;
+  const popoverRef = useRef(null);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    const handlePointerDown = (event) => {
+      if (popoverRef.current && !popoverRef.current.contains(event.target)) onClose();
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    document.addEventListener('mousedown', handlePointerDown);
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+      document.removeEventListener('mousedown', handlePointerDown);
+    };
+  }, [onClose]);
+
+  const traces = target.years
+    .map(year => traceValue(data, { ...target, year }))
+    .filter(Boolean);
+  const [first] = traces;
+
+  // Renames are per row; list each one once
+  const transforms = first ? [...first.transforms, ...(target.transforms || [])] : [];
+  const seen = new Set(transforms.map(describeTransform));
+  traces.forEach(trace => trace.points.forEach(point => point.transforms.forEach(transform => {
+    const description = describeTransform(transform);
+    if (!seen.has(description)) {
+      seen.add(description);
+      transforms.push(transform);
+    }
+  })));
+
+  return (
+    <div
+      ref={popoverRef}
+      role="dialog"
+      aria-label="Where does this number come from?"
+      className={cn('z-30 w-80 bg-white border border-gray-200 rounded-lg shadow-lg p-4 text-sm text-left', className)}
+    >
+      <div className="flex items-start justify-between gap-2">
+        <div className="flex items-center space-x-2">
+          <FileSearch className="w-4 h-4 text-primary-600 flex-shrink-0" />
+          <span className="font-semibold text-gray-900">Where does this number come from?</span>
+        </div>
+        <button
+          type="button"
+          onClick={onClose}
+          className="text-gray-400 hover:text-gray-600"
+          aria-label="Close"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      {!first ? (
+        <p className="text-xs text-gray-600 mt-3">
+          No source rows for {target.label || target.segment || target.region}. This value is calculated on the page
+          rather than read from the dataset.
+        </p>
+      ) : (
+        <>
+          <p className="text-xs text-gray-500 mt-2">
+            {[first.region, first.segmentType, first.segment].filter(Boolean).join(' › ')}
+            {!first.segment && ` (all ${first.segmentType} segments)`}
+          </p>
+
+          {traces.map(trace => <TraceDetails key={trace.year} trace={trace} />)}
+
+          <dl className="border-t border-gray-100 pt-2 mt-2 grid grid-cols-[auto,1fr] gap-x-3 gap-y-1 text-xs">
+            <dt className="text-gray-500">File</dt>
+            <dd className="text-gray-900 break-all">{first.file || 'Unknown'}</dd>
+            <dt className="text-gray-500">Dataset</dt>
+            <dd className="text-gray-900">{first.datasetId || 'Unknown'}</dd>
+            <dt className="text-gray-500">Version</dt>
+            <dd className="text-gray-900">
+              {first.version ? (
+                <>
+                  v{first.version.version}{' '}
+                  <span className="text-gray-500">{new Date(first.version.createdAt).toLocaleString()}</span>
+                  {!first.version.isLatest && <Badge variant="warning" className="ml-1">Not latest</Badge>}
+                </>
+              ) : (
+                'Not versioned (read from the data folder)'
+              )}
+            </dd>
+          </dl>
+
+          <div className="border-t border-gray-100 pt-2 mt-2">
+            <p className="text-xs font-medium text-gray-700 mb-1">Transformations</p>
+            {transforms.length === 0 ? (
+              <p className="text-xs text-gray-500">None; values are used as written in the file.</p>
+            ) : (
+              <ul className="text-xs text-gray-600 list-disc pl-4 space-y-0.5">
+                {transforms.map(transform => (
+                  <li key={describeTransform(transform)}>{describeTransform(transform)}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ProvenancePopover;
@@ -0,0 +1,130 @@
+// src/components/data/ReconciliationReport.js
+'use client';
+import React, { useMemo, useState } from 'react';
+import { Scale, CheckCircle, AlertTriangle } from 'lucide-react';
+import { Badge, Select } from '@/components/ui';
+import { reconcileMarketData, RECONCILIATION_CHECKS } from '@/utils/reconciliation';
+import { formatCurrency, formatNumber, formatPercentage, cn } from '@/lib/utils';
+
+const DISCREPANCY_LIST_LIMIT = 10;
+
+const formatLocation = ({ region, segmentType, segmentName }) => {
+  return [region, segmentType, segmentName].filter(Boolean).join(' › ');
+};
+
+const ReconciliationReport = ({ data, title = 'Reconciliation' }) => {
+  const [checkFilter, setCheckFilter] = useState('all');
+  const reconciliation = useMemo(() => reconcileMarketData(data), [data]);
+  const { summary } = reconciliation;
+
+  const discrepancies = checkFilter === 'all'
+    ? reconciliation.discrepancies
+    : reconciliation.discrepancies.filter(discrepancy => discrepancy.check === checkFilter);
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="font-semibold text-gray-900 flex items-center space-x-2">
+          <Scale className="w-4 h-4" />
+          <span>{title}</span>
+        </h4>
+        {summary.passed ? (
+          <Badge variant="success">All totals reconcile</Badge>
+        ) : (
+          <Badge variant={summary.errors > 0 ? 'error' : 'warning'}>
+            {formatNumber(summary.discrepancies)} discrepancies
+          </Badge>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+        {Object.entries(RECONCILIATION_CHECKS).map(([check, { label, description }]) => {
+          const { comparisons, discrepancies: failed } = summary.byCheck[check];
+
+          return (
+            <div key={check} className="p-3 border rounded-lg">
+              <div className="flex items-center justify-between text-sm mb-1">
+                <span className="font-medium text-gray-900">{label}</span>
+                {failed === 0 ? (
+                  <CheckCircle className="w-4 h-4 text-green-600" />
+                ) : (
+                  <AlertTriangle className="w-4 h-4 text-yellow-600" />
+                )}
+              </div>
+              <p className="text-xs text-gray-500 mb-2">{description}</p>
+              <div className="text-sm text-gray-600">
+                {comparisons === 0
+                  ? 'Not applicable to this dataset'
+                  : `${formatNumber(comparisons - failed)} of ${formatNumber(comparisons)} comparisons pass`}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {!summary.passed && (
+        <>
+          <div className="flex items-center justify-between mb-2">
+            <p className="text-sm text-gray-600">
+              Differences above {formatPercentage(reconciliation.tolerance * 100)} across {reconciliation.years.length} years, largest first
+            </p>
+            <Select
+              value={checkFilter}
+              onChange={(e) => setCheckFilter(e.target.value)}
+              className="h-9 w-[180px] text-xs"
+              aria-label="Filter reconciliation check"
+            >
+              <option value="all">All checks</option>
+              {Object.entries(RECONCILIATION_CHECKS).map(([check, { label }]) => (
+                <option key={check} value={check}>{label}</option>
+              ))}
+            </Select>
+          </div>
+
+          <div className="overflow-x-auto border rounded-lg">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="text-left py-2 px-3 font-semibold">Year</th>
+                  <th className="text-left py-2 px-3 font-semibold">Location</th>
+                  <th className="text-left py-2 px-3 font-semibold">Compared To</th>
+                  <th className="text-right py-2 px-3 font-semibold">Expected</th>
+                  <th className="text-right py-2 px-3 font-semibold">Actual</th>
+                  <th className="text-right py-2 px-3 font-semibold">Difference</th>
+                </tr>
+              </thead>
+              <tbody>
+                {discrepancies.slice(0, DISCREPANCY_LIST_LIMIT).map((discrepancy, index) => (
+                  <tr key={index} className="border-t border-gray-100">
+                    <td className="py-2 px-3">{discrepancy.year}</td>
+                    <td className="py-2 px-3 font-medium text-gray-900 whitespace-nowrap">
+                      {formatLocation(discrepancy)}
+                    </td>
+                    <td className="py-2 px-3 text-gray-600 whitespace-nowrap">{discrepancy.comparedTo}</td>
+                    <td className="py-2 px-3 text-right whitespace-nowrap">{formatCurrency(discrepancy.expected)}</td>
+                    <td className="py-2 px-3 text-right whitespace-nowrap">{formatCurrency(discrepancy.actual)}</td>
+                    <td
+                      className={cn(
+                        "py-2 px-3 text-right whitespace-nowrap font-medium",
+                        discrepancy.severity === 'error' ? 'text-red-600' : 'text-yellow-700'
+                      )}
+                    >
+                      {formatCurrency(discrepancy.difference)} ({formatPercentage(discrepancy.relativeDifference * 100)})
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {discrepancies.length > DISCREPANCY_LIST_LIMIT && (
+            <p className="text-xs text-gray-500 mt-2">
+              and {formatNumber(discrepancies.length - DISCREPANCY_LIST_LIMIT)} more
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ReconciliationReport;
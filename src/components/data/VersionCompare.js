@@ -0,0 +1,137 @@
+// src/components/data/VersionCompare.js
+'use client';
+import React, { useState, useEffect } from 'react';
+import { GitCompare, RefreshCw, AlertCircle } from 'lucide-react';
+import {
+  Card,
+  CardHeader,
+  CardTitle,
+  CardContent,
+  Alert,
+  Label,
+  Select
+} from '@/components/ui';
+import DatasetDiffReport from '@/components/data/DatasetDiffReport';
+import { datasetVersionService } from '@/services/datasetVersionService';
+import { useDatasetVersions } from '@/hooks/useDatasetVersions';
+import { useMarketData } from '@/hooks/useMarketData';
+import { diffMarketData } from '@/utils/datasetDiff';
+
+const ACTIVE_OPTION = 'active';
+
+const versionLabel = (version) => `${version.marketName} v${version.version}`;
+
+const VersionCompare = () => {
+  const { data: activeData } = useMarketData();
+  const { versions } = useDatasetVersions();
+  const [baseId, setBaseId] = useState(null);
+  const [compareId, setCompareId] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Default to the two most recent versions, or the active dataset vs the latest version
+  const selectedBaseId = baseId || versions[1]?.id || ACTIVE_OPTION;
+  const selectedCompareId = compareId || versions[0]?.id || ACTIVE_OPTION;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadData = (id) => {
+      return id === ACTIVE_OPTION
+        ? Promise.resolve(activeData)
+        : datasetVersionService.getVersion(id).then(version => version.data);
+    };
+
+    setLoading(true);
+    setError(null);
+    Promise.all([loadData(selectedBaseId), loadData(selectedCompareId)])
+      .then(([baseData, compareData]) => {
+        if (!cancelled) setDiff(baseData && compareData ? diffMarketData(baseData, compareData) : null);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedBaseId, selectedCompareId, activeData]);
+
+  const renderOptions = () => (
+    <>
+      <option value={ACTIVE_OPTION}>Active dataset</option>
+      {versions.map(version => (
+        <option key={version.id} value={version.id}>{versionLabel(version)}</option>
+      ))}
+    </>
+  );
+
+  const labelFor = (id) => {
+    const version = versions.find(entry => entry.id === id);
+    return version ? `v${version.version}` : 'Active';
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2">
+          <GitCompare className="w-5 h-5" />
+          <span>Compare Versions</span>
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+          <div className="space-y-2">
+            <Label htmlFor="compare-base">Base</Label>
+            <Select
+              id="compare-base"
+              value={selectedBaseId}
+              onChange={(e) => setBaseId(e.target.value)}
+            >
+              {renderOptions()}
+            </Select>
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="compare-revised">Revised</Label>
+            <Select
+              id="compare-revised"
+              value={selectedCompareId}
+              onChange={(e) => setCompareId(e.target.value)}
+            >
+              {renderOptions()}
+            </Select>
+          </div>
+        </div>
+
+        {error && (
+          <Alert variant="error" className="mb-4">
+            <div className="flex items-start space-x-2">
+              <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+              <p className="text-sm">{error}</p>
+            </div>
+          </Alert>
+        )}
+
+        {loading && !diff ? (
+          <div className="flex items-center space-x-2 text-sm text-gray-600 py-4">
+            <RefreshCw className="w-4 h-4 animate-spin" />
+            <span>Comparing datasets...</span>
+          </div>
+        ) : diff && (
+          <DatasetDiffReport
+            diff={diff}
+            title="Cell Changes"
+            baseLabel={labelFor(selectedBaseId)}
+            compareLabel={labelFor(selectedCompareId)}
+          />
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default VersionCompare;
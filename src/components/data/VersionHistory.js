@@ -0,0 +1,168 @@
+// src/components/data/VersionHistory.js
+'use client';
+import React, { useMemo, useState } from 'react';
+import { History, Eye, RotateCcw, RefreshCw, AlertCircle } from 'lucide-react';
+import {
+  Card,
+  CardHeader,
+  CardTitle,
+  CardContent,
+  Button,
+  Badge,
+  Alert,
+  Select
+} from '@/components/ui';
+import { useDatasetVersions } from '@/hooks/useDatasetVersions';
+import { formatNumber } from '@/lib/utils';
+
+const HASH_PREVIEW_LENGTH = 12;
+
+const VersionHistory = () => {
+  const { versions, activeVersion, viewVersion, rollbackToVersion, loading, pending, error } = useDatasetVersions();
+  const [datasetFilter, setDatasetFilter] = useState('all');
+
+  // Versions are listed newest first, so the first one seen per dataset is its latest
+  const latestVersionIds = useMemo(() => {
+    const latest = new Map();
+    versions.forEach(version => {
+      if (!latest.has(version.datasetId)) latest.set(version.datasetId, version.id);
+    });
+    return latest;
+  }, [versions]);
+
+  const visibleVersions = datasetFilter === 'all'
+    ? versions
+    : versions.filter(version => version.datasetId === datasetFilter);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2">
+          <History className="w-5 h-5" />
+          <span>Version History</span>
+          <Badge variant="secondary" className="ml-auto">
+            {formatNumber(versions.length)} versions
+          </Badge>
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 mb-4">
+          <p className="text-sm text-gray-600">
+            Every committed dataset is kept as an immutable version. View the dashboards as of a version,
+            or roll back to store its content again as the newest version.
+          </p>
+          {latestVersionIds.size > 1 && (
+            <Select
+              value={datasetFilter}
+              onChange={(e) => setDatasetFilter(e.target.value)}
+              className="h-9 w-[220px] text-xs"
+              aria-label="Filter versions by dataset"
+            >
+              <option value="all">All datasets</option>
+              {Array.from(latestVersionIds.keys()).map(datasetId => (
+                <option key={datasetId} value={datasetId}>
+                  {versions.find(version => version.datasetId === datasetId).marketName}
+                </option>
+              ))}
+            </Select>
+          )}
+        </div>
+
+        {error && (
+          <Alert variant="error" className="mb-4">
+            <div className="flex items-start space-x-2">
+              <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+              <p className="text-sm">{error}</p>
+            </div>
+          </Alert>
+        )}
+
+        {loading ? (
+          <div className="flex items-center space-x-2 text-sm text-gray-600 py-4">
+            <RefreshCw className="w-4 h-4 animate-spin" />
+            <span>Loading version history...</span>
+          </div>
+        ) : visibleVersions.length === 0 ? (
+          <p className="text-sm text-gray-500 py-4">
+            No versions yet. Committing an upload stores its first version.
+          </p>
+        ) : (
+          <div className="overflow-x-auto border rounded-lg">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="text-left py-2 px-3 font-semibold">Version</th>
+                  <th className="text-left py-2 px-3 font-semibold">Dataset</th>
+                  <th className="text-left py-2 px-3 font-semibold">Note</th>
+                  <th className="text-left py-2 px-3 font-semibold">Committed</th>
+                  <th className="text-right py-2 px-3 font-semibold">Rows</th>
+                  <th className="text-left py-2 px-3 font-semibold">Content Hash</th>
+                  <th className="text-right py-2 px-3 font-semibold">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleVersions.map(version => {
+                  const isLatest = latestVersionIds.get(version.datasetId) === version.id;
+                  const isActive = activeVersion?.id === version.id;
+
+                  return (
+                    <tr key={version.id} className="border-t border-gray-100">
+                      <td className="py-2 px-3 whitespace-nowrap">
+                        <div className="flex items-center space-x-2">
+                          <span className="font-semibold text-gray-900">v{version.version}</span>
+                          {isActive && <Badge variant="success">Viewing</Badge>}
+                          {isLatest && <Badge variant="secondary">Latest</Badge>}
+                        </div>
+                      </td>
+                      <td className="py-2 px-3 font-medium text-gray-900 whitespace-nowrap">{version.marketName}</td>
+                      <td className="py-2 px-3 text-gray-600">
+                        {version.note || <span className="text-gray-400">No note</span>}
+                        {version.restoredFrom && (
+                          <div className="text-xs text-gray-500">
+                            Restored from v{version.restoredFrom.split('@').pop()}
+                          </div>
+                        )}
+                      </td>
+                      <td className="py-2 px-3 text-gray-600 whitespace-nowrap">
+                        <div>{new Date(version.createdAt).toLocaleString()}</div>
+                        {version.author && <div className="text-xs text-gray-500">by {version.author}</div>}
+                      </td>
+                      <td className="py-2 px-3 text-right whitespace-nowrap">{formatNumber(version.rowCount)}</td>
+                      <td className="py-2 px-3 font-mono text-xs text-gray-600 whitespace-nowrap" title={version.contentHash}>
+                        {version.contentHash.slice(0, HASH_PREVIEW_LENGTH)}
+                      </td>
+                      <td className="py-2 px-3 whitespace-nowrap">
+                        <div className="flex justify-end gap-2">
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            onClick={() => viewVersion(version.id)}
+                            disabled={pending || isActive}
+                          >
+                            <Eye className="w-4 h-4 mr-1" />
+                            View
+                          </Button>
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            onClick={() => rollbackToVersion(version.id)}
+                            disabled={pending || isLatest}
+                          >
+                            <RotateCcw className="w-4 h-4 mr-1" />
+                            Roll back
+                          </Button>
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default VersionHistory;
@@ -0,0 +1,195 @@
+// src/components/forecast/ForecastModelPanel.js
+'use client';
+import React from 'react';
+import { Sigma, CheckCircle } from 'lucide-react';
+import {
+  Card,
+  CardHeader,
+  CardTitle,
+  CardContent,
+  Badge,
+  Button,
+  Select,
+  Label
+} from '@/components/ui';
+import { ForecastFitChart } from '@/components/charts';
+import { FORECAST_MODELS } from '@/utils/forecastModels';
+import { formatCurrency, formatPercentage, cn } from '@/lib/utils';
+
+const formatParams = (model, params) => {
+  switch (model) {
+    case 'linear':
+      return `${formatCurrency(params.slope)} / year`;
+    case 'exponential':
+      return `${formatPercentage(params.growthRate * 100)} / year`;
+    case 'logistic':
+      return `ceiling ${formatCurrency(params.capacity)}, midpoint ${Math.round(params.midpointYear)}`;
+    case 'holt':
+      return `α ${params.alpha}, β ${params.beta}, φ ${params.phi}`;
+    default:
+      return '';
+  }
+};
+
+const formatMetric = (value, digits = 2) => (value == null ? '—' : value.toFixed(digits));
+
+/**
+ * Fits of the forecasting models to one series: goodness of fit, fitted
+ * vs actual chart and the choice of model behind the growth projection
+ * @param {Array<Object>} series - Result of getForecastSeries
+ * @param {string} seriesKey - Selected series
+ * @param {Object} result - Result of fitForecastModels for the selected series
+ * @param {Array<number>} fitThroughYears - Years the fit can end on
+ * @param {number} fitThroughYear - Last year fitted
+ * @param {number} forecastYear - Year the forecast column shows
+ * @param {string} projectionModel - Model driving the projection, or 'dataset'
+ */
+const ForecastModelPanel = ({
+  series,
+  seriesKey,
+  onSeriesChange,
+  result,
+  fitThroughYears,
+  fitThroughYear,
+  onFitThroughYearChange,
+  forecastYear,
+  projectionModel,
+  onProjectionModelChange
+}) => {
+  const selected = series.find(s => s.key === seriesKey);
+  const groups = [...new Set(series.map(s => s.group))];
+  const { fits, recommended } = result;
+  const chartModel = fits.some(fit => fit.model === projectionModel) ? projectionModel : recommended;
+  const chartModelLabel = FORECAST_MODELS[chartModel]?.label;
+
+  const chartData = (selected?.points || []).map(({ year, value }) => ({
+    year,
+    Actual: value,
+    ...Object.fromEntries(fits.map(fit => [fit.label, fit.predict(year)]))
+  }));
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-3">
+          <CardTitle className="flex items-center space-x-2">
+            <Sigma className="w-5 h-5" />
+            <span>Forecast Models</span>
+          </CardTitle>
+          <div className="flex flex-wrap items-end gap-3">
+            <div>
+              <Label htmlFor="forecast-series" className="text-xs">Series</Label>
+              <Select
+                id="forecast-series"
+                value={seriesKey}
+                onChange={(e) => onSeriesChange(e.target.value)}
+                className="min-w-[200px]"
+              >
+                {groups.map(group => (
+                  <optgroup key={group} label={group}>
+                    {series.filter(s => s.group === group).map(s => (
+                      <option key={s.key} value={s.key}>{s.label}</option>
+                    ))}
+                  </optgroup>
+                ))}
+              </Select>
+            </div>
+            <div>
+              <Label htmlFor="forecast-fit-through" className="text-xs">Fit through</Label>
+              <Select
+                id="forecast-fit-through"
+                value={fitThroughYear ?? ''}
+                onChange={(e) => onFitThroughYearChange(Number(e.target.value))}
+              >
+                {fitThroughYears.map(year => (
+                  <option key={year} value={year}>{year}</option>
+                ))}
+              </Select>
+            </div>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {fits.length === 0 ? (
+          <p className="text-sm text-gray-600">
+            The dataset needs at least one more year than the models have parameters before they can be fitted.
+          </p>
+        ) : (
+          <div className="space-y-6">
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="border-b text-left text-xs uppercase text-gray-500">
+                    <th className="py-2 pr-4">Model</th>
+                    <th className="py-2 pr-4">Parameters</th>
+                    <th className="py-2 pr-4 text-right">R²</th>
+                    <th className="py-2 pr-4 text-right">RMSE</th>
+                    <th className="py-2 pr-4 text-right">MAPE</th>
+                    <th className="py-2 pr-4 text-right">AIC</th>
+                    <th className="py-2 pr-4 text-right" title="Error against the years after the fit">Holdout MAPE</th>
+                    <th className="py-2 pr-4 text-right">{forecastYear}</th>
+                    <th className="py-2" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {fits.map(fit => (
+                    <tr
+                      key={fit.model}
+                      className={cn('border-b last:border-0', fit.model === projectionModel && 'bg-primary-50')}
+                    >
+                      <td className="py-2 pr-4">
+                        <div className="flex items-center gap-2">
+                          <span className="font-medium text-gray-900">{fit.label}</span>
+                          {fit.model === recommended && <Badge variant="success">Best fit</Badge>}
+                        </div>
+                        <div className="text-xs text-gray-500">{FORECAST_MODELS[fit.model].description}</div>
+                      </td>
+                      <td className="py-2 pr-4 text-gray-600">{formatParams(fit.model, fit.params)}</td>
+                      <td className="py-2 pr-4 text-right">{formatMetric(fit.metrics.r2, 4)}</td>
+                      <td className="py-2 pr-4 text-right">{formatCurrency(fit.metrics.rmse)}</td>
+                      <td className="py-2 pr-4 text-right">
+                        {fit.metrics.mape == null ? '—' : formatPercentage(fit.metrics.mape)}
+                      </td>
+                      <td className="py-2 pr-4 text-right">{formatMetric(fit.metrics.aic, 1)}</td>
+                      <td className="py-2 pr-4 text-right">
+                        {fit.holdout == null ? '—' : formatPercentage(fit.holdout)}
+                      </td>
+                      <td className="py-2 pr-4 text-right">{formatCurrency(fit.predict(forecastYear))}</td>
+                      <td className="py-2 text-right">
+                        {fit.model === projectionModel ? (
+                          <span className="inline-flex items-center text-xs text-primary-700">
+                            <CheckCircle className="w-4 h-4 mr-1" />
+                            Projecting
+                          </span>
+                        ) : (
+                          <Button variant="outline" size="sm" onClick={() => onProjectionModelChange(fit.model)}>
+                            Use
+                          </Button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p className="text-xs text-gray-500 mt-2">
+                Fitted to {selected?.label} through {fitThroughYear}. Best fit has the lowest AIC, which
+                penalises the extra parameter of the logistic and damped-trend models.
+              </p>
+            </div>
+
+            <ForecastFitChart
+              data={chartData}
+              title={`Fitted vs Actual - ${selected?.label}`}
+              description={chartModelLabel ? `${chartModelLabel} highlighted; values after ${fitThroughYear} are projections` : undefined}
+              models={fits.map(fit => fit.label)}
+              selected={chartModelLabel}
+              fitThroughYear={fitThroughYear}
+            />
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ForecastModelPanel;
@@ -0,0 +1,101 @@
+// src/components/forecast/GrowthWaterfall.js
+'use client';
+import React, { useMemo, useState } from 'react';
+import { Layers } from 'lucide-react';
+import {
+  Card,
+  CardHeader,
+  CardTitle,
+  CardContent,
+  Label,
+  Select
+} from '@/components/ui';
+import { WaterfallChart } from '@/components/charts';
+import {
+  REGION_DIMENSION,
+  getDimensionLabel,
+  getDecompositionDimensions,
+  decomposeGrowth,
+  toWaterfallSteps
+} from '@/utils/growthDecomposition';
+import { formatCurrency, formatPercentage, formatYearRange } from '@/lib/utils';
+
+/**
+ * Waterfall of where the growth of the global market comes from, split by
+ * region or by the segments of one segment type
+ * @param {Object} timeSeries - Processed or scenario time series
+ * @param {number} startYear - First year of the change
+ * @param {number} endYear - Last year of the change
+ * @param {string} description - Chart description, e.g. the scenario shown
+ */
+const GrowthWaterfall = ({ timeSeries, startYear, endYear, description }) => {
+  const [dimension, setDimension] = useState(REGION_DIMENSION);
+
+  const dimensions = useMemo(() => getDecompositionDimensions(timeSeries), [timeSeries]);
+  const activeDimension = dimensions.includes(dimension) ? dimension : dimensions[0];
+  const decomposition = useMemo(
+    () => decomposeGrowth(timeSeries, activeDimension, startYear, endYear),
+    [timeSeries, activeDimension, startYear, endYear]
+  );
+
+  if (!activeDimension) return null;
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+          <CardTitle className="flex items-center space-x-2">
+            <Layers className="w-5 h-5" />
+            <span>Where the Growth Comes From</span>
+          </CardTitle>
+          <div>
+            <Label htmlFor="waterfall-dimension" className="text-xs">Split by</Label>
+            <Select id="waterfall-dimension" value={activeDimension} onChange={(e) => setDimension(e.target.value)}>
+              {dimensions.map(name => <option key={name} value={name}>{getDimensionLabel(name)}</option>)}
+            </Select>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent>
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <WaterfallChart
+            className="lg:col-span-2"
+            data={toWaterfallSteps(decomposition)}
+            title={`Market Change ${formatYearRange(startYear, endYear)}: ${formatCurrency(decomposition.change)}`}
+            description={description || `Contribution of each ${getDimensionLabel(activeDimension).toLowerCase()} to the global change`}
+          />
+
+          <div>
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="border-b text-left text-xs uppercase text-gray-500">
+                  <th className="py-2 pr-2">{getDimensionLabel(activeDimension)}</th>
+                  <th className="py-2 pr-2 text-right">Change</th>
+                  <th className="py-2 text-right">Share</th>
+                </tr>
+              </thead>
+              <tbody>
+                {decomposition.contributions.map(contribution => (
+                  <tr key={contribution.name} className="border-b last:border-0">
+                    <td className="py-2 pr-2">
+                      <div className="font-medium text-gray-900">{contribution.name}</div>
+                      <div className="text-xs text-gray-500">
+                        {formatCurrency(contribution.start)} → {formatCurrency(contribution.end)}
+                      </div>
+                    </td>
+                    <td className={`py-2 pr-2 text-right ${contribution.change >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                      {contribution.change >= 0 ? '+' : ''}{formatCurrency(contribution.change)}
+                    </td>
+                    <td className="py-2 text-right">{formatPercentage(contribution.share)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default GrowthWaterfall;
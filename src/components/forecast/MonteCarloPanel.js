@@ -0,0 +1,261 @@
+// src/components/forecast/MonteCarloPanel.js
+'use client';
+import React, { useMemo, useState } from 'react';
+import { Dices, Plus, Trash2, RefreshCw } from 'lucide-react';
+import {
+  Card,
+  CardHeader,
+  CardTitle,
+  CardContent,
+  Button,
+  Input,
+  Label,
+  Select,
+  Progress
+} from '@/components/ui';
+import { EnhancedAreaChart } from '@/components/charts';
+import { ALL, getScenarioDimensions } from '@/utils/scenarioModel';
+import {
+  DISTRIBUTIONS,
+  PATH_COUNTS,
+  createUncertainty,
+  simulateForecast,
+  getFanData,
+  probabilityOfReaching
+} from '@/utils/monteCarlo';
+import { getDisplayUnits, getDisplayUnitLabel, toInternalValue } from '@/utils/valueUnits';
+import { formatCurrency, formatPercentage } from '@/lib/utils';
+
+// Default targets, as multiples of the point forecast
+const TARGET_MULTIPLES = [0.9, 1, 1.1, 1.25];
+
+const UncertaintyRow = ({ uncertainty, dimensions, onChange, onRemove }) => {
+  const segmentOptions = uncertainty.segmentType === ALL
+    ? [...new Set(Object.values(dimensions.segments).flat())]
+    : dimensions.segments[uncertainty.segmentType] || [];
+
+  const update = (field, value) => onChange({ ...uncertainty, [field]: value });
+  const toNumber = (value) => Math.max(Number(value) || 0, 0);
+
+  return (
+    <div className="grid grid-cols-2 md:grid-cols-8 gap-2 items-end">
+      <div>
+        <Label className="text-xs">Region</Label>
+        <Select value={uncertainty.region} onChange={(e) => update('region', e.target.value)}>
+          <option value={ALL}>All regions</option>
+          {dimensions.regions.map(region => <option key={region} value={region}>{region}</option>)}
+        </Select>
+      </div>
+      <div>
+        <Label className="text-xs">Segment type</Label>
+        <Select
+          value={uncertainty.segmentType}
+          onChange={(e) => onChange({ ...uncertainty, segmentType: e.target.value, segment: ALL })}
+        >
+          <option value={ALL}>All types</option>
+          {dimensions.segmentTypes.map(type => <option key={type} value={type}>{type}</option>)}
+        </Select>
+      </div>
+      <div className="md:col-span-2">
+        <Label className="text-xs">Segment</Label>
+        <Select value={uncertainty.segment} onChange={(e) => update('segment', e.target.value)}>
+          <option value={ALL}>All segments</option>
+          {segmentOptions.map(segment => <option key={segment} value={segment}>{segment}</option>)}
+        </Select>
+      </div>
+      <div>
+        <Label className="text-xs">Distribution</Label>
+        <Select
+          value={uncertainty.distribution}
+          onChange={(e) => update('distribution', e.target.value)}
+          title={DISTRIBUTIONS[uncertainty.distribution].description}
+        >
+          {Object.entries(DISTRIBUTIONS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+        </Select>
+      </div>
+      <div>
+        <Label className="text-xs">CAGR spread (pp)</Label>
+        <Input type="number" min={0} step={0.5} value={uncertainty.cagrSpread} onChange={(e) => update('cagrSpread', toNumber(e.target.value))} />
+      </div>
+      <div>
+        <Label className="text-xs">Base value spread (%)</Label>
+        <Input type="number" min={0} step={1} value={uncertainty.baseSpread} onChange={(e) => update('baseSpread', toNumber(e.target.value))} />
+      </div>
+      <Button variant="ghost" size="sm" onClick={onRemove} title="Remove uncertainty" className="justify-self-start">
+        <Trash2 className="w-4 h-4" />
+      </Button>
+    </div>
+  );
+};
+
+/**
+ * Monte Carlo ranges around a scenario: uncertainty factors, a P10/P50/P90
+ * fan chart and the probability of reaching target sizes
+ * @param {Object} timeSeries - Scenario time series (buildScenarioTimeSeries)
+ * @param {Object} summary - Its totals (summarizeScenario), the point forecast
+ * @param {Array<number>} years - Years of the time series; the first is the base year
+ * @param {string} scenarioName - Scenario the ranges are drawn around
+ */
+const MonteCarloPanel = ({ timeSeries, summary, years, scenarioName }) => {
+  const [uncertainties, setUncertainties] = useState(() => [createUncertainty()]);
+  const [paths, setPaths] = useState(2000);
+  const [seed, setSeed] = useState(1);
+  const [seriesName, setSeriesName] = useState('market');
+  const [customTargets, setCustomTargets] = useState([]);
+  const [targetInput, setTargetInput] = useState('');
+
+  const dimensions = useMemo(() => getScenarioDimensions({ timeSeries }), [timeSeries]);
+  const simulation = useMemo(
+    () => simulateForecast(timeSeries, years, uncertainties, { paths, seed }),
+    [timeSeries, years, uncertainties, paths, seed]
+  );
+
+  const activeSeries = simulation.series[seriesName] ? seriesName : 'market';
+  const forecastYear = years[years.length - 1];
+  const fanData = getFanData(simulation, activeSeries);
+  const pointForecast = (activeSeries === 'market'
+    ? summary.market
+    : summary.regions.find(region => region.region === activeSeries)?.data || []
+  ).map(point => point.value);
+
+  const chartData = fanData.map((row, i) => ({
+    year: row.year,
+    p10: row.p10,
+    p90: row.p90,
+    P50: row.p50,
+    'Point forecast': pointForecast[i]
+  }));
+
+  const finalPoint = pointForecast[pointForecast.length - 1];
+  const targets = [
+    ...TARGET_MULTIPLES.map(multiple => ({ value: finalPoint * multiple, multiple })),
+    ...customTargets.map(value => ({ value, custom: true }))
+  ].sort((a, b) => a.value - b.value);
+
+  const addTarget = () => {
+    const value = Number(targetInput);
+    if (!Number.isFinite(value) || value <= 0) return;
+
+    setCustomTargets(current => [...current, toInternalValue(value, getDisplayUnits())]);
+    setTargetInput('');
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-3">
+          <CardTitle className="flex items-center space-x-2">
+            <Dices className="w-5 h-5" />
+            <span>Forecast Uncertainty</span>
+          </CardTitle>
+          <div className="flex flex-wrap items-end gap-3">
+            <div>
+              <Label htmlFor="simulation-series" className="text-xs">Series</Label>
+              <Select id="simulation-series" value={activeSeries} onChange={(e) => setSeriesName(e.target.value)}>
+                <option value="market">Total market</option>
+                {dimensions.regions.filter(region => simulation.series[region]).map(region => (
+                  <option key={region} value={region}>{region}</option>
+                ))}
+              </Select>
+            </div>
+            <div>
+              <Label htmlFor="simulation-paths" className="text-xs">Paths</Label>
+              <Select id="simulation-paths" value={paths} onChange={(e) => setPaths(Number(e.target.value))}>
+                {PATH_COUNTS.map(count => <option key={count} value={count}>{count.toLocaleString()}</option>)}
+              </Select>
+            </div>
+            <Button variant="outline" size="sm" onClick={() => setSeed(current => current + 1)} title="Draw new random paths">
+              <RefreshCw className="w-4 h-4 mr-1" />
+              Re-run
+            </Button>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent>
+        <div className="space-y-6">
+          <div className="space-y-3">
+            {uncertainties.map(uncertainty => (
+              <UncertaintyRow
+                key={uncertainty.id}
+                uncertainty={uncertainty}
+                dimensions={dimensions}
+                onChange={(next) => setUncertainties(current => current.map(u => (u.id === uncertainty.id ? next : u)))}
+                onRemove={() => setUncertainties(current => current.filter(u => u.id !== uncertainty.id))}
+              />
+            ))}
+            <Button variant="outline" size="sm" onClick={() => setUncertainties(current => [...current, createUncertainty()])}>
+              <Plus className="w-4 h-4 mr-1" />
+              Add uncertainty
+            </Button>
+            <p className="text-xs text-gray-500">
+              Each path draws every uncertainty once and applies it to all the segments it covers, so an
+              uncertainty on all regions moves the market together; one on a single segment moves its region and
+              the market by that segment&apos;s change. Normal spreads are one standard deviation; uniform and
+              triangular spreads are the ± range.
+            </p>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <EnhancedAreaChart
+              className="lg:col-span-2"
+              data={chartData}
+              title={`Forecast Range - ${activeSeries === 'market' ? 'Total market' : activeSeries}`}
+              description={`${scenarioName} scenario, ${paths.toLocaleString()} simulated paths`}
+              bands={[{ name: 'P10 – P90', lower: 'p10', upper: 'p90' }]}
+              lines={['P50', 'Point forecast']}
+              height={350}
+            />
+
+            <div>
+              <h4 className="text-sm font-semibold text-gray-900 mb-3">Probability of reaching by {forecastYear}</h4>
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="border-b text-left text-xs uppercase text-gray-500">
+                    <th className="py-2 pr-2">Target</th>
+                    <th className="py-2 text-right">Probability</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {targets.map(target => {
+                    const probability = probabilityOfReaching(simulation, activeSeries, forecastYear, target.value) * 100;
+
+                    return (
+                      <tr key={`${target.custom ? 'custom' : 'default'}-${target.value}`} className="border-b last:border-0">
+                        <td className="py-2 pr-2">
+                          <div className="font-medium text-gray-900">{formatCurrency(target.value)}</div>
+                          <div className="text-xs text-gray-500">
+                            {target.custom ? 'Custom target' : target.multiple === 1 ? 'Point forecast' : `${target.multiple > 1 ? '+' : ''}${Math.round((target.multiple - 1) * 100)}% vs point forecast`}
+                          </div>
+                        </td>
+                        <td className="py-2 text-right w-32">
+                          <div className="font-medium">{formatPercentage(probability, 0)}</div>
+                          <Progress value={probability} className="h-1.5 mt-1" />
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+              <div className="flex items-end gap-2 mt-3">
+                <div className="flex-1">
+                  <Label htmlFor="simulation-target" className="text-xs">Target ({getDisplayUnitLabel()})</Label>
+                  <Input
+                    id="simulation-target"
+                    type="number"
+                    min={0}
+                    value={targetInput}
+                    onChange={(e) => setTargetInput(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && addTarget()}
+                  />
+                </div>
+                <Button variant="outline" size="sm" onClick={addTarget}>Add</Button>
+              </div>
+            </div>
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default MonteCarloPanel;
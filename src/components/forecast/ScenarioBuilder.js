@@ -0,0 +1,312 @@
+// src/components/forecast/ScenarioBuilder.js
+'use client';
+import React, { useState } from 'react';
+import { Calculator, Plus, Trash2, Copy, Save } from 'lucide-react';
+import {
+  Card,
+  CardHeader,
+  CardTitle,
+  CardContent,
+  Badge,
+  Button,
+  Input,
+  Label,
+  Select,
+  Alert
+} from '@/components/ui';
+import {
+  ALL,
+  ASSUMPTION_KINDS,
+  createAssumption,
+  describeAssumption,
+  getScenarioDimensions
+} from '@/utils/scenarioModel';
+import { cn } from '@/lib/utils';
+
+const toDraft = (scenario) => ({
+  ...scenario,
+  assumptions: scenario.assumptions.map(assumption => ({ ...assumption }))
+});
+
+const AssumptionRow = ({ assumption, dimensions, years, readOnly, onChange, onRemove }) => {
+  const segmentOptions = assumption.segmentType === ALL
+    ? [...new Set(Object.values(dimensions.segments).flat())]
+    : dimensions.segments[assumption.segmentType] || [];
+  const kind = ASSUMPTION_KINDS[assumption.kind];
+
+  const update = (field, value) => onChange({ ...assumption, [field]: value });
+  const toYear = (value) => (value === '' ? null : Number(value));
+
+  return (
+    <div className="grid grid-cols-2 md:grid-cols-8 gap-2 items-end p-3 border rounded-lg">
+      <div>
+        <Label className="text-xs">Region</Label>
+        <Select value={assumption.region} disabled={readOnly} onChange={(e) => update('region', e.target.value)}>
+          <option value={ALL}>All regions</option>
+          {dimensions.regions.map(region => <option key={region} value={region}>{region}</option>)}
+        </Select>
+      </div>
+      <div>
+        <Label className="text-xs">Segment type</Label>
+        <Select
+          value={assumption.segmentType}
+          disabled={readOnly}
+          onChange={(e) => onChange({ ...assumption, segmentType: e.target.value, segment: ALL })}
+        >
+          <option value={ALL}>All types</option>
+          {dimensions.segmentTypes.map(type => <option key={type} value={type}>{type}</option>)}
+        </Select>
+      </div>
+      <div className="md:col-span-2">
+        <Label className="text-xs">Segment</Label>
+        <Select value={assumption.segment} disabled={readOnly} onChange={(e) => update('segment', e.target.value)}>
+          <option value={ALL}>All segments</option>
+          {segmentOptions.map(segment => <option key={segment} value={segment}>{segment}</option>)}
+        </Select>
+      </div>
+      <div>
+        <Label className="text-xs">Assumption</Label>
+        <Select
+          value={assumption.kind}
+          disabled={readOnly}
+          onChange={(e) => onChange({ ...assumption, kind: e.target.value, value: ASSUMPTION_KINDS[e.target.value].defaultValue })}
+          title={kind.description}
+        >
+          {Object.entries(ASSUMPTION_KINDS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+        </Select>
+      </div>
+      <div>
+        <Label className="text-xs">Value ({kind.unit})</Label>
+        <Input
+          type="number"
+          step={assumption.kind === 'scale' ? 0.05 : 0.5}
+          value={assumption.value}
+          disabled={readOnly}
+          onChange={(e) => update('value', e.target.value === '' ? 0 : Number(e.target.value))}
+        />
+      </div>
+      <div className="grid grid-cols-2 gap-1 md:col-span-2 md:grid-cols-[1fr_1fr_auto]">
+        <div>
+          <Label className="text-xs">From</Label>
+          <Select value={assumption.fromYear ?? ''} disabled={readOnly} onChange={(e) => update('fromYear', toYear(e.target.value))}>
+            <option value="">Start</option>
+            {years.map(year => <option key={year} value={year}>{year}</option>)}
+          </Select>
+        </div>
+        <div>
+          <Label className="text-xs">To</Label>
+          <Select value={assumption.toYear ?? ''} disabled={readOnly} onChange={(e) => update('toYear', toYear(e.target.value))}>
+            <option value="">End</option>
+            {years.map(year => <option key={year} value={year}>{year}</option>)}
+          </Select>
+        </div>
+        {!readOnly && (
+          <Button variant="ghost" size="sm" onClick={onRemove} title="Remove assumption" className="self-end">
+            <Trash2 className="w-4 h-4" />
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Editor for growth scenarios: pick the active scenario, choose which to
+ * compare, and set CAGR overrides, multipliers or shocks by region,
+ * segment type and segment for chosen years
+ * @param {Object} data - Processed market data, for the regions and segments
+ * @param {Array<number>} years - Years an assumption can start or end on
+ * @param {Array<Object>} scenarios - Built-in and saved scenarios
+ * @param {string} activeId - Scenario driving the single-scenario views
+ * @param {Array<string>} compareIds - Scenarios shown side by side
+ */
+const ScenarioBuilder = ({
+  data,
+  years,
+  scenarios,
+  activeId,
+  onActivate,
+  compareIds,
+  onCompareChange,
+  onSave,
+  onDelete
+}) => {
+  const active = scenarios.find(scenario => scenario.id === activeId) || scenarios[0];
+  const [draft, setDraft] = useState(() => toDraft(active));
+  const [error, setError] = useState(null);
+  const dimensions = getScenarioDimensions(data);
+  const readOnly = draft.builtIn;
+  const saved = scenarios.find(scenario => scenario.id === draft.id);
+  const isDirty = !saved || JSON.stringify(toDraft(saved)) !== JSON.stringify(draft);
+
+  const select = (scenario) => {
+    setDraft(toDraft(scenario));
+    setError(null);
+    onActivate(scenario.id);
+  };
+
+  const startCopy = (scenario) => {
+    setDraft({
+      id: null,
+      name: `${scenario.name} (copy)`,
+      builtIn: false,
+      assumptions: scenario.assumptions.map(assumption => createAssumption(assumption))
+    });
+    setError(null);
+  };
+
+  const startNew = () => {
+    setDraft({ id: null, name: 'New scenario', builtIn: false, assumptions: [createAssumption()] });
+    setError(null);
+  };
+
+  const updateAssumption = (id, next) => {
+    setDraft(current => ({
+      ...current,
+      assumptions: current.assumptions.map(assumption => (assumption.id === id ? next : assumption))
+    }));
+  };
+
+  const save = () => {
+    try {
+      const result = onSave(draft);
+      setDraft(toDraft(result));
+      setError(null);
+      onActivate(result.id);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const remove = () => {
+    onDelete(draft.id);
+    select(scenarios.find(scenario => scenario.id === 'base') || scenarios[0]);
+  };
+
+  const toggleCompare = (id) => {
+    onCompareChange(compareIds.includes(id) ? compareIds.filter(other => other !== id) : [...compareIds, id]);
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2">
+          <Calculator className="w-5 h-5" />
+          <span>Scenario Builder</span>
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+          <div className="space-y-2">
+            <div className="flex items-center justify-between">
+              <h4 className="text-sm font-semibold text-gray-900">Scenarios</h4>
+              <Button variant="outline" size="sm" onClick={startNew}>
+                <Plus className="w-4 h-4 mr-1" />
+                New
+              </Button>
+            </div>
+            {scenarios.map(scenario => (
+              <div
+                key={scenario.id}
+                className={cn(
+                  'flex items-center justify-between p-2 border rounded-lg cursor-pointer hover:bg-gray-50',
+                  scenario.id === draft.id && 'border-primary-500 bg-primary-50'
+                )}
+                onClick={() => select(scenario)}
+              >
+                <div>
+                  <div className="text-sm font-medium text-gray-900">{scenario.name}</div>
+                  <div className="text-xs text-gray-500">
+                    {scenario.builtIn ? 'Built-in' : `${scenario.assumptions.length} assumption${scenario.assumptions.length === 1 ? '' : 's'}`}
+                  </div>
+                </div>
+                <label className="flex items-center space-x-1 text-xs text-gray-600" onClick={(e) => e.stopPropagation()}>
+                  <input
+                    type="checkbox"
+                    checked={scenario.id === activeId || compareIds.includes(scenario.id)}
+                    disabled={scenario.id === activeId}
+                    onChange={() => toggleCompare(scenario.id)}
+                  />
+                  <span>Compare</span>
+                </label>
+              </div>
+            ))}
+          </div>
+
+          <div className="lg:col-span-3 space-y-4">
+            <div className="flex flex-wrap items-end gap-3">
+              <div className="flex-1 min-w-[200px]">
+                <Label htmlFor="scenario-name" className="text-xs">Name</Label>
+                <Input
+                  id="scenario-name"
+                  value={draft.name}
+                  disabled={readOnly}
+                  onChange={(e) => setDraft(current => ({ ...current, name: e.target.value }))}
+                />
+              </div>
+              {readOnly && <Badge variant="secondary">Built-in scenarios are read-only</Badge>}
+              <Button variant="outline" size="sm" onClick={() => startCopy(draft)}>
+                <Copy className="w-4 h-4 mr-1" />
+                Duplicate
+              </Button>
+              {!readOnly && (
+                <Button size="sm" onClick={save} disabled={!isDirty}>
+                  <Save className="w-4 h-4 mr-1" />
+                  Save
+                </Button>
+              )}
+              {!readOnly && draft.id && (
+                <Button variant="outline" size="sm" onClick={remove}>
+                  <Trash2 className="w-4 h-4 mr-1" />
+                  Delete
+                </Button>
+              )}
+            </div>
+
+            {error && <Alert variant="error">{error}</Alert>}
+
+            {draft.assumptions.length === 0 ? (
+              <p className="text-sm text-gray-600">No assumptions: the dataset&apos;s own growth.</p>
+            ) : (
+              draft.assumptions.map(assumption => (
+                <div key={assumption.id}>
+                  <AssumptionRow
+                    assumption={assumption}
+                    dimensions={dimensions}
+                    years={years}
+                    readOnly={readOnly}
+                    onChange={(next) => updateAssumption(assumption.id, next)}
+                    onRemove={() => setDraft(current => ({
+                      ...current,
+                      assumptions: current.assumptions.filter(other => other.id !== assumption.id)
+                    }))}
+                  />
+                  <p className="text-xs text-gray-500 mt-1 ml-1">{describeAssumption(assumption)}</p>
+                </div>
+              ))
+            )}
+
+            {!readOnly && (
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => setDraft(current => ({ ...current, assumptions: [...current.assumptions, createAssumption()] }))}
+              >
+                <Plus className="w-4 h-4 mr-1" />
+                Add assumption
+              </Button>
+            )}
+
+            <p className="text-xs text-gray-500">
+              CAGR overrides and multipliers change the growth into each year of their range, in the order listed;
+              shocks then raise or lower the values in their range. Assumptions apply to each regional series and
+              Global is the sum of the changes, so market, regional and segment totals agree.
+            </p>
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ScenarioBuilder;
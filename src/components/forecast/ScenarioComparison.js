@@ -0,0 +1,69 @@
+// src/components/forecast/ScenarioComparison.js
+'use client';
+import React from 'react';
+import { GitCompare } from 'lucide-react';
+import { Card, CardHeader, CardTitle, CardContent, Badge } from '@/components/ui';
+import { formatCurrency, formatPercentage, formatYearRange, cn } from '@/lib/utils';
+
+/**
+ * Side-by-side totals of scenarios, with the difference from the first
+ * @param {Array<Object>} results - [{ scenario, summary }]; the first is the active scenario
+ * @param {number} baseYear - First year of the window
+ * @param {number} forecastYear - Last year of the window
+ */
+const ScenarioComparison = ({ results, baseYear, forecastYear }) => {
+  const reference = results[0]?.summary;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2">
+          <GitCompare className="w-5 h-5" />
+          <span>Scenario Comparison</span>
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="border-b text-left text-xs uppercase text-gray-500">
+                <th className="py-2 pr-4">Scenario</th>
+                <th className="py-2 pr-4 text-right">Market {baseYear}</th>
+                <th className="py-2 pr-4 text-right">Market {forecastYear}</th>
+                <th className="py-2 pr-4 text-right">CAGR</th>
+                <th className="py-2 pr-4 text-right">Total growth</th>
+                <th className="py-2 text-right">vs {results[0]?.scenario.name}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {results.map(({ scenario, summary }, index) => {
+                const difference = summary.marketSizeForecast - reference.marketSizeForecast;
+
+                return (
+                  <tr key={scenario.id} className="border-b last:border-0">
+                    <td className="py-2 pr-4">
+                      <span className="font-medium text-gray-900">{scenario.name}</span>
+                      {index === 0 && <Badge variant="secondary" className="ml-2">Active</Badge>}
+                    </td>
+                    <td className="py-2 pr-4 text-right">{formatCurrency(summary.marketSizeBase)}</td>
+                    <td className="py-2 pr-4 text-right">{formatCurrency(summary.marketSizeForecast)}</td>
+                    <td className="py-2 pr-4 text-right">{formatPercentage(summary.cagr)}</td>
+                    <td className="py-2 pr-4 text-right">{formatPercentage(summary.totalGrowth)}</td>
+                    <td className={cn('py-2 text-right', difference > 0 ? 'text-green-600' : difference < 0 ? 'text-red-600' : 'text-gray-500')}>
+                      {index === 0 ? '—' : `${difference > 0 ? '+' : ''}${formatCurrency(difference)}`}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+        <p className="text-xs text-gray-500 mt-2">
+          Totals are the sum of product types for {formatYearRange(baseYear, forecastYear)}, the same figures the Growth charts plot.
+        </p>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ScenarioComparison;
@@ -0,0 +1,156 @@
+// src/components/forecast/SensitivityPanel.js
+'use client';
+import React, { useMemo, useState } from 'react';
+import { Tornado, Download } from 'lucide-react';
+import {
+  Card,
+  CardHeader,
+  CardTitle,
+  CardContent,
+  Button,
+  Label,
+  Select
+} from '@/components/ui';
+import { TornadoChart } from '@/components/charts';
+import { runSensitivity, PERTURBATION_SIZES } from '@/utils/sensitivity';
+import { auditLogService, getAuditTarget } from '@/services/auditLogService';
+import { getDisplayUnitLabel, toDisplayValue } from '@/utils/valueUnits';
+import { formatCurrency, formatPercentage, downloadCSV } from '@/lib/utils';
+
+const MAX_LABEL_LENGTH = 28;
+
+const shortLabel = (label) => (
+  label.length > MAX_LABEL_LENGTH ? `${label.slice(0, MAX_LABEL_LENGTH - 1)}…` : label
+);
+
+const ChangeCell = ({ value }) => (
+  <td className={`py-2 pr-4 text-right ${value >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+    {value >= 0 ? '+' : ''}{formatCurrency(value)}
+  </td>
+);
+
+/**
+ * Tornado chart of how much the forecast-year market moves when each
+ * region's or segment's growth is lowered or raised
+ * @param {Object} data - Processed market data
+ * @param {Object} scenario - Scenario the perturbations are added to
+ * @param {Array<number>} years - Consecutive years, base year first
+ * @param {Function} baseline - Scenario baseline (see buildScenarioTimeSeries)
+ */
+const SensitivityPanel = ({ data, scenario, years, baseline }) => {
+  const [perturbation, setPerturbation] = useState(10);
+  const [dimension, setDimension] = useState('all');
+
+  const sensitivity = useMemo(
+    () => runSensitivity(data, scenario, years, { perturbation, baseline }),
+    [data, scenario, years, perturbation, baseline]
+  );
+
+  const dimensions = [...new Set(sensitivity.results.map(result => result.dimension))];
+  const results = dimension === 'all'
+    ? sensitivity.results
+    : sensitivity.results.filter(result => result.dimension === dimension);
+
+  const chartData = results.map(result => ({
+    name: shortLabel(dimension === 'all' ? `${result.label} (${result.dimension})` : result.label),
+    Decrease: result.lowChange,
+    Increase: result.highChange
+  }));
+
+  const handleExport = () => {
+    const unitLabel = getDisplayUnitLabel();
+    const { forecastYear } = sensitivity;
+    const rows = sensitivity.results.map(result => ({
+      'Driver': result.label,
+      'Dimension': result.dimension,
+      'CAGR (%)': result.cagr.toFixed(2),
+      [`Market Size ${forecastYear} at -${perturbation}% growth (${unitLabel})`]: toDisplayValue(result.low).toFixed(4),
+      [`Market Size ${forecastYear} at +${perturbation}% growth (${unitLabel})`]: toDisplayValue(result.high).toFixed(4),
+      [`Change at -${perturbation}% (${unitLabel})`]: toDisplayValue(result.lowChange).toFixed(4),
+      [`Change at +${perturbation}% (${unitLabel})`]: toDisplayValue(result.highChange).toFixed(4),
+      [`Swing (${unitLabel})`]: toDisplayValue(result.swing).toFixed(4)
+    }));
+    const filename = `sensitivity-${forecastYear}-${perturbation}pct`;
+
+    downloadCSV(rows, filename);
+    auditLogService.record({
+      action: 'export',
+      summary: `Exported ${filename}.csv`,
+      details: `${rows.length} sensitivity drivers, ${scenario.name} scenario`,
+      ...getAuditTarget(data)
+    });
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-3">
+          <CardTitle className="flex items-center space-x-2">
+            <Tornado className="w-5 h-5" />
+            <span>Sensitivity Analysis</span>
+          </CardTitle>
+          <div className="flex flex-wrap items-end gap-3">
+            <div>
+              <Label htmlFor="sensitivity-size" className="text-xs">Growth change</Label>
+              <Select id="sensitivity-size" value={perturbation} onChange={(e) => setPerturbation(Number(e.target.value))}>
+                {PERTURBATION_SIZES.map(size => <option key={size} value={size}>±{size}%</option>)}
+              </Select>
+            </div>
+            <div>
+              <Label htmlFor="sensitivity-dimension" className="text-xs">Drivers</Label>
+              <Select id="sensitivity-dimension" value={dimension} onChange={(e) => setDimension(e.target.value)}>
+                <option value="all">All</option>
+                {dimensions.map(name => <option key={name} value={name}>{name}</option>)}
+              </Select>
+            </div>
+            <Button variant="outline" size="sm" onClick={handleExport} disabled={sensitivity.results.length === 0}>
+              <Download className="w-4 h-4 mr-1" />
+              Export CSV
+            </Button>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent>
+        <div className="space-y-6">
+          <TornadoChart
+            data={chartData}
+            title={`Market Size ${sensitivity.forecastYear}: ${formatCurrency(sensitivity.baseValue)}`}
+            description={`Change when each driver's growth is ${perturbation}% lower or higher, ${scenario.name} scenario`}
+          />
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="border-b text-left text-xs uppercase text-gray-500">
+                  <th className="py-2 pr-4">Driver</th>
+                  <th className="py-2 pr-4">Dimension</th>
+                  <th className="py-2 pr-4 text-right">CAGR</th>
+                  <th className="py-2 pr-4 text-right">−{perturbation}%</th>
+                  <th className="py-2 pr-4 text-right">+{perturbation}%</th>
+                  <th className="py-2 text-right">Swing</th>
+                </tr>
+              </thead>
+              <tbody>
+                {results.map(result => (
+                  <tr key={result.key} className="border-b last:border-0">
+                    <td className="py-2 pr-4 font-medium text-gray-900">{result.label}</td>
+                    <td className="py-2 pr-4 text-gray-600">{result.dimension}</td>
+                    <td className="py-2 pr-4 text-right">{formatPercentage(result.cagr)}</td>
+                    <ChangeCell value={result.lowChange} />
+                    <ChangeCell value={result.highChange} />
+                    <td className="py-2 text-right">{formatCurrency(result.swing)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="text-xs text-gray-500 mt-2">
+              Growth rates are scaled in every year of the window. Every driver is measured on the global market.
+            </p>
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default SensitivityPanel;
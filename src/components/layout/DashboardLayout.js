@@ -24,10 +24,18 @@ import {
   ChevronDown,
   ChevronRight,
   Upload,
-  RefreshCw
+  RefreshCw,
+  Calendar,
+  DollarSign,
+  History
 } from 'lucide-react';
-import { Button, Badge } from '@/components/ui';
-import { cn } from '@/lib/utils';
+import { Button, Badge, Select } from '@/components/ui';
+import { useMarketData } from '@/hooks/useMarketData';
+import { useDatasets } from '@/hooks/useDatasets';
+import { useLiveMode } from '@/hooks/useLiveMode';
+import LiveUpdateToasts from '@/components/layout/LiveUpdateToasts';
+import { cn, formatCurrency, formatPercentage, formatYearRange } from '@/lib/utils';
+import { FX_RATES } from '@/utils/valueUnits';
 
 const navigation = [
   {
@@ -77,6 +85,8 @@ const navigation = [
 
 const DashboardSidebar = ({ isOpen, setIsOpen }) => {
   const pathname = usePathname();
+  const { data: marketData } = useMarketData();
+  const overview = marketData?.overview;
 
   return (
     <>
@@ -122,15 +132,19 @@ const DashboardSidebar = ({ isOpen, setIsOpen }) => {
         {/* Market Info */}
         <div className="p-6 bg-gradient-to-r from-primary-50 to-secondary-50 border-b border-gray-200">
           <h3 className="font-semibold text-gray-900 mb-2">Current Study</h3>
-          <p className="text-sm text-gray-600 mb-3">Global Skin Boosters Market</p>
+          <p className="text-sm text-gray-600 mb-3">{overview?.marketName || 'Loading market...'}</p>
           <div className="grid grid-cols-2 gap-4 text-xs">
             <div>
-              <p className="text-gray-500">Market Size 2032</p>
-              <p className="font-semibold text-primary-600">$3.2B</p>
+              <p className="text-gray-500">Market Size {overview?.forecastYear}</p>
+              <p className="font-semibold text-primary-600">
+                {overview ? formatCurrency(overview.marketSizeForecast) : '-'}
+              </p>
             </div>
             <div>
-              <p className="text-gray-500">CAGR 2024-32</p>
-              <p className="font-semibold text-secondary-600">11.8%</p>
+              <p className="text-gray-500">CAGR {formatYearRange(overview?.baseYear, overview?.forecastYear, true)}</p>
+              <p className="font-semibold text-secondary-600">
+                {overview ? formatPercentage(overview.cagr) : '-'}
+              </p>
             </div>
           </div>
         </div>
@@ -210,6 +224,144 @@ const DashboardSidebar = ({ isOpen, setIsOpen }) => {
   );
 };
 
+const DatasetSwitcher = () => {
+  const { datasets, activeDatasetId, switchDataset, switching } = useDatasets();
+
+  return (
+    <Select
+      value={activeDatasetId || ''}
+      onChange={(e) => switchDataset(e.target.value)}
+      disabled={switching || datasets.length < 2}
+      className="h-9 max-w-[220px] text-xs"
+      aria-label="Active dataset"
+    >
+      {datasets.map(dataset => (
+        <option key={dataset.id} value={dataset.id}>
+          {dataset.marketName}{dataset.source === 'upload' ? ' (uploaded)' : ''}
+        </option>
+      ))}
+    </Select>
+  );
+};
+
+const YearWindowSelector = () => {
+  const { data: marketData, setYearWindow } = useMarketData();
+  const { baseYear, forecastYear, availableYears = [] } = marketData?.overview || {};
+
+  if (availableYears.length < 2) return null;
+
+  return (
+    <div className="hidden lg:flex items-center space-x-2">
+      <Calendar className="w-4 h-4 text-gray-400" />
+      <Select
+        value={baseYear}
+        onChange={(e) => setYearWindow(Number(e.target.value), forecastYear)}
+        className="h-9 w-[84px] text-xs"
+        aria-label="Base year"
+      >
+        {availableYears.filter(year => year < forecastYear).map(year => (
+          <option key={year} value={year}>{year}</option>
+        ))}
+      </Select>
+      <span className="text-xs text-gray-400">to</span>
+      <Select
+        value={forecastYear}
+        onChange={(e) => setYearWindow(baseYear, Number(e.target.value))}
+        className="h-9 w-[84px] text-xs"
+        aria-label="Forecast year"
+      >
+        {availableYears.filter(year => year > baseYear).map(year => (
+          <option key={year} value={year}>{year}</option>
+        ))}
+      </Select>
+    </div>
+  );
+};
+
+const DISPLAY_UNIT_OPTIONS = ['Thousand', 'Million', 'Billion'];
+
+const DisplayUnitSelector = () => {
+  const { displayUnits, setDisplayUnits } = useMarketData();
+  const { currency, unit, measure } = displayUnits;
+
+  return (
+    <div className="hidden lg:flex items-center space-x-2">
+      <DollarSign className="w-4 h-4 text-gray-400" />
+      {measure !== 'volume' && (
+        <Select
+          value={currency}
+          onChange={(e) => setDisplayUnits(e.target.value, unit)}
+          className="h-9 w-[84px] text-xs"
+          aria-label="Display currency"
+        >
+          {Object.keys(FX_RATES).map(code => (
+            <option key={code} value={code}>{code}</option>
+          ))}
+        </Select>
+      )}
+      <Select
+        value={unit}
+        onChange={(e) => setDisplayUnits(currency, e.target.value)}
+        className="h-9 w-[100px] text-xs"
+        aria-label="Display unit"
+      >
+        {DISPLAY_UNIT_OPTIONS.map(option => (
+          <option key={option} value={option}>{option}</option>
+        ))}
+      </Select>
+    </div>
+  );
+};
+
+// Shown while the dashboards display an older version of the active dataset
+const VersionBanner = () => {
+  const { data: marketData } = useMarketData();
+  const { switchDataset, switching } = useDatasets();
+  const version = marketData?.metadata?.version;
+
+  if (!version || version.isLatest) return null;
+
+  return (
+    <div className="bg-yellow-50 border-b border-yellow-200 px-4 lg:px-6 py-2 flex items-center justify-between gap-4 flex-shrink-0">
+      <div className="flex items-center space-x-2 text-sm text-yellow-800">
+        <History className="w-4 h-4 flex-shrink-0" />
+        <span>
+          Viewing {marketData.overview.marketName} as of version {version.version}
+          {' '}({new Date(version.createdAt).toLocaleString()})
+        </span>
+      </div>
+      <Button
+        variant="outline"
+        size="sm"
+        onClick={() => switchDataset(version.datasetId)}
+        disabled={switching}
+      >
+        Return to latest
+      </Button>
+    </div>
+  );
+};
+
+const LIVE_STATUS_STYLES = {
+  connected: { label: 'Data Live', container: 'bg-green-50 border-green-200', dot: 'bg-green-500 animate-pulse', text: 'text-green-700' },
+  connecting: { label: 'Connecting', container: 'bg-yellow-50 border-yellow-200', dot: 'bg-yellow-500 animate-pulse', text: 'text-yellow-700' },
+  error: { label: 'Live Offline', container: 'bg-red-50 border-red-200', dot: 'bg-red-500', text: 'text-red-700' },
+  off: { label: 'Static Data', container: 'bg-gray-50 border-gray-200', dot: 'bg-gray-400', text: 'text-gray-600' }
+};
+
+// Live Mode connection state (toggled on the Data Management page)
+const LiveStatusIndicator = () => {
+  const { enabled, status } = useLiveMode();
+  const style = LIVE_STATUS_STYLES[enabled ? status : 'off'] || LIVE_STATUS_STYLES.off;
+
+  return (
+    <div className={cn("hidden sm:flex items-center space-x-2 px-3 py-2 border rounded-lg", style.container)}>
+      <div className={cn("w-2 h-2 rounded-full", style.dot)} />
+      <span className={cn("text-xs font-medium", style.text)}>{style.label}</span>
+    </div>
+  );
+};
+
 const DashboardHeader = ({ onMenuClick, title, breadcrumb }) => {
   return (
     <header className="bg-white border-b border-gray-200 px-4 lg:px-6 py-4 flex-shrink-0">
@@ -252,12 +404,19 @@ const DashboardHeader = ({ onMenuClick, title, breadcrumb }) => {
             />
           </div>
 
-          {/* Data Status Indicator */}
-          <div className="hidden sm:flex items-center space-x-2 px-3 py-2 bg-green-50 border border-green-200 rounded-lg">
-            <div className="w-2 h-2 bg-green-500 rounded-full animate-pulse" />
-            <span className="text-xs text-green-700 font-medium">Data Live</span>
+          {/* Dataset Switcher */}
+          <div className="hidden md:flex items-center space-x-2">
+            <Database className="w-4 h-4 text-gray-400" />
+            <DatasetSwitcher />
           </div>
 
+          {/* Base / Forecast Years */}
+          <YearWindowSelector />
+          <DisplayUnitSelector />
+
+          {/* Data Status Indicator */}
+          <LiveStatusIndicator />
+
           {/* Actions */}
           <Button variant="outline" size="sm" className="hidden sm:flex">
             <Filter className="w-4 h-4 mr-2" />
@@ -295,6 +454,7 @@ const DashboardLayout = ({ children, title, breadcrumb }) => {
           title={title}
           breadcrumb={breadcrumb}
         />
+        <VersionBanner />
         
         {/* Page Content */}
         <main className="flex-1 overflow-y-auto bg-gray-50">
@@ -303,6 +463,8 @@ const DashboardLayout = ({ children, title, breadcrumb }) => {
           </div>
         </main>
       </div>
+
+      <LiveUpdateToasts />
     </div>
   );
 };
@@ -0,0 +1,122 @@
+// src/components/layout/LiveUpdateToasts.js
+'use client';
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { RefreshCw, AlertCircle, FilePlus, X } from 'lucide-react';
+import { useLiveMode } from '@/hooks/useLiveMode';
+import { formatCurrency, formatNumber, formatPercentage, cn } from '@/lib/utils';
+
+const TOAST_DURATION = 8000;
+const MAX_TOASTS = 3;
+
+const TOAST_STYLES = {
+  'dataset-changed': { icon: RefreshCw, className: 'border-green-200', iconClassName: 'text-green-600' },
+  'dataset-error': { icon: AlertCircle, className: 'border-red-200', iconClassName: 'text-red-600' },
+  'file-added': { icon: FilePlus, className: 'border-blue-200', iconClassName: 'text-blue-600' }
+};
+
+/**
+ * Title and detail lines for a live change event
+ */
+const describeEvent = (event) => {
+  if (event.type === 'dataset-error') {
+    return {
+      title: `Could not reload ${event.datasetId || event.file}`,
+      lines: [event.message]
+    };
+  }
+
+  if (event.type === 'file-added') {
+    return {
+      title: `New file ${event.file}`,
+      lines: ['Add it to datasets.json to load it as a dataset.']
+    };
+  }
+
+  const { summary, overview = [] } = event;
+  const lines = [
+    `${event.file}: ${formatNumber(summary.changed)} changed, ${formatNumber(summary.added)} added, ${formatNumber(summary.removed)} removed cells`
+  ];
+
+  const marketSize = overview.find(entry => entry.field === 'marketSizeBase');
+  if (marketSize?.delta) {
+    const percent = marketSize.percentDelta !== null
+      ? ` (${marketSize.percentDelta > 0 ? '+' : ''}${formatPercentage(marketSize.percentDelta)})`
+      : '';
+    lines.push(`Base market size ${formatCurrency(marketSize.base)} → ${formatCurrency(marketSize.compare)}${percent}`);
+  }
+  if (!event.reloaded) {
+    lines.push('Dashboards keep showing the stored version of this dataset.');
+  } else {
+    lines.push(event.active ? 'Dashboards now show the new data.' : 'Switch to this dataset to see the changes.');
+  }
+
+  return { title: `${event.marketName} updated`, lines };
+};
+
+/**
+ * Notifications for Live Mode changes, shown on every dashboard page
+ */
+const LiveUpdateToasts = () => {
+  const [toasts, setToasts] = useState([]);
+
+  const dismiss = useCallback((toastId) => {
+    setToasts(current => current.filter(toast => toast.toastId !== toastId));
+  }, []);
+
+  useLiveMode({
+    onEvent: (event) => {
+      // Event ids restart with the server, so pair them with the change time
+      const toast = { ...event, toastId: `${event.id}-${event.changedAt}` };
+      setToasts(current => [...current, toast].slice(-MAX_TOASTS));
+    }
+  });
+
+  // Each toast dismisses itself after a while
+  useEffect(() => {
+    if (toasts.length === 0) return;
+
+    const timer = setTimeout(() => dismiss(toasts[0].toastId), TOAST_DURATION);
+    return () => clearTimeout(timer);
+  }, [toasts, dismiss]);
+
+  return (
+    <div className="fixed bottom-4 right-4 z-50 flex flex-col gap-3 w-[360px] max-w-[calc(100vw-2rem)]" aria-live="polite">
+      <AnimatePresence>
+        {toasts.map(toast => {
+          const { icon: Icon, className, iconClassName } = TOAST_STYLES[toast.type];
+          const { title, lines } = describeEvent(toast);
+
+          return (
+            <motion.div
+              key={toast.toastId}
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, x: 40 }}
+              className={cn('bg-white border rounded-lg shadow-lg p-4 flex items-start space-x-3', className)}
+              role="status"
+            >
+              <Icon className={cn('w-5 h-5 mt-0.5 flex-shrink-0', iconClassName)} />
+              <div className="flex-1 min-w-0">
+                <p className="font-semibold text-gray-900 text-sm">{title}</p>
+                {lines.map(line => (
+                  <p key={line} className="text-xs text-gray-600 mt-1">{line}</p>
+                ))}
+              </div>
+              <button
+                type="button"
+                onClick={() => dismiss(toast.toastId)}
+                className="text-gray-400 hover:text-gray-600"
+                aria-label="Dismiss notification"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </motion.div>
+          );
+        })}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default LiveUpdateToasts;
@@ -2,13 +2,78 @@
 // Market data now powered by real CSV data
 
 import { embeddedDataService } from '../services/embeddedDataService';
+import { datasetRegistry } from '../services/datasetRegistry';
+import { datasetVersionService } from '../services/datasetVersionService';
+import { auditLogService } from '../services/auditLogService';
+import { applyYearWindow } from '../utils/yearWindow';
+import { updateDisplayUnits } from '../utils/valueUnits';
 
 // Initialize the data processing
 let marketDataPromise = null;
 let cachedMarketData = null;
+let selectedYearWindow = null;
+const marketDataListeners = new Set();
 
 /**
- * Get market data - processes embedded CSV on first call
+ * Apply the user-selected base/forecast years, keeping the dataset's own
+ * defaults for any year it does not cover
+ */
+const withSelectedYearWindow = (data) => {
+  if (!selectedYearWindow) {
+    return data;
+  }
+
+  const { baseYear, forecastYear, availableYears = [] } = data.overview;
+
+  return applyYearWindow(data, {
+    baseYear: availableYears.includes(selectedYearWindow.baseYear) ? selectedYearWindow.baseYear : baseYear,
+    forecastYear: availableYears.includes(selectedYearWindow.forecastYear) ? selectedYearWindow.forecastYear : forecastYear
+  });
+};
+
+/**
+ * Load processed data for a registered dataset
+ */
+const loadDataset = async (dataset) => {
+  // Uploaded (and edited) datasets carry their processed data
+  if (dataset.data) {
+    return withSelectedYearWindow(dataset.data);
+  }
+
+  // Edits and rollbacks of a manifest dataset are stored versions; the newest replaces the file
+  const latest = await getLatestStoredVersion(dataset.id);
+  if (latest) {
+    const data = withVersion(latest.data, latest, true);
+    datasetRegistry.registerDataset({ id: dataset.id }, data);
+    return withSelectedYearWindow(data);
+  }
+
+  return withSelectedYearWindow(await embeddedDataService.processEmbeddedData(dataset));
+};
+
+/**
+ * Newest stored version of a dataset with its data, or null
+ */
+const getLatestStoredVersion = async (datasetId) => {
+  try {
+    const latest = await datasetVersionService.getLatestVersion(datasetId);
+    return latest && await datasetVersionService.getVersion(latest.id);
+  } catch (error) {
+    console.warn('Failed to load the latest stored version:', error);
+    return null;
+  }
+};
+
+/**
+ * Load the active dataset from the registry
+ */
+const loadActiveDataset = async () => {
+  await datasetRegistry.loadManifest();
+  return loadDataset(datasetRegistry.getActiveDataset());
+};
+
+/**
+ * Get market data - processes the active dataset on first call
  */
 export const getMarketData = async () => {
   if (cachedMarketData) {
@@ -16,10 +81,16 @@ export const getMarketData = async () => {
   }
 
   if (!marketDataPromise) {
-    marketDataPromise = embeddedDataService.processEmbeddedData();
+    marketDataPromise = loadActiveDataset();
   }
 
-  cachedMarketData = await marketDataPromise;
+  const data = await marketDataPromise;
+
+  // A dataset switch may have landed while the initial load was in flight
+  if (!cachedMarketData) {
+    cachedMarketData = data;
+    updateDisplayUnits({ measure: data.overview.measure || 'value' });
+  }
   return cachedMarketData;
 };
 
@@ -37,6 +108,258 @@ export const isMarketDataLoaded = () => {
   return cachedMarketData !== null;
 };
 
+/**
+ * Replace the active market data (e.g. after committing an uploaded CSV)
+ * and notify every subscribed dashboard page
+ */
+export const setMarketData = (data) => {
+  cachedMarketData = data;
+  marketDataPromise = Promise.resolve(data);
+  updateDisplayUnits({ measure: data.overview.measure || 'value' });
+
+  Object.assign(marketData, data);
+  updateDerivedData(data);
+
+  marketDataListeners.forEach(listener => listener(data));
+};
+
+/**
+ * Switch the active dataset and update every dashboard page
+ * @param {string} datasetId - Registered dataset id
+ * @returns {Promise<Object>} Processed market data for the dataset
+ */
+export const selectDataset = async (datasetId) => {
+  await datasetRegistry.loadManifest();
+
+  const dataset = datasetRegistry.getDataset(datasetId);
+  if (!dataset) {
+    throw new Error(`Unknown dataset: ${datasetId}`);
+  }
+
+  const data = await loadDataset(dataset);
+  datasetRegistry.setActiveDatasetId(datasetId);
+  setMarketData(data);
+
+  auditLogService.record({
+    action: 'settings',
+    summary: `Switched to ${dataset.marketName || datasetId}`,
+    datasetId,
+    version: data.metadata?.version?.id || null
+  });
+
+  return data;
+};
+
+/**
+ * Whether a dataset is shown from a stored version (one opened with
+ * viewVersion, or a committed edit or rollback) rather than its file
+ * @param {string} datasetId - Dataset id
+ */
+export const isShowingStoredVersion = (datasetId) => (
+  Boolean(datasetRegistry.getDataset(datasetId)?.data) ||
+  (datasetRegistry.getActiveDatasetId() === datasetId && Boolean(cachedMarketData?.metadata?.version))
+);
+
+/**
+ * Reload a manifest dataset whose file changed on the server; every
+ * dashboard page updates when it is the active dataset
+ * @param {string} datasetId - Manifest dataset id
+ * @returns {Promise<Object|null>} Reloaded market data, or null for unknown or
+ *   uploaded datasets and for datasets shown from a stored version
+ */
+export const reloadDataset = async (datasetId) => {
+  await datasetRegistry.loadManifest();
+
+  const dataset = datasetRegistry.getDataset(datasetId);
+  if (!dataset || dataset.source !== 'manifest' || isShowingStoredVersion(datasetId)) {
+    return null;
+  }
+
+  const data = await embeddedDataService.reloadData(dataset);
+  if (datasetRegistry.getActiveDatasetId() === datasetId) {
+    setMarketData(withSelectedYearWindow(data));
+  }
+
+  return data;
+};
+
+/**
+ * Tag processed data with the stored version it corresponds to
+ */
+const withVersion = (data, version, isLatest) => ({
+  ...data,
+  metadata: {
+    ...data.metadata,
+    version: {
+      id: version.id,
+      datasetId: version.datasetId,
+      version: version.version,
+      createdAt: version.createdAt,
+      contentHash: version.contentHash,
+      isLatest
+    }
+  }
+});
+
+/**
+ * Register an uploaded dataset, store it as a new immutable version and
+ * make it the active one
+ * @param {Object} dataset - Dataset descriptor (id, marketName, ...)
+ * @param {Object} data - Processed market data
+ * @param {Object} versionInfo - { note, author, rowCount, source, restoredFrom };
+ *   source is 'upload' (default), 'edit' or 'rollback'
+ * @returns {Promise<Object>} Active market data tagged with its version
+ */
+export const addUploadedDataset = async (dataset, data, versionInfo = {}) => {
+  let versionedData = data;
+  let version = null;
+  let versionError = null;
+
+  try {
+    version = await datasetVersionService.saveVersion(dataset, data, versionInfo);
+    versionedData = withVersion(data, version, true);
+  } catch (error) {
+    console.warn('Failed to store dataset version:', error);
+    versionError = error;
+  }
+
+  datasetRegistry.registerDataset(dataset, versionedData);
+  datasetRegistry.setActiveDatasetId(dataset.id);
+  setMarketData(withSelectedYearWindow(versionedData));
+
+  const isRollback = versionInfo.source === 'rollback';
+  const marketName = dataset.marketName || dataset.id;
+  auditLogService.setUser(versionInfo.author);
+  auditLogService.record({
+    action: isRollback ? 'rollback' : 'commit',
+    summary: isRollback
+      ? `Rolled back ${marketName} to version ${versionInfo.restoredFrom?.split('@').pop()}`
+      : `${versionInfo.source === 'edit' ? 'Saved edits to' : 'Committed'} ${marketName}${version ? ` as version ${version.version}` : ''}`,
+    details: versionError
+      ? `Active, but the version could not be stored: ${versionError.message}`
+      : [versionInfo.note?.trim(), `${version.rowCount} rows`].filter(Boolean).join('; '),
+    outcome: versionError ? 'warning' : 'success',
+    datasetId: dataset.id,
+    version: version?.id || null
+  });
+
+  return versionedData;
+};
+
+/**
+ * Show every dashboard page as of a stored version, without changing
+ * the dataset's latest version
+ * @param {string} versionId - Stored version id
+ * @returns {Promise<Object>} Market data of that version
+ */
+export const viewVersion = async (versionId) => {
+  const snapshot = await datasetVersionService.getVersion(versionId);
+  const latest = await datasetVersionService.getLatestVersion(snapshot.datasetId);
+  const isLatest = latest.id === snapshot.id;
+  const data = withVersion(snapshot.data, snapshot, isLatest);
+
+  // Uploads live in memory only; bring the dataset back after a reload
+  await datasetRegistry.loadManifest();
+  if (!datasetRegistry.getDataset(snapshot.datasetId)) {
+    const latestData = isLatest
+      ? data
+      : withVersion((await datasetVersionService.getVersion(latest.id)).data, latest, true);
+    datasetRegistry.registerDataset({ id: latest.datasetId, marketName: latest.marketName }, latestData);
+  }
+
+  datasetRegistry.setActiveDatasetId(snapshot.datasetId);
+  setMarketData(withSelectedYearWindow(data));
+
+  return data;
+};
+
+/**
+ * Roll a dataset back to a stored version. History stays immutable:
+ * the old content is stored again as the dataset's newest version.
+ * @param {string} versionId - Stored version id to restore
+ * @param {Object} versionInfo - { note, author }
+ * @returns {Promise<Object>} Active market data tagged with the new version
+ */
+export const rollbackToVersion = async (versionId, versionInfo = {}) => {
+  const snapshot = await datasetVersionService.getVersion(versionId);
+
+  return addUploadedDataset(
+    { id: snapshot.datasetId, marketName: snapshot.marketName },
+    snapshot.data,
+    {
+      ...versionInfo,
+      note: versionInfo.note || `Rolled back to version ${snapshot.version}`,
+      rowCount: snapshot.rowCount,
+      source: 'rollback',
+      restoredFrom: snapshot.id
+    }
+  );
+};
+
+/**
+ * Recompute shares and CAGRs of the active dataset for a new base/forecast pair
+ * @param {number} baseYear - Base year (must exist in the dataset)
+ * @param {number} forecastYear - Forecast year (must be after the base year)
+ * @returns {Promise<Object>} Re-windowed market data
+ */
+export const setYearWindow = async (baseYear, forecastYear) => {
+  const data = await getMarketData();
+  const { availableYears = [] } = data.overview;
+
+  if (!availableYears.includes(baseYear) || !availableYears.includes(forecastYear)) {
+    throw new Error(`Years ${baseYear}-${forecastYear} are not covered by the active dataset`);
+  }
+  if (forecastYear <= baseYear) {
+    throw new Error('Forecast year must be after the base year');
+  }
+
+  selectedYearWindow = { baseYear, forecastYear };
+  const windowedData = applyYearWindow(data, selectedYearWindow);
+  setMarketData(windowedData);
+
+  auditLogService.record({
+    action: 'settings',
+    summary: `Year window set to ${baseYear}-${forecastYear}`,
+    datasetId: datasetRegistry.getActiveDatasetId(),
+    version: windowedData.metadata?.version?.id || null
+  });
+
+  return windowedData;
+};
+
+/**
+ * Change the currency and unit scale values are displayed in.
+ * Data stays in USD Million; pages re-render with the new formatting.
+ * @param {string} currency - Currency code from the FX table
+ * @param {string} unit - Unit scale (Thousand, Million, Billion)
+ * @returns {Promise<Object>} Active market data
+ */
+export const setDisplayUnits = async (currency, unit) => {
+  updateDisplayUnits({ currency, unit });
+
+  const data = await getMarketData();
+  setMarketData({ ...data });
+
+  auditLogService.record({
+    action: 'settings',
+    summary: `Display units set to ${currency} ${unit}`,
+    datasetId: datasetRegistry.getActiveDatasetId(),
+    version: data.metadata?.version?.id || null
+  });
+
+  return cachedMarketData;
+};
+
+/**
+ * Subscribe to active market data changes
+ * @param {Function} listener - Called with the new market data
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToMarketData = (listener) => {
+  marketDataListeners.add(listener);
+  return () => marketDataListeners.delete(listener);
+};
+
 // For backward compatibility, export a default market data structure
 // This will be populated with real data once processed
 export const marketData = {
@@ -134,7 +457,12 @@ getMarketData().then(data => {
 });
 
 // Time Series Data Generation Function - Enhanced
-export const generateTimeSeriesData = (baseValue, cagr, startYear = 2024, endYear = 2032) => {
+export const generateTimeSeriesData = (
+  baseValue,
+  cagr,
+  startYear = marketData.overview.baseYear,
+  endYear = marketData.overview.forecastYear
+) => {
   const data = [];
   for (let year = startYear; year <= endYear; year++) {
     const value = baseValue * Math.pow(1 + cagr / 100, year - startYear);
@@ -204,14 +532,15 @@ export const marketTrends = [
   }
 ];
 
-// Update exported data objects when real data is loaded
-getMarketData().then(data => {
+// Update exported data objects from the active market data
+function updateDerivedData(data) {
   if (data.timeSeries) {
     // Update regional market data
+    regionalMarketData = {};
     Object.keys(data.timeSeries).forEach(region => {
       if (data.timeSeries[region].Type) {
         const regionTypeData = data.timeSeries[region].Type;
-        const years = [2024, 2025, 2026, 2027, 2028, 2029, 2030, 2031, 2032];
+        const years = data.overview?.availableYears || [];
         
         regionalMarketData[region] = years.map(year => {
           let totalValue = 0;
@@ -237,7 +566,10 @@ getMarketData().then(data => {
     // Update country data
     countryData = data.countries || {};
   }
-}).catch(error => {
+}
+
+// Update exported data objects when real data is loaded
+getMarketData().then(updateDerivedData).catch(error => {
   console.error('Failed to update derived data:', error);
 });
 
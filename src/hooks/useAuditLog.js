@@ -0,0 +1,41 @@
+// src/hooks/useAuditLog.js
+'use client';
+import { useState, useEffect, useCallback } from 'react';
+import { auditLogService, DEFAULT_AUDIT_USER } from '@/services/auditLogService';
+
+/**
+ * React Hook for the audit log
+ * Lists entries matching the filters and follows new ones as they are recorded
+ * @param {Object} filters - { action, outcome, datasetId, user, search, from, to }
+ */
+export const useAuditLog = (filters = {}) => {
+  const [entries, setEntries] = useState([]);
+  // Start with the default so server and client render the same markup
+  const [user, setUserState] = useState(DEFAULT_AUDIT_USER);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const { action, outcome, datasetId, user: userFilter, search, from, to } = filters;
+
+  useEffect(() => {
+    const syncFromStore = () => {
+      setUserState(auditLogService.getUser());
+      auditLogService.listEntries({ action, outcome, datasetId, user: userFilter, search, from, to })
+        .then(setEntries)
+        .catch(err => setError(err.message))
+        .finally(() => setLoading(false));
+    };
+
+    const unsubscribe = auditLogService.subscribe(syncFromStore);
+    syncFromStore();
+
+    return unsubscribe;
+  }, [action, outcome, datasetId, userFilter, search, from, to]);
+
+  const setUser = useCallback((name) => {
+    auditLogService.setUser(name);
+  }, []);
+
+  return { entries, user, setUser, loading, error };
+};
+
+export default useAuditLog;
@@ -0,0 +1,64 @@
+// src/hooks/useDatasetVersions.js
+'use client';
+import { useState, useEffect, useCallback } from 'react';
+import { datasetVersionService } from '@/services/datasetVersionService';
+import { viewVersion, rollbackToVersion } from '@/data/marketData';
+import { useMarketData } from '@/hooks/useMarketData';
+
+/**
+ * React Hook for dataset version history
+ * Lists stored versions, shows the dashboards as of one or rolls back to it
+ */
+export const useDatasetVersions = () => {
+  const { data: marketData } = useMarketData();
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [pending, setPending] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const syncFromStore = () => {
+      datasetVersionService.listVersions()
+        .then(setVersions)
+        .catch(err => setError(err.message))
+        .finally(() => setLoading(false));
+    };
+
+    const unsubscribe = datasetVersionService.subscribe(syncFromStore);
+    syncFromStore();
+
+    return unsubscribe;
+  }, []);
+
+  const runVersionAction = useCallback(async (action) => {
+    setPending(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setPending(false);
+    }
+  }, []);
+
+  const view = useCallback((versionId) => {
+    return runVersionAction(() => viewVersion(versionId));
+  }, [runVersionAction]);
+
+  const rollback = useCallback((versionId, versionInfo) => {
+    return runVersionAction(() => rollbackToVersion(versionId, versionInfo));
+  }, [runVersionAction]);
+
+  return {
+    versions,
+    activeVersion: marketData?.metadata?.version || null,
+    viewVersion: view,
+    rollbackToVersion: rollback,
+    loading,
+    pending,
+    error
+  };
+};
+
+export default useDatasetVersions;
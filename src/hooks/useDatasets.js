@@ -0,0 +1,53 @@
+// src/hooks/useDatasets.js
+'use client';
+import { useState, useEffect, useCallback } from 'react';
+import { datasetRegistry } from '@/services/datasetRegistry';
+import { selectDataset } from '@/data/marketData';
+
+/**
+ * React Hook for the dataset registry
+ * Lists available datasets and switches the active one
+ */
+export const useDatasets = () => {
+  const [datasets, setDatasets] = useState(datasetRegistry.getDatasets());
+  // Start from the default so server and client render the same markup
+  const [activeDatasetId, setActiveDatasetId] = useState(datasetRegistry.defaultDatasetId);
+  const [switching, setSwitching] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const syncFromRegistry = () => {
+      setDatasets(datasetRegistry.getDatasets());
+      setActiveDatasetId(datasetRegistry.getActiveDatasetId());
+    };
+
+    const unsubscribe = datasetRegistry.subscribe(syncFromRegistry);
+    syncFromRegistry();
+    datasetRegistry.loadManifest().then(syncFromRegistry);
+
+    return unsubscribe;
+  }, []);
+
+  const switchDataset = useCallback(async (datasetId) => {
+    setSwitching(true);
+    setError(null);
+    try {
+      await selectDataset(datasetId);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSwitching(false);
+    }
+  }, []);
+
+  return {
+    datasets,
+    activeDatasetId,
+    activeDataset: datasets.find(dataset => dataset.id === activeDatasetId) || null,
+    switchDataset,
+    switching,
+    error
+  };
+};
+
+export default useDatasets;
@@ -0,0 +1,175 @@
+// src/hooks/useGridEditor.js
+'use client';
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { csvWorkerService } from '@/services/csvWorkerService';
+import { datasetRegistry } from '@/services/datasetRegistry';
+import { getAuditTarget } from '@/services/auditLogService';
+import { addUploadedDataset } from '@/data/marketData';
+import { marketDataToGridRows, applyCellUpdates, findEditedCells, toProcessingInput } from '@/utils/gridEditing';
+import { diffMarketData } from '@/utils/datasetDiff';
+import { createLineage } from '@/utils/provenance';
+
+const HISTORY_LIMIT = 100;
+const RECOMPUTE_DELAY = 300;
+
+/**
+ * Process the edited rows into market data the way an upload is, keeping
+ * the overview settings and lineage of the dataset being edited
+ */
+const processEdits = async (source, grid, rows, edited, signal) => {
+  const { overview = {}, metadata = {} } = source;
+  const input = toProcessingInput(rows, grid.columns, edited);
+  const file = metadata.lineage?.file ?? metadata.fileName ?? null;
+
+  const result = await csvWorkerService.process(input.rows, {
+    marketName: overview.marketName,
+    keyDrivers: overview.keyDrivers,
+    keyRestraints: overview.keyRestraints,
+    baseYear: overview.baseYear,
+    forecastYear: overview.forecastYear
+  }, { signal, source: { file, sourceRows: input.sourceRows } });
+
+  const data = {
+    ...result.data,
+    overview: { ...overview, ...result.data.overview },
+    metadata: {
+      ...result.metadata,
+      // Points still refer to the rows of the original file
+      lineage: metadata.lineage || createLineage({ file }, grid.valueColumn, result.metadata.valueUnit),
+      fileName: metadata.fileName,
+      processedAt: new Date().toISOString(),
+      dataSource: 'edited',
+      datasetId: getAuditTarget(source).datasetId
+    }
+  };
+
+  return { data, validationResults: result.validationResults, diff: diffMarketData(source, data) };
+};
+
+/**
+ * React Hook for editing the long-format rows of a dataset
+ * Keeps undo/redo history, recomputes every derived metric shortly after
+ * each edit and saves the result as a new dataset version
+ * @param {Object} data - Processed market data to edit; later changes are ignored
+ */
+export const useGridEditor = (data) => {
+  const [source] = useState(data);
+  const [grid] = useState(() => marketDataToGridRows(data));
+  const [history, setHistory] = useState({ past: [], present: grid.rows, future: [] });
+  const [preview, setPreview] = useState(null);
+  const [recomputing, setRecomputing] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const rows = history.present;
+
+  const edited = useMemo(() => findEditedCells(grid.rows, rows, grid.columns), [grid, rows]);
+
+  useEffect(() => {
+    if (edited.size === 0) {
+      setPreview(null);
+      setRecomputing(false);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    setRecomputing(true);
+
+    const timer = setTimeout(() => {
+      processEdits(source, grid, rows, edited, controller.signal)
+        .then(result => {
+          setPreview(result);
+          setError(null);
+        })
+        .catch(err => {
+          if (err.name !== 'AbortError') setError(err.message);
+        })
+        .finally(() => {
+          if (!controller.signal.aborted) setRecomputing(false);
+        });
+    }, RECOMPUTE_DELAY);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [source, grid, rows, edited]);
+
+  const updateCells = useCallback((updates) => {
+    setHistory(current => {
+      const next = applyCellUpdates(current.present, updates);
+      if (next === current.present) return current;
+
+      return {
+        past: [...current.past, current.present].slice(-HISTORY_LIMIT),
+        present: next,
+        future: []
+      };
+    });
+  }, []);
+
+  const undo = useCallback(() => {
+    setHistory(current => {
+      if (current.past.length === 0) return current;
+
+      return {
+        past: current.past.slice(0, -1),
+        present: current.past[current.past.length - 1],
+        future: [current.present, ...current.future]
+      };
+    });
+  }, []);
+
+  const redo = useCallback(() => {
+    setHistory(current => {
+      if (current.future.length === 0) return current;
+
+      return {
+        past: [...current.past, current.present],
+        present: current.future[0],
+        future: current.future.slice(1)
+      };
+    });
+  }, []);
+
+  // Store the recomputed data as the dataset's newest version and switch every page to it
+  const save = useCallback(async ({ note, author }) => {
+    if (!preview) return false;
+
+    setSaving(true);
+    setError(null);
+    try {
+      const { datasetId } = preview.data.metadata;
+      await addUploadedDataset(
+        { id: datasetId, marketName: datasetRegistry.getDataset(datasetId)?.marketName || source.overview?.marketName },
+        preview.data,
+        { note, author, rowCount: rows.length, source: 'edit' }
+      );
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  }, [preview, rows, source]);
+
+  return {
+    columns: grid.columns,
+    valueColumn: grid.valueColumn,
+    rows,
+    originalRows: grid.rows,
+    edited,
+    updateCells,
+    undo,
+    redo,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+    preview: edited.size > 0 ? preview : null,
+    recomputing,
+    save,
+    saving,
+    error
+  };
+};
+
+export default useGridEditor;
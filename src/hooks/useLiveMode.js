@@ -0,0 +1,44 @@
+// src/hooks/useLiveMode.js
+'use client';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { liveUpdateService } from '@/services/liveUpdateService';
+
+/**
+ * React Hook for Live Mode
+ * Reports the live connection state, toggles it, and optionally receives
+ * each change event once its dataset has been reloaded
+ * @param {Object} options - { onEvent }
+ */
+export const useLiveMode = (options = {}) => {
+  // Start off so server and client render the same markup
+  const [state, setState] = useState({ enabled: false, status: 'off', lastSync: null });
+  const onEventRef = useRef(options.onEvent);
+
+  useEffect(() => {
+    onEventRef.current = options.onEvent;
+  });
+
+  useEffect(() => {
+    const unsubscribe = liveUpdateService.subscribe(setState);
+    liveUpdateService.start();
+    setState(liveUpdateService.getState());
+
+    return unsubscribe;
+  }, []);
+
+  useEffect(() => {
+    return liveUpdateService.subscribeToEvents(event => onEventRef.current?.(event));
+  }, []);
+
+  const setEnabled = useCallback((enabled) => {
+    liveUpdateService.setEnabled(enabled);
+  }, []);
+
+  return {
+    ...state,
+    isLive: state.enabled && state.status === 'connected',
+    setEnabled
+  };
+};
+
+export default useLiveMode;
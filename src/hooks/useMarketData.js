@@ -1,7 +1,16 @@
 // src/hooks/useMarketData.js
 'use client';
 import { useState, useEffect } from 'react';
-import { getMarketData, getMarketDataSync, isMarketDataLoaded } from '@/data/marketData';
+import {
+  getMarketData,
+  getMarketDataSync,
+  isMarketDataLoaded,
+  addUploadedDataset,
+  setYearWindow,
+  setDisplayUnits,
+  subscribeToMarketData
+} from '@/data/marketData';
+import { getDisplayUnits } from '@/utils/valueUnits';
 
 /**
  * React Hook for Market Data
@@ -28,6 +37,15 @@ export const useMarketData = () => {
     }
   }, []);
 
+  // Follow dataset swaps (e.g. a committed CSV upload) made from any page
+  useEffect(() => {
+    return subscribeToMarketData(marketData => {
+      setData(marketData);
+      setError(null);
+      setLoading(false);
+    });
+  }, []);
+
   const refreshData = async () => {
     setLoading(true);
     setError(null);
@@ -41,13 +59,44 @@ export const useMarketData = () => {
     }
   };
 
+  // Register a committed upload as a new dataset version and switch every page to it
+  const commitData = async (dataset, marketData, versionInfo) => {
+    try {
+      await addUploadedDataset(dataset, marketData, versionInfo);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Recompute every page for a new base/forecast year pair
+  const changeYearWindow = async (baseYear, forecastYear) => {
+    try {
+      await setYearWindow(baseYear, forecastYear);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Switch the display currency/unit scale on every page
+  const changeDisplayUnits = async (currency, unit) => {
+    try {
+      await setDisplayUnits(currency, unit);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
   return { 
     data, 
     loading, 
     error, 
     refreshData,
+    commitData,
+    setYearWindow: changeYearWindow,
+    displayUnits: getDisplayUnits(),
+    setDisplayUnits: changeDisplayUnits,
     isLoaded: isMarketDataLoaded()
   };
 };
 
-export default useMarketData;
\ No newline at end of file
+export default useMarketData;
@@ -2,7 +2,9 @@
 'use client';
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { csvDataService } from '@/services/csvDataService';
-import { dataTransformer } from '@/utils/dataTransformation';
+import { csvWorkerService } from '@/services/csvWorkerService';
+import { apiDataSourceService } from '@/services/apiDataSourceService';
+import { reconcileMarketData } from '@/utils/reconciliation';
 
 /**
  * Real-time Data Synchronization Hook
@@ -26,44 +28,122 @@ export const useRealTimeData = (options = {}) => {
   const [validationResults, setValidationResults] = useState(null);
   const [dataSource, setDataSource] = useState('static');
   const [syncStatus, setSyncStatus] = useState('idle'); // 'idle', 'syncing', 'error', 'success'
+  const [progress, setProgress] = useState(null); // { phase, rowsProcessed, totalRows, percent }
 
   // Refs for cleanup
   const refreshIntervalRef = useRef(null);
   const abortControllerRef = useRef(null);
+  const isFeedLoadingRef = useRef(false);
 
   /**
-   * Load data from CSV file or URL
+   * Cache the latest data for reloads within the session
+   */
+  const cacheData = useCallback((processedData, sourceType) => {
+    if (!enableCaching || typeof window === 'undefined') return;
+
+    try {
+      sessionStorage.setItem('marketDataCache', JSON.stringify({
+        data: processedData,
+        timestamp: new Date().toISOString(),
+        source: sourceType
+      }));
+    } catch (cacheError) {
+      console.warn('Failed to cache data:', cacheError);
+    }
+  }, [enableCaching]);
+
+  /**
+   * Load a JSON feed (see utils/dataFeed). Unchanged feeds leave state
+   * untouched, so polling does not re-render consumers.
+   */
+  const loadFeed = useCallback(async (url) => {
+    // Let a slow feed request finish rather than restarting it on every poll
+    if (isFeedLoadingRef.current) {
+      return null;
+    }
+
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    abortControllerRef.current = new AbortController();
+    const { signal } = abortControllerRef.current;
+    isFeedLoadingRef.current = true;
+
+    try {
+      const feed = await apiDataSourceService.load(url, { signal, onProgress: setProgress });
+      setError(null);
+      setSyncStatus('success');
+
+      if (!feed.changed) {
+        return feed.data;
+      }
+
+      setData(feed.data);
+      setValidationResults(feed.validationResults);
+      setDataSource('api');
+      setLastUpdated(new Date(feed.fetchedAt));
+      cacheData(feed.data, 'api');
+
+      if (onDataUpdate) {
+        onDataUpdate(feed.data, feed.validationResults);
+      }
+
+      return feed.data;
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        setError(`Failed to load feed: ${err.message}`);
+        setSyncStatus('error');
+        if (err.validationResults) {
+          setValidationResults(err.validationResults);
+        }
+
+        if (onError) {
+          onError(err);
+        }
+      }
+      throw err;
+    } finally {
+      isFeedLoadingRef.current = false;
+      setProgress(null);
+    }
+  }, [cacheData, onDataUpdate, onError]);
+
+  /**
+   * Load data from CSV file or URL, or a JSON feed URL with sourceType 'api'
    */
   const loadData = useCallback(async (source, sourceType = 'file') => {
+    if (sourceType === 'api') {
+      return loadFeed(source);
+    }
+
     // Cancel any ongoing request
     if (abortControllerRef.current) {
       abortControllerRef.current.abort();
     }
 
     abortControllerRef.current = new AbortController();
+    const { signal } = abortControllerRef.current;
     
     try {
       setIsLoading(true);
       setError(null);
       setSyncStatus('syncing');
+      setProgress(null);
 
       let processedData;
+      let loadValidationResults = null;
       
       if (sourceType === 'csv' || sourceType === 'file') {
-        // Process CSV data
-        const rawData = await csvDataService.loadCSVData(source);
-        
+        // Parse, validate and transform off the main thread with row-count progress
+        const transformationResult = await csvDataService.loadCSVData(source, {}, { signal, onProgress: setProgress });
+        processedData = transformationResult.data;
+
         if (enableValidation) {
-          const transformationResult = await dataTransformer.processCSVData(
-            csvDataService.csvData || []
-          );
-          processedData = transformationResult.data;
-          setValidationResults(transformationResult.validationResults);
-        } else {
-          processedData = rawData;
+          loadValidationResults = transformationResult.validationResults;
+          setValidationResults(loadValidationResults);
         }
       } else {
-        // Handle other data sources (API, etc.)
+        // Already processed market data
         processedData = source;
       }
 
@@ -73,22 +153,11 @@ export const useRealTimeData = (options = {}) => {
       setSyncStatus('success');
 
       // Cache data if enabled
-      if (enableCaching && typeof window !== 'undefined') {
-        try {
-          const cacheData = {
-            data: processedData,
-            timestamp: new Date().toISOString(),
-            source: sourceType
-          };
-          sessionStorage.setItem('marketDataCache', JSON.stringify(cacheData));
-        } catch (cacheError) {
-          console.warn('Failed to cache data:', cacheError);
-        }
-      }
+      cacheData(processedData, sourceType);
 
       // Trigger callback
       if (onDataUpdate) {
-        onDataUpdate(processedData, validationResults);
+        onDataUpdate(processedData, loadValidationResults);
       }
 
       return processedData;
@@ -106,8 +175,19 @@ export const useRealTimeData = (options = {}) => {
       throw err;
     } finally {
       setIsLoading(false);
+      setProgress(null);
+    }
+  }, [enableValidation, cacheData, loadFeed, onDataUpdate, onError]);
+
+  /**
+   * Cancel an in-flight load; its worker is terminated
+   */
+  const cancelLoad = useCallback(() => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+      setSyncStatus('idle');
     }
-}, [enableValidation, enableCaching, onDataUpdate, onError, validationResults]);
+  }, []);
 
   /**
    * Refresh current data source
@@ -115,6 +195,16 @@ export const useRealTimeData = (options = {}) => {
   const refreshData = useCallback(async () => {
     if (!data || isLoading) return;
 
+    // Feeds revalidate against their URL
+    if (dataSource === 'api' && data.metadata?.feedUrl) {
+      try {
+        await loadFeed(data.metadata.feedUrl);
+      } catch (err) {
+        console.error('Failed to refresh data:', err);
+      }
+      return;
+    }
+
     try {
       setSyncStatus('syncing');
       
@@ -129,7 +219,7 @@ export const useRealTimeData = (options = {}) => {
       console.error('Failed to refresh data:', err);
       setSyncStatus('error');
     }
-  }, [data, isLoading, dataSource, loadData]);
+  }, [data, isLoading, dataSource, loadData, loadFeed]);
 
   /**
    * Load cached data on mount
@@ -268,7 +358,7 @@ export const useRealTimeData = (options = {}) => {
   }, [data, dataSource, lastUpdated, validationResults]);
 
   /**
-   * Set up data polling for specific endpoints
+   * Poll a JSON feed URL; requests revalidate with ETag / If-Modified-Since
    */
   const startPolling = useCallback((source, interval = 60000) => {
     if (refreshIntervalRef.current) {
@@ -309,9 +399,11 @@ export const useRealTimeData = (options = {}) => {
     validationResults,
     dataSource,
     syncStatus,
+    progress,
 
     // Actions
     loadData,
+    cancelLoad,
     refreshData,
     clearData,
     exportData,
@@ -363,7 +455,7 @@ export const useDataValidation = (data) => {
         // Check for data consistency
         if (data.overview && data.regions) {
           const totalRegionalShare = data.regions.reduce(
-            (sum, region) => sum + (region.marketShare2032 || 0), 0
+            (sum, region) => sum + (region.marketShareForecast || 0), 0
           );
           
           if (Math.abs(totalRegionalShare - 100) > 5) {
@@ -371,6 +463,14 @@ export const useDataValidation = (data) => {
           }
         }
 
+        // Check that regions, segment dimensions and countries add up
+        if (data.timeSeries) {
+          const { summary } = reconcileMarketData(data);
+          if (!summary.passed) {
+            warnings.push(`${summary.discrepancies} reconciliation discrepancies (${summary.errors} errors)`);
+          }
+        }
+
         setValidationErrors(errors);
         setValidationWarnings(warnings);
         setValidationStatus(errors.length > 0 ? 'failed' : 'passed');
@@ -396,38 +496,67 @@ export const useDataValidation = (data) => {
 
 /**
  * Hook for data transformation monitoring
+ * Runs parsing and transformation in a Web Worker with row-count progress
  */
 export const useDataTransformation = () => {
   const [transformationStatus, setTransformationStatus] = useState('idle');
   const [transformationProgress, setTransformationProgress] = useState(0);
+  const [progressDetails, setProgressDetails] = useState(null);
+  const abortControllerRef = useRef(null);
 
+  /**
+   * Transform parsed rows, or parse and transform a File/URL first
+   * @param {Array|File|string} rawData - Parsed rows or a CSV source
+   * @param {Object} options - { dataset } descriptor passed to the transformer
+   */
   const transformData = useCallback(async (rawData, options = {}) => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    abortControllerRef.current = new AbortController();
+    const { signal } = abortControllerRef.current;
+
+    const onProgress = (progress) => {
+      setProgressDetails(progress);
+      if (progress.percent !== null) {
+        setTransformationProgress(progress.percent);
+      }
+    };
+
     try {
       setTransformationStatus('processing');
       setTransformationProgress(0);
 
-      // Simulate progress updates
-      const progressInterval = setInterval(() => {
-        setTransformationProgress(prev => Math.min(prev + 10, 90));
-      }, 100);
+      const rows = Array.isArray(rawData)
+        ? rawData
+        : (await csvWorkerService.parse(rawData, { signal, onProgress })).rows;
+      const result = await csvWorkerService.process(rows, options.dataset, { signal, onProgress });
 
-      const result = await dataTransformer.processCSVData(rawData);
-
-      clearInterval(progressInterval);
       setTransformationProgress(100);
       setTransformationStatus('completed');
 
       return result;
     } catch (err) {
-      setTransformationStatus('failed');
+      setTransformationStatus(err.name === 'AbortError' ? 'cancelled' : 'failed');
       throw err;
     }
   }, []);
 
+  const cancelTransformation = useCallback(() => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+  }, []);
+
+  // Stop any running worker on unmount
+  useEffect(() => cancelTransformation, [cancelTransformation]);
+
   return {
     transformationStatus,
     transformationProgress,
-    transformData
+    progressDetails,
+    transformData,
+    cancelTransformation
   };
 };
 
@@ -0,0 +1,30 @@
+// src/hooks/useScenarios.js
+'use client';
+import { useState, useEffect, useCallback } from 'react';
+import { scenarioService } from '@/services/scenarioService';
+import { BUILT_IN_SCENARIOS } from '@/utils/scenarioModel';
+
+/**
+ * React Hook for growth scenarios
+ * Lists built-in and saved scenarios and saves or deletes custom ones
+ */
+export const useScenarios = () => {
+  // Start from the built-in scenarios so server and client render the same markup
+  const [scenarios, setScenarios] = useState(BUILT_IN_SCENARIOS);
+
+  useEffect(() => {
+    const sync = () => setScenarios(scenarioService.getScenarios());
+
+    const unsubscribe = scenarioService.subscribe(sync);
+    sync();
+
+    return unsubscribe;
+  }, []);
+
+  const saveScenario = useCallback((scenario) => scenarioService.saveScenario(scenario), []);
+  const deleteScenario = useCallback((id) => scenarioService.deleteScenario(id), []);
+
+  return { scenarios, saveScenario, deleteScenario };
+};
+
+export default useScenarios;
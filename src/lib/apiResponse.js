@@ -0,0 +1,73 @@
+// src/lib/apiResponse.js
+// JSON / CSV responses shared by the read-only market data API routes
+
+import Papa from 'papaparse';
+import { NextResponse } from 'next/server';
+
+const FORMATS = ['json', 'csv'];
+
+// The API is read-only, so other teams' browser tools may call it directly
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*'
+};
+
+/**
+ * Response format requested via `?format=` or the Accept header
+ * @param {Request} request - Incoming request
+ * @returns {string|null} 'json' or 'csv', or null for an unsupported ?format=
+ */
+export const getResponseFormat = (request) => {
+  const format = new URL(request.url).searchParams.get('format');
+  if (format) {
+    return FORMATS.includes(format.toLowerCase()) ? format.toLowerCase() : null;
+  }
+
+  const accept = request.headers.get('accept') || '';
+  return accept.includes('text/csv') && !accept.includes('application/json') ? 'csv' : 'json';
+};
+
+/**
+ * JSON error body with the given status
+ */
+export const errorResponse = (status, message) => {
+  return NextResponse.json({ error: message }, { status, headers: CORS_HEADERS });
+};
+
+/**
+ * Respond with JSON or CSV depending on the requested format
+ * @param {Request} request - Incoming request
+ * @param {Object} body - { json, csv: { fields, rows }, filename }
+ * @returns {Response} Response in the requested format
+ */
+export const formatResponse = (request, { json, csv, filename }) => {
+  const format = getResponseFormat(request);
+
+  if (!format) {
+    return errorResponse(400, `Unsupported format; use one of ${FORMATS.join(', ')}`);
+  }
+
+  if (format === 'csv') {
+    const text = Papa.unparse({
+      fields: csv.fields,
+      data: csv.rows.map(row => csv.fields.map(field => row[field] ?? ''))
+    });
+
+    return new NextResponse(text, {
+      headers: {
+        ...CORS_HEADERS,
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}.csv"`
+      }
+    });
+  }
+
+  return NextResponse.json(json, { headers: CORS_HEADERS });
+};
+
+/**
+ * Log an unexpected route failure and return a 500
+ */
+export const serverErrorResponse = (error) => {
+  console.error('Market data API request failed:', error);
+  return errorResponse(500, 'Failed to load market data');
+};
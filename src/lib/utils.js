@@ -1,35 +1,34 @@
 import { clsx } from "clsx";
 import { twMerge } from "tailwind-merge";
+import { getDisplayUnits, getUnitSuffix, toDisplayValue } from "@/utils/valueUnits";
 
 export function cn(...inputs) {
   return twMerge(clsx(inputs));
 }
 
-// Format currency values
+// Format internal values (USD Million) in the selected display currency and unit
 export const formatCurrency = (value, options = {}) => {
   const {
-    currency = 'USD',
     minimumFractionDigits = 1,
     maximumFractionDigits = 1,
-    notation = 'standard'
+    ...overrides
   } = options;
+  const units = { ...getDisplayUnits(), ...overrides };
+  const isVolume = units.measure === 'volume';
 
-  if (value >= 1000) {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency,
-      notation: 'compact',
-      minimumFractionDigits,
-      maximumFractionDigits
-    }).format(value * 1000000).replace('$', '$') + 'M';
-  }
-
-  return new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency,
+  const formatted = new Intl.NumberFormat('en-US', {
+    ...(isVolume ? {} : { style: 'currency', currency: units.currency }),
     minimumFractionDigits,
     maximumFractionDigits
-  }).format(value * 1000000);
+  }).format(toDisplayValue(value, units));
+  const suffix = getUnitSuffix(units.unit);
+
+  return isVolume ? `${formatted}${suffix} units` : `${formatted}${suffix}`;
+};
+
+// Compact currency label for chart axis ticks
+export const formatCurrencyTick = (value) => {
+  return formatCurrency(value, { minimumFractionDigits: 0, maximumFractionDigits: 1 });
 };
 
 // Format percentage values
@@ -51,6 +50,12 @@ export const formatNumber = (num) => {
   return num?.toString();
 };
 
+// Format a base/forecast year pair, e.g. "2024-2032" or "2024-32" when short
+export const formatYearRange = (startYear, endYear, short = false) => {
+  if (!startYear || !endYear) return '';
+  return `${startYear}-${short ? String(endYear).slice(-2) : endYear}`;
+};
+
 // Calculate CAGR
 export const calculateCAGR = (startValue, endValue, years) => {
   if (startValue <= 0 || endValue <= 0 || years <= 0) return 0;
@@ -202,8 +207,10 @@ export const analyzeRegionalPerformance = (regionalData) => {
 const UtilityFunctions = {
   cn,
   formatCurrency,
+  formatCurrencyTick,
   formatPercentage,
   formatNumber,
+  formatYearRange,
   calculateCAGR,
   getChartColors,
   debounce,
@@ -0,0 +1,238 @@
+// src/services/auditLogService.js
+// Persistent log of who did what to which dataset version, stored in IndexedDB
+
+import { datasetRegistry } from '@/services/datasetRegistry';
+
+const DB_NAME = 'market-pro-audit';
+const DB_VERSION = 1;
+const ENTRIES_STORE = 'entries';
+const AUDIT_USER_KEY = 'auditUser';
+
+export const DEFAULT_AUDIT_USER = 'Anonymous';
+
+/**
+ * Actions recorded in the audit log, with their display labels
+ */
+export const AUDIT_ACTIONS = {
+  upload: 'Upload',
+  validation: 'Validation',
+  commit: 'Commit',
+  rollback: 'Rollback',
+  export: 'Export',
+  settings: 'Settings'
+};
+
+export const AUDIT_OUTCOMES = ['success', 'warning', 'failure'];
+
+/**
+ * Promise wrapper around an IndexedDB request
+ */
+const promisifyRequest = (request) => {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Dataset and version an entry refers to, taken from processed market data
+ * (falls back to the active dataset when the data carries no version)
+ * @param {Object} data - Processed market data
+ * @returns {Object} { datasetId, version }
+ */
+export const getAuditTarget = (data) => ({
+  datasetId: data?.metadata?.version?.datasetId || data?.metadata?.datasetId || datasetRegistry.getActiveDatasetId(),
+  version: data?.metadata?.version?.id || null
+});
+
+/**
+ * Whether an entry matches the log filters
+ */
+const matchesFilters = (entry, { action, outcome, datasetId, user, search, from, to }) => {
+  if (action && entry.action !== action) return false;
+  if (outcome && entry.outcome !== outcome) return false;
+  if (datasetId && entry.datasetId !== datasetId) return false;
+  if (user && entry.user !== user) return false;
+  if (from && entry.timestamp < from) return false;
+  if (to && entry.timestamp > to) return false;
+
+  if (search) {
+    const text = `${entry.summary} ${entry.details} ${entry.user} ${entry.datasetId} ${entry.version}`.toLowerCase();
+    if (!text.includes(search.toLowerCase())) return false;
+  }
+
+  return true;
+};
+
+/**
+ * Audit Log Service
+ * Appends one entry per dataset upload, validation run, commit, rollback,
+ * export and settings change:
+ *
+ *   { id, timestamp, action, user, datasetId, version, outcome, summary, details }
+ *
+ * Entries are never edited. The user is whoever was last named as a
+ * version author (or set on the audit log), remembered across page loads.
+ */
+class AuditLogService {
+  constructor() {
+    this.dbPromise = null;
+    // Fallback when IndexedDB is unavailable (server rendering, private mode)
+    this.memoryEntries = [];
+    this.nextMemoryId = 1;
+    this.user = null;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Open (and upgrade) the audit database once
+   * @private
+   */
+  _openDatabase() {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.resolve(null);
+    }
+
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const entries = request.result.createObjectStore(ENTRIES_STORE, { keyPath: 'id', autoIncrement: true });
+          entries.createIndex('timestamp', 'timestamp');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.warn('IndexedDB unavailable, keeping the audit log in memory:', request.error);
+          resolve(null);
+        };
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Name recorded with new entries
+   */
+  getUser() {
+    if (this.user === null) {
+      try {
+        this.user = (typeof window !== 'undefined' && localStorage.getItem(AUDIT_USER_KEY)) || DEFAULT_AUDIT_USER;
+      } catch {
+        this.user = DEFAULT_AUDIT_USER;
+      }
+    }
+    return this.user;
+  }
+
+  /**
+   * Change the name recorded with new entries
+   * @param {string} user - User name; blank keeps the current one
+   */
+  setUser(user) {
+    const name = user?.trim();
+    if (!name || name === this.getUser()) return;
+
+    this.user = name;
+    try {
+      localStorage.setItem(AUDIT_USER_KEY, name);
+    } catch (error) {
+      console.warn('Failed to persist audit user:', error);
+    }
+    this._notify();
+  }
+
+  /**
+   * Append an entry. Logging never fails the action being logged.
+   * @param {Object} entry - { action, summary, details, outcome, datasetId, version }
+   * @returns {Promise<Object|null>} Stored entry, or null if it could not be stored
+   */
+  async record({ action, summary, details = '', outcome = 'success', datasetId = null, version = null }) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      action,
+      user: this.getUser(),
+      datasetId,
+      version,
+      outcome,
+      summary,
+      details
+    };
+
+    try {
+      const db = await this._openDatabase();
+      let stored;
+
+      if (db) {
+        const store = db.transaction(ENTRIES_STORE, 'readwrite').objectStore(ENTRIES_STORE);
+        stored = { ...entry, id: await promisifyRequest(store.add(entry)) };
+      } else {
+        stored = { ...entry, id: this.nextMemoryId++ };
+        this.memoryEntries.push(stored);
+      }
+
+      this._notify();
+      return stored;
+    } catch (error) {
+      console.warn('Failed to write audit log entry:', error);
+      return null;
+    }
+  }
+
+  /**
+   * List entries, newest first
+   * @param {Object} filters - { action, outcome, datasetId, user, search, from, to }
+   *   (from/to are ISO timestamps)
+   * @returns {Promise<Array>} Matching entries
+   */
+  async listEntries(filters = {}) {
+    const db = await this._openDatabase();
+    const entries = db
+      ? await promisifyRequest(db.transaction(ENTRIES_STORE, 'readonly').objectStore(ENTRIES_STORE).getAll())
+      : this.memoryEntries;
+
+    return entries
+      .filter(entry => matchesFilters(entry, filters))
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp) || b.id - a.id);
+  }
+
+  /**
+   * Subscribe to new entries and user changes
+   * @param {Function} listener - Called after an entry is stored
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Notify subscribers
+   * @private
+   */
+  _notify() {
+    this.listeners.forEach(listener => listener());
+  }
+}
+
+/**
+ * Audit entries as rows for a CSV export
+ * @param {Array} entries - Audit log entries
+ * @returns {Array<Object>} Rows keyed by column header
+ */
+export const auditEntriesToRows = (entries) => entries.map(entry => ({
+  'Time': entry.timestamp,
+  'Action': AUDIT_ACTIONS[entry.action] || entry.action,
+  'User': entry.user,
+  'Dataset': entry.datasetId || '',
+  'Version': entry.version || '',
+  'Outcome': entry.outcome,
+  'Summary': entry.summary,
+  'Details': entry.details
+}));
+
+// Export singleton instance
+export const auditLogService = new AuditLogService();
+
+export default AuditLogService;
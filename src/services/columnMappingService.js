@@ -0,0 +1,171 @@
+// src/services/columnMappingService.js
+// Maps vendor CSV headers onto the canonical market data columns
+
+const STORAGE_KEY = 'csvColumnMappings';
+
+/**
+ * Canonical columns expected by the data transformer, with the header
+ * aliases we have seen from vendors (compared lowercase, alphanumerics only)
+ */
+export const CANONICAL_FIELDS = [
+  {
+    key: 'Region',
+    label: 'Region',
+    aliases: ['region', 'geography', 'geo', 'area', 'territory']
+  },
+  {
+    key: 'Segment Type',
+    label: 'Segment Type',
+    aliases: ['segmenttype', 'dimension', 'segmentation', 'segmentcategory', 'breakdown']
+  },
+  {
+    key: 'Segment Name',
+    label: 'Segment Name',
+    aliases: ['segmentname', 'category', 'segment', 'subsegment', 'item']
+  },
+  {
+    key: 'Year',
+    label: 'Year',
+    aliases: ['year', 'period', 'fiscalyear', 'fy']
+  },
+  {
+    key: 'Value',
+    label: 'Value',
+    aliases: ['value', 'revenue', 'marketsize', 'marketvalue', 'sales', 'amount', 'volume', 'quantity', 'units']
+  }
+];
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Column Mapping Service
+ * Suggests, applies and remembers header mappings per CSV source
+ */
+class ColumnMappingService {
+  /**
+   * Identify a source by its header layout, so files from the same vendor
+   * template share a mapping regardless of file name
+   * @param {Array<string>} headers - Detected CSV headers
+   * @returns {string} Source key
+   */
+  getSourceKey(headers) {
+    return headers.map(normalizeHeader).sort().join('|');
+  }
+
+  /**
+   * Suggest a mapping from detected headers to canonical fields.
+   * Exact alias matches win over partial matches; each header is used once.
+   * @param {Array<string>} headers - Detected CSV headers
+   * @returns {Object} Mapping of canonical key to source header (or null)
+   */
+  suggestMapping(headers) {
+    const mapping = {};
+    const used = new Set();
+    const normalized = headers.map(header => ({ header, normalized: normalizeHeader(header) }));
+
+    const matchPass = (isMatch) => {
+      CANONICAL_FIELDS.forEach(field => {
+        if (mapping[field.key]) return;
+
+        for (const alias of field.aliases) {
+          const candidate = normalized.find(h => !used.has(h.header) && isMatch(h.normalized, alias));
+          if (candidate) {
+            mapping[field.key] = candidate.header;
+            used.add(candidate.header);
+            return;
+          }
+        }
+      });
+    };
+
+    matchPass((header, alias) => header === alias);
+    matchPass((header, alias) => header.startsWith(alias));
+    matchPass((header, alias) => header.includes(alias));
+
+    CANONICAL_FIELDS.forEach(field => {
+      if (!mapping[field.key]) mapping[field.key] = null;
+    });
+
+    return mapping;
+  }
+
+  /**
+   * Resolve the mapping for a set of headers: a remembered mapping for the
+   * same source if every mapped header is still present, otherwise a suggestion
+   * @param {Array<string>} headers - Detected CSV headers
+   * @returns {Object} { mapping, valueUnit, origin: 'saved' | 'suggested' }
+   */
+  resolveMapping(headers) {
+    const saved = this._loadMappings()[this.getSourceKey(headers)];
+
+    if (saved?.mapping && Object.values(saved.mapping).every(header => header === null || headers.includes(header))) {
+      return { mapping: { ...saved.mapping }, valueUnit: saved.valueUnit || null, origin: 'saved' };
+    }
+
+    return { mapping: this.suggestMapping(headers), valueUnit: null, origin: 'suggested' };
+  }
+
+  /**
+   * List canonical fields that have no source column
+   */
+  getMissingFields(mapping) {
+    return CANONICAL_FIELDS.filter(field => !mapping[field.key]).map(field => field.label);
+  }
+
+  /**
+   * Rename row columns to their canonical names
+   * @param {Array<Object>} rows - Parsed CSV rows
+   * @param {Object} mapping - Canonical key to source header
+   * @returns {Array<Object>} Rows keyed by canonical column names
+   */
+  applyMapping(rows, mapping) {
+    const entries = Object.entries(mapping).filter(([, header]) => header);
+
+    return rows.map(row => {
+      const mappedRow = {};
+      entries.forEach(([key, header]) => {
+        mappedRow[key] = row[header];
+      });
+      return mappedRow;
+    });
+  }
+
+  /**
+   * Remember a mapping and value unit for future uploads from the same source
+   * @param {Array<string>} headers - Detected CSV headers
+   * @param {Object} mapping - Canonical key to source header
+   * @param {Object} valueUnit - Optional { currency, unit } chosen at import
+   */
+  saveMapping(headers, mapping, valueUnit = null) {
+    const mappings = this._loadMappings();
+    mappings[this.getSourceKey(headers)] = { mapping, valueUnit };
+
+    if (typeof window !== 'undefined') {
+      try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(mappings));
+      } catch (error) {
+        console.warn('Failed to save column mapping:', error);
+      }
+    }
+  }
+
+  /**
+   * Load remembered mappings
+   * @private
+   */
+  _loadMappings() {
+    if (typeof window === 'undefined') return {};
+
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+      console.warn('Failed to read column mappings:', error);
+      return {};
+    }
+  }
+}
+
+// Export singleton instance
+export const columnMappingService = new ColumnMappingService();
+
+export default ColumnMappingService;
@@ -1,7 +1,15 @@
 // src/services/csvDataService.js
 // Modern CSV integration service using Papa Parse and real-time data processing
 
-import Papa from 'papaparse';
+import { csvWorkerService } from '@/services/csvWorkerService';
+import { parseCSVInChunks } from '@/utils/csvParsing';
+import { getAvailableYears, resolveYearWindow } from '@/utils/yearWindow';
+import { columnMappingService } from '@/services/columnMappingService';
+import { taxonomyService } from '@/services/taxonomyService';
+import { DEFAULT_VALUE_UNIT, findValueColumn, resolveValueUnit, toInternalValue } from '@/utils/valueUnits';
+import { diffMarketData, diffOverview, diffRows } from '@/utils/datasetDiff';
+import { auditLogService } from '@/services/auditLogService';
+import { createLineage, createPointProvenance } from '@/utils/provenance';
 
 /**
  * CSV Data Service for Market Research Dashboard
@@ -10,7 +18,9 @@ import Papa from 'papaparse';
 class CSVDataService {
   constructor() {
     this.csvData = [];
+    this.csvSource = {};
     this.processedData = {};
+    this.stagedData = null;
     this.isLoading = false;
     this.lastUpdated = null;
   }
@@ -18,110 +28,326 @@ class CSVDataService {
   /**
    * Load CSV data from file or URL
    * @param {string|File} source - CSV file path, URL, or File object
-   * @returns {Promise<Object>} Processed market data
+   * @param {Object} dataset - Dataset descriptor (market name, drivers, currency, units)
+   * @param {Object} options - { onProgress, signal }; parsing and
+   *   transformation both run off the main thread
+   * @returns {Promise<Object>} { data, metadata, validationResults, processedAt }
+   *   where data is the processed market data
    */
-  async loadCSVData(source) {
+  async loadCSVData(source, dataset = {}, options = {}) {
     this.isLoading = true;
     
     try {
-      const csvData = await this.parseCSV(source);
+      const { rows: csvData, sourceRows } = await csvWorkerService.parse(source, options);
       this.csvData = csvData;
-      this.processedData = this.transformCSVToMarketData(csvData);
+      this.csvSource = { file: typeof source === 'string' ? source : source.name, sourceRows };
+
+      const result = await csvWorkerService.process(csvData, dataset, { ...options, source: this.csvSource });
+      this.processedData = { ...result.data, metadata: result.metadata };
       this.lastUpdated = new Date();
       this.isLoading = false;
       
-      return this.processedData;
+      return { ...result, data: this.processedData };
     } catch (error) {
       this.isLoading = false;
+      if (error.name === 'AbortError') throw error;
       throw new Error(`Failed to load CSV data: ${error.message}`);
     }
   }
 
   /**
-   * Parse CSV using Papa Parse
-   * @param {string|File} source - CSV source
-   * @returns {Promise<Array>} Parsed CSV data
+   * Parse and validate CSV data without replacing the active dataset.
+   * Headers are mapped onto the canonical columns using a remembered
+   * mapping for the same source, or an auto-suggested one. The value unit
+   * is read from the value column header unless one was chosen before.
+   * Wide (years-as-columns) files are unpivoted to the long format first.
+   * Parsing and validation run in a Web Worker.
+   * @param {string|File} source - CSV file path, URL, or File object
+   * @param {Object} options - { onProgress, signal }
+   * @returns {Promise<Object>} Staged rows, column mapping, transformed data and validation report
    */
-  parseCSV(source) {
-    return new Promise((resolve, reject) => {
-      const config = {
-        header: true,
-        skipEmptyLines: true,
-        dynamicTyping: true,
-        transformHeader: (header) => {
-          // Clean and normalize headers
-          return header.trim().replace(/[^\w\s]/gi, '').replace(/\s+/g, ' ');
-        },
-        transform: (value, header) => {
-          // Transform specific columns
-          if (header === 'Year') {
-            return parseInt(value);
-          }
-          if (header.includes('Value')) {
-            return parseFloat(value) || 0;
-          }
-          return typeof value === 'string' ? value.trim() : value;
-        },
-        complete: (results) => {
-          if (results.errors.length > 0) {
-            console.warn('CSV parsing warnings:', results.errors);
-          }
-          resolve(results.data);
-        },
-        error: (error) => {
-          reject(error);
-        }
-      };
+  async stageCSVData(source, options = {}) {
+    this.isLoading = true;
+    const fileName = typeof source === 'string' ? source : source.name;
 
-      if (typeof source === 'string') {
-        // Load from URL or file path
-        Papa.parse(source, { ...config, download: true });
-      } else {
-        // Load from File object
-        Papa.parse(source, config);
+    try {
+      const { rows: rawRows, yearColumns, sourceRows } = await csvWorkerService.parse(source, options);
+      if (rawRows.length === 0) {
+        throw new Error('File contains no data rows');
       }
+
+      const headers = Object.keys(rawRows[0]);
+      const { mapping, valueUnit, origin } = columnMappingService.resolveMapping(headers);
+      auditLogService.record({
+        action: 'upload',
+        summary: `Uploaded ${fileName}`,
+        details: `${rawRows.length} rows, ${yearColumns.length > 0 ? 'wide' : 'long'} layout`
+      });
+
+      this.stagedData = {
+        fileName,
+        rawRows,
+        headers,
+        layout: yearColumns.length > 0 ? 'wide' : 'long',
+        yearColumns,
+        sourceRows,
+        mappingOrigin: origin,
+        stagedAt: new Date(),
+        ...(await this.processStagedRows(rawRows, mapping, valueUnit, {
+          ...options,
+          source: { file: fileName, sourceRows }
+        }))
+      };
+      this.isLoading = false;
+      this._recordValidation(this.stagedData);
+
+      return this.stagedData;
+    } catch (error) {
+      this.isLoading = false;
+      if (error.name === 'AbortError') throw error;
+      auditLogService.record({
+        action: 'upload',
+        summary: `Failed to upload ${fileName}`,
+        details: error.message,
+        outcome: 'failure'
+      });
+      throw new Error(`Failed to stage CSV data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Re-run validation of the staged file with an adjusted column mapping
+   * or value unit
+   * @param {Object} mapping - Canonical column to source header
+   * @param {Object} valueUnit - Optional { currency, unit } chosen at import;
+   *   without one, a previous choice is kept while the value column is unchanged
+   * @param {Object} options - { onProgress, signal }
+   * @returns {Promise<Object>} Updated staged data
+   */
+  async remapStagedData(mapping, valueUnit = null, options = {}) {
+    if (!this.stagedData) {
+      throw new Error('No staged data to remap');
+    }
+
+    const previous = this.stagedData;
+    const keepChosenUnit = previous.valueUnit?.source === 'explicit' && previous.mapping.Value === mapping.Value;
+
+    this.stagedData = {
+      ...previous,
+      mappingOrigin: 'manual',
+      ...(await this.processStagedRows(
+        previous.rawRows,
+        mapping,
+        valueUnit || (keepChosenUnit ? previous.valueUnit : null),
+        { ...options, source: { file: previous.fileName, sourceRows: previous.sourceRows } }
+      ))
+    };
+    this._recordValidation(this.stagedData);
+
+    return this.stagedData;
+  }
+
+  /**
+   * Log the validation run of a staged file (skipped while columns are unmapped)
+   * @private
+   */
+  _recordValidation({ fileName, validationResults }) {
+    if (!validationResults) return;
+
+    const { totalRows, validRows, errors, warnings } = validationResults;
+    auditLogService.record({
+      action: 'validation',
+      summary: `Validated ${fileName}`,
+      details: `${validRows} of ${totalRows} rows valid; ${errors.length} errors, ${warnings.length} warnings`,
+      outcome: errors.length > 0 ? 'failure' : warnings.length > 0 ? 'warning' : 'success'
     });
   }
 
+  /**
+   * Apply a column mapping to raw rows and validate the result
+   * @private
+   */
+  async processStagedRows(rawRows, mapping, chosenUnit = null, options = {}) {
+    const missingFields = columnMappingService.getMissingFields(mapping);
+    const valueUnit = resolveValueUnit(mapping.Value, chosenUnit);
+
+    // Validation needs every canonical column; wait for the user to finish mapping
+    if (missingFields.length > 0) {
+      return {
+        mapping,
+        valueUnit,
+        missingFields,
+        rows: rawRows,
+        data: null,
+        metadata: null,
+        validationResults: null
+      };
+    }
+
+    const rows = columnMappingService.applyMapping(rawRows, mapping);
+    const result = await csvWorkerService.process(rows, {
+      currency: valueUnit.currency,
+      units: valueUnit.unit
+    }, options);
+
+    return {
+      mapping,
+      valueUnit,
+      missingFields,
+      rows,
+      data: result.data,
+      metadata: result.metadata,
+      validationResults: result.validationResults
+    };
+  }
+
+  /**
+   * Promote the staged dataset to the active dataset
+   * @param {Object} dataset - Dataset descriptor (market name, drivers, currency, units)
+   * @returns {Object} Committed market data
+   */
+  commitStagedData(dataset = {}) {
+    if (!this.stagedData?.data) {
+      throw new Error('No staged data to commit');
+    }
+
+    const { fileName, headers, mapping, valueUnit, rows, data, metadata } = this.stagedData;
+    const { id: datasetId = null, ...overviewMetadata } = dataset;
+
+    this.csvData = rows;
+    this.processedData = {
+      ...data,
+      overview: {
+        ...data.overview,
+        ...overviewMetadata
+      },
+      metadata: {
+        ...metadata,
+        fileName,
+        processedAt: new Date().toISOString(),
+        totalRecords: rows.length,
+        dataSource: 'uploaded-csv',
+        datasetId
+      }
+    };
+    columnMappingService.saveMapping(
+      headers,
+      mapping,
+      valueUnit.source === 'explicit' ? { currency: valueUnit.currency, unit: valueUnit.unit } : null
+    );
+    this.stagedData = null;
+    this.lastUpdated = new Date();
+
+    return this.processedData;
+  }
+
+  /**
+   * Cell-level diff of the staged file against the active dataset. Uses the
+   * raw rows kept in `csvData` when they belong to the active dataset, and
+   * the given processed data otherwise (e.g. the embedded dataset).
+   * @param {Object} activeData - Processed market data of the active dataset
+   * @returns {Object|null} { changes, summary, overview }, or null until the staged file validates
+   */
+  diffStagedData(activeData = null) {
+    if (!this.stagedData?.data) {
+      return null;
+    }
+
+    const { rows, valueUnit, data } = this.stagedData;
+
+    // The loaded rows only describe the active dataset until another one is selected
+    const rowsAreActive = this.csvData.length > 0 &&
+      (!activeData || activeData.metadata?.datasetId === this.processedData.metadata?.datasetId);
+
+    if (!rowsAreActive) {
+      return activeData ? diffMarketData(activeData, data) : null;
+    }
+
+    const { overview = {} } = this.processedData;
+    return {
+      ...diffRows(this.csvData, rows, {
+        baseUnit: overview.units ? { currency: overview.currency, unit: overview.units } : undefined,
+        compareUnit: valueUnit
+      }),
+      overview: diffOverview(overview, data.overview)
+    };
+  }
+
+  /**
+   * Drop the staged dataset
+   */
+  discardStagedData() {
+    this.stagedData = null;
+  }
+
+  /**
+   * Parse CSV using Papa Parse on the calling thread
+   * @param {string|File} source - CSV source
+   * @returns {Promise<Array>} Parsed CSV data
+   */
+  parseCSV(source) {
+    return parseCSVInChunks(source);
+  }
+
   /**
    * Transform CSV data to market data structure
    * @param {Array} csvData - Raw CSV data
+   * @param {Object} dataset - Dataset descriptor
+   * @param {Object} source - { file, sourceRows } for the provenance of each point
    * @returns {Object} Transformed market data
    */
-  transformCSVToMarketData(csvData) {
+  transformCSVToMarketData(csvData, dataset = {}, source = {}) {
+    // Detect the value unit; the dataset's currency/units override the header
+    const valueColumn = findValueColumn(Object.keys(csvData[0] || {}));
+    const valueUnit = resolveValueUnit(
+      valueColumn,
+      dataset.units ? { currency: dataset.currency, unit: dataset.units } : null
+    );
+
     // Group data by categories
-    const groupedData = this.groupDataByCategory(csvData);
+    const groupedData = this.groupDataByCategory(csvData, valueColumn, valueUnit, source.sourceRows);
     
-    // Calculate totals and shares
-    const marketTotals = this.calculateMarketTotals(groupedData);
+    // Detect the base/forecast window, then calculate totals and shares
+    const yearWindow = resolveYearWindow(getAvailableYears(groupedData), dataset);
+    const marketTotals = this.calculateMarketTotals(groupedData, yearWindow);
     
     // Transform to dashboard format
     return {
-      overview: this.generateOverview(marketTotals),
+      overview: this.generateOverview(marketTotals, dataset, valueUnit),
       regions: this.transformRegions(groupedData, marketTotals),
       productTypes: this.transformProductTypes(groupedData, marketTotals),
       ingredients: this.transformIngredients(groupedData, marketTotals),
       gender: this.transformGender(groupedData, marketTotals),
       endUsers: this.transformEndUsers(groupedData, marketTotals),
-      countries: this.transformCountries(groupedData),
+      countries: this.transformCountries(groupedData, marketTotals),
       timeSeries: this.generateTimeSeries(groupedData),
       marketPlayers: this.generateMarketPlayers(), // Static data - could be enhanced
-      trends: this.generateMarketTrends()
+      trends: this.generateMarketTrends(),
+      metadata: {
+        lineage: createLineage(source, valueColumn, valueUnit)
+      }
     };
   }
 
   /**
-   * Group CSV data by region, segment type, and segment name
+   * Group CSV data by region, segment type, and segment name,
+   * resolving names to the canonical taxonomy and normalizing values
+   * to USD Million (or million units). Each point records its source row.
    */
-  groupDataByCategory(csvData) {
+  groupDataByCategory(csvData, valueColumn, valueUnit, sourceRows = null) {
     const grouped = {};
     
-    csvData.forEach(row => {
-      const region = row.Region;
-      const segmentType = row['Segment Type'];
-      const segmentName = row['Segment Name'];
+    csvData.forEach((row, index) => {
+      const resolved = taxonomyService.resolveRow(row);
+      const { region, segmentType, segmentName } = resolved;
       const year = row.Year;
-      const value = row['Value USD Thousand'] / 1000; // Convert to millions
+      const value = toInternalValue(row[valueColumn], valueUnit);
+      const provenance = createPointProvenance(
+        index,
+        sourceRows,
+        { region: row.Region, segmentType: row['Segment Type'], segmentName: row['Segment Name'] },
+        resolved
+      );
       
       if (!grouped[region]) grouped[region] = {};
       if (!grouped[region][segmentType]) grouped[region][segmentType] = {};
@@ -131,7 +357,8 @@ class CSVDataService {
       
       grouped[region][segmentType][segmentName].push({
         year,
-        value
+        value,
+        provenance
       });
     });
     
@@ -150,34 +377,35 @@ class CSVDataService {
   /**
    * Calculate market totals and CAGR
    */
-  calculateMarketTotals(groupedData) {
-    const totals = {};
+  calculateMarketTotals(groupedData, yearWindow) {
+    const { baseYear, forecastYear, period } = yearWindow;
+    const totals = { yearWindow };
     
     Object.keys(groupedData).forEach(region => {
       if (region === 'Global') {
         const globalData = groupedData[region];
         
         // Calculate total global market by summing all segments
-        let total2024 = 0;
-        let total2032 = 0;
+        let totalBase = 0;
+        let totalForecast = 0;
         
         Object.keys(globalData).forEach(segmentType => {
           Object.keys(globalData[segmentType]).forEach(segmentName => {
             const timeSeries = globalData[segmentType][segmentName];
-            const value2024 = timeSeries.find(d => d.year === 2024)?.value || 0;
-            const value2032 = timeSeries.find(d => d.year === 2032)?.value || 0;
+            const valueBase = timeSeries.find(d => d.year === baseYear)?.value || 0;
+            const valueForecast = timeSeries.find(d => d.year === forecastYear)?.value || 0;
             
             if (segmentType === 'Type') { // Use main product types for total
-              total2024 += value2024;
-              total2032 += value2032;
+              totalBase += valueBase;
+              totalForecast += valueForecast;
             }
           });
         });
         
         totals.global = {
-          marketSize2024: total2024,
-          marketSize2032: total2032,
-          cagr: this.calculateCAGR(total2024, total2032, 8)
+          marketSizeBase: totalBase,
+          marketSizeForecast: totalForecast,
+          cagr: this.calculateCAGR(totalBase, totalForecast, period)
         };
       }
     });
@@ -203,27 +431,23 @@ class CSVDataService {
   /**
    * Generate overview data
    */
-  generateOverview(marketTotals) {
+  generateOverview(marketTotals, dataset = {}, valueUnit = DEFAULT_VALUE_UNIT) {
     const global = marketTotals.global;
+    const { baseYear, forecastYear, availableYears } = marketTotals.yearWindow;
     
     return {
-      marketName: "Global Skin Boosters Market",
-      baseYear: 2024,
-      forecastYear: 2032,
+      marketName: dataset.marketName || 'Uploaded Market Data',
+      baseYear,
+      forecastYear,
+      availableYears,
       cagr: global.cagr,
-      marketSizeBase: global.marketSize2024,
-      marketSizeForecast: global.marketSize2032,
-      keyDrivers: [
-        "Rising awareness about aesthetic treatments",
-        "Increasing disposable income in emerging markets",
-        "Growing aging population globally",
-        "Technological advancements in minimally invasive procedures"
-      ],
-      keyRestraints: [
-        "High cost of treatments",
-        "Risk of side effects and complications",
-        "Lack of skilled professionals in developing regions"
-      ]
+      marketSizeBase: global.marketSizeBase,
+      marketSizeForecast: global.marketSizeForecast,
+      currency: valueUnit.currency,
+      units: valueUnit.unit,
+      measure: valueUnit.currency ? 'value' : 'volume',
+      keyDrivers: dataset.keyDrivers || [],
+      keyRestraints: dataset.keyRestraints || []
     };
   }
 
@@ -232,8 +456,9 @@ class CSVDataService {
    */
   transformRegions(groupedData, marketTotals) {
     const regions = [];
-    const globalTotal2024 = marketTotals.global.marketSize2024;
-    const globalTotal2032 = marketTotals.global.marketSize2032;
+    const { baseYear, forecastYear, period } = marketTotals.yearWindow;
+    const globalTotalBase = marketTotals.global.marketSizeBase;
+    const globalTotalForecast = marketTotals.global.marketSizeForecast;
     
     Object.keys(groupedData).forEach(regionName => {
       if (regionName === 'Global') return;
@@ -241,23 +466,23 @@ class CSVDataService {
       const regionData = groupedData[regionName];
       
       // Calculate regional totals
-      let regionTotal2024 = 0;
-      let regionTotal2032 = 0;
+      let regionTotalBase = 0;
+      let regionTotalForecast = 0;
       
       if (regionData.Type) {
         Object.keys(regionData.Type).forEach(segmentName => {
           const timeSeries = regionData.Type[segmentName];
-          regionTotal2024 += timeSeries.find(d => d.year === 2024)?.value || 0;
-          regionTotal2032 += timeSeries.find(d => d.year === 2032)?.value || 0;
+          regionTotalBase += timeSeries.find(d => d.year === baseYear)?.value || 0;
+          regionTotalForecast += timeSeries.find(d => d.year === forecastYear)?.value || 0;
         });
       }
       
-      if (regionTotal2024 > 0 || regionTotal2032 > 0) {
+      if (regionTotalBase > 0 || regionTotalForecast > 0) {
         regions.push({
           name: regionName,
-          marketShare2024: this.calculateMarketShare(regionTotal2024, globalTotal2024),
-          marketShare2032: this.calculateMarketShare(regionTotal2032, globalTotal2032),
-          cagr: this.calculateCAGR(regionTotal2024, regionTotal2032, 8),
+          marketShareBase: this.calculateMarketShare(regionTotalBase, globalTotalBase),
+          marketShareForecast: this.calculateMarketShare(regionTotalForecast, globalTotalForecast),
+          cagr: this.calculateCAGR(regionTotalBase, regionTotalForecast, period),
           keyMarkets: this.extractCountries(regionData),
           marketDrivers: this.getRegionalDrivers(regionName)
         });
@@ -272,21 +497,22 @@ class CSVDataService {
    */
   transformProductTypes(groupedData, marketTotals) {
     const productTypes = [];
+    const { baseYear, forecastYear, period } = marketTotals.yearWindow;
     const globalData = groupedData.Global;
-    const globalTotal2024 = marketTotals.global.marketSize2024;
-    const globalTotal2032 = marketTotals.global.marketSize2032;
+    const globalTotalBase = marketTotals.global.marketSizeBase;
+    const globalTotalForecast = marketTotals.global.marketSizeForecast;
     
     if (globalData.Type) {
       Object.keys(globalData.Type).forEach(typeName => {
         const timeSeries = globalData.Type[typeName];
-        const value2024 = timeSeries.find(d => d.year === 2024)?.value || 0;
-        const value2032 = timeSeries.find(d => d.year === 2032)?.value || 0;
+        const valueBase = timeSeries.find(d => d.year === baseYear)?.value || 0;
+        const valueForecast = timeSeries.find(d => d.year === forecastYear)?.value || 0;
         
         productTypes.push({
           name: typeName,
-          marketShare2024: this.calculateMarketShare(value2024, globalTotal2024),
-          marketShare2032: this.calculateMarketShare(value2032, globalTotal2032),
-          cagr: this.calculateCAGR(value2024, value2032, 8),
+          marketShareBase: this.calculateMarketShare(valueBase, globalTotalBase),
+          marketShareForecast: this.calculateMarketShare(valueForecast, globalTotalForecast),
+          cagr: this.calculateCAGR(valueBase, valueForecast, period),
           description: this.getProductDescription(typeName),
           applications: this.getProductApplications(typeName)
         });
@@ -301,21 +527,22 @@ class CSVDataService {
    */
   transformIngredients(groupedData, marketTotals) {
     const ingredients = [];
+    const { baseYear, forecastYear, period } = marketTotals.yearWindow;
     const globalData = groupedData.Global;
-    const globalTotal2024 = marketTotals.global.marketSize2024;
-    const globalTotal2032 = marketTotals.global.marketSize2032;
+    const globalTotalBase = marketTotals.global.marketSizeBase;
+    const globalTotalForecast = marketTotals.global.marketSizeForecast;
     
     if (globalData.Ingredient) {
       Object.keys(globalData.Ingredient).forEach(ingredientName => {
         const timeSeries = globalData.Ingredient[ingredientName];
-        const value2024 = timeSeries.find(d => d.year === 2024)?.value || 0;
-        const value2032 = timeSeries.find(d => d.year === 2032)?.value || 0;
+        const valueBase = timeSeries.find(d => d.year === baseYear)?.value || 0;
+        const valueForecast = timeSeries.find(d => d.year === forecastYear)?.value || 0;
         
         ingredients.push({
           name: ingredientName,
-          marketShare2024: this.calculateMarketShare(value2024, globalTotal2024),
-          marketShare2032: this.calculateMarketShare(value2032, globalTotal2032),
-          cagr: this.calculateCAGR(value2024, value2032, 8),
+          marketShareBase: this.calculateMarketShare(valueBase, globalTotalBase),
+          marketShareForecast: this.calculateMarketShare(valueForecast, globalTotalForecast),
+          cagr: this.calculateCAGR(valueBase, valueForecast, period),
           benefits: this.getIngredientBenefits(ingredientName)
         });
       });
@@ -329,21 +556,22 @@ class CSVDataService {
    */
   transformGender(groupedData, marketTotals) {
     const genderSegments = [];
+    const { baseYear, forecastYear, period } = marketTotals.yearWindow;
     const globalData = groupedData.Global;
-    const globalTotal2024 = marketTotals.global.marketSize2024;
-    const globalTotal2032 = marketTotals.global.marketSize2032;
+    const globalTotalBase = marketTotals.global.marketSizeBase;
+    const globalTotalForecast = marketTotals.global.marketSizeForecast;
     
     if (globalData.Gender) {
       Object.keys(globalData.Gender).forEach(genderName => {
         const timeSeries = globalData.Gender[genderName];
-        const value2024 = timeSeries.find(d => d.year === 2024)?.value || 0;
-        const value2032 = timeSeries.find(d => d.year === 2032)?.value || 0;
+        const valueBase = timeSeries.find(d => d.year === baseYear)?.value || 0;
+        const valueForecast = timeSeries.find(d => d.year === forecastYear)?.value || 0;
         
         genderSegments.push({
           name: genderName,
-          marketShare2024: this.calculateMarketShare(value2024, globalTotal2024),
-          marketShare2032: this.calculateMarketShare(value2032, globalTotal2032),
-          cagr: this.calculateCAGR(value2024, value2032, 8),
+          marketShareBase: this.calculateMarketShare(valueBase, globalTotalBase),
+          marketShareForecast: this.calculateMarketShare(valueForecast, globalTotalForecast),
+          cagr: this.calculateCAGR(valueBase, valueForecast, period),
           ageGroups: this.getAgeGroups(genderName)
         });
       });
@@ -357,6 +585,7 @@ class CSVDataService {
    */
   transformEndUsers(groupedData, marketTotals) {
     const endUsers = [];
+    const { baseYear, forecastYear, period } = marketTotals.yearWindow;
     
     // Use North America data for end users (as available in CSV)
     Object.keys(groupedData).forEach(regionName => {
@@ -365,16 +594,16 @@ class CSVDataService {
       if (regionData['End User']) {
         Object.keys(regionData['End User']).forEach(endUserName => {
           const timeSeries = regionData['End User'][endUserName];
-          const value2024 = timeSeries.find(d => d.year === 2024)?.value || 0;
-          const value2032 = timeSeries.find(d => d.year === 2032)?.value || 0;
+          const valueBase = timeSeries.find(d => d.year === baseYear)?.value || 0;
+          const valueForecast = timeSeries.find(d => d.year === forecastYear)?.value || 0;
           
           // Avoid duplicates
           if (!endUsers.find(eu => eu.name === endUserName)) {
             endUsers.push({
               name: endUserName,
-              marketShare2024: this.calculateMarketShare(value2024, marketTotals.global.marketSize2024),
-              marketShare2032: this.calculateMarketShare(value2032, marketTotals.global.marketSize2032),
-              cagr: this.calculateCAGR(value2024, value2032, 8),
+              marketShareBase: this.calculateMarketShare(valueBase, marketTotals.global.marketSizeBase),
+              marketShareForecast: this.calculateMarketShare(valueForecast, marketTotals.global.marketSizeForecast),
+              cagr: this.calculateCAGR(valueBase, valueForecast, period),
               characteristics: this.getEndUserCharacteristics(endUserName)
             });
           }
@@ -388,8 +617,9 @@ class CSVDataService {
   /**
    * Transform country data
    */
-  transformCountries(groupedData) {
+  transformCountries(groupedData, marketTotals) {
     const countries = {};
+    const { baseYear, forecastYear, period } = marketTotals.yearWindow;
     
     Object.keys(groupedData).forEach(regionName => {
       const regionData = groupedData[regionName];
@@ -397,16 +627,14 @@ class CSVDataService {
       if (regionData.Country) {
         Object.keys(regionData.Country).forEach(countryName => {
           const timeSeries = regionData.Country[countryName];
-          const value2024 = timeSeries.find(d => d.year === 2024)?.value || 0;
-          const value2032 = timeSeries.find(d => d.year === 2032)?.value || 0;
+          const valueBase = timeSeries.find(d => d.year === baseYear)?.value || 0;
+          const valueForecast = timeSeries.find(d => d.year === forecastYear)?.value || 0;
           
           countries[countryName] = {
-            marketSize2024: value2024,
-            marketSize2032: value2032,
-            cagr: this.calculateCAGR(value2024, value2032, 8),
-            population: this.getCountryPopulation(countryName),
-            penetrationRate: this.getCountryPenetration(countryName),
-            averageSpending: this.getCountrySpending(countryName)
+            marketSizeBase: valueBase,
+            marketSizeForecast: valueForecast,
+            cagr: this.calculateCAGR(valueBase, valueForecast, period),
+            ...taxonomyService.getCountryProfile(countryName)
           };
         });
       }
@@ -495,33 +723,6 @@ class CSVDataService {
     return characteristics[endUserName] || ['Professional service', 'Quality treatment'];
   }
 
-  getCountryPopulation(countryName) {
-    const populations = {
-      'US': 331.9,
-      'Canada': 38.2,
-      'Mexico': 128.9
-    };
-    return populations[countryName] || 50.0;
-  }
-
-  getCountryPenetration(countryName) {
-    const penetrations = {
-      'US': 2.8,
-      'Canada': 3.2,
-      'Mexico': 1.1
-    };
-    return penetrations[countryName] || 2.0;
-  }
-
-  getCountrySpending(countryName) {
-    const spending = {
-      'US': 890,
-      'Canada': 1150,
-      'Mexico': 650
-    };
-    return spending[countryName] || 750;
-  }
-
   generateMarketPlayers() {
     // Static market players data - could be enhanced with CSV integration
     return [
@@ -599,6 +800,13 @@ class CSVDataService {
     return this.processedData;
   }
 
+  /**
+   * Get staged (uncommitted) data
+   */
+  getStagedData() {
+    return this.stagedData;
+  }
+
   /**
    * Get loading status
    */
@@ -616,8 +824,8 @@ class CSVDataService {
   /**
    * Refresh data from source
    */
-  async refreshData(source) {
-    return await this.loadCSVData(source);
+  async refreshData(source, dataset) {
+    return (await this.loadCSVData(source, dataset)).data;
   }
 }
 
@@ -635,7 +843,7 @@ export const useCSVData = () => {
     try {
       setLoading(true);
       setError(null);
-      const processedData = await csvDataService.loadCSVData(source);
+      const { data: processedData } = await csvDataService.loadCSVData(source);
       setData(processedData);
       setLastUpdated(csvDataService.getLastUpdated());
     } catch (err) {
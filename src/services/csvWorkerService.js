@@ -0,0 +1,114 @@
+// src/services/csvWorkerService.js
+// Runs CSV parsing and transformation in a Web Worker with progress and cancellation
+
+import { parseCSVInChunks, createAbortError } from '@/utils/csvParsing';
+import { unpivotYearColumns } from '@/utils/wideFormat';
+import { dataTransformer } from '@/utils/dataTransformation';
+
+/**
+ * CSV Worker Service
+ * Each request runs in its own worker, so cancelling terminates the work
+ * immediately. Without Worker support (server rendering, tests) requests
+ * run inline with the same progress reporting.
+ */
+class CSVWorkerService {
+  constructor() {
+    this.nextRequestId = 0;
+  }
+
+  /**
+   * Whether requests run off the main thread
+   */
+  isSupported() {
+    return typeof window !== 'undefined' && typeof Worker !== 'undefined';
+  }
+
+  /**
+   * Parse a CSV source and unpivot wide layouts
+   * @param {string|File|Object} source - URL, File, or { text }
+   * @param {Object} options - { onProgress, signal }
+   * @returns {Promise<Object>} { rows, yearColumns, sourceRows }
+   */
+  parse(source, options = {}) {
+    return this._run('parse', { source }, options, async (onProgress) => {
+      return unpivotYearColumns(await parseCSVInChunks(source, { onProgress, signal: options.signal }));
+    });
+  }
+
+  /**
+   * Clean, validate and transform mapped rows with the data transformer
+   * @param {Array} rows - Rows with the canonical columns
+   * @param {Object} dataset - Dataset descriptor (currency/units override the header)
+   * @param {Object} options - { onProgress, signal, source }; source is
+   *   { file, sourceRows } for the provenance of each point
+   * @returns {Promise<Object>} { data, metadata, validationResults, processedAt }
+   */
+  process(rows, dataset = {}, options = {}) {
+    const { source = {} } = options;
+    return this._run('process', { rows, dataset, source }, options, (onProgress) => {
+      return dataTransformer.processCSVData(rows, dataset, { onProgress, signal: options.signal, source });
+    });
+  }
+
+  /**
+   * Run a request in a dedicated worker, or inline as a fallback
+   * @private
+   */
+  _run(type, payload, options, runInline) {
+    const { onProgress = null, signal = null } = options;
+
+    if (signal?.aborted) {
+      return Promise.reject(createAbortError());
+    }
+    if (!this.isSupported()) {
+      return runInline(onProgress);
+    }
+
+    return new Promise((resolve, reject) => {
+      const id = ++this.nextRequestId;
+      const worker = new Worker(new URL('../workers/csvParser.worker.js', import.meta.url));
+
+      const finish = () => {
+        worker.terminate();
+        signal?.removeEventListener('abort', handleAbort);
+      };
+
+      const handleAbort = () => {
+        finish();
+        reject(createAbortError());
+      };
+
+      worker.onmessage = (event) => {
+        const message = event.data;
+        if (message.id !== id) return;
+
+        if (message.type === 'progress') {
+          if (onProgress) onProgress(message.progress);
+          return;
+        }
+
+        finish();
+        if (message.type === 'complete') {
+          resolve(message.result);
+        } else {
+          const error = new Error(message.error.message);
+          error.name = message.error.name;
+          reject(error);
+        }
+      };
+
+      worker.onerror = (event) => {
+        finish();
+        reject(new Error(event.message || 'CSV worker failed'));
+      };
+
+      signal?.addEventListener('abort', handleAbort);
+      worker.postMessage({ id, type, ...payload });
+    });
+  }
+}
+
+// Export singleton instance
+export const csvWorkerService = new CSVWorkerService();
+
+export default CSVWorkerService;
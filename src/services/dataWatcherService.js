@@ -0,0 +1,163 @@
+// src/services/dataWatcherService.js
+// Server-side watcher on the data directory that reports dataset changes
+// for the live updates stream (/api/live)
+
+import { existsSync, watch } from 'fs';
+import path from 'path';
+import { serverDataService, DATA_DIR, MANIFEST_FILE_NAME } from '@/services/serverDataService';
+import { diffMarketData } from '@/utils/datasetDiff';
+
+// Editors and copies write files in several steps; wait for them to settle
+const SETTLE_DELAY = 500;
+
+/**
+ * Data Watcher Service
+ * Watches the data directory while anyone is subscribed. When a dataset's
+ * CSV (or the manifest) changes, the dataset is reprocessed and compared
+ * with its previous content; subscribers receive one event per change:
+ *
+ *   { type: 'dataset-changed', datasetId, marketName, file, summary, overview }
+ *   { type: 'dataset-error', datasetId, file, message }
+ *   { type: 'file-added', file }  CSV that no manifest entry refers to
+ */
+class DataWatcherService {
+  constructor() {
+    this.watcher = null;
+    this.listeners = new Set();
+    this.snapshots = new Map();
+    this.pendingFiles = new Set();
+    this.settleTimer = null;
+    this.nextEventId = 0;
+  }
+
+  /**
+   * Subscribe to change events; the watcher runs while anyone is subscribed
+   * @param {Function} listener - Called with each change event
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    this._start();
+
+    return () => {
+      this.listeners.delete(listener);
+      if (this.listeners.size === 0) {
+        this._stop();
+      }
+    };
+  }
+
+  /**
+   * Start watching and remember current content to compare changes against
+   * @private
+   */
+  _start() {
+    if (this.watcher) return;
+
+    this.watcher = watch(DATA_DIR, (eventType, fileName) => {
+      if (!fileName) return;
+      this.pendingFiles.add(fileName);
+      clearTimeout(this.settleTimer);
+      this.settleTimer = setTimeout(() => this._processChanges(), SETTLE_DELAY);
+    });
+    this.watcher.on('error', (error) => {
+      console.error('Data directory watcher failed:', error);
+      this._stop();
+    });
+
+    this._snapshotDatasets().catch(error => {
+      console.warn('Could not read datasets for live updates:', error.message);
+    });
+  }
+
+  /**
+   * @private
+   */
+  _stop() {
+    clearTimeout(this.settleTimer);
+    this.watcher?.close();
+    this.watcher = null;
+    this.pendingFiles.clear();
+    this.snapshots.clear();
+  }
+
+  /**
+   * @private
+   */
+  async _snapshotDatasets() {
+    const datasets = await serverDataService.listDatasets();
+    await Promise.all(datasets.map(async dataset => {
+      this.snapshots.set(dataset.id, await serverDataService.getMarketData(dataset.id));
+    }));
+  }
+
+  /**
+   * Reprocess the datasets whose files changed and emit their events
+   * @private
+   */
+  async _processChanges() {
+    const files = [...this.pendingFiles];
+    this.pendingFiles.clear();
+
+    let datasets;
+    try {
+      datasets = await serverDataService.listDatasets();
+    } catch (error) {
+      this._emit({ type: 'dataset-error', datasetId: null, file: MANIFEST_FILE_NAME, message: error.message });
+      return;
+    }
+
+    // A manifest edit may change any dataset's file, units or years
+    const changed = files.includes(MANIFEST_FILE_NAME)
+      ? datasets
+      : datasets.filter(dataset => files.includes(dataset.file));
+
+    files
+      .filter(file => path.extname(file).toLowerCase() === '.csv')
+      .filter(file => !datasets.some(dataset => dataset.file === file))
+      .filter(file => existsSync(path.join(DATA_DIR, file)))
+      .forEach(file => this._emit({ type: 'file-added', file }));
+
+    for (const dataset of changed) {
+      await this._checkDataset(dataset);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _checkDataset(dataset) {
+    try {
+      const data = await serverDataService.getMarketData(dataset.id);
+      const previous = this.snapshots.get(dataset.id);
+      this.snapshots.set(dataset.id, data);
+
+      const diff = diffMarketData(previous, data);
+      if (previous && diff.summary.identical && previous.overview.marketName === data.overview.marketName) return;
+
+      this._emit({
+        type: 'dataset-changed',
+        datasetId: dataset.id,
+        marketName: data.overview.marketName,
+        file: dataset.file,
+        summary: diff.summary,
+        overview: diff.overview
+      });
+    } catch (error) {
+      this._emit({ type: 'dataset-error', datasetId: dataset.id, file: dataset.file, message: error.message });
+    }
+  }
+
+  /**
+   * @private
+   */
+  _emit(event) {
+    const payload = { id: ++this.nextEventId, changedAt: new Date().toISOString(), ...event };
+    this.listeners.forEach(listener => listener(payload));
+  }
+}
+
+// Export singleton instance
+export const dataWatcherService = new DataWatcherService();
+
+export default DataWatcherService;
@@ -0,0 +1,209 @@
+// src/services/datasetRegistry.js
+// Registry of available market datasets (public/data manifest plus uploads)
+
+const MANIFEST_URL = '/data/datasets.json';
+const ACTIVE_DATASET_KEY = 'activeDatasetId';
+
+/**
+ * Built-in entry used when the manifest cannot be fetched
+ * (e.g. during server rendering or offline)
+ */
+export const DEFAULT_DATASET = {
+  id: 'skin-boosters',
+  file: 'market-data.csv',
+  marketName: 'Global Skin Boosters Market',
+  currency: 'USD',
+  units: 'Thousand',
+  // Default base/forecast window; falls back to the first/last year in the data
+  baseYear: 2024,
+  forecastYear: 2032,
+  keyDrivers: [
+    'Rising awareness about aesthetic treatments',
+    'Increasing disposable income in emerging markets',
+    'Growing aging population globally',
+    'Technological advancements in minimally invasive procedures'
+  ],
+  keyRestraints: [
+    'High cost of treatments',
+    'Risk of side effects and complications',
+    'Lack of skilled professionals in developing regions'
+  ],
+  source: 'manifest'
+};
+
+/**
+ * Dataset id of an upload; re-committing under the same market name
+ * adds a version to the same dataset
+ */
+export const toUploadDatasetId = (marketName) => {
+  return `upload-${String(marketName).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')}`;
+};
+
+/**
+ * Dataset Registry for Market Research Dashboard
+ * Tracks which markets are available and which one is active
+ */
+class DatasetRegistry {
+  constructor() {
+    this.datasets = new Map([[DEFAULT_DATASET.id, DEFAULT_DATASET]]);
+    this.defaultDatasetId = DEFAULT_DATASET.id;
+    this.activeDatasetId = null;
+    this.manifestPromise = null;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Load the dataset manifest from public/data (once)
+   * @returns {Promise<Array>} Registered datasets
+   */
+  async loadManifest() {
+    if (!this.manifestPromise) {
+      this.manifestPromise = this._fetchManifest();
+    }
+
+    await this.manifestPromise;
+    return this.getDatasets();
+  }
+
+  /**
+   * Fetch and register manifest entries
+   * @private
+   */
+  async _fetchManifest() {
+    try {
+      const response = await fetch(MANIFEST_URL);
+      if (!response.ok) {
+        throw new Error(`Failed to load dataset manifest: ${response.statusText}`);
+      }
+
+      const manifest = await response.json();
+
+      manifest.datasets.forEach(dataset => {
+        this.datasets.set(dataset.id, { ...dataset, source: 'manifest' });
+      });
+
+      if (manifest.defaultDataset && this.datasets.has(manifest.defaultDataset)) {
+        this.defaultDatasetId = manifest.defaultDataset;
+      }
+
+      this._notify();
+    } catch (error) {
+      console.warn('Could not load dataset manifest, using built-in dataset:', error.message);
+    }
+  }
+
+  /**
+   * Register an uploaded dataset with its processed market data, or new
+   * data (an edit or rollback) for a dataset that is already registered
+   * @param {Object} dataset - Dataset descriptor (id, marketName, ...)
+   * @param {Object} data - Processed market data
+   * @returns {Object} Registered dataset
+   */
+  registerDataset(dataset, data) {
+    // A re-registered manifest dataset stays a manifest dataset
+    const existing = this.datasets.get(dataset.id);
+    const entry = {
+      currency: data.overview?.currency ?? 'USD',
+      units: data.overview?.units || 'Thousand',
+      keyDrivers: [],
+      keyRestraints: [],
+      ...existing,
+      ...dataset,
+      source: existing?.source || 'upload',
+      data
+    };
+
+    this.datasets.set(entry.id, entry);
+    this._notify();
+
+    return entry;
+  }
+
+  /**
+   * Get all registered datasets
+   */
+  getDatasets() {
+    return Array.from(this.datasets.values());
+  }
+
+  /**
+   * Get a dataset by id
+   */
+  getDataset(id) {
+    return this.datasets.get(id) || null;
+  }
+
+  /**
+   * Get the active dataset id, restoring the last selection if still available
+   */
+  getActiveDatasetId() {
+    if (this.activeDatasetId && this.datasets.has(this.activeDatasetId)) {
+      return this.activeDatasetId;
+    }
+
+    if (typeof window !== 'undefined') {
+      try {
+        const storedId = localStorage.getItem(ACTIVE_DATASET_KEY);
+        if (storedId && this.datasets.has(storedId)) {
+          return storedId;
+        }
+      } catch (error) {
+        console.warn('Failed to read active dataset:', error);
+      }
+    }
+
+    return this.defaultDatasetId;
+  }
+
+  /**
+   * Get the active dataset descriptor
+   */
+  getActiveDataset() {
+    return this.getDataset(this.getActiveDatasetId());
+  }
+
+  /**
+   * Mark a dataset as active
+   */
+  setActiveDatasetId(id) {
+    if (!this.datasets.has(id)) {
+      throw new Error(`Unknown dataset: ${id}`);
+    }
+
+    this.activeDatasetId = id;
+
+    // Uploaded datasets live in memory only, so only persist manifest selections
+    if (typeof window !== 'undefined' && this.datasets.get(id).source === 'manifest') {
+      try {
+        localStorage.setItem(ACTIVE_DATASET_KEY, id);
+      } catch (error) {
+        console.warn('Failed to persist active dataset:', error);
+      }
+    }
+
+    this._notify();
+  }
+
+  /**
+   * Subscribe to registry changes
+   * @param {Function} listener - Called when datasets or the active dataset change
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Notify subscribers
+   * @private
+   */
+  _notify() {
+    this.listeners.forEach(listener => listener());
+  }
+}
+
+// Export singleton instance
+export const datasetRegistry = new DatasetRegistry();
+
+export default DatasetRegistry;
@@ -0,0 +1,264 @@
+// src/services/datasetVersionService.js
+// Immutable, versioned snapshots of committed datasets stored in IndexedDB
+
+const DB_NAME = 'market-pro-versions';
+const DB_VERSION = 1;
+const VERSIONS_STORE = 'versions';
+const SNAPSHOTS_STORE = 'snapshots';
+
+/**
+ * Promise wrapper around an IndexedDB request
+ */
+const promisifyRequest = (request) => {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Canonical cell lines of processed market data, independent of key order
+ */
+const serializeCells = (timeSeries = {}) => {
+  const lines = [];
+  Object.entries(timeSeries).forEach(([region, segmentTypes]) => {
+    Object.entries(segmentTypes).forEach(([segmentType, segments]) => {
+      Object.entries(segments).forEach(([segmentName, series]) => {
+        series.forEach(({ year, value }) => {
+          lines.push(`${region}|${segmentType}|${segmentName}|${year}|${value}`);
+        });
+      });
+    });
+  });
+  return lines.sort().join('\n');
+};
+
+// FNV-1a, used when SubtleCrypto is unavailable (non-secure contexts)
+const fnv1aHash = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return `fnv1a-${(hash >>> 0).toString(16).padStart(8, '0')}`;
+};
+
+/**
+ * SHA-256 of a string (FNV-1a where SubtleCrypto is unavailable)
+ * @param {string} text - Content to hash
+ * @returns {Promise<string>} Hex digest
+ */
+export const hashText = async (text) => {
+  if (typeof crypto === 'undefined' || !crypto.subtle) {
+    return fnv1aHash(text);
+  }
+
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+/**
+ * Content hash of processed market data (SHA-256 of its canonical cells)
+ * @param {Object} data - Processed market data
+ * @returns {Promise<string>} Hex digest
+ */
+export const hashMarketData = (data) => hashText(serializeCells(data?.timeSeries));
+
+/**
+ * Dataset Version Service
+ * Stores every committed dataset as an immutable version with its author,
+ * note, timestamp, row count and content hash. Versions are never updated
+ * or deleted; a rollback appends a new version with the old content.
+ */
+class DatasetVersionService {
+  constructor() {
+    this.dbPromise = null;
+    // Fallback when IndexedDB is unavailable (server rendering, private mode)
+    this.memoryVersions = new Map();
+    this.memorySnapshots = new Map();
+    this.listeners = new Set();
+  }
+
+  /**
+   * Open (and upgrade) the version database once
+   * @private
+   */
+  _openDatabase() {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.resolve(null);
+    }
+
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          const versions = db.createObjectStore(VERSIONS_STORE, { keyPath: 'id' });
+          versions.createIndex('datasetId', 'datasetId');
+          db.createObjectStore(SNAPSHOTS_STORE, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.warn('IndexedDB unavailable, keeping versions in memory:', request.error);
+          resolve(null);
+        };
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Store a committed dataset as a new immutable version
+   * @param {Object} dataset - Dataset descriptor (id, marketName)
+   * @param {Object} data - Processed market data
+   * @param {Object} options - { note, author, rowCount, source, restoredFrom }
+   * @returns {Promise<Object>} Version record (without the data)
+   */
+  async saveVersion(dataset, data, options = {}) {
+    const { note = '', author = '', rowCount, source = 'upload', restoredFrom = null } = options;
+
+    const record = {
+      datasetId: dataset.id,
+      marketName: dataset.marketName || data.overview?.marketName || dataset.id,
+      note: note.trim(),
+      author: author.trim(),
+      createdAt: new Date().toISOString(),
+      rowCount: rowCount ?? data.metadata?.totalRecords ?? 0,
+      contentHash: await hashMarketData(data),
+      source,
+      restoredFrom
+    };
+
+    const db = await this._openDatabase();
+    const version = db
+      ? await this._addToDatabase(db, record, data)
+      : this._addToMemory(record, data);
+
+    this._notify();
+    return version;
+  }
+
+  /**
+   * Number the version and write record and snapshot in one transaction
+   * @private
+   */
+  _addToDatabase(db, record, data) {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([VERSIONS_STORE, SNAPSHOTS_STORE], 'readwrite');
+      const versions = transaction.objectStore(VERSIONS_STORE);
+      let version = null;
+
+      const countRequest = versions.index('datasetId').count(record.datasetId);
+      countRequest.onsuccess = () => {
+        const number = countRequest.result + 1;
+        version = { ...record, id: `${record.datasetId}@${number}`, version: number };
+
+        // add() rather than put() so an existing version can never be overwritten
+        versions.add(version);
+        transaction.objectStore(SNAPSHOTS_STORE).add({ id: version.id, data });
+      };
+
+      transaction.oncomplete = () => resolve(version);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Version transaction aborted'));
+    });
+  }
+
+  /**
+   * @private
+   */
+  _addToMemory(record, data) {
+    const number = Array.from(this.memoryVersions.values())
+      .filter(version => version.datasetId === record.datasetId).length + 1;
+    const version = Object.freeze({ ...record, id: `${record.datasetId}@${number}`, version: number });
+
+    this.memoryVersions.set(version.id, version);
+    this.memorySnapshots.set(version.id, data);
+    return version;
+  }
+
+  /**
+   * List version records, newest first
+   * @param {string} datasetId - Optional dataset to restrict the history to
+   * @returns {Promise<Array>} Version records (without data)
+   */
+  async listVersions(datasetId = null) {
+    const db = await this._openDatabase();
+    let versions;
+
+    if (db) {
+      const store = db.transaction(VERSIONS_STORE, 'readonly').objectStore(VERSIONS_STORE);
+      versions = await promisifyRequest(
+        datasetId ? store.index('datasetId').getAll(datasetId) : store.getAll()
+      );
+    } else {
+      versions = Array.from(this.memoryVersions.values())
+        .filter(version => !datasetId || version.datasetId === datasetId);
+    }
+
+    return versions.sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.version - a.version);
+  }
+
+  /**
+   * Latest version of a dataset, or null if it has none
+   */
+  async getLatestVersion(datasetId) {
+    const versions = await this.listVersions(datasetId);
+    return versions[0] || null;
+  }
+
+  /**
+   * Get a version record together with its processed data
+   * @param {string} versionId - Version id ("<datasetId>@<number>")
+   * @returns {Promise<Object>} { ...version, data }
+   */
+  async getVersion(versionId) {
+    const db = await this._openDatabase();
+    let version;
+    let data;
+
+    if (db) {
+      const transaction = db.transaction([VERSIONS_STORE, SNAPSHOTS_STORE], 'readonly');
+      [version, data] = await Promise.all([
+        promisifyRequest(transaction.objectStore(VERSIONS_STORE).get(versionId)),
+        promisifyRequest(transaction.objectStore(SNAPSHOTS_STORE).get(versionId)).then(snapshot => snapshot?.data)
+      ]);
+    } else {
+      version = this.memoryVersions.get(versionId);
+      data = this.memorySnapshots.get(versionId);
+    }
+
+    if (!version || !data) {
+      throw new Error(`Unknown version: ${versionId}`);
+    }
+
+    return { ...version, data };
+  }
+
+  /**
+   * Subscribe to new versions
+   * @param {Function} listener - Called after a version is stored
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Notify subscribers
+   * @private
+   */
+  _notify() {
+    this.listeners.forEach(listener => listener());
+  }
+}
+
+// Export singleton instance
+export const datasetVersionService = new DatasetVersionService();
+
+export default DatasetVersionService;
@@ -1,4344 +1,188 @@
 // src/services/embeddedDataService.js
-// Service for processing embedded CSV data at build time/runtime
+// Service for processing the CSV datasets in public/data at build time/runtime
 
-import Papa from 'papaparse';
+import { DEFAULT_DATASET } from '@/services/datasetRegistry';
+import { taxonomyService } from '@/services/taxonomyService';
+import { getAvailableYears, resolveYearWindow } from '@/utils/yearWindow';
+import { findValueColumn, resolveValueUnit, toInternalValue } from '@/utils/valueUnits';
+import { unpivotYearColumns } from '@/utils/wideFormat';
+import { parseCSVInChunks } from '@/utils/csvParsing';
+import { createLineage, createPointProvenance } from '@/utils/provenance';
+
+/**
+ * Path of a dataset's precomputed market data, relative to public/data
+ * @param {string} datasetId - Dataset id from the manifest
+ */
+export const getPrecomputedDataPath = (datasetId) => `precomputed/${datasetId}.json`;
 
 /**
  * Embedded Data Service for Market Research Dashboard
- * Processes CSV data that's embedded in the project
+ * Serves the processed data precomputed at build time, processing
+ * the CSV in the browser only when no artifact exists
  */
 class EmbeddedDataService {
   constructor() {
     this.processedData = null;
     this.isProcessed = false;
-    this.processingPromise = null;
+    this.processingPromises = new Map();
   }
 
   /**
-   * Process embedded CSV data
+   * Get processed data for a manifest dataset (once per dataset)
+   * @param {Object} dataset - Dataset descriptor from the dataset registry
    * @returns {Promise<Object>} Processed market data
    */
-  async processEmbeddedData() {
-    if (this.isProcessed && this.processedData) {
-      return this.processedData;
+  async processEmbeddedData(dataset = DEFAULT_DATASET) {
+    if (!this.processingPromises.has(dataset.id)) {
+      const processingPromise = this._loadAndProcessData(dataset);
+      this.processingPromises.set(dataset.id, processingPromise);
+
+      // Allow a retry after a failed load
+      processingPromise.catch(() => this.processingPromises.delete(dataset.id));
     }
 
-    if (this.processingPromise) {
-      return this.processingPromise;
+    return this.processingPromises.get(dataset.id);
+  }
+
+  /**
+   * Fetch a dataset freshly processed by the server (after its file
+   * changed in live mode) and replace the cached data
+   * @param {Object} dataset - Dataset descriptor from the dataset registry
+   * @returns {Promise<Object>} Processed market data
+   */
+  async reloadData(dataset) {
+    const response = await fetch(`/api/datasets/${encodeURIComponent(dataset.id)}/data`, { cache: 'no-store' });
+    if (!response.ok) {
+      throw new Error(`Failed to reload dataset ${dataset.id}: ${response.statusText}`);
     }
 
-    this.processingPromise = this._loadAndProcessData();
-    return this.processingPromise;
+    const data = await response.json();
+    this.processingPromises.set(dataset.id, Promise.resolve(data));
+    this.processedData = data;
+    this.isProcessed = true;
+
+    return data;
   }
 
   /**
-   * Load and process the embedded CSV data
+   * Load the dataset's precomputed artifact, processing the CSV only
+   * when none was built for it
    * @private
    */
-  async _loadAndProcessData() {
+  async _loadAndProcessData(dataset) {
     try {
-      // Import the CSV data as text
-      const csvText = await this._loadCSVText();
-      
-      // Parse CSV
-      const parsedData = await this._parseCSV(csvText);
-      
-      // Transform to market data structure
-      this.processedData = this._transformToMarketData(parsedData);
+      this.processedData = await this._loadPrecomputedData(dataset)
+        || await this.processCSVText(await this._loadCSVText(dataset), dataset);
       this.isProcessed = true;
-      
+
       return this.processedData;
     } catch (error) {
-      console.error('Failed to process embedded data:', error);
+      console.error(`Failed to process dataset ${dataset.id}:`, error);
       throw error;
     }
   }
 
   /**
-   * Load CSV text from embedded file
+   * Process CSV text into the market data structure. Used at runtime for
+   * datasets without a precomputed artifact and by the precompute script.
+   * @param {string} csvText - CSV content
+   * @param {Object} dataset - Dataset descriptor from the dataset registry
+   * @returns {Promise<Object>} Processed market data
+   */
+  async processCSVText(csvText, dataset = DEFAULT_DATASET) {
+    // Parse CSV, unpivoting years-as-columns tables into the long format
+    const { rows, sourceRows } = unpivotYearColumns(await parseCSVInChunks({ text: csvText }));
+    return this._transformToMarketData(rows, dataset, sourceRows);
+  }
+
+  /**
+   * Fetch the build-time processed data for a dataset
+   * (see scripts/precompute-market-data.mjs)
    * @private
+   * @returns {Promise<Object|null>} Processed market data, or null if not built
    */
-  async _loadCSVText() {
+  async _loadPrecomputedData(dataset) {
     try {
-      // For static builds, we'll need to import the CSV as text
-      // This requires the CSV to be in the public directory or imported as text
-      const response = await fetch('/data/market-data.csv');
+      const response = await fetch(`/data/${getPrecomputedDataPath(dataset.id)}`);
       if (!response.ok) {
-        throw new Error(`Failed to load CSV file: ${response.statusText}`);
+        return null;
       }
-      return await response.text();
+      return await response.json();
     } catch (error) {
-      // Fallback: if public folder doesn't work, use inline data
-      console.warn('Could not load from public folder, using inline data');
-      return this._getInlineCSVData();
+      console.warn(`No precomputed data for ${dataset.id}, processing CSV:`, error.message);
+      return null;
     }
   }
 
   /**
-   * Inline CSV data as fallback
+   * Load CSV text for a dataset from public/data
    * @private
    */
-  _getInlineCSVData() {
-    // This is your CSV data as a string - you can paste your entire CSV content here
-    return `Region,Segment Type,Segment Name,Year,Value (USD Thousand)
-Global,Type,Mesotherapy,2024,823.9327502
-Global,Type,Mesotherapy,2025,909.3001651
-Global,Type,Mesotherapy,2026,1005.710869
-Global,Type,Mesotherapy,2027,1116.087708
-Global,Type,Mesotherapy,2028,1244.324298
-Global,Type,Mesotherapy,2029,1395.76242
-Global,Type,Mesotherapy,2030,1577.623259
-Global,Type,Mesotherapy,2031,1783.182137
-Global,Type,Mesotherapy,2032,2015.525275
-Global,Type,Micro-needle,2024,534.3172498
-Global,Type,Micro-needle,2025,582.8732849
-Global,Type,Micro-needle,2026,637.1720992
-Global,Type,Micro-needle,2027,698.8051075
-Global,Type,Micro-needle,2028,769.8800462
-Global,Type,Micro-needle,2029,853.2780089
-Global,Type,Micro-needle,2030,952.8620886
-Global,Type,Micro-needle,2031,1063.968147
-Global,Type,Micro-needle,2032,1187.917396
-Global,Ingredient,Hyaluronic acid (HA),2024,862.9134863
-Global,Ingredient,Hyaluronic acid (HA),2025,946.0250387
-Global,Ingredient,Hyaluronic acid (HA),2026,1039.404953
-Global,Ingredient,Hyaluronic acid (HA),2027,1145.836533
-Global,Ingredient,Hyaluronic acid (HA),2028,1269.015929
-Global,Ingredient,Hyaluronic acid (HA),2029,1414.003962
-Global,Ingredient,Hyaluronic acid (HA),2030,1587.612764
-Global,Ingredient,Hyaluronic acid (HA),2031,1782.52534
-Global,Ingredient,Hyaluronic acid (HA),2032,2001.352599
-Global,Ingredient,Polydeoxyribonucleotides (PDRN),2024,121.0574355
-Global,Ingredient,Polydeoxyribonucleotides (PDRN),2025,134.8670682
-Global,Ingredient,Polydeoxyribonucleotides (PDRN),2026,150.5820834
-Global,Ingredient,Polydeoxyribonucleotides (PDRN),2027,168.6956959
-Global,Ingredient,Polydeoxyribonucleotides (PDRN),2028,189.8673428
-Global,Ingredient,Polydeoxyribonucleotides (PDRN),2029,215.0038493
-Global,Ingredient,Polydeoxyribonucleotides (PDRN),2030,245.3379284
-Global,Ingredient,Polydeoxyribonucleotides (PDRN),2031,279.9587272
-Global,Ingredient,Polydeoxyribonucleotides (PDRN),2032,319.4739204
-Global,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2024,246.5016482
-Global,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2025,271.7654183
-Global,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2026,300.2806008
-Global,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2027,332.9119343
-Global,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2028,370.8110142
-Global,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2029,415.5574789
-Global,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2030,469.2859217
-Global,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2031,529.9808658
-Global,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2032,598.549764
-Global,Ingredient,Polycaprolactone (PCL),2024,92.94138384
-Global,Ingredient,Polycaprolactone (PCL),2025,101.6580342
-Global,Ingredient,Polycaprolactone (PCL),2026,111.4373083
-Global,Ingredient,Polycaprolactone (PCL),2027,122.5704956
-Global,Ingredient,Polycaprolactone (PCL),2028,135.443957
-Global,Ingredient,Polycaprolactone (PCL),2029,150.5863022
-Global,Ingredient,Polycaprolactone (PCL),2030,168.7080815
-Global,Ingredient,Polycaprolactone (PCL),2031,189.0161257
-Global,Ingredient,Polycaprolactone (PCL),2032,211.7752429
-Global,Ingredient,Exosomes,2024,34.83604615
-Global,Ingredient,Exosomes,2025,37.85789064
-Global,Ingredient,Exosomes,2026,41.17802303
-Global,Ingredient,Exosomes,2027,44.87815628
-Global,Ingredient,Exosomes,2028,49.0661015
-Global,Ingredient,Exosomes,2029,53.88883594
-Global,Ingredient,Exosomes,2030,59.54065217
-Global,Ingredient,Exosomes,2031,65.66922582
-Global,Ingredient,Exosomes,2032,72.2911452
-Global,Gender,Female,2024,1126.722013
-Global,Gender,Female,2025,1234.169045
-Global,Gender,Female,2026,1354.809935
-Global,Gender,Female,2027,1492.233601
-Global,Gender,Female,2028,1651.203797
-Global,Gender,Female,2029,1838.241183
-Global,Gender,Female,2030,2062.117556
-Global,Gender,Female,2031,2313.237063
-Global,Gender,Female,2032,2594.909143
-Global,Gender,Male,2024,231.5279873
-Global,Gender,Male,2025,258.0044047
-Global,Gender,Male,2026,288.0730332
-Global,Gender,Male,2027,322.6592138
-Global,Gender,Male,2028,363.000547
-Global,Gender,Male,2029,410.7992453
-Global,Gender,Male,2030,468.3677921
-Global,Gender,Male,2031,533.9132213
-Global,Gender,Male,2032,608.5335278
-North America,Country,US,2024,322.2518754
-North America,Country,US,2025,350.014903
-North America,Country,US,2026,381.0003224
-North America,Country,US,2027,416.1224867
-North America,Country,US,2028,456.5887642
-North America,Country,US,2029,504.0463128
-North America,Country,US,2030,560.6973387
-North America,Country,US,2031,623.7155151
-North America,Country,US,2032,693.8164619
-North America,Country,Canada,2024,66.48658199
-North America,Country,Canada,2025,71.92638886
-North America,Country,Canada,2026,77.98125688
-North America,Country,Canada,2027,84.82995563
-North America,Country,Canada,2028,92.70783559
-North America,Country,Canada,2029,101.935353
-North America,Country,Canada,2030,112.9395494
-North America,Country,Canada,2031,125.1316786
-North America,Country,Canada,2032,138.639981
-North America,Country,Mexico,2024,53.91521762
-North America,Country,Mexico,2025,57.79299462
-North America,Country,Mexico,2026,62.07533956
-North America,Country,Mexico,2027,66.88837954
-North America,Country,Mexico,2028,72.39678633
-North America,Country,Mexico,2029,78.82356787
-North America,Country,Mexico,2030,86.46309869
-North America,Country,Mexico,2031,94.82625033
-North America,Country,Mexico,2032,103.9794109
-North America,Type,Mesotherapy,2024,248.4016521
-North America,Type,Mesotherapy,2025,270.1948357
-North America,Type,Mesotherapy,2026,294.5428726
-North America,Type,Mesotherapy,2027,322.1648962
-North America,Type,Mesotherapy,2028,354.0114447
-North America,Type,Mesotherapy,2029,391.3801293
-North America,Type,Mesotherapy,2030,436.0078154
-North America,Type,Mesotherapy,2031,485.7255858
-North America,Type,Mesotherapy,2032,541.1141568
-North America,Type,Micro-needle,2024,194.2520229
-North America,Type,Micro-needle,2025,209.5394508
-North America,Type,Micro-needle,2026,226.5140462
-North America,Type,Micro-needle,2027,245.6759257
-North America,Type,Micro-needle,2028,267.6819414
-North America,Type,Micro-needle,2029,293.4251044
-North America,Type,Micro-needle,2030,324.0921714
-North America,Type,Micro-needle,2031,357.9478582
-North America,Type,Micro-needle,2032,395.321697
-North America,Ingredient,Hyaluronic acid (HA),2024,285.729884
-North America,Ingredient,Hyaluronic acid (HA),2025,308.9446166
-North America,Ingredient,Hyaluronic acid (HA),2026,334.7752258
-North America,Ingredient,Hyaluronic acid (HA),2027,363.9846037
-North America,Ingredient,Hyaluronic acid (HA),2028,397.5766725
-North America,Ingredient,Hyaluronic acid (HA),2029,436.9180106
-North America,Ingredient,Hyaluronic acid (HA),2030,483.8289096
-North America,Ingredient,Hyaluronic acid (HA),2031,535.7765041
-North America,Ingredient,Hyaluronic acid (HA),2032,593.3015665
-North America,Ingredient,Polydeoxyribonucleotides (PDRN),2024,25.20877267
-North America,Ingredient,Polydeoxyribonucleotides (PDRN),2025,27.59098967
-North America,Ingredient,Polydeoxyribonucleotides (PDRN),2026,30.26447646
-North America,Ingredient,Polydeoxyribonucleotides (PDRN),2027,33.30877605
-North America,Ingredient,Polydeoxyribonucleotides (PDRN),2028,36.8294273
-North America,Ingredient,Polydeoxyribonucleotides (PDRN),2029,40.97085566
-North America,Ingredient,Polydeoxyribonucleotides (PDRN),2030,45.92725882
-North America,Ingredient,Polydeoxyribonucleotides (PDRN),2031,51.4835647
-North America,Ingredient,Polydeoxyribonucleotides (PDRN),2032,57.71242044
-North America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2024,105.7449256
-North America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2025,115.3910326
-North America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2026,126.1921049
-North America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2027,138.467937
-North America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2028,152.6420994
-North America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2029,169.2935863
-North America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2030,189.1992412
-North America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2031,211.4453584
-North America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2032,236.3071177
-North America,Ingredient,Polycaprolactone (PCL),2024,17.0769148
-North America,Ingredient,Polycaprolactone (PCL),2025,18.32535399
-North America,Ingredient,Polycaprolactone (PCL),2026,19.70809779
-North America,Ingredient,Polycaprolactone (PCL),2027,21.26648587
-North America,Ingredient,Polycaprolactone (PCL),2028,23.05454749
-North America,Ingredient,Polycaprolactone (PCL),2029,25.14550233
-North America,Ingredient,Polycaprolactone (PCL),2030,27.63621215
-North America,Ingredient,Polycaprolactone (PCL),2031,30.37374757
-North America,Ingredient,Polycaprolactone (PCL),2032,33.38258028
-North America,Ingredient,Exosomes,2024,8.893177923
-North America,Ingredient,Exosomes,2025,9.482293609
-North America,Ingredient,Exosomes,2026,10.11701382
-North America,Ingredient,Exosomes,2027,10.81301926
-North America,Ingredient,Exosomes,2028,11.59063941
-North America,Ingredient,Exosomes,2029,12.47727872
-North America,Ingredient,Exosomes,2030,13.50836504
-North America,Ingredient,Exosomes,2031,14.59426927
-North America,Ingredient,Exosomes,2032,15.73216896
-North America,Gender,Female,2024,368.113275
-North America,Gender,Female,2025,397.7021174
-North America,Gender,Female,2026,430.6060901
-North America,Gender,Female,2027,467.7971542
-North America,Gender,Female,2028,510.5535209
-North America,Gender,Female,2029,560.6144058
-North America,Gender,Female,2030,620.2948049
-North America,Gender,Female,2031,686.3254564
-North America,Gender,Female,2032,759.381715
-North America,Gender,Male,2024,74.54040001
-North America,Gender,Male,2025,82.03216908
-North America,Gender,Male,2026,90.45082869
-North America,Gender,Male,2027,100.0436677
-North America,Gender,Male,2028,111.1398652
-North America,Gender,Male,2029,124.1908278
-North America,Gender,Male,2030,139.8051819
-North America,Gender,Male,2031,157.3479876
-North America,Gender,Male,2032,177.0541388
-North America,End User,Medspas,2024,263.0560739
-North America,End User,Medspas,2025,286.9785708
-North America,End User,Medspas,2026,313.7596325
-North America,End User,Medspas,2027,344.1917336
-North America,End User,Medspas,2028,379.3243515
-North America,End User,Medspas,2029,420.591915
-North America,End User,Medspas,2030,469.9186272
-North America,End User,Medspas,2031,525.0287773
-North America,End User,Medspas,2032,586.6002668
-North America,End User,Dermatology Clinics,2024,179.5976011
-North America,End User,Dermatology Clinics,2025,192.7557156
-North America,End User,Dermatology Clinics,2026,207.2972863
-North America,End User,Dermatology Clinics,2027,223.6490883
-North America,End User,Dermatology Clinics,2028,242.3690346
-North America,End User,Dermatology Clinics,2029,264.2133186
-North America,End User,Dermatology Clinics,2030,290.1813596
-North America,End User,Dermatology Clinics,2031,318.6446667
-North America,End User,Dermatology Clinics,2032,349.835587
-North America,Type,Mesotherapy,2024,175.949524
-North America,Type,Mesotherapy,2025,191.8916804
-North America,Type,Mesotherapy,2026,209.7354876
-North America,Type,Mesotherapy,2027,230.0089466
-North America,Type,Mesotherapy,2028,253.4111566
-North America,Type,Mesotherapy,2029,280.8975299
-North America,Type,Mesotherapy,2030,313.749426
-North America,Type,Mesotherapy,2031,350.44346
-North America,Type,Mesotherapy,2032,391.4289829
-North America,Type,Micro-needle,2024,146.3023514
-North America,Type,Micro-needle,2025,158.1232226
-North America,Type,Micro-needle,2026,171.2648348
-North America,Type,Micro-needle,2027,186.1135401
-North America,Type,Micro-needle,2028,203.1776076
-North America,Type,Micro-needle,2029,223.1487829
-North America,Type,Micro-needle,2030,246.9479127
-North America,Type,Micro-needle,2031,273.272055
-North America,Type,Micro-needle,2032,302.3874791
-North America,Ingredient,Hyaluronic acid (HA),2024,206.5956773
-North America,Ingredient,Hyaluronic acid (HA),2025,223.9008863
-North America,Ingredient,Hyaluronic acid (HA),2026,243.1857479
-North America,Ingredient,Hyaluronic acid (HA),2027,265.0192745
-North America,Ingredient,Hyaluronic acid (HA),2028,290.1516171
-North America,Ingredient,Hyaluronic acid (HA),2029,319.6051119
-North America,Ingredient,Hyaluronic acid (HA),2030,354.744172
-North America,Ingredient,Hyaluronic acid (HA),2031,393.7466043
-North America,Ingredient,Hyaluronic acid (HA),2032,437.0371684
-North America,Ingredient,Polydeoxyribonucleotides (PDRN),2024,19.46401327
-North America,Ingredient,Polydeoxyribonucleotides (PDRN),2025,21.34808096
-North America,Ingredient,Polydeoxyribonucleotides (PDRN),2026,23.46567301
-North America,Ingredient,Polydeoxyribonucleotides (PDRN),2027,25.87999707
-North America,Ingredient,Polydeoxyribonucleotides (PDRN),2028,28.67501304
-North America,Ingredient,Polydeoxyribonucleotides (PDRN),2029,31.96569951
-North America,Ingredient,Polydeoxyribonucleotides (PDRN),2030,35.90687679
-North America,Ingredient,Polydeoxyribonucleotides (PDRN),2031,40.33397739
-North America,Ingredient,Polydeoxyribonucleotides (PDRN),2032,45.30691269
-North America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2024,76.27701891
-North America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2025,83.41189752
-North America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2026,91.41343211
-North America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2027,100.5192093
-North America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2028,111.0443089
-North America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2029,123.4197705
-North America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2030,138.2248075
-North America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2031,154.805809
-North America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2032,173.3758139
-North America,Ingredient,Polycaprolactone (PCL),2024,13.14787652
-North America,Ingredient,Polycaprolactone (PCL),2025,14.13780196
-North America,Ingredient,Polycaprolactone (PCL),2026,15.23547137
-North America,Ingredient,Polycaprolactone (PCL),2027,16.4735399
-North America,Ingredient,Polycaprolactone (PCL),2028,17.89477168
-North America,Ingredient,Polycaprolactone (PCL),2029,19.55719555
-North America,Ingredient,Polycaprolactone (PCL),2030,21.5377249
-North America,Ingredient,Polycaprolactone (PCL),2031,23.71881964
-North America,Ingredient,Polycaprolactone (PCL),2032,26.12079073
-North America,Ingredient,Exosomes,2024,6.767289383
-North America,Ingredient,Exosomes,2025,7.216236253
-North America,Ingredient,Exosomes,2026,7.699997942
-North America,Ingredient,Exosomes,2027,8.230465904
-North America,Ingredient,Exosomes,2028,8.823053446
-North America,Ingredient,Exosomes,2029,9.498535323
-North America,Ingredient,Exosomes,2030,10.28375746
-North America,Ingredient,Exosomes,2031,11.11030466
-North America,Ingredient,Exosomes,2032,11.97577618
-North America,Gender,Female,2024,266.8245528
-North America,Gender,Female,2025,288.7979965
-North America,Gender,Female,2026,313.2638535
-North America,Gender,Female,2027,340.9442975
-North America,Gender,Female,2028,372.7904421
-North America,Gender,Female,2029,410.0976627
-North America,Gender,Female,2030,454.5929013
-North America,Gender,Female,2031,503.9158345
-North America,Gender,Female,2032,558.590263
-North America,Gender,Male,2024,55.42732257
-North America,Gender,Male,2025,61.2169065
-North America,Gender,Male,2026,67.73646883
-North America,Gender,Male,2027,75.1781892
-North America,Gender,Male,2028,83.79832209
-North America,Gender,Male,2029,93.94865008
-North America,Gender,Male,2030,106.1044373
-North America,Gender,Male,2031,119.7996805
-North America,Gender,Male,2032,135.226199
-North America,End User,Medspas,2024,190.1608317
-North America,End User,Medspas,2025,207.8863289
-North America,End User,Medspas,2026,227.760557
-North America,End User,Medspas,2027,250.3733714
-North America,End User,Medspas,2028,276.5068862
-North America,End User,Medspas,2029,307.2309423
-North America,End User,Medspas,2030,343.9828455
-North America,End User,Medspas,2031,385.1311235
-North America,End User,Medspas,2032,431.2016841
-North America,End User,Dermatology Clinics,2024,132.0910437
-North America,End User,Dermatology Clinics,2025,142.1285741
-North America,End User,Dermatology Clinics,2026,153.2397654
-North America,End User,Dermatology Clinics,2027,165.7491153
-North America,End User,Dermatology Clinics,2028,180.0818779
-North America,End User,Dermatology Clinics,2029,196.8153705
-North America,End User,Dermatology Clinics,2030,216.7144932
-North America,End User,Dermatology Clinics,2031,238.5843916
-North America,End User,Dermatology Clinics,2032,262.6147778
-North America,Type,Mesotherapy,2024,39.43984043
-North America,Type,Mesotherapy,2025,42.80326742
-North America,Type,Mesotherapy,2026,46.55500955
-North America,Type,Mesotherapy,2027,50.80576004
-North America,Type,Mesotherapy,2028,55.70160102
-North America,Type,Mesotherapy,2029,61.44175198
-North America,Type,Mesotherapy,2030,68.29239351
-North America,Type,Mesotherapy,2031,75.90686888
-North America,Type,Mesotherapy,2032,84.37034414
-North America,Type,Micro-needle,2024,27.04674155
-North America,Type,Micro-needle,2025,29.12312144
-North America,Type,Micro-needle,2026,31.42624733
-North America,Type,Micro-needle,2027,34.02419559
-North America,Type,Micro-needle,2028,37.00623457
-North America,Type,Micro-needle,2029,40.49360099
-North America,Type,Micro-needle,2030,44.64715593
-North America,Type,Micro-needle,2031,49.22480974
-North America,Type,Micro-needle,2032,54.2696369
-North America,Ingredient,Hyaluronic acid (HA),2024,43.44233267
-North America,Ingredient,Hyaluronic acid (HA),2025,46.86511171
-North America,Ingredient,Hyaluronic acid (HA),2026,50.66801618
-North America,Ingredient,Hyaluronic acid (HA),2027,54.96360116
-North America,Ingredient,Hyaluronic acid (HA),2028,59.89970057
-North America,Ingredient,Hyaluronic acid (HA),2029,65.677303
-North America,Ingredient,Hyaluronic acid (HA),2030,72.56359654
-North America,Ingredient,Hyaluronic acid (HA),2031,80.17192094
-North America,Ingredient,Hyaluronic acid (HA),2032,88.57798143
-North America,Ingredient,Polydeoxyribonucleotides (PDRN),2024,3.350923732
-North America,Ingredient,Polydeoxyribonucleotides (PDRN),2025,3.656628282
-North America,Ingredient,Polydeoxyribonucleotides (PDRN),2026,3.998939271
-North America,Ingredient,Polydeoxyribonucleotides (PDRN),2027,4.387992118
-North America,Ingredient,Polydeoxyribonucleotides (PDRN),2028,4.837211333
-North America,Ingredient,Polydeoxyribonucleotides (PDRN),2029,5.364947441
-North America,Ingredient,Polydeoxyribonucleotides (PDRN),2030,5.995821737
-North America,Ingredient,Polydeoxyribonucleotides (PDRN),2031,6.700881731
-North America,Ingredient,Polydeoxyribonucleotides (PDRN),2032,7.488851061
-North America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2024,16.15623942
-North America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2025,17.61444177
-North America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2026,19.24620965
-North America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2027,21.0998115
-North America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2028,23.23914424
-North America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2029,25.75152036
-North America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2030,28.75401193
-North America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2031,32.10657818
-North America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2032,35.850036
-North America,Ingredient,Polycaprolactone (PCL),2024,2.273841104
-North America,Ingredient,Polycaprolactone (PCL),2025,2.432823792
-North America,Ingredient,Polycaprolactone (PCL),2026,2.60860859
-North America,Ingredient,Polycaprolactone (PCL),2027,2.806494663
-North America,Ingredient,Polycaprolactone (PCL),2028,3.033386254
-North America,Ingredient,Polycaprolactone (PCL),2029,3.298620815
-North America,Ingredient,Polycaprolactone (PCL),2030,3.61451396
-North America,Ingredient,Polycaprolactone (PCL),2031,3.960658682
-North America,Ingredient,Polycaprolactone (PCL),2032,4.339952029
-North America,Ingredient,Exosomes,2024,1.263245058
-North America,Ingredient,Exosomes,2025,1.357383302
-North America,Ingredient,Exosomes,2026,1.459483186
-North America,Ingredient,Exosomes,2027,1.572056192
-North America,Ingredient,Exosomes,2028,1.698393196
-North America,Ingredient,Exosomes,2029,1.842961358
-North America,Ingredient,Exosomes,2030,2.011605272
-North America,Ingredient,Exosomes,2031,2.191639078
-North America,Ingredient,Exosomes,2032,2.38316052
-North America,Gender,Female,2024,55.33678219
-North America,Gender,Female,2025,59.75059122
-North America,Gender,Female,2026,64.65739996
-North America,Gender,Female,2027,70.20229359
-North America,Gender,Female,2028,76.57597919
-North America,Gender,Female,2029,84.03786367
-North America,Gender,Female,2030,92.93306891
-North America,Gender,Female,2031,102.7698102
-North America,Gender,Female,2032,113.6477468
-North America,Gender,Male,2024,11.1497998
-North America,Gender,Male,2025,12.17579765
-North America,Gender,Male,2026,13.32385692
-North America,Gender,Male,2027,14.62766204
-North America,Gender,Male,2028,16.1318564
-North America,Gender,Male,2029,17.8974893
-North America,Gender,Male,2030,20.00648053
-North America,Gender,Male,2031,22.36186845
-North America,Gender,Male,2032,24.99223426
-North America,End User,Medspas,2024,39.95843577
-North America,End User,Medspas,2025,43.52170847
-North America,End User,Medspas,2026,47.5062901
-North America,End User,Medspas,2027,52.02994089
-North America,End User,Medspas,2028,57.24845116
-North America,End User,Medspas,2029,63.37461551
-North America,End User,Medspas,2030,70.69354561
-North America,End User,Medspas,2031,78.85771537
-North America,End User,Medspas,2032,87.96473878
-North America,End User,Dermatology Clinics,2024,26.52814621
-North America,End User,Dermatology Clinics,2025,28.40468039
-North America,End User,Dermatology Clinics,2026,30.47496678
-North America,End User,Dermatology Clinics,2027,32.80001474
-North America,End User,Dermatology Clinics,2028,35.45938444
-North America,End User,Dermatology Clinics,2029,38.56073747
-North America,End User,Dermatology Clinics,2030,42.24600383
-North America,End User,Dermatology Clinics,2031,46.27396325
-North America,End User,Dermatology Clinics,2032,50.67524227
-North America,Type,Mesotherapy,2024,33.01228775
-North America,Type,Mesotherapy,2025,35.49988789
-North America,Type,Mesotherapy,2026,38.2523755
-North America,Type,Mesotherapy,2027,41.35018954
-North America,Type,Mesotherapy,2028,44.8986871
-North America,Type,Mesotherapy,2029,49.04084738
-North America,Type,Mesotherapy,2030,53.96599592
-North America,Type,Mesotherapy,2031,59.37525689
-North America,Type,Mesotherapy,2032,65.31482984
-North America,Type,Micro-needle,2024,20.90292987
-North America,Type,Micro-needle,2025,22.29310673
-North America,Type,Micro-needle,2026,23.82296406
-North America,Type,Micro-needle,2027,25.53819
-North America,Type,Micro-needle,2028,27.49809923
-North America,Type,Micro-needle,2029,29.78272049
-North America,Type,Micro-needle,2030,32.49710277
-North America,Type,Micro-needle,2031,35.45099344
-North America,Type,Micro-needle,2032,38.66458102
-North America,Ingredient,Hyaluronic acid (HA),2024,35.69187406
-North America,Ingredient,Hyaluronic acid (HA),2025,38.17861861
-North America,Ingredient,Hyaluronic acid (HA),2026,40.92146174
-North America,Ingredient,Hyaluronic acid (HA),2027,44.001728
-North America,Ingredient,Hyaluronic acid (HA),2028,47.52535487
-North America,Ingredient,Hyaluronic acid (HA),2029,51.63559567
-North America,Ingredient,Hyaluronic acid (HA),2030,56.52114108
-North America,Ingredient,Hyaluronic acid (HA),2031,61.85797883
-North America,Ingredient,Hyaluronic acid (HA),2032,67.68641663
-North America,Ingredient,Polydeoxyribonucleotides (PDRN),2024,2.393835662
-North America,Ingredient,Polydeoxyribonucleotides (PDRN),2025,2.586280432
-North America,Ingredient,Polydeoxyribonucleotides (PDRN),2026,2.79986418
-North America,Ingredient,Polydeoxyribonucleotides (PDRN),2027,3.040786864
-North America,Ingredient,Polydeoxyribonucleotides (PDRN),2028,3.317202923
-North America,Ingredient,Polydeoxyribonucleotides (PDRN),2029,3.640208714
-North America,Ingredient,Polydeoxyribonucleotides (PDRN),2030,4.024560285
-North America,Ingredient,Polydeoxyribonucleotides (PDRN),2031,4.448705577
-North America,Ingredient,Polydeoxyribonucleotides (PDRN),2032,4.916656688
-North America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2024,13.31166723
-North America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2025,14.36469328
-North America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2026,15.53246312
-North America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2027,16.84891621
-North America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2028,18.35864622
-North America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2029,20.12229547
-North America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2030,22.22042174
-North America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2031,24.53297114
-North America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2032,27.08126776
-North America,Ingredient,Polycaprolactone (PCL),2024,1.655197181
-North America,Ingredient,Polycaprolactone (PCL),2025,1.75472824
-North America,Ingredient,Polycaprolactone (PCL),2026,1.864017831
-North America,Ingredient,Polycaprolactone (PCL),2027,1.986451312
-North America,Ingredient,Polycaprolactone (PCL),2028,2.126389555
-North America,Ingredient,Polycaprolactone (PCL),2029,2.289685966
-North America,Ingredient,Polycaprolactone (PCL),2030,2.483973286
-North America,Ingredient,Polycaprolactone (PCL),2031,2.69426925
-North America,Ingredient,Polycaprolactone (PCL),2032,2.921837513
-North America,Ingredient,Exosomes,2024,0.862643482
-North America,Ingredient,Exosomes,2025,0.908674053
-North America,Ingredient,Exosomes,2026,0.957532693
-North America,Ingredient,Exosomes,2027,1.010497161
-North America,Ingredient,Exosomes,2028,1.069192768
-North America,Ingredient,Exosomes,2029,1.135782041
-North America,Ingredient,Exosomes,2030,1.213002302
-North America,Ingredient,Exosomes,2031,1.292325528
-North America,Ingredient,Exosomes,2032,1.373232259
-North America,Gender,Female,2024,45.95193997
-North America,Gender,Female,2025,49.15352968
-North America,Gender,Female,2026,52.68483662
-North America,Gender,Female,2027,56.6505631
-North America,Gender,Female,2028,61.18709963
-North America,Gender,Female,2029,66.47887944
-North America,Gender,Female,2030,72.76883465
-North America,Gender,Female,2031,79.63981172
-North America,Gender,Female,2032,87.14370528
-North America,Gender,Male,2024,7.963277642
-North America,Gender,Male,2025,8.63946494
-North America,Gender,Male,2026,9.390502944
-North America,Gender,Male,2027,10.23781644
-North America,Gender,Male,2028,11.2096867
-North America,Gender,Male,2029,12.34468843
-North America,Gender,Male,2030,13.69426403
-North America,Gender,Male,2031,15.18643861
-North America,Gender,Male,2032,16.83570557
-North America,End User,Medspas,2024,32.93680644
-North America,End User,Medspas,2025,35.57053346
-North America,End User,Medspas,2026,38.49278541
-North America,End User,Medspas,2027,41.78842128
-North America,End User,Medspas,2028,45.56901413
-North America,End User,Medspas,2029,49.98635717
-North America,End User,Medspas,2030,55.24223612
-North America,End User,Medspas,2031,61.03993839
-North America,End User,Medspas,2032,67.43384386
-Europe,Country,United Kingdom,2024,51.8374211
-Europe,Country,United Kingdom,2025,57.11830673
-Europe,Country,United Kingdom,2026,63.07466979
-Europe,Country,United Kingdom,2027,69.88624106
-Europe,Country,United Kingdom,2028,77.79229268
-Europe,Country,United Kingdom,2029,87.12095903
-Europe,Country,United Kingdom,2030,98.31540089
-Europe,Country,United Kingdom,2031,110.9482513
-Europe,Country,United Kingdom,2032,125.2043357
-Europe,Country,France,2024,64.69659864
-Europe,Country,France,2025,71.93114735
-Europe,Country,France,2026,80.14939544
-Europe,Country,France,2027,89.60671353
-Europe,Country,France,2028,100.6442668
-Europe,Country,France,2029,113.7309636
-Europe,Country,France,2030,129.503417
-Europe,Country,France,2031,147.463228
-Europe,Country,France,2032,167.913744
-Europe,Country,Germany,2024,91.58065821
-Europe,Country,Germany,2025,102.1656518
-Europe,Country,Germany,2026,114.2230582
-Europe,Country,Germany,2027,128.1326159
-Europe,Country,Germany,2028,144.4021949
-Europe,Country,Germany,2029,163.7303097
-Europe,Country,Germany,2030,187.0670092
-Europe,Country,Germany,2031,213.7299196
-Europe,Country,Germany,2032,244.1931301
-Europe,Country,Italy,2024,37.41182816
-Europe,Country,Italy,2025,41.28515407
-Europe,Country,Italy,2026,45.65902283
-Europe,Country,Italy,2027,50.66596874
-Europe,Country,Italy,2028,56.48254823
-Europe,Country,Italy,2029,63.35098911
-Europe,Country,Italy,2030,71.59873491
-Europe,Country,Italy,2031,80.92026521
-Europe,Country,Italy,2032,91.45537739
-Europe,Country,Spain,2024,26.26477907
-Europe,Country,Spain,2025,28.5804633
-Europe,Country,Spain,2026,31.16825595
-Europe,Country,Spain,2027,34.10458535
-Europe,Country,Spain,2028,37.49050053
-Europe,Country,Spain,2029,41.46397087
-Europe,Country,Spain,2030,46.20972387
-Europe,Country,Spain,2031,51.49865137
-Europe,Country,Spain,2032,57.39292232
-Europe,Country,Sweden,2024,20.10840228
-Europe,Country,Sweden,2025,21.81905929
-Europe,Country,Sweden,2026,23.72696579
-Europe,Country,Sweden,2027,25.88841255
-Europe,Country,Sweden,2028,28.3776763
-Europe,Country,Sweden,2029,31.29604281
-Europe,Country,Sweden,2030,34.77882093
-Europe,Country,Sweden,2031,38.64917979
-Europe,Country,Sweden,2032,42.95025129
-Europe,Country,Russia,2024,29.9804621
-Europe,Country,Russia,2025,33.18382514
-Europe,Country,Russia,2026,36.80970139
-Europe,Country,Russia,2027,40.96898246
-Europe,Country,Russia,2028,45.80957406
-Europe,Country,Russia,2029,51.53455341
-Europe,Country,Russia,2030,58.41893168
-Europe,Country,Russia,2031,66.22297764
-Europe,Country,Russia,2032,75.06954753
-Europe,Country,Rest of Europe,2024,42.40250046
-Europe,Country,Rest of Europe,2025,46.59855731
-Europe,Country,Rest of Europe,2026,51.29078322
-Europe,Country,Rest of Europe,2027,56.61061105
-Europe,Country,Rest of Europe,2028,62.73285956
-Europe,Country,Rest of Europe,2029,69.89713565
-Europe,Country,Rest of Europe,2030,78.42546009
-Europe,Country,Rest of Europe,2031,87.9365434
-Europe,Country,Rest of Europe,2032,98.53480755
-Europe,Type,Mesotherapy,2024,227.8063218
-Europe,Type,Mesotherapy,2025,253.0962846
-Europe,Type,Mesotherapy,2026,281.8083358
-Europe,Type,Mesotherapy,2027,314.8322925
-Europe,Type,Mesotherapy,2028,353.3566184
-Europe,Type,Mesotherapy,2029,399.0145179
-Europe,Type,Mesotherapy,2030,454.0224318
-Europe,Type,Mesotherapy,2031,516.6140717
-Europe,Type,Mesotherapy,2032,587.8350171
-Europe,Type,Micro-needle,2024,136.4763282
-Europe,Type,Micro-needle,2025,149.5858804
-Europe,Type,Micro-needle,2026,164.2935169
-Europe,Type,Micro-needle,2027,181.0318382
-Europe,Type,Micro-needle,2028,200.3752947
-Europe,Type,Micro-needle,2029,223.1104063
-Europe,Type,Micro-needle,2030,250.2950667
-Europe,Type,Micro-needle,2031,280.7549446
-Europe,Type,Micro-needle,2032,314.8790988
-Europe,Ingredient,Hyaluronic acid (HA),2024,230.0159278
-Europe,Ingredient,Hyaluronic acid (HA),2025,253.9493142
-Europe,Ingredient,Hyaluronic acid (HA),2026,280.9852106
-Europe,Ingredient,Hyaluronic acid (HA),2027,311.9438874
-Europe,Ingredient,Hyaluronic acid (HA),2028,347.9182922
-Europe,Ingredient,Hyaluronic acid (HA),2029,390.4080919
-Europe,Ingredient,Hyaluronic acid (HA),2030,441.4411075
-Europe,Ingredient,Hyaluronic acid (HA),2031,499.1445394
-Europe,Ingredient,Hyaluronic acid (HA),2032,564.3902092
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2024,38.42051208
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2025,42.96627149
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2026,48.15535143
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2027,54.15306229
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2028,61.18065407
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2029,69.54256995
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2030,79.65341986
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2031,91.23516473
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2032,104.5018895
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2024,57.01355243
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2025,63.22208544
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2026,70.25998923
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2027,78.34390114
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2028,87.76297068
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2029,98.91438031
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2030,112.3365783
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2031,127.5803388
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2032,144.8929021
-Europe,Ingredient,Polycaprolactone (PCL),2024,28.89753313
-Europe,Ingredient,Polycaprolactone (PCL),2025,31.67176597
-Europe,Ingredient,Polycaprolactone (PCL),2026,34.78867176
-Europe,Ingredient,Polycaprolactone (PCL),2027,38.34130507
-Europe,Ingredient,Polycaprolactone (PCL),2028,42.45322384
-Europe,Ingredient,Polycaprolactone (PCL),2029,47.29359199
-Europe,Ingredient,Polycaprolactone (PCL),2030,53.09009651
-Europe,Ingredient,Polycaprolactone (PCL),2031,59.59798741
-Europe,Ingredient,Polycaprolactone (PCL),2032,66.90470245
-Europe,Ingredient,Exosomes,2024,9.935124557
-Europe,Ingredient,Exosomes,2025,10.87272793
-Europe,Ingredient,Exosomes,2026,11.91262966
-Europe,Ingredient,Exosomes,2027,13.08197476
-Europe,Ingredient,Exosomes,2028,14.41677228
-Europe,Ingredient,Exosomes,2029,15.96629004
-Europe,Ingredient,Exosomes,2030,17.79629646
-Europe,Ingredient,Exosomes,2031,19.8109859
-Europe,Ingredient,Exosomes,2032,22.02441272
-Europe,Gender,Female,2024,307.0217196
-Europe,Gender,Female,2025,338.7448256
-Europe,Gender,Female,2026,374.5626724
-Europe,Gender,Female,2027,415.5601337
-Europe,Gender,Female,2028,463.1823129
-Europe,Gender,Female,2029,519.4117269
-Europe,Gender,Female,2030,586.9280476
-Europe,Gender,Female,2031,663.2213039
-Europe,Gender,Female,2032,749.4325578
-Europe,Gender,Male,2024,57.2609304
-Europe,Gender,Male,2025,63.93733939
-Europe,Gender,Male,2026,71.53918027
-Europe,Gender,Male,2027,80.30399701
-Europe,Gender,Male,2028,90.54960015
-Europe,Gender,Male,2029,102.7131973
-Europe,Gender,Male,2030,117.389451
-Europe,Gender,Male,2031,134.1477123
-Europe,Gender,Male,2032,153.2815581
-Europe,End User,Medspas,2024,218.5734376
-Europe,End User,Medspas,2025,243.2569321
-Europe,End User,Medspas,2026,271.3196881
-Europe,End User,Medspas,2027,303.6372574
-Europe,End User,Medspas,2028,341.3797445
-Europe,End User,Medspas,2029,386.1557294
-Europe,End User,Medspas,2030,440.1503138
-Europe,End User,Medspas,2031,501.6959871
-Europe,End User,Medspas,2032,571.8490786
-Europe,End User,Dermatology Clinics,2024,145.7092124
-Europe,End User,Dermatology Clinics,2025,159.4252329
-Europe,End User,Dermatology Clinics,2026,174.7821645
-Europe,End User,Dermatology Clinics,2027,192.2268733
-Europe,End User,Dermatology Clinics,2028,212.3521685
-Europe,End User,Dermatology Clinics,2029,235.9691948
-Europe,End User,Dermatology Clinics,2030,264.1671847
-Europe,End User,Dermatology Clinics,2031,295.6730292
-Europe,End User,Dermatology Clinics,2032,330.8650373
-Europe,Type,Mesotherapy,2024,32.62647284
-Europe,Type,Mesotherapy,2025,36.13720362
-Europe,Type,Mesotherapy,2026,40.11314228
-Europe,Type,Mesotherapy,2027,44.67616233
-Europe,Type,Mesotherapy,2028,49.98885961
-Europe,Type,Mesotherapy,2029,56.27451823
-Europe,Type,Mesotherapy,2030,63.83563348
-Europe,Type,Mesotherapy,2031,72.41266971
-Europe,Type,Mesotherapy,2032,82.14212735
-Europe,Type,Micro-needle,2024,19.21094826
-Europe,Type,Micro-needle,2025,20.98110311
-Europe,Type,Micro-needle,2026,22.96152751
-Europe,Type,Micro-needle,2027,25.21007873
-Europe,Type,Micro-needle,2028,27.80343307
-Europe,Type,Micro-needle,2029,30.8464408
-Europe,Type,Micro-needle,2030,34.47976741
-Europe,Type,Micro-needle,2031,38.53558154
-Europe,Type,Micro-needle,2032,43.06220833
-Europe,Ingredient,Hyaluronic acid (HA),2024,32.89084368
-Europe,Ingredient,Hyaluronic acid (HA),2025,36.20532405
-Europe,Ingredient,Hyaluronic acid (HA),2026,39.94087625
-Europe,Ingredient,Hyaluronic acid (HA),2027,44.20992448
-Europe,Ingredient,Hyaluronic acid (HA),2028,49.16206883
-Europe,Ingredient,Hyaluronic acid (HA),2029,55.00240949
-Europe,Ingredient,Hyaluronic acid (HA),2030,62.0077696
-Europe,Ingredient,Hyaluronic acid (HA),2031,69.90536463
-Europe,Ingredient,Hyaluronic acid (HA),2032,78.80883372
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2024,4.997127394
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2025,5.57668419
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2026,6.237052573
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2027,6.999061245
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2028,7.890569978
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2029,8.949899216
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2030,10.2291782
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2031,11.69131452
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2032,13.3624454
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2024,8.112556401
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2025,8.967619851
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2026,9.934462492
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2027,11.04253016
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2028,12.33107692
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2029,13.85398161
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2030,15.68415181
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2031,17.75609531
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2032,20.10175141
-Europe,Ingredient,Polycaprolactone (PCL),2024,4.577244283
-Europe,Ingredient,Polycaprolactone (PCL),2025,4.990589246
-Europe,Ingredient,Polycaprolactone (PCL),2026,5.453148019
-Europe,Ingredient,Polycaprolactone (PCL),2027,5.9786039
-Europe,Ingredient,Polycaprolactone (PCL),2028,6.585071106
-Europe,Ingredient,Polycaprolactone (PCL),2029,7.2973024
-Europe,Ingredient,Polycaprolactone (PCL),2030,8.148488355
-Europe,Ingredient,Polycaprolactone (PCL),2031,9.098959977
-Europe,Ingredient,Polycaprolactone (PCL),2032,10.16029833
-Europe,Ingredient,Exosomes,2024,1.259649333
-Europe,Ingredient,Exosomes,2025,1.378089388
-Europe,Ingredient,Exosomes,2026,1.509130459
-Europe,Ingredient,Exosomes,2027,1.656121274
-Europe,Ingredient,Exosomes,2028,1.823505849
-Europe,Ingredient,Exosomes,2029,2.017366312
-Europe,Ingredient,Exosomes,2030,2.245812923
-Europe,Ingredient,Exosomes,2031,2.496516814
-Europe,Ingredient,Exosomes,2032,2.771006819
-Europe,Gender,Female,2024,44.07735916
-Europe,Gender,Female,2025,48.47541759
-Europe,Gender,Female,2026,53.42878225
-Europe,Gender,Female,2027,59.08619559
-Europe,Gender,Female,2028,65.64550182
-Europe,Gender,Female,2029,73.3778706
-Europe,Gender,Female,2030,82.64908826
-Europe,Gender,Female,2031,93.09171463
-Europe,Gender,Female,2032,104.853756
-Europe,Gender,Male,2024,7.760061938
-Europe,Gender,Male,2025,8.64288914
-Europe,Gender,Male,2026,9.645887543
-Europe,Gender,Male,2027,10.80004547
-Europe,Gender,Male,2028,12.14679087
-Europe,Gender,Male,2029,13.74308843
-Europe,Gender,Male,2030,15.66631263
-Europe,Gender,Male,2031,17.85653662
-Europe,Gender,Male,2032,20.35057969
-Europe,End User,Medspas,2024,30.97804285
-Europe,End User,Medspas,2025,34.38990435
-Europe,End User,Medspas,2026,38.26094426
-Europe,End User,Medspas,2027,42.71077335
-Europe,End User,Medspas,2028,47.89910285
-Europe,End User,Medspas,2029,54.04537199
-Europe,End User,Medspas,2030,61.44725294
-Europe,End User,Medspas,2031,69.86287179
-Europe,End User,Medspas,2032,79.43106684
-Europe,End User,Dermatology Clinics,2024,20.85937825
-Europe,End User,Dermatology Clinics,2025,22.72840238
-Europe,End User,Dermatology Clinics,2026,24.81372553
-Europe,End User,Dermatology Clinics,2027,27.17546771
-Europe,End User,Dermatology Clinics,2028,29.89318983
-Europe,End User,Dermatology Clinics,2029,33.07558704
-Europe,End User,Dermatology Clinics,2030,36.86814795
-Europe,End User,Dermatology Clinics,2031,41.08537946
-Europe,End User,Dermatology Clinics,2032,45.77326885
-Europe,Type,Mesotherapy,2024,40.70709986
-Europe,Type,Mesotherapy,2025,45.51705465
-Europe,Type,Mesotherapy,2026,51.00654008
-Europe,Type,Mesotherapy,2027,57.35015731
-Europe,Type,Mesotherapy,2028,64.7815828
-Europe,Type,Mesotherapy,2029,73.62235126
-Europe,Type,Mesotherapy,2030,84.31030149
-Europe,Type,Mesotherapy,2031,96.54984954
-Europe,Type,Mesotherapy,2032,110.566245
-Europe,Type,Micro-needle,2024,23.98949878
-Europe,Type,Micro-needle,2025,26.41409269
-Europe,Type,Micro-needle,2026,29.14285536
-Europe,Type,Micro-needle,2027,32.25655622
-Europe,Type,Micro-needle,2028,35.86268401
-Europe,Type,Micro-needle,2029,40.10861232
-Europe,Type,Micro-needle,2030,45.19311551
-Europe,Type,Micro-needle,2031,50.91337847
-Europe,Type,Micro-needle,2032,57.34749909
-Europe,Ingredient,Hyaluronic acid (HA),2024,40.98529524
-Europe,Ingredient,Hyaluronic acid (HA),2025,45.51369979
-Europe,Ingredient,Hyaluronic acid (HA),2026,50.65285599
-Europe,Ingredient,Hyaluronic acid (HA),2027,56.56174108
-Europe,Ingredient,Hyaluronic acid (HA),2028,63.45265436
-Europe,Ingredient,Hyaluronic acid (HA),2029,71.61731029
-Europe,Ingredient,Hyaluronic acid (HA),2030,81.45149292
-Europe,Ingredient,Hyaluronic acid (HA),2031,92.63606344
-Europe,Ingredient,Hyaluronic acid (HA),2032,105.3564513
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2024,6.392023946
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2025,7.191368246
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2026,8.10834814
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2027,9.172976512
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2028,10.42548742
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2029,11.92130071
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2030,13.73610961
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2031,15.82719133
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2032,18.23660356
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2024,10.19618395
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2025,11.37262514
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2026,12.71251595
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2027,14.25802372
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2028,16.06554073
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2029,18.21262516
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2030,20.80475384
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2031,23.76580963
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2032,27.14830042
-Europe,Ingredient,Polycaprolactone (PCL),2024,5.589786122
-Europe,Ingredient,Polycaprolactone (PCL),2025,6.180047964
-Europe,Ingredient,Polycaprolactone (PCL),2026,6.847565964
-Europe,Ingredient,Polycaprolactone (PCL),2027,7.612681122
-Europe,Ingredient,Polycaprolactone (PCL),2028,8.50251184
-Europe,Ingredient,Polycaprolactone (PCL),2029,9.554281643
-Europe,Ingredient,Polycaprolactone (PCL),2030,10.81836584
-Europe,Ingredient,Polycaprolactone (PCL),2031,12.24969536
-Europe,Ingredient,Polycaprolactone (PCL),2032,13.87039768
-Europe,Ingredient,Exosomes,2024,1.533309388
-Europe,Ingredient,Exosomes,2025,1.673406212
-Europe,Ingredient,Exosomes,2026,1.828109396
-Europe,Ingredient,Exosomes,2027,2.001291098
-Europe,Ingredient,Exosomes,2028,2.198072452
-Europe,Ingredient,Exosomes,2029,2.425445784
-Europe,Ingredient,Exosomes,2030,2.692694781
-Europe,Ingredient,Exosomes,2031,2.984468245
-Europe,Ingredient,Exosomes,2032,3.30199106
-Europe,Gender,Female,2024,54.42277878
-Europe,Gender,Female,2025,60.39956588
-Europe,Gender,Female,2026,67.17917188
-Europe,Gender,Female,2027,74.97086294
-Europe,Gender,Female,2028,84.054035
-Europe,Gender,Female,2029,94.81254634
-Europe,Gender,Female,2030,107.7670227
-Europe,Gender,Female,2031,122.4915018
-Europe,Gender,Female,2032,139.2278234
-Europe,Gender,Male,2024,10.27381986
-Europe,Gender,Male,2025,11.53158146
-Europe,Gender,Male,2026,12.97022357
-Europe,Gender,Male,2027,14.63585059
-Europe,Gender,Male,2028,16.59023181
-Europe,Gender,Male,2029,18.91841725
-Europe,Gender,Male,2030,21.73639427
-Europe,Gender,Male,2031,24.97172624
-Europe,Gender,Male,2032,28.68592067
-Europe,End User,Medspas,2024,38.8955951
-Europe,End User,Medspas,2025,43.55636983
-Europe,End User,Medspas,2026,48.88219025
-Europe,End User,Medspas,2027,55.04358
-Europe,End User,Medspas,2028,62.2688551
-Europe,End User,Medspas,2029,70.87225905
-Europe,End User,Medspas,2030,81.28202263
-Europe,End User,Medspas,2031,93.22077907
-Europe,End User,Medspas,2032,106.9131078
-Europe,End User,Dermatology Clinics,2024,25.80100354
-Europe,End User,Dermatology Clinics,2025,28.37477752
-Europe,End User,Dermatology Clinics,2026,31.26720519
-Europe,End User,Dermatology Clinics,2027,34.56313353
-Europe,End User,Dermatology Clinics,2028,38.37541171
-Europe,End User,Dermatology Clinics,2029,42.85870453
-Europe,End User,Dermatology Clinics,2030,48.22139437
-Europe,End User,Dermatology Clinics,2031,54.24244894
-Europe,End User,Dermatology Clinics,2032,61.00063622
-Europe,Type,Mesotherapy,2024,56.27631447
-Europe,Type,Mesotherapy,2025,63.094697
-Europe,Type,Mesotherapy,2026,70.89372473
-Europe,Type,Mesotherapy,2027,79.92447004
-Europe,Type,Mesotherapy,2028,90.52320644
-Europe,Type,Mesotherapy,2029,103.1528614
-Europe,Type,Mesotherapy,2030,118.4446532
-Europe,Type,Mesotherapy,2031,136.0033612
-Europe,Type,Mesotherapy,2032,156.1650423
-Europe,Type,Micro-needle,2024,35.30434374
-Europe,Type,Micro-needle,2025,39.07095481
-Europe,Type,Micro-needle,2026,43.32933351
-Europe,Type,Micro-needle,2027,48.2081459
-Europe,Type,Micro-needle,2028,53.87898846
-Europe,Type,Micro-needle,2029,60.57744837
-Europe,Type,Micro-needle,2030,68.62235602
-Europe,Type,Micro-needle,2031,77.72655832
-Europe,Type,Micro-needle,2032,88.02808786
-Europe,Ingredient,Hyaluronic acid (HA),2024,57.65002434
-Europe,Ingredient,Hyaluronic acid (HA),2025,64.22967055
-Europe,Ingredient,Hyaluronic acid (HA),2026,71.7165878
-Europe,Ingredient,Hyaluronic acid (HA),2027,80.34531852
-Europe,Ingredient,Hyaluronic acid (HA),2028,90.42941648
-Europe,Ingredient,Hyaluronic acid (HA),2029,102.4000261
-Europe,Ingredient,Hyaluronic acid (HA),2030,116.8431446
-Europe,Ingredient,Hyaluronic acid (HA),2031,133.3234078
-Europe,Ingredient,Hyaluronic acid (HA),2032,152.128147
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2024,10.00060788
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2025,11.2892514
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2026,12.77178544
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2027,14.49756681
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2028,16.5328154
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2029,18.96879318
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2030,21.93034262
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2031,25.35427124
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2032,29.31276913
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2024,14.469744
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2025,16.18898529
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2026,18.15206899
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2027,20.42159569
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2028,23.08136064
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2029,26.24667701
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2030,30.07461509
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2031,34.46083755
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2032,39.48676719
-Europe,Ingredient,Polycaprolactone (PCL),2024,7.656143026
-Europe,Ingredient,Polycaprolactone (PCL),2025,8.460762635
-Europe,Ingredient,Polycaprolactone (PCL),2026,9.370369326
-Europe,Ingredient,Polycaprolactone (PCL),2027,10.4126421
-Europe,Ingredient,Polycaprolactone (PCL),2028,11.6244755
-Europe,Ingredient,Polycaprolactone (PCL),2029,13.05650619
-Europe,Ingredient,Polycaprolactone (PCL),2030,14.77724324
-Europe,Ingredient,Polycaprolactone (PCL),2031,16.72475888
-Europe,Ingredient,Polycaprolactone (PCL),2032,18.9289406
-Europe,Ingredient,Exosomes,2024,1.804138967
-Europe,Ingredient,Exosomes,2025,1.996981935
-Europe,Ingredient,Exosomes,2026,2.212246681
-Europe,Ingredient,Exosomes,2027,2.455492823
-Europe,Ingredient,Exosomes,2028,2.73412688
-Europe,Ingredient,Exosomes,2029,3.05830728
-Europe,Ingredient,Exosomes,2030,3.44166367
-Europe,Ingredient,Exosomes,2031,3.866644096
-Europe,Ingredient,Exosomes,2032,4.336506245
-Europe,Gender,Female,2024,77.54134331
-Europe,Gender,Female,2025,86.31334934
-Europe,Gender,Female,2026,96.28759578
-Europe,Gender,Female,2027,107.7754268
-Europe,Gender,Female,2028,121.1929488
-Europe,Gender,Female,2029,137.1122132
-Europe,Gender,Female,2030,156.3103589
-Europe,Gender,Female,2031,178.196586
-Europe,Gender,Female,2032,203.1472737
-Europe,Gender,Male,2024,14.0393149
-Europe,Gender,Male,2025,15.85230247
-Europe,Gender,Male,2026,17.93546246
-Europe,Gender,Male,2027,20.35718915
-Europe,Gender,Male,2028,23.20924608
-Europe,Gender,Male,2029,26.6180965
-Europe,Gender,Male,2030,30.7566503
-Europe,Gender,Male,2031,35.53333356
-Europe,Gender,Male,2032,41.0458564
-Europe,End User,Medspas,2024,53.81279476
-Europe,End User,Medspas,2025,60.44075825
-Europe,End User,Medspas,2026,68.03337011
-Europe,End User,Medspas,2027,76.83712392
-Europe,End User,Medspas,2028,87.18231746
-Europe,End User,Medspas,2029,99.52378971
-Europe,End User,Medspas,2030,114.4822697
-Europe,End User,Medspas,2031,131.6890175
-Europe,End User,Medspas,2032,151.4819489
-Europe,End User,Dermatology Clinics,2024,37.76786345
-Europe,End User,Dermatology Clinics,2025,41.72489355
-Europe,End User,Dermatology Clinics,2026,46.18968813
-Europe,End User,Dermatology Clinics,2027,51.29549202
-Europe,End User,Dermatology Clinics,2028,57.21987744
-Europe,End User,Dermatology Clinics,2029,64.20652003
-Europe,End User,Dermatology Clinics,2030,72.58473946
-Europe,End User,Dermatology Clinics,2031,82.04090205
-Europe,End User,Dermatology Clinics,2032,92.71118122
-Europe,Type,Mesotherapy,2024,23.5769341
-Europe,Type,Mesotherapy,2025,26.13498466
-Europe,Type,Mesotherapy,2026,29.03386771
-Europe,Type,Mesotherapy,2027,32.362687
-Europe,Type,Mesotherapy,2028,36.24035515
-Europe,Type,Mesotherapy,2029,40.83019972
-Europe,Type,Mesotherapy,2030,46.35359203
-Europe,Type,Mesotherapy,2031,52.624173
-Europe,Type,Mesotherapy,2032,59.74302019
-Europe,Type,Micro-needle,2024,13.83489405
-Europe,Type,Micro-needle,2025,15.1501694
-Europe,Type,Micro-needle,2026,16.62515512
-Europe,Type,Micro-needle,2027,18.30328174
-Europe,Type,Micro-needle,2028,20.24219308
-Europe,Type,Micro-needle,2029,22.52078939
-Europe,Type,Micro-needle,2030,25.24514288
-Europe,Type,Micro-needle,2031,28.29609221
-Europe,Type,Micro-needle,2032,31.7123572
-Europe,Ingredient,Hyaluronic acid (HA),2024,23.3823926
-Europe,Ingredient,Hyaluronic acid (HA),2025,25.7696771
-Europe,Ingredient,Hyaluronic acid (HA),2026,28.46274158
-Europe,Ingredient,Hyaluronic acid (HA),2027,31.54289264
-Europe,Ingredient,Hyaluronic acid (HA),2028,35.11838201
-Europe,Ingredient,Hyaluronic acid (HA),2029,39.33767308
-Europe,Ingredient,Hyaluronic acid (HA),2030,44.40129791
-Europe,Ingredient,Hyaluronic acid (HA),2031,50.11672277
-Europe,Ingredient,Hyaluronic acid (HA),2032,56.56784868
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2024,4.220054216
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2025,4.711451873
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2026,5.271560708
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2027,5.918078212
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2028,6.674678955
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2029,7.573929349
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2030,8.660140707
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2031,9.902130533
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2032,11.32223972
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2024,5.952221859
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2025,6.590143956
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2026,7.312374354
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2027,8.141022728
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2028,9.105582015
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2029,10.24654946
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2030,11.61877661
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2031,13.17477366
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2032,14.93915123
-Europe,Ingredient,Polycaprolactone (PCL),2024,2.663722165
-Europe,Ingredient,Polycaprolactone (PCL),2025,2.909520039
-Europe,Ingredient,Polycaprolactone (PCL),2026,3.184941834
-Europe,Ingredient,Polycaprolactone (PCL),2027,3.498152133
-Europe,Ingredient,Polycaprolactone (PCL),2028,3.85997128
-Europe,Ingredient,Polycaprolactone (PCL),2029,4.285195508
-Europe,Ingredient,Polycaprolactone (PCL),2030,4.793691034
-Europe,Ingredient,Polycaprolactone (PCL),2031,5.362526328
-Europe,Ingredient,Polycaprolactone (PCL),2032,5.998861506
-Europe,Ingredient,Exosomes,2024,1.193437318
-Europe,Ingredient,Exosomes,2025,1.304361093
-Europe,Ingredient,Exosomes,2026,1.427404348
-Europe,Ingredient,Exosomes,2027,1.565823023
-Europe,Ingredient,Exosomes,2028,1.723933969
-Europe,Ingredient,Exosomes,2029,1.907641714
-Europe,Ingredient,Exosomes,2030,2.12482864
-Europe,Ingredient,Exosomes,2031,2.364111912
-Europe,Ingredient,Exosomes,2032,2.62727624
-Europe,Gender,Female,2024,32.05071318
-Europe,Gender,Female,2025,35.3124011
-Europe,Gender,Female,2026,38.99101352
-Europe,Gender,Female,2027,43.19752202
-Europe,Gender,Female,2028,48.07965449
-Europe,Gender,Female,2029,53.8399972
-Europe,Gender,Female,2030,60.75213567
-Europe,Gender,Female,2031,68.55167498
-Europe,Gender,Female,2032,77.35254227
-Europe,Gender,Male,2024,5.361114975
-Europe,Gender,Male,2025,5.972752964
-Europe,Gender,Male,2026,6.668009305
-Europe,Gender,Male,2027,7.468446713
-Europe,Gender,Male,2028,8.402893739
-Europe,Gender,Male,2029,9.510991917
-Europe,Gender,Male,2030,10.84659923
-Europe,Gender,Male,2031,12.36859023
-Europe,Gender,Male,2032,14.10283512
-Europe,End User,Medspas,2024,22.83617991
-Europe,End User,Medspas,2025,25.36930111
-Europe,End User,Medspas,2026,28.24498021
-Europe,End User,Medspas,2027,31.55230429
-Europe,End User,Medspas,2028,35.4102572
-Europe,End User,Medspas,2029,39.98234553
-Europe,End User,Medspas,2030,45.49045549
-Europe,End User,Medspas,2031,51.75738224
-Europe,End User,Medspas,2032,58.88766309
-Europe,End User,Dermatology Clinics,2024,14.57564825
-Europe,End User,Dermatology Clinics,2025,15.91585295
-Europe,End User,Dermatology Clinics,2026,17.41404261
-Europe,End User,Dermatology Clinics,2027,19.11366445
-Europe,End User,Dermatology Clinics,2028,21.07229103
-Europe,End User,Dermatology Clinics,2029,23.36864359
-Europe,End User,Dermatology Clinics,2030,26.10827942
-Europe,End User,Dermatology Clinics,2031,29.16288297
-Europe,End User,Dermatology Clinics,2032,32.5677143
-Europe,Type,Mesotherapy,2024,16.77652367
-Europe,Type,Mesotherapy,2025,18.34328497
-Europe,Type,Mesotherapy,2026,20.10018138
-Europe,Type,Mesotherapy,2027,22.09936907
-Europe,Type,Mesotherapy,2028,24.4100105
-Europe,Type,Mesotherapy,2029,27.12671751
-Europe,Type,Mesotherapy,2030,30.37661339
-Europe,Type,Mesotherapy,2031,34.01586058
-Europe,Type,Mesotherapy,2032,38.09110504
-Europe,Type,Micro-needle,2024,9.488255391
-Europe,Type,Micro-needle,2025,10.23717833
-Europe,Type,Micro-needle,2026,11.06807457
-Europe,Type,Micro-needle,2027,12.00521628
-Europe,Type,Micro-needle,2028,13.08049002
-Europe,Type,Micro-needle,2029,14.33725336
-Europe,Type,Micro-needle,2030,15.83311048
-Europe,Type,Micro-needle,2031,17.48279078
-Europe,Type,Micro-needle,2032,19.30181729
-Europe,Ingredient,Hyaluronic acid (HA),2024,16.48114886
-Europe,Ingredient,Hyaluronic acid (HA),2025,17.91451306
-Europe,Ingredient,Hyaluronic acid (HA),2026,19.5150765
-Europe,Ingredient,Hyaluronic acid (HA),2027,21.33008289
-Europe,Ingredient,Hyaluronic acid (HA),2028,23.42194848
-Europe,Ingredient,Hyaluronic acid (HA),2029,25.87585367
-Europe,Ingredient,Hyaluronic acid (HA),2030,28.80574967
-Europe,Ingredient,Hyaluronic acid (HA),2031,32.06739475
-Europe,Ingredient,Hyaluronic acid (HA),2032,35.69835252
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2024,3.088738018
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2025,3.397698066
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2026,3.745727819
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2027,4.14328383
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2028,4.604275972
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2029,5.147770718
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2030,5.799490941
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2031,6.533720519
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2032,7.360905339
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2024,4.226002952
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2025,4.612392335
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2026,5.045107352
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2027,5.536962942
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2028,6.104934585
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2029,6.77222845
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2030,7.569984941
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2031,8.461715731
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2032,9.458490825
-Europe,Ingredient,Polycaprolactone (PCL),2024,1.74398133
-Europe,Ingredient,Polycaprolactone (PCL),2025,1.877816464
-Europe,Ingredient,Polycaprolactone (PCL),2026,2.02633935
-Europe,Ingredient,Polycaprolactone (PCL),2027,2.193957693
-Europe,Ingredient,Polycaprolactone (PCL),2028,2.386450948
-Europe,Ingredient,Polycaprolactone (PCL),2029,2.61166797
-Europe,Ingredient,Polycaprolactone (PCL),2030,2.880024909
-Europe,Ingredient,Polycaprolactone (PCL),2031,3.175956352
-Europe,Ingredient,Polycaprolactone (PCL),2032,3.502295663
-Europe,Ingredient,Exosomes,2024,0.724907902
-Europe,Ingredient,Exosomes,2025,0.77804338
-Europe,Ingredient,Exosomes,2026,0.836004934
-Europe,Ingredient,Exosomes,2027,0.900297993
-Europe,Ingredient,Exosomes,2028,0.972890545
-Europe,Ingredient,Exosomes,2029,1.05645006
-Europe,Ingredient,Exosomes,2030,1.154473404
-Europe,Ingredient,Exosomes,2031,1.25986401
-Europe,Ingredient,Exosomes,2032,1.37287798
-Europe,Gender,Female,2024,22.19899127
-Europe,Gender,Female,2025,24.11031079
-Europe,Gender,Female,2026,26.24340007
-Europe,Gender,Female,2027,28.6612039
-Europe,Gender,Female,2028,31.44683554
-Europe,Gender,Female,2029,34.71368011
-Europe,Gender,Female,2030,38.61332454
-Europe,Gender,Female,2031,42.95104488
-Europe,Gender,Female,2032,47.77605343
-Europe,Gender,Male,2024,4.065787799
-Europe,Gender,Male,2025,4.470152514
-Europe,Gender,Male,2026,4.92485588
-Europe,Gender,Male,2027,5.443381448
-Europe,Gender,Male,2028,6.043664991
-Europe,Gender,Male,2029,6.750290763
-Europe,Gender,Male,2030,7.596399326
-Europe,Gender,Male,2031,8.547606485
-Europe,Gender,Male,2032,9.616868893
-Europe,End User,Medspas,2024,16.35642862
-Europe,End User,Medspas,2025,17.93201321
-Europe,End User,Medspas,2026,19.7023188
-Europe,End User,Medspas,2027,21.72014243
-Europe,End User,Medspas,2028,24.05559972
-Europe,End User,Medspas,2029,26.80469658
-Europe,End User,Medspas,2030,30.09666907
-Europe,End User,Medspas,2031,33.79293947
-Europe,End User,Medspas,2032,37.94316094
-Europe,End User,Dermatology Clinics,2024,9.908350445
-Europe,End User,Dermatology Clinics,2025,10.64845009
-Europe,End User,Dermatology Clinics,2026,11.46593715
-Europe,End User,Dermatology Clinics,2027,12.38444292
-Europe,End User,Dermatology Clinics,2028,13.4349008
-Europe,End User,Dermatology Clinics,2029,14.65927429
-Europe,End User,Dermatology Clinics,2030,16.1130548
-Europe,End User,Dermatology Clinics,2031,17.70571189
-Europe,End User,Dermatology Clinics,2032,19.44976138
-Europe,Type,Mesotherapy,2024,12.47927445
-Europe,Type,Mesotherapy,2025,13.61538319
-Europe,Type,Mesotherapy,2026,14.8873749
-Europe,Type,Mesotherapy,2027,16.33290428
-Europe,Type,Mesotherapy,2028,18.00184017
-Europe,Type,Mesotherapy,2029,19.96234574
-Europe,Type,Mesotherapy,2030,22.3058653
-Europe,Type,Mesotherapy,2031,24.92450704
-Europe,Type,Mesotherapy,2032,27.85056948
-Europe,Type,Micro-needle,2024,7.629127825
-Europe,Type,Micro-needle,2025,8.203676098
-Europe,Type,Micro-needle,2026,8.839590885
-Europe,Type,Micro-needle,2027,9.555508271
-Europe,Type,Micro-needle,2028,10.37583613
-Europe,Type,Micro-needle,2029,11.33369707
-Europe,Type,Micro-needle,2030,12.47295563
-Europe,Type,Micro-needle,2031,13.72467275
-Europe,Type,Micro-needle,2032,15.09968182
-Europe,Ingredient,Hyaluronic acid (HA),2024,12.59027805
-Europe,Ingredient,Hyaluronic acid (HA),2025,13.64222916
-Europe,Ingredient,Hyaluronic acid (HA),2026,14.81436647
-Europe,Ingredient,Hyaluronic acid (HA),2027,16.14127595
-Europe,Ingredient,Hyaluronic acid (HA),2028,17.6685469
-Europe,Ingredient,Hyaluronic acid (HA),2029,19.45830436
-Europe,Ingredient,Hyaluronic acid (HA),2030,21.59344731
-Europe,Ingredient,Hyaluronic acid (HA),2031,23.96287765
-Europe,Ingredient,Hyaluronic acid (HA),2032,26.59230353
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2024,2.416580573
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2025,2.650744895
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2026,2.913951452
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2027,3.214058115
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2028,3.561503139
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2029,3.970581591
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2030,4.460543187
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2031,5.010965036
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2032,5.629307808
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2024,3.053799675
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2025,3.323532538
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2026,3.624991976
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2027,3.9670822
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2028,4.36157698
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2029,4.82455289
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2030,5.377537309
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2031,5.993904133
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2032,6.680918177
-Europe,Ingredient,Polycaprolactone (PCL),2024,1.16336157
-Europe,Ingredient,Polycaprolactone (PCL),2025,1.249076304
-Europe,Ingredient,Polycaprolactone (PCL),2026,1.344036149
-Europe,Ingredient,Polycaprolactone (PCL),2027,1.451075351
-Europe,Ingredient,Polycaprolactone (PCL),2028,1.573900137
-Europe,Ingredient,Polycaprolactone (PCL),2029,1.717534892
-Europe,Ingredient,Polycaprolactone (PCL),2030,1.88862961
-Europe,Ingredient,Polycaprolactone (PCL),2031,2.076768176
-Europe,Ingredient,Polycaprolactone (PCL),2032,2.283648438
-Europe,Ingredient,Exosomes,2024,0.884382413
-Europe,Ingredient,Exosomes,2025,0.953476389
-Europe,Ingredient,Exosomes,2026,1.029619736
-Europe,Ingredient,Exosomes,2027,1.11492093
-Europe,Ingredient,Exosomes,2028,1.212149138
-Europe,Ingredient,Exosomes,2029,1.325069077
-Europe,Ingredient,Exosomes,2030,1.458663518
-Europe,Ingredient,Exosomes,2031,1.604664802
-Europe,Ingredient,Exosomes,2032,1.764073338
-Europe,Gender,Female,2024,16.9554048
-Europe,Gender,Female,2025,18.35919535
-Europe,Gender,Female,2026,19.92263815
-Europe,Gender,Female,2027,21.69187467
-Europe,Gender,Female,2028,23.72769323
-Europe,Gender,Female,2029,26.11290196
-Europe,Gender,Female,2030,28.95793494
-Europe,Gender,Female,2031,32.1129378
-Europe,Gender,Female,2032,35.61168212
-Europe,Gender,Male,2024,3.152997478
-Europe,Gender,Male,2025,3.459863941
-Europe,Gender,Male,2026,3.804327632
-Europe,Gender,Male,2027,4.19653788
-Europe,Gender,Male,2028,4.649983069
-Europe,Gender,Male,2029,5.183140851
-Europe,Gender,Male,2030,5.820885986
-Europe,Gender,Male,2031,6.536241996
-Europe,Gender,Male,2032,7.338569179
-Europe,End User,Medspas,2024,12.08917145
-Europe,End User,Medspas,2025,13.20944177
-Europe,End User,Medspas,2026,14.46505592
-Europe,End User,Medspas,2027,15.89325327
-Europe,End User,Medspas,2028,17.54339672
-Europe,End User,Medspas,2029,19.48299647
-Europe,End User,Medspas,2030,21.80271861
-Europe,End User,Medspas,2031,24.39863598
-Europe,End User,Medspas,2032,27.30363349
-Europe,End User,Dermatology Clinics,2024,8.019230829
-Europe,End User,Dermatology Clinics,2025,8.609617514
-Europe,End User,Dermatology Clinics,2026,9.261909862
-Europe,End User,Dermatology Clinics,2027,9.995159275
-Europe,End User,Dermatology Clinics,2028,10.83427957
-Europe,End User,Dermatology Clinics,2029,11.81304634
-Europe,End User,Dermatology Clinics,2030,12.97610232
-Europe,End User,Dermatology Clinics,2031,14.25054381
-Europe,End User,Dermatology Clinics,2032,15.64661781
-Europe,Type,Mesotherapy,2024,18.91456329
-Europe,Type,Mesotherapy,2025,21.03604391
-Europe,Type,Mesotherapy,2026,23.44658212
-Europe,Type,Mesotherapy,2027,26.22116919
-Europe,Type,Mesotherapy,2028,29.46000087
-Europe,Type,Mesotherapy,2029,33.30079831
-Europe,Type,Mesotherapy,2030,37.93056965
-Europe,Type,Mesotherapy,2031,43.20401272
-Europe,Type,Mesotherapy,2032,49.21061645
-Europe,Type,Micro-needle,2024,11.06589881
-Europe,Type,Micro-needle,2025,12.14778123
-Europe,Type,Micro-needle,2026,13.36311927
-Europe,Type,Micro-needle,2027,14.74781327
-Europe,Type,Micro-needle,2028,16.34957319
-Europe,Type,Micro-needle,2029,18.2337551
-Europe,Type,Micro-needle,2030,20.48836203
-Europe,Type,Micro-needle,2031,23.01896493
-Europe,Type,Micro-needle,2032,25.85893107
-Europe,Ingredient,Hyaluronic acid (HA),2024,19.10126709
-Europe,Ingredient,Hyaluronic acid (HA),2025,21.11260696
-Europe,Ingredient,Hyaluronic acid (HA),2026,23.38671766
-Europe,Ingredient,Hyaluronic acid (HA),2027,25.99283904
-Europe,Ingredient,Hyaluronic acid (HA),2028,29.02327089
-Europe,Ingredient,Hyaluronic acid (HA),2029,32.60469788
-Europe,Ingredient,Hyaluronic acid (HA),2030,36.90853743
-Europe,Ingredient,Hyaluronic acid (HA),2031,41.78048636
-Europe,Ingredient,Hyaluronic acid (HA),2032,47.29553546
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2024,2.958426471
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2025,3.314151279
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2026,3.720759519
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2027,4.191291914
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2028,4.743210628
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2029,5.400551334
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2030,6.196074303
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2031,7.108781011
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2032,8.155933094
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2024,4.562103781
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2025,5.067230513
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2026,5.640581598
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2027,6.299907113
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2028,7.068912389
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2029,7.980171764
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2030,9.07788569
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2031,10.32659585
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2032,11.74707255
-Europe,Ingredient,Polycaprolactone (PCL),2024,2.327394287
-Europe,Ingredient,Polycaprolactone (PCL),2025,2.549023775
-Europe,Ingredient,Polycaprolactone (PCL),2026,2.797857124
-Europe,Ingredient,Polycaprolactone (PCL),2027,3.081301637
-Europe,Ingredient,Polycaprolactone (PCL),2028,3.409189084
-Europe,Ingredient,Polycaprolactone (PCL),2029,3.794977025
-Europe,Ingredient,Polycaprolactone (PCL),2030,4.256768609
-Europe,Ingredient,Polycaprolactone (PCL),2031,4.774753279
-Europe,Ingredient,Polycaprolactone (PCL),2032,5.355768886
-Europe,Ingredient,Exosomes,2024,1.031270469
-Europe,Ingredient,Exosomes,2025,1.140812616
-Europe,Ingredient,Exosomes,2026,1.263785492
-Europe,Ingredient,Exosomes,2027,1.40364275
-Europe,Ingredient,Exosomes,2028,1.564991066
-Europe,Ingredient,Exosomes,2029,1.754155412
-Europe,Ingredient,Exosomes,2030,1.979665649
-Europe,Ingredient,Exosomes,2031,2.232361143
-Europe,Ingredient,Exosomes,2032,2.515237533
-Europe,Gender,Female,2024,24.92875423
-Europe,Gender,Female,2025,27.55648055
-Europe,Gender,Female,2026,30.52773954
-Europe,Gender,Female,2027,33.93302529
-Europe,Gender,Female,2028,37.8929753
-Europe,Gender,Female,2029,42.57317302
-Europe,Gender,Female,2030,48.19768328
-Europe,Gender,Female,2031,54.56526982
-Europe,Gender,Female,2032,61.77410341
-Europe,Gender,Male,2024,5.051707863
-Europe,Gender,Male,2025,5.627344592
-Europe,Gender,Male,2026,6.281961852
-Europe,Gender,Male,2027,7.035957171
-Europe,Gender,Male,2028,7.91659876
-Europe,Gender,Male,2029,8.961380386
-Europe,Gender,Male,2030,10.2212484
-Europe,Gender,Male,2031,11.65770782
-Europe,Gender,Male,2032,13.29544411
-Europe,End User,Medspas,2024,18.40541889
-Europe,End User,Medspas,2025,20.51053727
-Europe,End User,Medspas,2026,22.90636052
-Europe,End User,Medspas,2027,25.66800893
-Europe,End User,Medspas,2028,28.89591591
-Europe,End User,Medspas,2029,32.72818601
-Europe,End User,Medspas,2030,37.35254826
-Europe,End User,Medspas,2031,42.63031445
-Europe,End User,Medspas,2032,48.65380798
-Europe,End User,Dermatology Clinics,2024,11.57504321
-Europe,End User,Dermatology Clinics,2025,12.67328788
-Europe,End User,Dermatology Clinics,2026,13.90334087
-Europe,End User,Dermatology Clinics,2027,15.30097352
-Europe,End User,Dermatology Clinics,2028,16.91365815
-Europe,End User,Dermatology Clinics,2029,18.8063674
-Europe,End User,Dermatology Clinics,2030,21.06638342
-Europe,End User,Dermatology Clinics,2031,23.59266319
-Europe,End User,Dermatology Clinics,2032,26.41573955
-Europe,Type,Mesotherapy,2024,26.44913906
-Europe,Type,Mesotherapy,2025,29.21763259
-Europe,Type,Mesotherapy,2026,32.32692258
-Europe,Type,Mesotherapy,2027,35.86537325
-Europe,Type,Mesotherapy,2028,39.95076287
-Europe,Type,Mesotherapy,2029,44.7447258
-Europe,Type,Mesotherapy,2030,50.46520331
-Europe,Type,Mesotherapy,2031,56.87963782
-Europe,Type,Mesotherapy,2032,64.06629137
-Europe,Type,Micro-needle,2024,15.9533614
-Europe,Type,Micro-needle,2025,17.38092472
-Europe,Type,Micro-needle,2026,18.96386063
-Europe,Type,Micro-needle,2027,20.7452378
-Europe,Type,Micro-needle,2028,22.78209669
-Europe,Type,Micro-needle,2029,25.15240985
-Europe,Type,Micro-needle,2030,27.96025678
-Europe,Type,Micro-needle,2031,31.05690558
-Europe,Type,Micro-needle,2032,34.46851618
-Europe,Ingredient,Hyaluronic acid (HA),2024,26.93467794
-Europe,Ingredient,Hyaluronic acid (HA),2025,29.56159349
-Europe,Ingredient,Hyaluronic acid (HA),2026,32.49598833
-Europe,Ingredient,Hyaluronic acid (HA),2027,35.81981279
-Europe,Ingredient,Hyaluronic acid (HA),2028,39.64200422
-Europe,Ingredient,Hyaluronic acid (HA),2029,44.11181707
-Europe,Ingredient,Hyaluronic acid (HA),2030,49.42966805
-Europe,Ingredient,Hyaluronic acid (HA),2031,55.35222195
-Europe,Ingredient,Hyaluronic acid (HA),2032,61.942737
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2024,4.346953584
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2025,4.834921547
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2026,5.386165775
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2027,6.016745649
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2028,6.748112579
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2029,7.609743855
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2030,8.641540303
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2031,9.806790548
-Europe,Ingredient,Polydeoxyribonucleotides (PDRN),2032,11.12168543
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2024,6.44093982
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2025,7.099555818
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2026,7.83788651
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2027,8.676776594
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2028,9.643986426
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2029,10.77759396
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2030,12.12887296
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2031,13.64060696
-Europe,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2032,15.33045027
-Europe,Ingredient,Polycaprolactone (PCL),2024,3.175900349
-Europe,Ingredient,Polycaprolactone (PCL),2025,3.454929541
-Europe,Ingredient,Polycaprolactone (PCL),2026,3.764413991
-Europe,Ingredient,Polycaprolactone (PCL),2027,4.112891141
-Europe,Ingredient,Polycaprolactone (PCL),2028,4.511653947
-Europe,Ingredient,Polycaprolactone (PCL),2029,4.976126357
-Europe,Ingredient,Polycaprolactone (PCL),2030,5.526884899
-Europe,Ingredient,Polycaprolactone (PCL),2031,6.134569057
-Europe,Ingredient,Polycaprolactone (PCL),2032,6.804491349
-Europe,Ingredient,Exosomes,2024,1.504028767
-Europe,Ingredient,Exosomes,2025,1.647556921
-Europe,Ingredient,Exosomes,2026,1.806328612
-Europe,Ingredient,Exosomes,2027,1.984384871
-Europe,Ingredient,Exosomes,2028,2.187102384
-Europe,Ingredient,Exosomes,2029,2.421854401
-Europe,Ingredient,Exosomes,2030,2.698493877
-Europe,Ingredient,Exosomes,2031,3.002354882
-Europe,Ingredient,Exosomes,2032,3.335443504
-Europe,Gender,Female,2024,34.84637488
-Europe,Gender,Female,2025,38.21810501
-Europe,Gender,Female,2026,41.98233119
-Europe,Gender,Female,2027,46.24402246
-Europe,Gender,Female,2028,51.14266872
-Europe,Gender,Female,2029,56.86934448
-Europe,Gender,Female,2030,63.68049929
-Europe,Gender,Female,2031,71.26057401
-Europe,Gender,Female,2032,79.68932348
-Europe,Gender,Male,2024,7.556125582
-Europe,Gender,Male,2025,8.380452302
-Europe,Gender,Male,2026,9.308452029
-Europe,Gender,Male,2027,10.36658859
-Europe,Gender,Male,2028,11.59019084
-Europe,Gender,Male,2029,13.02779117
-Europe,Gender,Male,2030,14.7449608
-Europe,Gender,Male,2031,16.67596938
-Europe,Gender,Male,2032,18.84548407
-Europe,End User,Medspas,2024,25.19980602
-Europe,End User,Medspas,2025,27.84860634
-Europe,End User,Medspas,2026,30.82446804
-Europe,End User,Medspas,2027,34.21207118
-Europe,End User,Medspas,2028,38.12429957
-Europe,End User,Medspas,2029,42.71608407
-Europe,End User,Medspas,2030,48.19637708
-Europe,End User,Medspas,2031,54.34404653
-Europe,End User,Medspas,2032,61.23468955
-APAC,Country,China,2024,66.64188429
-APAC,Country,China,2025,75.19488841
-APAC,Country,China,2026,85.03096237
-APAC,Country,China,2027,96.47680324
-APAC,Country,China,2028,109.9706793
-APAC,Country,China,2029,126.1165548
-APAC,Country,China,2030,145.7404544
-APAC,Country,China,2031,168.4178582
-APAC,Country,China,2032,194.6238955
-APAC,Country,Japan,2024,46.12644165
-APAC,Country,Japan,2025,52.00009111
-APAC,Country,Japan,2026,58.74974426
-APAC,Country,Japan,2027,66.59856805
-APAC,Country,Japan,2028,75.84588012
-APAC,Country,Japan,2029,86.90410401
-APAC,Country,Japan,2030,100.3370684
-APAC,Country,Japan,2031,115.8463965
-APAC,Country,Japan,2032,133.7530367
-APAC,Country,South Korea,2024,73.66908948
-APAC,Country,South Korea,2025,83.43651169
-APAC,Country,South Korea,2026,94.70539063
-APAC,Country,South Korea,2027,107.8574866
-APAC,Country,South Korea,2028,123.4053774
-APAC,Country,South Korea,2029,142.0558295
-APAC,Country,South Korea,2030,164.7771045
-APAC,Country,South Korea,2031,191.1325587
-APAC,Country,South Korea,2032,221.7034648
-APAC,Country,India,2024,27.07638777
-APAC,Country,India,2025,30.39123798
-APAC,Country,India,2026,34.18643243
-APAC,Country,India,2027,38.58479589
-APAC,Country,India,2028,43.75088331
-APAC,Country,India,2029,49.9112712
-APAC,Country,India,2030,57.37507513
-APAC,Country,India,2031,65.95502713
-APAC,Country,India,2032,75.8180376
-APAC,Country,Australia,2024,20.01587829
-APAC,Country,Australia,2025,21.6954138
-APAC,Country,Australia,2026,23.56725216
-APAC,Country,Australia,2027,25.68662197
-APAC,Country,Australia,2028,28.12634068
-APAC,Country,Australia,2029,30.98565339
-APAC,Country,Australia,2030,34.3970276
-APAC,Country,Australia,2031,38.183978
-APAC,Country,Australia,2032,42.38785376
-APAC,Country,Indonesia,2024,17.85109944
-APAC,Country,Indonesia,2025,19.64592892
-APAC,Country,Indonesia,2026,21.66845227
-APAC,Country,Indonesia,2027,23.979507
-APAC,Country,Indonesia,2028,26.66004029
-APAC,Country,Indonesia,2029,29.82102315
-APAC,Country,Indonesia,2030,33.61221315
-APAC,Country,Indonesia,2031,37.88538264
-APAC,Country,Indonesia,2032,42.70180637
-APAC,Country,Malaysia,2024,16.01936349
-APAC,Country,Malaysia,2025,17.53523697
-APAC,Country,Malaysia,2026,19.23648626
-APAC,Country,Malaysia,2027,21.17370653
-APAC,Country,Malaysia,2028,23.41403293
-APAC,Country,Malaysia,2029,26.04934139
-APAC,Country,Malaysia,2030,29.203177
-APAC,Country,Malaysia,2031,32.73885255
-APAC,Country,Malaysia,2032,36.70259801
-APAC,Country,Philippines,2024,14.72049618
-APAC,Country,Philippines,2025,16.28766057
-APAC,Country,Philippines,2026,18.06103757
-APAC,Country,Philippines,2027,20.09480132
-APAC,Country,Philippines,2028,22.46119873
-APAC,Country,Philippines,2029,25.2594175
-APAC,Country,Philippines,2030,28.62375213
-APAC,Country,Philippines,2031,32.43618687
-APAC,Country,Philippines,2032,36.75640474
-APAC,Country,Vietnam,2024,16.71875358
-APAC,Country,Vietnam,2025,18.14029161
-APAC,Country,Vietnam,2026,19.72569691
-APAC,Country,Vietnam,2027,21.52174505
-APAC,Country,Vietnam,2028,23.59015542
-APAC,Country,Vietnam,2029,26.01508857
-APAC,Country,Vietnam,2030,28.90897185
-APAC,Country,Vietnam,2031,32.12476678
-APAC,Country,Vietnam,2032,35.6982824
-APAC,Country,Thailand,2024,9.19198404
-APAC,Country,Thailand,2025,10.25985397
-APAC,Country,Thailand,2026,11.47680021
-APAC,Country,Thailand,2027,12.88123485
-APAC,Country,Thailand,2028,14.52453937
-APAC,Country,Thailand,2029,16.47739016
-APAC,Country,Thailand,2030,18.83594063
-APAC,Country,Thailand,2031,21.5320907
-APAC,Country,Thailand,2032,24.6141639
-APAC,Country,Rest of APAC,2024,25.01152179
-APAC,Country,Rest of APAC,2025,27.221086
-APAC,Country,Rest of APAC,2026,29.58421969
-APAC,Country,Rest of APAC,2027,32.13627592
-APAC,Country,Rest of APAC,2028,34.92351068
-APAC,Country,Rest of APAC,2029,38.0085814
-APAC,Country,Rest of APAC,2030,41.47035972
-APAC,Country,Rest of APAC,2031,44.98819737
-APAC,Country,Rest of APAC,2032,48.48618187
-APAC,Type,Mesotherapy,2024,207.8508883
-APAC,Type,Mesotherapy,2025,232.9937865
-APAC,Type,Mesotherapy,2026,261.7428613
-APAC,Type,Mesotherapy,2027,295.0204805
-APAC,Type,Mesotherapy,2028,334.0618732
-APAC,Type,Mesotherapy,2029,380.5673557
-APAC,Type,Mesotherapy,2030,436.8548156
-APAC,Type,Mesotherapy,2031,501.4531015
-APAC,Type,Mesotherapy,2032,575.5864639
-APAC,Type,Micro-needle,2024,125.1920117
-APAC,Type,Micro-needle,2025,138.8144145
-APAC,Type,Micro-needle,2026,154.2496135
-APAC,Type,Micro-needle,2027,171.9710659
-APAC,Type,Micro-needle,2028,192.6107651
-APAC,Type,Micro-needle,2029,217.0368993
-APAC,Type,Micro-needle,2030,246.4263289
-APAC,Type,Micro-needle,2031,279.7881939
-APAC,Type,Micro-needle,2032,317.6592617
-APAC,Ingredient,Hyaluronic acid (HA),2024,207.3744271
-APAC,Ingredient,Hyaluronic acid (HA),2025,230.9624065
-APAC,Ingredient,Hyaluronic acid (HA),2026,257.7894135
-APAC,Ingredient,Hyaluronic acid (HA),2027,288.6925318
-APAC,Ingredient,Hyaluronic acid (HA),2028,324.7906777
-APAC,Ingredient,Hyaluronic acid (HA),2029,367.6222408
-APAC,Ingredient,Hyaluronic acid (HA),2030,419.2774879
-APAC,Ingredient,Hyaluronic acid (HA),2031,478.1781263
-APAC,Ingredient,Hyaluronic acid (HA),2032,545.3382249
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2024,33.90582876
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2025,38.35374807
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2026,43.48500029
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2027,49.47424707
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2028,56.55599159
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2029,65.05358593
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2030,75.4100391
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2031,87.42588102
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2032,101.3687825
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2024,51.31250909
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2025,57.6727175
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2026,64.96574281
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2027,73.43039222
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2028,83.38677725
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2029,95.27582441
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2030,109.6996769
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2031,126.3145935
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2032,145.4549544
-APAC,Ingredient,Polycaprolactone (PCL),2024,30.33194873
-APAC,Ingredient,Polycaprolactone (PCL),2025,33.69385679
-APAC,Ingredient,Polycaprolactone (PCL),2026,37.51107695
-APAC,Ingredient,Polycaprolactone (PCL),2027,41.9020728
-APAC,Ingredient,Polycaprolactone (PCL),2028,47.02505078
-APAC,Ingredient,Polycaprolactone (PCL),2029,53.09740548
-APAC,Ingredient,Polycaprolactone (PCL),2030,60.41415617
-APAC,Ingredient,Polycaprolactone (PCL),2031,68.74041831
-APAC,Ingredient,Polycaprolactone (PCL),2032,78.2155611
-APAC,Ingredient,Exosomes,2024,10.11818634
-APAC,Ingredient,Exosomes,2025,11.12547219
-APAC,Ingredient,Exosomes,2026,12.24124115
-APAC,Ingredient,Exosomes,2027,13.49230253
-APAC,Ingredient,Exosomes,2028,14.914141
-APAC,Ingredient,Exosomes,2029,16.55519842
-APAC,Ingredient,Exosomes,2030,18.47978442
-APAC,Ingredient,Exosomes,2031,20.58227623
-APAC,Ingredient,Exosomes,2032,22.86820265
-APAC,Gender,Female,2024,269.8784698
-APAC,Gender,Female,2025,300.0361759
-APAC,Gender,Female,2026,334.2914908
-APAC,Gender,Female,2027,373.7075163
-APAC,Gender,Female,2028,419.7043788
-APAC,Gender,Female,2029,474.2338095
-APAC,Gender,Female,2030,539.9452369
-APAC,Gender,Female,2031,614.754165
-APAC,Gender,Female,2032,699.9177687
-APAC,Gender,Male,2024,63.16443017
-APAC,Gender,Male,2025,71.77202513
-APAC,Gender,Male,2026,81.70098395
-APAC,Gender,Male,2027,93.28403008
-APAC,Gender,Male,2028,106.9682595
-APAC,Gender,Male,2029,123.3704456
-APAC,Gender,Male,2030,143.3359076
-APAC,Gender,Male,2031,166.4871304
-APAC,Gender,Male,2032,193.3279569
-APAC,End User,Medspas,2024,203.6508976
-APAC,End User,Medspas,2025,228.8983829
-APAC,End User,Medspas,2026,257.8352775
-APAC,End User,Medspas,2027,291.4031072
-APAC,End User,Medspas,2028,330.8636865
-APAC,End User,Medspas,2029,377.9547553
-APAC,End User,Medspas,2030,435.04848
-APAC,End User,Medspas,2031,500.7598561
-APAC,End User,Medspas,2032,576.38819
-APAC,End User,Dermatology Clinics,2024,129.3920024
-APAC,End User,Dermatology Clinics,2025,142.9098181
-APAC,End User,Dermatology Clinics,2026,158.1571972
-APAC,End User,Dermatology Clinics,2027,175.5884392
-APAC,End User,Dermatology Clinics,2028,195.8089517
-APAC,End User,Dermatology Clinics,2029,219.6494997
-APAC,End User,Dermatology Clinics,2030,248.2326645
-APAC,End User,Dermatology Clinics,2031,280.4814393
-APAC,End User,Dermatology Clinics,2032,316.8575356
-APAC,Type,Mesotherapy,2024,40.91811695
-APAC,Type,Mesotherapy,2025,46.35895709
-APAC,Type,Mesotherapy,2026,52.63800242
-APAC,Type,Mesotherapy,2027,59.96836069
-APAC,Type,Mesotherapy,2028,68.63618677
-APAC,Type,Mesotherapy,2029,79.0360641
-APAC,Type,Mesotherapy,2030,91.70864837
-APAC,Type,Mesotherapy,2031,106.4131455
-APAC,Type,Mesotherapy,2032,123.4753508
-APAC,Type,Micro-needle,2024,25.72376734
-APAC,Type,Micro-needle,2025,28.83593131
-APAC,Type,Micro-needle,2026,32.39295995
-APAC,Type,Micro-needle,2027,36.50844254
-APAC,Type,Micro-needle,2028,41.33449257
-APAC,Type,Micro-needle,2029,47.08049067
-APAC,Type,Micro-needle,2030,54.03180598
-APAC,Type,Micro-needle,2031,62.00471272
-APAC,Type,Micro-needle,2032,71.14854469
-APAC,Ingredient,Hyaluronic acid (HA),2024,41.45125203
-APAC,Ingredient,Hyaluronic acid (HA),2025,46.6683239
-APAC,Ingredient,Hyaluronic acid (HA),2026,52.65680184
-APAC,Ingredient,Hyaluronic acid (HA),2027,59.61338573
-APAC,Ingredient,Hyaluronic acid (HA),2028,67.80181051
-APAC,Ingredient,Hyaluronic acid (HA),2029,77.58539597
-APAC,Ingredient,Hyaluronic acid (HA),2030,89.46053714
-APAC,Ingredient,Hyaluronic acid (HA),2031,103.1532752
-APAC,Ingredient,Hyaluronic acid (HA),2032,118.9418098
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2024,7.010726227
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2025,8.011756689
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2026,9.175721418
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2027,10.54410501
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2028,12.172714
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2029,14.13859653
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2030,16.54771433
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2031,19.36732893
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2032,22.6673861
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2024,9.469811758
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2025,10.78990854
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2026,12.32088503
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2027,14.11637158
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2028,16.24846919
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2029,18.81668038
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2030,21.95767715
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2031,25.62298855
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2032,29.90013641
-APAC,Ingredient,Polycaprolactone (PCL),2024,6.910763401
-APAC,Ingredient,Polycaprolactone (PCL),2025,7.719732828
-APAC,Ingredient,Polycaprolactone (PCL),2026,8.642238353
-APAC,Ingredient,Polycaprolactone (PCL),2027,9.70749655
-APAC,Ingredient,Polycaprolactone (PCL),2028,10.95459794
-APAC,Ingredient,Polycaprolactone (PCL),2029,12.43732055
-APAC,Ingredient,Polycaprolactone (PCL),2030,14.22885793
-APAC,Ingredient,Polycaprolactone (PCL),2031,16.27845782
-APAC,Ingredient,Polycaprolactone (PCL),2032,18.62329292
-APAC,Ingredient,Exosomes,2024,1.799330876
-APAC,Ingredient,Exosomes,2025,2.005166445
-APAC,Ingredient,Exosomes,2026,2.235315729
-APAC,Ingredient,Exosomes,2027,2.495444368
-APAC,Ingredient,Exosomes,2028,2.793087688
-APAC,Ingredient,Exosomes,2029,3.138561339
-APAC,Ingredient,Exosomes,2030,3.545667802
-APAC,Ingredient,Exosomes,2031,3.995807641
-APAC,Ingredient,Exosomes,2032,4.491270244
-APAC,Gender,Female,2024,52.71373047
-APAC,Gender,Female,2025,59.27097968
-APAC,Gender,Female,2026,66.78949872
-APAC,Gender,Female,2027,75.51466451
-APAC,Gender,Female,2028,85.77537068
-APAC,Gender,Female,2029,98.02460409
-APAC,Gender,Female,2030,112.8808889
-APAC,Gender,Female,2031,129.9887432
-APAC,Gender,Female,2032,149.6894073
-APAC,Gender,Male,2024,13.92815382
-APAC,Gender,Male,2025,15.92390873
-APAC,Gender,Male,2026,18.24146365
-APAC,Gender,Male,2027,20.96213873
-APAC,Gender,Male,2028,24.19530866
-APAC,Gender,Male,2029,28.09195067
-APAC,Gender,Male,2030,32.85956541
-APAC,Gender,Male,2031,38.42911499
-APAC,Gender,Male,2032,44.93448822
-APAC,End User,Medspas,2024,41.19134868
-APAC,End User,Medspas,2025,46.78006727
-APAC,End User,Medspas,2026,53.24310769
-APAC,End User,Medspas,2027,60.80271694
-APAC,End User,Medspas,2028,69.75747761
-APAC,End User,Medspas,2029,80.51925315
-APAC,End User,Medspas,2030,93.65296643
-APAC,End User,Medspas,2031,108.9289552
-APAC,End User,Medspas,2032,126.6966519
-APAC,End User,Dermatology Clinics,2024,25.45053561
-APAC,End User,Dermatology Clinics,2025,28.41482114
-APAC,End User,Dermatology Clinics,2026,31.78785468
-APAC,End User,Dermatology Clinics,2027,35.6740863
-APAC,End User,Dermatology Clinics,2028,40.21320173
-APAC,End User,Dermatology Clinics,2029,45.59730162
-APAC,End User,Dermatology Clinics,2030,52.08748793
-APAC,End User,Dermatology Clinics,2031,59.48890296
-APAC,End User,Dermatology Clinics,2032,67.92724359
-APAC,Type,Mesotherapy,2024,28.0218133
-APAC,Type,Mesotherapy,2025,31.69114353
-APAC,Type,Mesotherapy,2026,35.91925412
-APAC,Type,Mesotherapy,2027,40.84827715
-APAC,Type,Mesotherapy,2028,46.66898672
-APAC,Type,Mesotherapy,2029,53.64437453
-APAC,Type,Mesotherapy,2030,62.13450331
-APAC,Type,Mesotherapy,2031,71.96833844
-APAC,Type,Mesotherapy,2032,83.35854415
-APAC,Type,Micro-needle,2024,18.10462835
-APAC,Type,Micro-needle,2025,20.30894758
-APAC,Type,Micro-needle,2026,22.83049015
-APAC,Type,Micro-needle,2027,25.7502909
-APAC,Type,Micro-needle,2028,29.17689341
-APAC,Type,Micro-needle,2029,33.25972947
-APAC,Type,Micro-needle,2030,38.20256508
-APAC,Type,Micro-needle,2031,43.8780581
-APAC,Type,Micro-needle,2032,50.39449255
-APAC,Ingredient,Hyaluronic acid (HA),2024,27.73121672
-APAC,Ingredient,Hyaluronic acid (HA),2025,31.1749199
-APAC,Ingredient,Hyaluronic acid (HA),2026,35.12282922
-APAC,Ingredient,Hyaluronic acid (HA),2027,39.70367186
-APAC,Ingredient,Hyaluronic acid (HA),2028,45.0899804
-APAC,Ingredient,Hyaluronic acid (HA),2029,51.51937756
-APAC,Ingredient,Hyaluronic acid (HA),2030,59.31629259
-APAC,Ingredient,Hyaluronic acid (HA),2031,68.29318857
-APAC,Ingredient,Hyaluronic acid (HA),2032,78.62864318
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2024,5.013944207
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2025,5.735500329
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2026,6.575228431
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2027,7.563231898
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2028,8.740015058
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2029,10.16150727
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2030,11.90465775
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2031,13.94683606
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2032,16.3393388
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2024,6.872839806
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2025,7.823944108
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2026,8.926125355
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2027,10.21779673
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2028,11.75059151
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2029,13.59575677
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2030,15.8511171
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2031,18.48061256
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2032,21.54630733
-APAC,Ingredient,Polycaprolactone (PCL),2024,5.069295937
-APAC,Ingredient,Polycaprolactone (PCL),2025,5.651947103
-APAC,Ingredient,Polycaprolactone (PCL),2026,6.315333011
-APAC,Ingredient,Polycaprolactone (PCL),2027,7.080296724
-APAC,Ingredient,Polycaprolactone (PCL),2028,7.974709177
-APAC,Ingredient,Polycaprolactone (PCL),2029,9.036899171
-APAC,Ingredient,Polycaprolactone (PCL),2030,10.31898188
-APAC,Ingredient,Polycaprolactone (PCL),2031,11.78295619
-APAC,Ingredient,Polycaprolactone (PCL),2032,13.45462743
-APAC,Ingredient,Exosomes,2024,1.439144979
-APAC,Ingredient,Exosomes,2025,1.613779668
-APAC,Ingredient,Exosomes,2026,1.810228243
-APAC,Ingredient,Exosomes,2027,2.033570839
-APAC,Ingredient,Exosomes,2028,2.290583972
-APAC,Ingredient,Exosomes,2029,2.590563233
-APAC,Ingredient,Exosomes,2030,2.946019075
-APAC,Ingredient,Exosomes,2031,3.342803157
-APAC,Ingredient,Exosomes,2032,3.784119969
-APAC,Gender,Female,2024,37.46850855
-APAC,Gender,Female,2025,42.07493928
-APAC,Gender,Female,2026,47.35090827
-APAC,Gender,Female,2027,53.46753531
-APAC,Gender,Female,2028,60.65410642
-APAC,Gender,Female,2029,69.22635099
-APAC,Gender,Female,2030,79.6151104
-APAC,Gender,Female,2031,91.56290507
-APAC,Gender,Female,2032,105.3036985
-APAC,Gender,Male,2024,8.657933098
-APAC,Gender,Male,2025,9.92515183
-APAC,Gender,Male,2026,11.398836
-APAC,Gender,Male,2027,13.13103274
-APAC,Gender,Male,2028,15.1917737
-APAC,Gender,Male,2029,17.67775301
-APAC,Gender,Male,2030,20.72195799
-APAC,Gender,Male,2031,24.28349148
-APAC,Gender,Male,2032,28.44933817
-APAC,End User,Medspas,2024,27.86037076
-APAC,End User,Medspas,2025,31.59022175
-APAC,End User,Medspas,2026,35.89766345
-APAC,End User,Medspas,2027,40.92952682
-APAC,End User,Medspas,2028,46.88300702
-APAC,End User,Medspas,2029,54.03005148
-APAC,End User,Medspas,2030,62.74341231
-APAC,End User,Medspas,2031,72.86196627
-APAC,End User,Medspas,2032,84.61232714
-APAC,End User,Dermatology Clinics,2024,18.26607089
-APAC,End User,Dermatology Clinics,2025,20.40986936
-APAC,End User,Dermatology Clinics,2026,22.85208081
-APAC,End User,Dermatology Clinics,2027,25.66904123
-APAC,End User,Dermatology Clinics,2028,28.9628731
-APAC,End User,Dermatology Clinics,2029,32.87405253
-APAC,End User,Dermatology Clinics,2030,37.59365608
-APAC,End User,Dermatology Clinics,2031,42.98443028
-APAC,End User,Dermatology Clinics,2032,49.14070957
-APAC,Type,Mesotherapy,2024,45.84427438
-APAC,Type,Mesotherapy,2025,52.13542364
-APAC,Type,Mesotherapy,2026,59.41942364
-APAC,Type,Mesotherapy,2027,67.94867586
-APAC,Type,Mesotherapy,2028,78.06237384
-APAC,Type,Mesotherapy,2029,90.22849157
-APAC,Type,Mesotherapy,2030,105.0892931
-APAC,Type,Mesotherapy,2031,122.3976964
-APAC,Type,Mesotherapy,2032,142.5568262
-APAC,Type,Micro-needle,2024,27.8248151
-APAC,Type,Micro-needle,2025,31.30108804
-APAC,Type,Micro-needle,2026,35.28596699
-APAC,Type,Micro-needle,2027,39.90881073
-APAC,Type,Micro-needle,2028,45.34300357
-APAC,Type,Micro-needle,2029,51.82733798
-APAC,Type,Micro-needle,2030,59.68781145
-APAC,Type,Micro-needle,2031,68.73486227
-APAC,Type,Micro-needle,2032,79.14663857
-APAC,Ingredient,Hyaluronic acid (HA),2024,44.27512278
-APAC,Ingredient,Hyaluronic acid (HA),2025,50.03502377
-APAC,Ingredient,Hyaluronic acid (HA),2026,56.66777631
-APAC,Ingredient,Hyaluronic acid (HA),2027,64.39546247
-APAC,Ingredient,Hyaluronic acid (HA),2028,73.51611611
-APAC,Ingredient,Hyaluronic acid (HA),2029,84.44054556
-APAC,Ingredient,Hyaluronic acid (HA),2030,97.73099869
-APAC,Ingredient,Hyaluronic acid (HA),2031,113.1132922
-APAC,Ingredient,Hyaluronic acid (HA),2032,130.9166697
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2024,8.177268932
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2025,9.389260846
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2026,10.80443976
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2027,12.47470072
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2028,14.46992269
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2029,16.8866489
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2030,19.85791133
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2031,23.35197735
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2032,27.46083598
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2024,9.746420538
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2025,11.16890657
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2026,12.82696454
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2027,14.78067151
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2028,17.11089117
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2029,19.9293108
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2030,23.38970594
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2031,27.45094144
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2032,32.21734331
-APAC,Ingredient,Polycaprolactone (PCL),2024,9.252837639
-APAC,Ingredient,Polycaprolactone (PCL),2025,10.37482961
-APAC,Ingredient,Polycaprolactone (PCL),2026,11.65828662
-APAC,Ingredient,Polycaprolactone (PCL),2027,13.14454383
-APAC,Ingredient,Polycaprolactone (PCL),2028,14.88896477
-APAC,Ingredient,Polycaprolactone (PCL),2029,16.96776626
-APAC,Ingredient,Polycaprolactone (PCL),2030,19.48487725
-APAC,Ingredient,Polycaprolactone (PCL),2031,22.37539317
-APAC,Ingredient,Polycaprolactone (PCL),2032,25.6947074
-APAC,Ingredient,Exosomes,2024,2.217439593
-APAC,Ingredient,Exosomes,2025,2.468490892
-APAC,Ingredient,Exosomes,2026,2.747923397
-APAC,Ingredient,Exosomes,2027,3.062108075
-APAC,Ingredient,Exosomes,2028,3.41948267
-APAC,Ingredient,Exosomes,2029,3.831558019
-APAC,Ingredient,Exosomes,2030,4.313611313
-APAC,Ingredient,Exosomes,2031,4.840954493
-APAC,Ingredient,Exosomes,2032,5.413908352
-APAC,Gender,Female,2024,58.02177487
-APAC,Gender,Female,2025,65.48459552
-APAC,Gender,Female,2026,74.06874962
-APAC,Gender,Female,2027,84.05971481
-APAC,Gender,Female,2028,95.84048531
-APAC,Gender,Female,2029,109.9388737
-APAC,Gender,Female,2030,127.0768359
-APAC,Gender,Female,2031,146.8863714
-APAC,Gender,Female,2032,169.7839417
-APAC,Gender,Male,2024,15.64731461
-APAC,Gender,Male,2025,17.95191617
-APAC,Gender,Male,2026,20.636641
-APAC,Gender,Male,2027,23.79777178
-APAC,Gender,Male,2028,27.56489211
-APAC,Gender,Male,2029,32.11695589
-APAC,Gender,Male,2030,37.7002686
-APAC,Gender,Male,2031,44.24618726
-APAC,Gender,Male,2032,51.91952302
-APAC,End User,Medspas,2024,46.00634638
-APAC,End User,Medspas,2025,52.44479121
-APAC,End User,Medspas,2026,59.91488097
-APAC,End User,Medspas,2027,68.67901788
-APAC,End User,Medspas,2028,79.0900125
-APAC,End User,Medspas,2029,91.63479221
-APAC,End User,Medspas,2030,106.9823135
-APAC,End User,Medspas,2031,124.9003257
-APAC,End User,Medspas,2032,145.8193496
-APAC,End User,Dermatology Clinics,2024,27.6627431
-APAC,End User,Dermatology Clinics,2025,30.99172048
-APAC,End User,Dermatology Clinics,2026,34.79050965
-APAC,End User,Dermatology Clinics,2027,39.17846871
-APAC,End User,Dermatology Clinics,2028,44.31536491
-APAC,End User,Dermatology Clinics,2029,50.42103733
-APAC,End User,Dermatology Clinics,2030,57.79479105
-APAC,End User,Dermatology Clinics,2031,66.23223294
-APAC,End User,Dermatology Clinics,2032,75.88411517
-APAC,Type,Mesotherapy,2024,17.15018401
-APAC,Type,Mesotherapy,2025,19.31140953
-APAC,Type,Mesotherapy,2026,21.79249162
-APAC,Type,Mesotherapy,2027,24.67498156
-APAC,Type,Mesotherapy,2028,28.0682269
-APAC,Type,Mesotherapy,2029,32.12286759
-APAC,Type,Mesotherapy,2030,37.04473285
-APAC,Type,Mesotherapy,2031,42.72072622
-APAC,Type,Mesotherapy,2032,49.2663952
-APAC,Type,Micro-needle,2024,9.926203756
-APAC,Type,Micro-needle,2025,11.07982845
-APAC,Type,Micro-needle,2026,12.3939408
-APAC,Type,Micro-needle,2027,13.90981433
-APAC,Type,Micro-needle,2028,15.68265641
-APAC,Type,Micro-needle,2029,17.78840361
-APAC,Type,Micro-needle,2030,20.33034228
-APAC,Type,Micro-needle,2031,23.23430091
-APAC,Type,Micro-needle,2032,26.5516424
-APAC,Ingredient,Hyaluronic acid (HA),2024,17.4913465
-APAC,Ingredient,Hyaluronic acid (HA),2025,19.57776806
-APAC,Ingredient,Hyaluronic acid (HA),2026,21.96093565
-APAC,Ingredient,Hyaluronic acid (HA),2027,24.71698732
-APAC,Ingredient,Hyaluronic acid (HA),2028,27.94785124
-APAC,Ingredient,Hyaluronic acid (HA),2029,31.79380442
-APAC,Ingredient,Hyaluronic acid (HA),2030,36.44596084
-APAC,Ingredient,Hyaluronic acid (HA),2031,41.77883352
-APAC,Ingredient,Hyaluronic acid (HA),2032,47.89202671
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2024,2.491027675
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2025,2.839890998
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2026,3.244684798
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2027,3.719635568
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2028,4.283871772
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2029,4.963793669
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2030,5.795672137
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2031,6.766964495
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2032,7.901035013
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2024,4.711291472
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2025,5.334610472
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2026,6.05359242
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2027,6.892561918
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2028,7.884177046
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2029,9.073466649
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2030,10.52211289
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2031,12.20204624
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2032,14.15019342
-APAC,Ingredient,Polycaprolactone (PCL),2024,1.627290905
-APAC,Ingredient,Polycaprolactone (PCL),2025,1.806421755
-APAC,Ingredient,Polycaprolactone (PCL),2026,2.009651895
-APAC,Ingredient,Polycaprolactone (PCL),2027,2.243259698
-APAC,Ingredient,Polycaprolactone (PCL),2028,2.515628255
-APAC,Ingredient,Polycaprolactone (PCL),2029,2.838275583
-APAC,Ingredient,Polycaprolactone (PCL),2030,3.226825563
-APAC,Ingredient,Polycaprolactone (PCL),2031,3.668566674
-APAC,Ingredient,Polycaprolactone (PCL),2032,4.170780594
-APAC,Ingredient,Exosomes,2024,0.755431219
-APAC,Ingredient,Exosomes,2025,0.832546691
-APAC,Ingredient,Exosomes,2026,0.917567662
-APAC,Ingredient,Exosomes,2027,1.01235139
-APAC,Ingredient,Exosomes,2028,1.119354993
-APAC,Ingredient,Exosomes,2029,1.241930883
-APAC,Ingredient,Exosomes,2030,1.3845037
-APAC,Ingredient,Exosomes,2031,1.5386162
-APAC,Ingredient,Exosomes,2032,1.704001869
-APAC,Gender,Female,2024,23.0772053
-APAC,Gender,Female,2025,25.82733502
-APAC,Gender,Female,2026,28.96834624
-APAC,Gender,Female,2027,32.6005438
-APAC,Gender,Female,2028,36.85820482
-APAC,Gender,Female,2029,41.92612269
-APAC,Gender,Female,2030,48.05604805
-APAC,Gender,Female,2031,55.0822162
-APAC,Gender,Female,2032,63.13566481
-APAC,Gender,Male,2024,3.999182474
-APAC,Gender,Male,2025,4.563902961
-APAC,Gender,Male,2026,5.218086185
-APAC,Gender,Male,2027,5.984252093
-APAC,Gender,Male,2028,6.892678486
-APAC,Gender,Male,2029,7.985148513
-APAC,Gender,Male,2030,9.319027076
-APAC,Gender,Male,2031,10.87281093
-APAC,Gender,Male,2032,12.68237279
-APAC,End User,Medspas,2024,15.49040144
-APAC,End User,Medspas,2025,17.50505767
-APAC,End User,Medspas,2026,19.82495194
-APAC,End User,Medspas,2027,22.5277478
-APAC,End User,Medspas,2028,25.71766891
-APAC,End User,Medspas,2029,29.53837592
-APAC,End User,Medspas,2030,34.18648552
-APAC,End User,Medspas,2031,39.5660139
-APAC,End User,Medspas,2032,45.79205589
-APAC,End User,Dermatology Clinics,2024,11.58598633
-APAC,End User,Dermatology Clinics,2025,12.88618031
-APAC,End User,Dermatology Clinics,2026,14.36148048
-APAC,End User,Dermatology Clinics,2027,16.05704809
-APAC,End User,Dermatology Clinics,2028,18.0332144
-APAC,End User,Dermatology Clinics,2029,20.37289528
-APAC,End User,Dermatology Clinics,2030,23.18858961
-APAC,End User,Dermatology Clinics,2031,26.38901323
-APAC,End User,Dermatology Clinics,2032,30.02598171
-APAC,Type,Mesotherapy,2024,12.86420498
-APAC,Type,Mesotherapy,2025,13.9882621
-APAC,Type,Mesotherapy,2026,15.24376677
-APAC,Type,Mesotherapy,2027,16.66778403
-APAC,Type,Mesotherapy,2028,18.30929519
-APAC,Type,Mesotherapy,2029,20.23515689
-APAC,Type,Mesotherapy,2030,22.53483361
-APAC,Type,Mesotherapy,2031,25.09586303
-APAC,Type,Mesotherapy,2032,27.94794727
-APAC,Type,Micro-needle,2024,7.151673313
-APAC,Type,Micro-needle,2025,7.707151695
-APAC,Type,Micro-needle,2026,8.323485386
-APAC,Type,Micro-needle,2027,9.018837935
-APAC,Type,Micro-needle,2028,9.817045485
-APAC,Type,Micro-needle,2029,10.75049651
-APAC,Type,Micro-needle,2030,11.86219399
-APAC,Type,Micro-needle,2031,13.08811496
-APAC,Type,Micro-needle,2032,14.4399065
-APAC,Ingredient,Hyaluronic acid (HA),2024,12.69006684
-APAC,Ingredient,Hyaluronic acid (HA),2025,13.73013354
-APAC,Ingredient,Hyaluronic acid (HA),2026,14.88789638
-APAC,Ingredient,Hyaluronic acid (HA),2027,16.19753581
-APAC,Ingredient,Hyaluronic acid (HA),2028,17.70405511
-APAC,Ingredient,Hyaluronic acid (HA),2029,19.46873546
-APAC,Ingredient,Hyaluronic acid (HA),2030,21.57324948
-APAC,Ingredient,Hyaluronic acid (HA),2031,23.90525538
-APAC,Ingredient,Hyaluronic acid (HA),2032,26.48934438
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2024,2.021603707
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2025,2.210300554
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2026,2.421889721
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2027,2.66265213
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2028,2.940916472
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2029,3.268075916
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2030,3.659438169
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2031,4.097667268
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2032,4.588375665
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2024,3.102461135
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2025,3.386328663
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2026,3.704244015
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2027,4.065622995
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2028,4.482938833
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2029,4.973243337
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2030,5.559419375
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2031,6.214685607
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2032,6.947185414
-APAC,Ingredient,Polycaprolactone (PCL),2024,1.679332189
-APAC,Ingredient,Polycaprolactone (PCL),2025,1.812782212
-APAC,Ingredient,Polycaprolactone (PCL),2026,1.961111896
-APAC,Ingredient,Polycaprolactone (PCL),2027,2.128708293
-APAC,Ingredient,Polycaprolactone (PCL),2028,2.321336623
-APAC,Ingredient,Polycaprolactone (PCL),2029,2.546837766
-APAC,Ingredient,Polycaprolactone (PCL),2030,2.815640931
-APAC,Ingredient,Polycaprolactone (PCL),2031,3.112814627
-APAC,Ingredient,Polycaprolactone (PCL),2032,3.441353191
-APAC,Ingredient,Exosomes,2024,0.522414423
-APAC,Ingredient,Exosomes,2025,0.555868828
-APAC,Ingredient,Exosomes,2026,0.592110143
-APAC,Ingredient,Exosomes,2027,0.632102743
-APAC,Ingredient,Exosomes,2028,0.67709364
-APAC,Ingredient,Exosomes,2029,0.728760911
-APAC,Ingredient,Exosomes,2030,0.789279638
-APAC,Ingredient,Exosomes,2031,0.853555111
-APAC,Ingredient,Exosomes,2032,0.921595114
-APAC,Gender,Female,2024,16.87138381
-APAC,Gender,Female,2025,18.25231887
-APAC,Gender,Female,2026,19.78942217
-APAC,Gender,Female,2027,21.52807584
-APAC,Gender,Female,2028,23.52802695
-APAC,Gender,Female,2029,25.87062914
-APAC,Gender,Female,2030,28.66429747
-APAC,Gender,Female,2031,31.75964315
-APAC,Gender,Female,2032,35.18924313
-APAC,Gender,Male,2024,3.144494479
-APAC,Gender,Male,2025,3.44309493
-APAC,Gender,Male,2026,3.777829982
-APAC,Gender,Male,2027,4.158546122
-APAC,Gender,Male,2028,4.598313725
-APAC,Gender,Male,2029,5.115024254
-APAC,Gender,Male,2030,5.732730124
-APAC,Gender,Male,2031,6.424334848
-APAC,Gender,Male,2032,7.198610632
-APAC,End User,Medspas,2024,12.08959049
-APAC,End User,Medspas,2025,13.18003331
-APAC,End User,Medspas,2026,14.40022075
-APAC,End User,Medspas,2027,15.78624456
-APAC,End User,Medspas,2028,17.38588075
-APAC,End User,Medspas,2029,19.26441181
-APAC,End User,Medspas,2030,21.50936757
-APAC,End User,Medspas,2031,24.01593662
-APAC,End User,Medspas,2032,26.81460577
-APAC,End User,Dermatology Clinics,2024,7.926287803
-APAC,End User,Dermatology Clinics,2025,8.515380491
-APAC,End User,Dermatology Clinics,2026,9.167031406
-APAC,End User,Dermatology Clinics,2027,9.900377404
-APAC,End User,Dermatology Clinics,2028,10.74045992
-APAC,End User,Dermatology Clinics,2029,11.72124158
-APAC,End User,Dermatology Clinics,2030,12.88766003
-APAC,End User,Dermatology Clinics,2031,14.16804138
-APAC,End User,Dermatology Clinics,2032,15.573248
-APAC,Type,Mesotherapy,2024,11.10873918
-APAC,Type,Mesotherapy,2025,12.30146067
-APAC,Type,Mesotherapy,2026,13.65200123
-APAC,Type,Mesotherapy,2027,15.20172914
-APAC,Type,Mesotherapy,2028,17.00583082
-APAC,Type,Mesotherapy,2029,19.14008693
-APAC,Type,Mesotherapy,2030,21.70714903
-APAC,Type,Mesotherapy,2031,24.61850464
-APAC,Type,Mesotherapy,2032,27.92033031
-APAC,Type,Micro-needle,2024,6.742360258
-APAC,Type,Micro-needle,2025,7.34446825
-APAC,Type,Micro-needle,2026,8.016451041
-APAC,Type,Micro-needle,2027,8.777777863
-APAC,Type,Micro-needle,2028,9.654209466
-APAC,Type,Micro-needle,2029,10.68093622
-APAC,Type,Micro-needle,2030,11.90506412
-APAC,Type,Micro-needle,2031,13.26687799
-APAC,Type,Micro-needle,2032,14.78147606
-APAC,Ingredient,Hyaluronic acid (HA),2024,11.46040584
-APAC,Ingredient,Hyaluronic acid (HA),2025,12.57737084
-APAC,Ingredient,Hyaluronic acid (HA),2026,13.833353
-APAC,Ingredient,Hyaluronic acid (HA),2027,15.26588856
-APAC,Ingredient,Hyaluronic acid (HA),2028,16.92485314
-APAC,Ingredient,Hyaluronic acid (HA),2029,18.87856228
-APAC,Ingredient,Hyaluronic acid (HA),2030,21.2190412
-APAC,Ingredient,Hyaluronic acid (HA),2031,23.84968211
-APAC,Ingredient,Hyaluronic acid (HA),2032,26.80645801
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2024,1.713705546
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2025,1.908075483
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2026,2.129132184
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2027,2.383783081
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2028,2.681260649
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2029,3.03425812
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2030,3.460021854
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2031,3.945528283
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2032,4.499160435
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2024,3.106091303
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2025,3.441636694
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2026,3.821761259
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2027,4.258131988
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2028,4.766316495
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2029,5.3676949
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2030,6.091238415
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2031,6.912312664
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2032,7.844064393
-APAC,Ingredient,Polycaprolactone (PCL),2024,1.031793548
-APAC,Ingredient,Polycaprolactone (PCL),2025,1.130878999
-APAC,Ingredient,Polycaprolactone (PCL),2026,1.242187615
-APAC,Ingredient,Polycaprolactone (PCL),2027,1.369037315
-APAC,Ingredient,Polycaprolactone (PCL),2028,1.515833739
-APAC,Ingredient,Polycaprolactone (PCL),2029,1.688608769
-APAC,Ingredient,Polycaprolactone (PCL),2030,1.89548059
-APAC,Ingredient,Polycaprolactone (PCL),2031,2.127696322
-APAC,Ingredient,Polycaprolactone (PCL),2032,2.388360854
-APAC,Ingredient,Exosomes,2024,0.539103203
-APAC,Ingredient,Exosomes,2025,0.587966897
-APAC,Ingredient,Exosomes,2026,0.64201821
-APAC,Ingredient,Exosomes,2027,0.702666058
-APAC,Ingredient,Exosomes,2028,0.771776271
-APAC,Ingredient,Exosomes,2029,0.851899076
-APAC,Ingredient,Exosomes,2030,0.946431092
-APAC,Ingredient,Exosomes,2031,1.050163254
-APAC,Ingredient,Exosomes,2032,1.163762674
-APAC,Gender,Female,2024,14.38798615
-APAC,Gender,Female,2025,15.66835521
-APAC,Gender,Female,2026,17.0999378
-APAC,Gender,Female,2027,18.72503713
-APAC,Gender,Female,2028,20.59961186
-APAC,Gender,Female,2029,22.80009069
-APAC,Gender,Female,2030,25.428863
-APAC,Gender,Female,2031,28.36072374
-APAC,Gender,Female,2032,31.63061799
-APAC,Gender,Male,2024,3.463113291
-APAC,Gender,Male,2025,3.977573706
-APAC,Gender,Male,2026,4.568514472
-APAC,Gender,Male,2027,5.25446987
-APAC,Gender,Male,2028,6.060428432
-APAC,Gender,Male,2029,7.020932463
-APAC,Gender,Male,2030,8.18335015
-APAC,Gender,Male,2031,9.524658892
-APAC,Gender,Male,2032,11.07118838
-APAC,End User,Medspas,2024,11.08374764
-APAC,End User,Medspas,2025,12.29330289
-APAC,End User,Medspas,2026,13.66464205
-APAC,End User,Medspas,2027,15.24000018
-APAC,End User,Medspas,2028,17.07575352
-APAC,End User,Medspas,2029,19.2493456
-APAC,End User,Medspas,2030,21.86577591
-APAC,End User,Medspas,2031,24.83783947
-APAC,End User,Medspas,2032,28.21387507
-APAC,End User,Dermatology Clinics,2024,6.767351798
-APAC,End User,Dermatology Clinics,2025,7.352626025
-APAC,End User,Dermatology Clinics,2026,8.003810222
-APAC,End User,Dermatology Clinics,2027,8.739506824
-APAC,End User,Dermatology Clinics,2028,9.584286771
-APAC,End User,Dermatology Clinics,2029,10.57167755
-APAC,End User,Dermatology Clinics,2030,11.74643724
-APAC,End User,Dermatology Clinics,2031,13.04754316
-APAC,End User,Dermatology Clinics,2032,14.4879313
-APAC,Type,Mesotherapy,2024,10.28923717
-APAC,Type,Mesotherapy,2025,11.31581825
-APAC,Type,Mesotherapy,2026,12.47201066
-APAC,Type,Mesotherapy,2027,13.79253257
-APAC,Type,Mesotherapy,2028,15.32356292
-APAC,Type,Mesotherapy,2029,17.12839544
-APAC,Type,Mesotherapy,2030,19.29240793
-APAC,Type,Mesotherapy,2031,21.72982315
-APAC,Type,Mesotherapy,2032,24.47518297
-APAC,Type,Micro-needle,2024,5.73012632
-APAC,Type,Micro-needle,2025,6.219418714
-APAC,Type,Micro-needle,2026,6.764475607
-APAC,Type,Micro-needle,2027,7.381173958
-APAC,Type,Micro-needle,2028,8.090470013
-APAC,Type,Micro-needle,2029,8.920945956
-APAC,Type,Micro-needle,2030,9.910769071
-APAC,Type,Micro-needle,2031,11.0090294
-APAC,Type,Micro-needle,2032,12.22741504
-APAC,Ingredient,Hyaluronic acid (HA),2024,10.43020757
-APAC,Ingredient,Hyaluronic acid (HA),2025,11.4057756
-APAC,Ingredient,Hyaluronic acid (HA),2026,12.49983898
-APAC,Ingredient,Hyaluronic acid (HA),2027,13.74488306
-APAC,Ingredient,Hyaluronic acid (HA),2028,15.18398874
-APAC,Ingredient,Hyaluronic acid (HA),2029,16.87609199
-APAC,Ingredient,Hyaluronic acid (HA),2030,18.90038825
-APAC,Ingredient,Hyaluronic acid (HA),2031,21.16749992
-APAC,Ingredient,Hyaluronic acid (HA),2032,23.70655285
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2024,1.505820168
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2025,1.664465735
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2026,1.843844674
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2027,2.049419395
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2028,2.288471688
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2029,2.570996189
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2030,2.910517081
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2031,3.294874461
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2032,3.729989348
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2024,2.595136885
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2025,2.847810159
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2026,3.131911806
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2027,3.455930879
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2028,3.831146546
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2029,4.273007632
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2030,4.802323398
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2031,5.397207777
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2032,6.065783033
-APAC,Ingredient,Polycaprolactone (PCL),2024,1.006016027
-APAC,Ingredient,Polycaprolactone (PCL),2025,1.097799122
-APAC,Ingredient,Polycaprolactone (PCL),2026,1.200573028
-APAC,Ingredient,Polycaprolactone (PCL),2027,1.317380774
-APAC,Ingredient,Polycaprolactone (PCL),2028,1.452252901
-APAC,Ingredient,Polycaprolactone (PCL),2029,1.610698934
-APAC,Ingredient,Polycaprolactone (PCL),2030,1.800111144
-APAC,Ingredient,Polycaprolactone (PCL),2031,2.011797525
-APAC,Ingredient,Polycaprolactone (PCL),2032,2.248377439
-APAC,Ingredient,Exosomes,2024,0.482182841
-APAC,Ingredient,Exosomes,2025,0.519386354
-APAC,Ingredient,Exosomes,2026,0.560317778
-APAC,Ingredient,Exosomes,2027,0.606092414
-APAC,Ingredient,Exosomes,2028,0.658173055
-APAC,Ingredient,Exosomes,2029,0.718546651
-APAC,Ingredient,Exosomes,2030,0.78983713
-APAC,Ingredient,Exosomes,2031,0.867472862
-APAC,Ingredient,Exosomes,2032,0.951895337
-APAC,Gender,Female,2024,12.65850103
-APAC,Gender,Female,2025,13.73856532
-APAC,Gender,Female,2026,14.94335828
-APAC,Gender,Female,2027,16.30842686
-APAC,Gender,Female,2028,17.88068385
-APAC,Gender,Female,2029,19.72410771
-APAC,Gender,Female,2030,21.92418395
-APAC,Gender,Female,2031,24.36966219
-APAC,Gender,Female,2032,27.08791517
-APAC,Gender,Male,2024,3.36086246
-APAC,Gender,Male,2025,3.796671642
-APAC,Gender,Male,2026,4.293127984
-APAC,Gender,Male,2027,4.865279664
-APAC,Gender,Male,2028,5.533349085
-APAC,Gender,Male,2029,6.32523368
-APAC,Gender,Male,2030,7.278993048
-APAC,Gender,Male,2031,8.369190359
-APAC,Gender,Male,2032,9.614682838
-APAC,End User,Medspas,2024,9.914384064
-APAC,End User,Medspas,2025,10.92635555
-APAC,End User,Medspas,2026,12.06792613
-APAC,End User,Medspas,2027,13.37355883
-APAC,End User,Medspas,2028,14.88913731
-APAC,End User,Medspas,2029,16.67758891
-APAC,End User,Medspas,2030,18.82390943
-APAC,End User,Medspas,2031,21.24645045
-APAC,End User,Medspas,2032,23.98076012
-APAC,End User,Dermatology Clinics,2024,6.104979426
-APAC,End User,Dermatology Clinics,2025,6.608881412
-APAC,End User,Dermatology Clinics,2026,7.168560133
-APAC,End User,Dermatology Clinics,2027,7.800147691
-APAC,End User,Dermatology Clinics,2028,8.524895622
-APAC,End User,Dermatology Clinics,2029,9.371752485
-APAC,End User,Dermatology Clinics,2030,10.37926757
-APAC,End User,Dermatology Clinics,2031,11.4924021
-APAC,End User,Dermatology Clinics,2032,12.72183789
-APAC,Type,Mesotherapy,2024,9.219446758
-APAC,Type,Mesotherapy,2025,10.24890634
-APAC,Type,Mesotherapy,2026,11.418207
-APAC,Type,Mesotherapy,2027,12.76366318
-APAC,Type,Mesotherapy,2028,14.33378715
-APAC,Type,Mesotherapy,2029,16.19525364
-APAC,Type,Mesotherapy,2030,18.43857642
-APAC,Type,Mesotherapy,2031,20.99263822
-APAC,Type,Mesotherapy,2032,23.90048175
-APAC,Type,Micro-needle,2024,5.501049422
-APAC,Type,Micro-needle,2025,6.038754236
-APAC,Type,Micro-needle,2026,6.642830564
-APAC,Type,Micro-needle,2027,7.331138141
-APAC,Type,Micro-needle,2028,8.12741158
-APAC,Type,Micro-needle,2029,9.064163853
-APAC,Type,Micro-needle,2030,10.18517571
-APAC,Type,Micro-needle,2031,11.44354865
-APAC,Type,Micro-needle,2032,12.85592299
-APAC,Ingredient,Hyaluronic acid (HA),2024,9.406397059
-APAC,Ingredient,Hyaluronic acid (HA),2025,10.39740729
-APAC,Ingredient,Hyaluronic acid (HA),2026,11.51793254
-APAC,Ingredient,Hyaluronic acid (HA),2027,12.80209482
-APAC,Ingredient,Hyaluronic acid (HA),2028,14.29538122
-APAC,Ingredient,Hyaluronic acid (HA),2029,16.06022519
-APAC,Ingredient,Hyaluronic acid (HA),2030,18.18110814
-APAC,Ingredient,Hyaluronic acid (HA),2031,20.58207088
-APAC,Ingredient,Hyaluronic acid (HA),2032,23.30010022
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2024,1.472049618
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2025,1.641470433
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2026,1.834388859
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2027,2.056869691
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2028,2.317023008
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2029,2.626002295
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2030,2.998973903
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2031,3.424918741
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2032,3.911360605
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2024,2.561366335
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2025,2.846806178
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2026,3.17096776
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2027,3.543910849
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2028,3.979073332
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2029,4.494923293
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2030,5.116529203
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2031,5.824097404
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2032,6.629515679
-APAC,Ingredient,Polycaprolactone (PCL),2024,0.750745305
-APAC,Ingredient,Polycaprolactone (PCL),2025,0.82809561
-APAC,Ingredient,Polycaprolactone (PCL),2026,0.915410868
-APAC,Ingredient,Polycaprolactone (PCL),2027,1.015333419
-APAC,Ingredient,Polycaprolactone (PCL),2028,1.131382587
-APAC,Ingredient,Polycaprolactone (PCL),2029,1.268386139
-APAC,Ingredient,Polycaprolactone (PCL),2030,1.432868432
-APAC,Ingredient,Polycaprolactone (PCL),2031,1.618680526
-APAC,Ingredient,Polycaprolactone (PCL),2032,1.828588437
-APAC,Ingredient,Exosomes,2024,0.529937862
-APAC,Ingredient,Exosomes,2025,0.573881061
-APAC,Ingredient,Exosomes,2026,0.622337541
-APAC,Ingredient,Exosomes,2027,0.676592544
-APAC,Ingredient,Exosomes,2028,0.738338579
-APAC,Ingredient,Exosomes,2029,0.809880582
-APAC,Ingredient,Exosomes,2030,0.894272455
-APAC,Ingredient,Exosomes,2031,0.986419316
-APAC,Ingredient,Exosomes,2032,1.0868398
-APAC,Gender,Female,2024,11.95745905
-APAC,Gender,Female,2025,13.21062098
-APAC,Gender,Female,2026,14.62700088
-APAC,Gender,Female,2027,16.24966371
-APAC,Gender,Female,2028,18.1360064
-APAC,Gender,Female,2029,20.36479911
-APAC,Gender,Female,2030,23.04259735
-APAC,Gender,Female,2031,26.07250332
-APAC,Gender,Female,2032,29.50081622
-APAC,Gender,Male,2024,2.763037133
-APAC,Gender,Male,2025,3.07703959
-APAC,Gender,Male,2026,3.434036684
-APAC,Gender,Male,2027,3.845137615
-APAC,Gender,Male,2028,4.325192327
-APAC,Gender,Male,2029,4.894618382
-APAC,Gender,Male,2030,5.581154784
-APAC,Gender,Male,2031,6.363683547
-APAC,Gender,Male,2032,7.255588528
-APAC,End User,Medspas,2024,8.693925044
-APAC,End User,Medspas,2025,9.694524375
-APAC,End User,Medspas,2026,10.8339006
-APAC,End User,Medspas,2027,12.1478724
-APAC,End User,Medspas,2028,13.68433789
-APAC,End User,Medspas,2029,15.50916955
-APAC,End User,Medspas,2030,17.71193987
-APAC,End User,Medspas,2031,20.22757008
-APAC,End User,Medspas,2032,23.10049573
-APAC,End User,Dermatology Clinics,2024,6.026571136
-APAC,End User,Dermatology Clinics,2025,6.593136199
-APAC,End User,Dermatology Clinics,2026,7.227136968
-APAC,End User,Dermatology Clinics,2027,7.946928926
-APAC,End User,Dermatology Clinics,2028,8.776860841
-APAC,End User,Dermatology Clinics,2029,9.750247945
-APAC,End User,Dermatology Clinics,2030,10.91181226
-APAC,End User,Dermatology Clinics,2031,12.20861679
-APAC,End User,Dermatology Clinics,2032,13.65590901
-APAC,Type,Mesotherapy,2024,5.848859445
-APAC,Type,Mesotherapy,2025,6.566862315
-APAC,Type,Mesotherapy,2026,7.389113895
-APAC,Type,Mesotherapy,2027,8.342262396
-APAC,Type,Mesotherapy,2028,9.462012643
-APAC,Type,Mesotherapy,2029,10.79752925
-APAC,Type,Mesotherapy,2030,12.41589654
-APAC,Type,Mesotherapy,2031,14.27682975
-APAC,Type,Mesotherapy,2032,16.41668543
-APAC,Type,Micro-needle,2024,3.343124595
-APAC,Type,Micro-needle,2025,3.692991652
-APAC,Type,Micro-needle,2026,4.08768631
-APAC,Type,Micro-needle,2027,4.538972452
-APAC,Type,Micro-needle,2028,5.06252673
-APAC,Type,Micro-needle,2029,5.679860909
-APAC,Type,Micro-needle,2030,6.420044089
-APAC,Type,Micro-needle,2031,7.255260943
-APAC,Type,Micro-needle,2032,8.197478466
-APAC,Ingredient,Hyaluronic acid (HA),2024,5.689838121
-APAC,Ingredient,Hyaluronic acid (HA),2025,6.344498756
-APAC,Ingredient,Hyaluronic acid (HA),2026,7.089938153
-APAC,Ingredient,Hyaluronic acid (HA),2027,7.94958783
-APAC,Ingredient,Hyaluronic acid (HA),2028,8.954781021
-APAC,Ingredient,Hyaluronic acid (HA),2029,10.14860888
-APAC,Ingredient,Hyaluronic acid (HA),2030,11.58966522
-APAC,Ingredient,Hyaluronic acid (HA),2031,13.23534502
-APAC,Ingredient,Hyaluronic acid (HA),2032,15.11470387
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2024,0.898976039
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2025,1.011240345
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2026,1.140009273
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2027,1.289494265
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2028,1.46534079
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2029,1.675324926
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2030,1.930066584
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2031,2.223543005
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2032,2.561644004
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2024,1.636173159
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2025,1.834472149
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2026,2.061297639
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2027,2.32395291
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2028,2.632219698
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2029,2.999564002
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2030,3.444347506
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2031,3.955084716
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2032,4.541555429
-APAC,Ingredient,Polycaprolactone (PCL),2024,0.636085296
-APAC,Ingredient,Polycaprolactone (PCL),2025,0.707780951
-APAC,Ingredient,Polycaprolactone (PCL),2026,0.7892782
-APAC,Ingredient,Polycaprolactone (PCL),2027,0.883117276
-APAC,Ingredient,Polycaprolactone (PCL),2028,0.992692742
-APAC,Ingredient,Polycaprolactone (PCL),2029,1.122670988
-APAC,Ingredient,Polycaprolactone (PCL),2030,1.279390093
-APAC,Ingredient,Polycaprolactone (PCL),2031,1.45798638
-APAC,Ingredient,Polycaprolactone (PCL),2032,1.661513792
-APAC,Ingredient,Exosomes,2024,0.330911425
-APAC,Ingredient,Exosomes,2025,0.361861766
-APAC,Ingredient,Exosomes,2026,0.396276941
-APAC,Ingredient,Exosomes,2027,0.435082566
-APAC,Ingredient,Exosomes,2028,0.479505122
-APAC,Ingredient,Exosomes,2029,0.531221364
-APAC,Ingredient,Exosomes,2030,0.592471221
-APAC,Ingredient,Exosomes,2031,0.660131574
-APAC,Ingredient,Exosomes,2032,0.734746799
-APAC,Gender,Female,2024,7.39495116
-APAC,Gender,Female,2025,8.208655227
-APAC,Gender,Female,2026,9.131801123
-APAC,Gender,Female,2027,10.19290342
-APAC,Gender,Female,2028,11.43003516
-APAC,Gender,Female,2029,12.89550669
-APAC,Gender,Female,2030,14.66027396
-APAC,Gender,Female,2031,16.66655198
-APAC,Gender,Female,2032,18.94739182
-APAC,Gender,Male,2024,1.79703288
-APAC,Gender,Male,2025,2.051198739
-APAC,Gender,Male,2026,2.344999083
-APAC,Gender,Male,2027,2.68833143
-APAC,Gender,Male,2028,3.094504209
-APAC,Gender,Male,2029,3.581883473
-APAC,Gender,Male,2030,4.175666671
-APAC,Gender,Male,2031,4.865538717
-APAC,Gender,Male,2032,5.666772074
-APAC,End User,Medspas,2024,5.864485818
-APAC,End User,Medspas,2025,6.596843968
-APAC,End User,Medspas,2026,7.436870311
-APAC,End User,Medspas,2027,8.412038255
-APAC,End User,Medspas,2028,9.559176115
-APAC,End User,Medspas,2029,10.92901128
-APAC,End User,Medspas,2030,12.59082291
-APAC,End User,Medspas,2031,14.50532144
-APAC,End User,Medspas,2032,16.71092919
-APAC,End User,Dermatology Clinics,2024,3.327498222
-APAC,End User,Dermatology Clinics,2025,3.663009999
-APAC,End User,Dermatology Clinics,2026,4.039929895
-APAC,End User,Dermatology Clinics,2027,4.469196593
-APAC,End User,Dermatology Clinics,2028,4.965363258
-APAC,End User,Dermatology Clinics,2029,5.548378883
-APAC,End User,Dermatology Clinics,2030,6.245117716
-APAC,End User,Dermatology Clinics,2031,7.026769255
-APAC,End User,Dermatology Clinics,2032,7.903234707
-APAC,Type,Mesotherapy,2024,10.52111163
-APAC,Type,Mesotherapy,2025,11.48303805
-APAC,Type,Mesotherapy,2026,12.56029107
-APAC,Type,Mesotherapy,2027,13.78477363
-APAC,Type,Mesotherapy,2028,15.19874632
-APAC,Type,Mesotherapy,2029,16.85998102
-APAC,Type,Mesotherapy,2030,18.84600174
-APAC,Type,Mesotherapy,2031,21.06596568
-APAC,Type,Mesotherapy,2032,23.54743017
-APAC,Type,Micro-needle,2024,6.197641952
-APAC,Type,Micro-needle,2025,6.657253554
-APAC,Type,Micro-needle,2026,7.165405837
-APAC,Type,Micro-needle,2027,7.736971424
-APAC,Type,Micro-needle,2028,8.391409092
-APAC,Type,Micro-needle,2029,9.155107554
-APAC,Type,Micro-needle,2030,10.06297011
-APAC,Type,Micro-needle,2031,11.0588011
-APAC,Type,Micro-needle,2032,12.15085223
-APAC,Ingredient,Hyaluronic acid (HA),2024,10.516096
-APAC,Ingredient,Hyaluronic acid (HA),2025,11.39883318
-APAC,Ingredient,Hyaluronic acid (HA),2026,12.38266084
-APAC,Ingredient,Hyaluronic acid (HA),2027,13.4966067
-APAC,Ingredient,Hyaluronic acid (HA),2028,14.7789439
-APAC,Ingredient,Hyaluronic acid (HA),2029,16.28183673
-APAC,Ingredient,Hyaluronic acid (HA),2030,18.07491322
-APAC,Ingredient,Hyaluronic acid (HA),2031,20.06545659
-APAC,Ingredient,Hyaluronic acid (HA),2032,22.27521334
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2024,1.524750326
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2025,1.667298872
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2026,1.827157152
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2027,2.009071453
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2028,2.219335993
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2029,2.466561323
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2030,2.762317588
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2031,3.093536895
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2032,3.464471486
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2024,2.808750601
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2025,3.06128305
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2026,3.343809441
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2027,3.664684467
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2028,4.034965708
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2029,4.46976094
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2030,4.989322473
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2031,5.569277434
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2032,6.216645908
-APAC,Ingredient,Polycaprolactone (PCL),2024,1.267281521
-APAC,Ingredient,Polycaprolactone (PCL),2025,1.370771498
-APAC,Ingredient,Polycaprolactone (PCL),2026,1.485951906
-APAC,Ingredient,Polycaprolactone (PCL),2027,1.616223719
-APAC,Ingredient,Polycaprolactone (PCL),2028,1.766063813
-APAC,Ingredient,Polycaprolactone (PCL),2029,1.941567503
-APAC,Ingredient,Polycaprolactone (PCL),2030,2.150856458
-APAC,Ingredient,Polycaprolactone (PCL),2031,2.382705466
-APAC,Ingredient,Polycaprolactone (PCL),2032,2.639546362
-APAC,Ingredient,Exosomes,2024,0.601875129
-APAC,Ingredient,Exosomes,2025,0.642105009
-APAC,Ingredient,Exosomes,2026,0.686117573
-APAC,Ingredient,Exosomes,2027,0.73515871
-APAC,Ingredient,Exosomes,2028,0.790846007
-APAC,Ingredient,Exosomes,2029,0.855362076
-APAC,Ingredient,Exosomes,2030,0.931562103
-APAC,Ingredient,Exosomes,2031,1.013790401
-APAC,Ingredient,Exosomes,2032,1.10240531
-APAC,Gender,Female,2024,13.7595342
-APAC,Gender,Female,2025,14.86227742
-APAC,Gender,Female,2026,16.08846906
-APAC,Gender,Female,2027,17.47435325
-APAC,Gender,Female,2028,19.06758516
-APAC,Gender,Female,2029,20.93299964
-APAC,Gender,Female,2030,23.1568812
-APAC,Gender,Female,2031,25.61702365
-APAC,Gender,Female,2032,28.3385269
-APAC,Gender,Male,2024,2.959219384
-APAC,Gender,Male,2025,3.278014184
-APAC,Gender,Male,2026,3.637227846
-APAC,Gender,Male,2027,4.047391809
-APAC,Gender,Male,2028,4.522570254
-APAC,Gender,Male,2029,5.082088937
-APAC,Gender,Male,2030,5.75209065
-APAC,Gender,Male,2031,6.507743132
-APAC,Gender,Male,2032,7.359755498
-APAC,End User,Medspas,2024,10.19676781
-APAC,End User,Medspas,2025,11.15006121
-APAC,End User,Medspas,2026,12.21911345
-APAC,End User,Medspas,2027,13.43566534
-APAC,End User,Medspas,2028,14.84180945
-APAC,End User,Medspas,2029,16.49512885
-APAC,End User,Medspas,2030,18.47299887
-APAC,End User,Medspas,2031,20.68802798
-APAC,End User,Medspas,2032,23.16865307
-APAC,End User,Dermatology Clinics,2024,6.521985772
-APAC,End User,Dermatology Clinics,2025,6.990230397
-APAC,End User,Dermatology Clinics,2026,7.506583456
-APAC,End User,Dermatology Clinics,2027,8.086079711
-APAC,End User,Dermatology Clinics,2028,8.748345965
-APAC,End User,Dermatology Clinics,2029,9.519959724
-APAC,End User,Dermatology Clinics,2030,10.43597298
-APAC,End User,Dermatology Clinics,2031,11.4367388
-APAC,End User,Dermatology Clinics,2032,12.52962934
-APAC,Type,Mesotherapy,2024,16.06490045
-APAC,Type,Mesotherapy,2025,17.59250498
-APAC,Type,Mesotherapy,2026,19.23829885
-APAC,Type,Mesotherapy,2027,21.0274403
-APAC,Type,Mesotherapy,2028,22.9928639
-APAC,Type,Mesotherapy,2029,25.17915478
-APAC,Type,Mesotherapy,2030,27.64277269
-APAC,Type,Mesotherapy,2031,30.17357054
-APAC,Type,Mesotherapy,2032,32.72128964
-APAC,Type,Micro-needle,2024,8.946621344
-APAC,Type,Micro-needle,2025,9.628581019
-APAC,Type,Micro-needle,2026,10.34592084
-APAC,Type,Micro-needle,2027,11.10883563
-APAC,Type,Micro-needle,2028,11.93064678
-APAC,Type,Micro-needle,2029,12.82942661
-APAC,Type,Micro-needle,2030,13.82758703
-APAC,Type,Micro-needle,2031,14.81462683
-APAC,Type,Micro-needle,2032,15.76489223
-APAC,Ingredient,Hyaluronic acid (HA),2024,16.23247764
-APAC,Ingredient,Hyaluronic acid (HA),2025,17.65235162
-APAC,Ingredient,Hyaluronic acid (HA),2026,19.16945061
-APAC,Ingredient,Hyaluronic acid (HA),2027,20.80642765
-APAC,Ingredient,Hyaluronic acid (HA),2028,22.59291627
-APAC,Ingredient,Hyaluronic acid (HA),2029,24.56905679
-APAC,Ingredient,Hyaluronic acid (HA),2030,26.7853331
-APAC,Ingredient,Hyaluronic acid (HA),2031,29.03422688
-APAC,Ingredient,Hyaluronic acid (HA),2032,31.26670282
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2024,2.075956309
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2025,2.274487784
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2026,2.48850403
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2027,2.72128386
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2028,2.97711946
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2029,3.261820787
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2030,3.582748366
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2031,3.912705532
-APAC,Ingredient,Polydeoxyribonucleotides (PDRN),2032,4.245185062
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2024,4.702166097
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2025,5.137010911
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2026,5.604183547
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2027,6.110756395
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2028,6.66598772
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2029,7.28241571
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2030,7.975883464
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2031,8.685339125
-APAC,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2032,9.3962241
-APAC,Ingredient,Polycaprolactone (PCL),2024,1.100506959
-APAC,Ingredient,Polycaprolactone (PCL),2025,1.1928171
-APAC,Ingredient,Polycaprolactone (PCL),2026,1.291053561
-APAC,Ingredient,Polycaprolactone (PCL),2027,1.396675199
-APAC,Ingredient,Polycaprolactone (PCL),2028,1.511588226
-APAC,Ingredient,Polycaprolactone (PCL),2029,1.638373817
-APAC,Ingredient,Polycaprolactone (PCL),2030,1.7802659
-APAC,Ingredient,Polycaprolactone (PCL),2031,1.92336361
-APAC,Ingredient,Polycaprolactone (PCL),2032,2.064412697
-APAC,Ingredient,Exosomes,2024,0.900414784
-APAC,Ingredient,Exosomes,2025,0.964418578
-APAC,Ingredient,Exosomes,2026,1.031027937
-APAC,Ingredient,Exosomes,2027,1.101132826
-APAC,Ingredient,Exosomes,2028,1.175899002
-APAC,Ingredient,Exosomes,2029,1.256914287
-APAC,Ingredient,Exosomes,2030,1.346128895
-APAC,Ingredient,Exosomes,2031,1.432562224
-APAC,Ingredient,Exosomes,2032,1.513657183
-APAC,Gender,Female,2024,21.56743524
-APAC,Gender,Female,2025,23.43753334
-APAC,Gender,Female,2026,25.43399862
-APAC,Gender,Female,2027,27.58659769
-APAC,Gender,Female,2028,29.93426214
-APAC,Gender,Female,2029,32.52972507
-APAC,Gender,Female,2030,35.43925665
-APAC,Gender,Female,2031,38.38782111
-APAC,Gender,Female,2032,41.31054513
-APAC,Gender,Male,2024,3.44408655
-APAC,Gender,Male,2025,3.783552655
-APAC,Gender,Male,2026,4.15022107
-APAC,Gender,Male,2027,4.549678237
-APAC,Gender,Male,2028,4.98924854
-APAC,Gender,Male,2029,5.478856329
-APAC,Gender,Male,2030,6.031103069
-APAC,Gender,Male,2031,6.600376256
-APAC,Gender,Male,2032,7.175636739
-APAC,End User,Medspas,2024,15.25952944
-APAC,End User,Medspas,2025,16.73712373
-APAC,End User,Medspas,2026,18.33200014
-APAC,End User,Medspas,2027,20.0687182
-APAC,End User,Medspas,2028,21.97942545
-APAC,End User,Medspas,2029,24.10762658
-APAC,End User,Medspas,2030,26.50848767
-APAC,End User,Medspas,2031,28.98144897
-APAC,End User,Medspas,2032,31.47848651
-MEA,Country,South Africa,2024,23.16756159
-MEA,Country,South Africa,2025,25.24256306
-MEA,Country,South Africa,2026,27.56349584
-MEA,Country,South Africa,2027,30.19897347
-MEA,Country,South Africa,2028,33.23978886
-MEA,Country,South Africa,2029,36.80997474
-MEA,Country,South Africa,2030,41.0757605
-MEA,Country,South Africa,2031,45.83589401
-MEA,Country,South Africa,2032,51.14766358
-MEA,Country,GCC,2024,43.69562237
-MEA,Country,GCC,2025,48.22671815
-MEA,Country,GCC,2026,53.34395511
-MEA,Country,GCC,2027,59.20245977
-MEA,Country,GCC,2028,66.0088981
-MEA,Country,GCC,2029,74.04681825
-MEA,Country,GCC,2030,83.69955542
-MEA,Country,GCC,2031,94.61062262
-MEA,Country,GCC,2032,106.9440557
-MEA,Country,Egypt,2024,14.92381262
-MEA,Country,Egypt,2025,16.05280682
-MEA,Country,Egypt,2026,17.30493193
-MEA,Country,Egypt,2027,18.71741401
-MEA,Country,Egypt,2028,20.33901846
-MEA,Country,Egypt,2029,22.2359312
-MEA,Country,Egypt,2030,24.49590468
-MEA,Country,Egypt,2031,26.98557306
-MEA,Country,Egypt,2032,29.72828164
-MEA,Country,Nigeria,2024,10.40788944
-MEA,Country,Nigeria,2025,11.10134509
-MEA,Country,Nigeria,2026,11.86687206
-MEA,Country,Nigeria,2027,12.72781787
-MEA,Country,Nigeria,2028,13.71449552
-MEA,Country,Nigeria,2029,14.86780681
-MEA,Country,Nigeria,2030,16.24152526
-MEA,Country,Nigeria,2031,17.74216912
-MEA,Country,Nigeria,2032,19.38146572
-MEA,Country,Turkey,2024,17.23806689
-MEA,Country,Turkey,2025,18.5814873
-MEA,Country,Turkey,2026,20.07336162
-MEA,Country,Turkey,2027,21.75789011
-MEA,Country,Turkey,2028,23.69308664
-MEA,Country,Turkey,2029,25.95778873
-MEA,Country,Turkey,2030,28.65672622
-MEA,Country,Turkey,2031,31.63628329
-MEA,Country,Turkey,2032,34.9256371
-MEA,Country,Rest of MEA,2024,15.66187209
-MEA,Country,Rest of MEA,2025,16.78124801
-MEA,Country,Rest of MEA,2026,17.99608676
-MEA,Country,Rest of MEA,2027,19.33688866
-MEA,Country,Rest of MEA,2028,20.84344421
-MEA,Country,Rest of MEA,2029,22.56961385
-MEA,Country,Rest of MEA,2030,24.58565895
-MEA,Country,Rest of MEA,2031,26.73523947
-MEA,Country,Rest of MEA,2032,29.01875443
-MEA,Type,Mesotherapy,2024,83.87719851
-MEA,Type,Mesotherapy,2025,91.45504546
-MEA,Type,Mesotherapy,2026,99.93633256
-MEA,Type,Mesotherapy,2027,109.5722434
-MEA,Type,Mesotherapy,2028,120.6953055
-MEA,Type,Mesotherapy,2029,133.7599171
-MEA,Type,Mesotherapy,2030,149.3754235
-MEA,Type,Mesotherapy,2031,166.8157837
-MEA,Type,Mesotherapy,2032,186.2945197
-MEA,Type,Micro-needle,2024,41.21762649
-MEA,Type,Micro-needle,2025,44.53112295
-MEA,Type,Micro-needle,2026,48.21237076
-MEA,Type,Micro-needle,2027,52.36920051
-MEA,Type,Micro-needle,2028,57.14342628
-MEA,Type,Micro-needle,2029,62.72801647
-MEA,Type,Micro-needle,2030,69.3797075
-MEA,Type,Micro-needle,2031,76.7299979
-MEA,Type,Micro-needle,2032,84.85133846
-MEA,Ingredient,Hyaluronic acid (HA),2024,81.71162945
-MEA,Ingredient,Hyaluronic acid (HA),2025,88.70164023
-MEA,Ingredient,Hyaluronic acid (HA),2026,96.49997306
-MEA,Ingredient,Hyaluronic acid (HA),2027,105.3367244
-MEA,Ingredient,Hyaluronic acid (HA),2028,115.5156067
-MEA,Ingredient,Hyaluronic acid (HA),2029,127.4508547
-MEA,Ingredient,Hyaluronic acid (HA),2030,141.6960431
-MEA,Ingredient,Hyaluronic acid (HA),2031,157.5334369
-MEA,Ingredient,Hyaluronic acid (HA),2032,175.1410032
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2024,13.03674968
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2025,14.34741475
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2026,15.82461762
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2027,17.51286899
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2028,19.47139118
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2029,21.7813713
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2030,24.55238043
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2031,27.67637875
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2032,31.19838814
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2024,17.92948872
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2025,19.56048439
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2026,21.38638261
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2027,23.46120905
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2028,25.85651124
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2029,28.67008156
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2030,32.03310448
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2031,35.79046918
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2032,39.98839769
-MEA,Ingredient,Polycaprolactone (PCL),2024,9.20589705
-MEA,Ingredient,Polycaprolactone (PCL),2025,9.911785642
-MEA,Ingredient,Polycaprolactone (PCL),2026,10.69499579
-MEA,Ingredient,Polycaprolactone (PCL),2027,11.57874994
-MEA,Ingredient,Polycaprolactone (PCL),2028,12.59349652
-MEA,Ingredient,Polycaprolactone (PCL),2029,13.78058526
-MEA,Ingredient,Polycaprolactone (PCL),2030,15.194885
-MEA,Ingredient,Polycaprolactone (PCL),2031,16.75416741
-MEA,Ingredient,Polycaprolactone (PCL),2032,18.47328154
-MEA,Ingredient,Exosomes,2024,3.211060093
-MEA,Ingredient,Exosomes,2025,3.464843399
-MEA,Ingredient,Exosomes,2026,3.742734243
-MEA,Ingredient,Exosomes,2027,4.051891512
-MEA,Ingredient,Exosomes,2028,4.401726185
-MEA,Ingredient,Exosomes,2029,4.80504081
-MEA,Ingredient,Exosomes,2030,5.27871803
-MEA,Ingredient,Exosomes,2031,5.791329287
-MEA,Ingredient,Exosomes,2032,6.34478758
-MEA,Gender,Female,2024,107.2400919
-MEA,Gender,Female,2025,116.3666714
-MEA,Gender,Female,2026,126.5459608
-MEA,Gender,Female,2027,138.078297
-MEA,Gender,Female,2028,151.3599864
-MEA,Gender,Female,2029,166.9314491
-MEA,Gender,Female,2030,185.5146549
-MEA,Gender,Female,2031,206.1666125
-MEA,Gender,Female,2032,229.117577
-MEA,Gender,Male,2024,17.85473308
-MEA,Gender,Male,2025,19.61949698
-MEA,Gender,Male,2026,21.60274255
-MEA,Gender,Male,2027,23.86314694
-MEA,Gender,Male,2028,26.4787454
-MEA,Gender,Male,2029,29.55648448
-MEA,Gender,Male,2030,33.24047613
-MEA,Gender,Male,2031,37.37916909
-MEA,Gender,Male,2032,42.02828111
-MEA,End User,Medspas,2024,75.79892898
-MEA,End User,Medspas,2025,82.92707766
-MEA,End User,Medspas,2026,90.92358123
-MEA,End User,Medspas,2027,100.0260042
-MEA,End User,Medspas,2028,110.5494798
-MEA,End User,Medspas,2029,122.9251935
-MEA,End User,Medspas,2030,137.7327368
-MEA,End User,Medspas,2031,154.3237347
-MEA,End User,Medspas,2032,172.9129676
-MEA,End User,Dermatology Clinics,2024,49.29589602
-MEA,End User,Dermatology Clinics,2025,53.05909075
-MEA,End User,Dermatology Clinics,2026,57.22512209
-MEA,End User,Dermatology Clinics,2027,61.91543974
-MEA,End User,Dermatology Clinics,2028,67.289252
-MEA,End User,Dermatology Clinics,2029,73.56274011
-MEA,End User,Dermatology Clinics,2030,81.02239422
-MEA,End User,Dermatology Clinics,2031,89.22204691
-MEA,End User,Dermatology Clinics,2032,98.23289051
-MEA,Type,Mesotherapy,2024,15.08671611
-MEA,Type,Mesotherapy,2025,16.48233955
-MEA,Type,Mesotherapy,2026,18.04640582
-MEA,Type,Mesotherapy,2027,19.82529313
-MEA,Type,Mesotherapy,2028,21.8804731
-MEA,Type,Mesotherapy,2029,24.29601159
-MEA,Type,Mesotherapy,2030,27.18479701
-MEA,Type,Mesotherapy,2031,30.41705779
-MEA,Type,Mesotherapy,2032,34.033633
-MEA,Type,Micro-needle,2024,8.080845483
-MEA,Type,Micro-needle,2025,8.760223511
-MEA,Type,Micro-needle,2026,9.517090017
-MEA,Type,Micro-needle,2027,10.37368034
-MEA,Type,Micro-needle,2028,11.35931576
-MEA,Type,Micro-needle,2029,12.51396315
-MEA,Type,Micro-needle,2030,13.89096349
-MEA,Type,Micro-needle,2031,15.41883621
-MEA,Type,Micro-needle,2032,17.11403058
-MEA,Ingredient,Hyaluronic acid (HA),2024,15.1400015
-MEA,Ingredient,Hyaluronic acid (HA),2025,16.47621974
-MEA,Ingredient,Hyaluronic acid (HA),2026,17.96953988
-MEA,Ingredient,Hyaluronic acid (HA),2027,19.66406828
-MEA,Ingredient,Hyaluronic acid (HA),2028,21.61812298
-MEA,Ingredient,Hyaluronic acid (HA),2029,23.91133256
-MEA,Ingredient,Hyaluronic acid (HA),2030,26.6503187
-MEA,Ingredient,Hyaluronic acid (HA),2031,29.70304917
-MEA,Ingredient,Hyaluronic acid (HA),2032,33.10546263
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2024,2.2194524
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2025,2.447014568
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2026,2.703802708
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2027,2.997577895
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2028,3.338675031
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2029,3.741269626
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2030,4.224513453
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2031,4.770175823
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2032,5.386319072
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2024,3.187856475
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2025,3.484491482
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2026,3.817049382
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2027,4.195398175
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2028,4.632621136
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2029,5.146613688
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2030,5.761415382
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2031,6.449659759
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2032,7.220120101
-MEA,Ingredient,Polycaprolactone (PCL),2024,1.885839513
-MEA,Ingredient,Polycaprolactone (PCL),2025,2.043238063
-MEA,Ingredient,Polycaprolactone (PCL),2026,2.218609835
-MEA,Ingredient,Polycaprolactone (PCL),2027,2.417129576
-MEA,Ingredient,Polycaprolactone (PCL),2028,2.645617922
-MEA,Ingredient,Polycaprolactone (PCL),2029,2.913369052
-MEA,Ingredient,Polycaprolactone (PCL),2030,3.232784176
-MEA,Ingredient,Polycaprolactone (PCL),2031,3.587219244
-MEA,Ingredient,Polycaprolactone (PCL),2032,3.980513764
-MEA,Ingredient,Exosomes,2024,0.734411702
-MEA,Ingredient,Exosomes,2025,0.791599205
-MEA,Ingredient,Exosomes,2026,0.854494033
-MEA,Ingredient,Exosomes,2027,0.924799546
-MEA,Ingredient,Exosomes,2028,1.004751791
-MEA,Ingredient,Exosomes,2029,1.097389811
-MEA,Ingredient,Exosomes,2030,1.206728788
-MEA,Ingredient,Exosomes,2031,1.325790011
-MEA,Ingredient,Exosomes,2032,1.45524801
-MEA,Gender,Female,2024,19.95190404
-MEA,Gender,Female,2025,21.69976529
-MEA,Gender,Female,2026,23.65230387
-MEA,Gender,Female,2027,25.86716887
-MEA,Gender,Female,2028,28.42055403
-MEA,Gender,Female,2029,31.41646875
-MEA,Gender,Female,2030,34.99411601
-MEA,Gender,Female,2031,38.97917889
-MEA,Gender,Female,2032,43.41805309
-MEA,Gender,Male,2024,3.215657549
-MEA,Gender,Male,2025,3.542797764
-MEA,Gender,Male,2026,3.91119197
-MEA,Gender,Male,2027,4.3318046
-MEA,Gender,Male,2028,4.819234834
-MEA,Gender,Male,2029,5.393505989
-MEA,Gender,Male,2030,6.081644485
-MEA,Gender,Male,2031,6.856715115
-MEA,Gender,Male,2032,7.729610488
-MEA,End User,Medspas,2024,14.02100827
-MEA,End User,Medspas,2025,15.38373676
-MEA,End User,Medspas,2026,16.91578506
-MEA,End User,Medspas,2027,18.66291644
-MEA,End User,Medspas,2028,20.68593035
-MEA,End User,Medspas,2029,23.0680982
-MEA,End User,Medspas,2030,25.9215732
-MEA,End User,Medspas,2031,29.12801702
-MEA,End User,Medspas,2032,32.73109117
-MEA,End User,Dermatology Clinics,2024,9.146553316
-MEA,End User,Dermatology Clinics,2025,9.858826301
-MEA,End User,Dermatology Clinics,2026,10.64771078
-MEA,End User,Dermatology Clinics,2027,11.53605703
-MEA,End User,Dermatology Clinics,2028,12.55385851
-MEA,End User,Dermatology Clinics,2029,13.74187654
-MEA,End User,Dermatology Clinics,2030,15.1541873
-MEA,End User,Dermatology Clinics,2031,16.70787699
-MEA,End User,Dermatology Clinics,2032,18.41657241
-MEA,Type,Mesotherapy,2024,29.28480611
-MEA,Type,Mesotherapy,2025,32.43467191
-MEA,Type,Mesotherapy,2026,36.00181449
-MEA,Type,Mesotherapy,2027,40.09556202
-MEA,Type,Mesotherapy,2028,44.86177097
-MEA,Type,Mesotherapy,2029,50.50073622
-MEA,Type,Mesotherapy,2030,57.28380209
-MEA,Type,Mesotherapy,2031,64.97794345
-MEA,Type,Mesotherapy,2032,73.70553246
-MEA,Type,Micro-needle,2024,14.41081626
-MEA,Type,Micro-needle,2025,15.79204623
-MEA,Type,Micro-needle,2026,17.34214061
-MEA,Type,Micro-needle,2027,19.10689775
-MEA,Type,Micro-needle,2028,21.14712713
-MEA,Type,Micro-needle,2029,23.54608203
-MEA,Type,Micro-needle,2030,26.41575333
-MEA,Type,Micro-needle,2031,29.63267917
-MEA,Type,Micro-needle,2032,33.23852319
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2024,4.928866204
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2025,5.5036215
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2026,6.158824267
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2027,6.915189743
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2028,7.800430696
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2029,8.852669513
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2030,10.12378121
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2031,11.57740564
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2032,13.23974893
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2024,6.515017296
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2025,7.214332668
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2026,8.006163973
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2027,8.914763609
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2028,9.972484627
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2029,11.22375315
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2030,12.7287474
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2031,14.43554649
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2032,16.37121045
-MEA,Ingredient,Polycaprolactone (PCL),2024,2.980041446
-MEA,Ingredient,Polycaprolactone (PCL),2025,3.255513743
-MEA,Ingredient,Polycaprolactone (PCL),2026,3.564219864
-MEA,Ingredient,Polycaprolactone (PCL),2027,3.915312893
-MEA,Ingredient,Polycaprolactone (PCL),2028,4.320924278
-MEA,Ingredient,Polycaprolactone (PCL),2029,4.797644056
-MEA,Ingredient,Polycaprolactone (PCL),2030,5.367749284
-MEA,Ingredient,Polycaprolactone (PCL),2031,6.005600258
-MEA,Ingredient,Polycaprolactone (PCL),2032,6.719247221
-MEA,Ingredient,Exosomes,2024,1.088020997
-MEA,Ingredient,Exosomes,2025,1.187455134
-MEA,Ingredient,Exosomes,2026,1.297295624
-MEA,Ingredient,Exosomes,2027,1.420337246
-MEA,Ingredient,Exosomes,2028,1.560281725
-MEA,Ingredient,Exosomes,2029,1.722188944
-MEA,Ingredient,Exosomes,2030,1.912790561
-MEA,Ingredient,Exosomes,2031,2.121374639
-MEA,Ingredient,Exosomes,2032,2.349058274
-MEA,Gender,Female,2024,37.18497464
-MEA,Gender,Female,2025,40.97527164
-MEA,Gender,Female,2026,45.25055575
-MEA,Gender,Female,2027,50.13984978
-MEA,Gender,Female,2028,55.81492333
-MEA,Gender,Female,2029,62.51134216
-MEA,Gender,Female,2030,70.54725911
-MEA,Gender,Female,2031,79.61620397
-MEA,Gender,Female,2032,89.85097387
-MEA,End User,Medspas,2024,26.6718079
-MEA,End User,Medspas,2025,29.62010181
-MEA,End User,Medspas,2026,32.96616011
-MEA,End User,Medspas,2027,36.81350897
-MEA,End User,Medspas,2028,41.3004002
-MEA,End User,Medspas,2029,46.6168036
-MEA,End User,Medspas,2030,53.02046766
-MEA,End User,Medspas,2031,60.3037912
-MEA,End User,Medspas,2032,68.58761143
-MEA,End User,Dermatology Clinics,2024,17.02381448
-MEA,End User,Dermatology Clinics,2025,18.60661634
-MEA,End User,Dermatology Clinics,2026,20.377795
-MEA,End User,Dermatology Clinics,2027,22.3889508
-MEA,End User,Dermatology Clinics,2028,24.7084979
-MEA,End User,Dermatology Clinics,2029,27.43001464
-MEA,End User,Dermatology Clinics,2030,30.67908776
-MEA,End User,Dermatology Clinics,2031,34.30683142
-MEA,End User,Dermatology Clinics,2032,38.35644423
-MEA,Type,Mesotherapy,2024,10.43771455
-MEA,Type,Mesotherapy,2025,11.24305135
-MEA,Type,Mesotherapy,2026,12.13698171
-MEA,Type,Mesotherapy,2027,13.1460184
-MEA,Type,Mesotherapy,2028,14.30493757
-MEA,Type,Mesotherapy,2029,15.6609782
-MEA,Type,Mesotherapy,2030,17.27685283
-MEA,Type,Mesotherapy,2031,19.05945081
-MEA,Type,Mesotherapy,2032,21.0259744
-MEA,Type,Micro-needle,2024,4.486098074
-MEA,Type,Micro-needle,2025,4.809755463
-MEA,Type,Micro-needle,2026,5.167950223
-MEA,Type,Micro-needle,2027,5.57139561
-MEA,Type,Micro-needle,2028,6.034080893
-MEA,Type,Micro-needle,2029,6.574953005
-MEA,Type,Micro-needle,2030,7.219051851
-MEA,Type,Micro-needle,2031,7.926122249
-MEA,Type,Micro-needle,2032,8.702307244
-MEA,Ingredient,Hyaluronic acid (HA),2024,9.569148654
-MEA,Ingredient,Hyaluronic acid (HA),2025,10.28276667
-MEA,Ingredient,Hyaluronic acid (HA),2026,11.07374161
-MEA,Ingredient,Hyaluronic acid (HA),2027,11.96563704
-MEA,Ingredient,Hyaluronic acid (HA),2028,12.98929132
-MEA,Ingredient,Hyaluronic acid (HA),2029,14.18653313
-MEA,Ingredient,Hyaluronic acid (HA),2030,15.61276872
-MEA,Ingredient,Hyaluronic acid (HA),2031,17.18239016
-MEA,Ingredient,Hyaluronic acid (HA),2032,18.90981266
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2024,1.438655537
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2025,1.567298457
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2026,1.711174559
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2027,1.874536747
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2028,2.063012195
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2029,2.284287793
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2030,2.548664521
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2031,2.843639431
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2032,3.172753867
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2024,2.186338549
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2025,2.360437623
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2026,2.553967511
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2027,2.772651232
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2028,3.024010618
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2029,3.318276467
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2030,3.669058641
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2031,4.056922756
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2032,4.485788825
-MEA,Ingredient,Polycaprolactone (PCL),2024,1.332696467
-MEA,Ingredient,Polycaprolactone (PCL),2025,1.418463734
-MEA,Ingredient,Polycaprolactone (PCL),2026,1.513048855
-MEA,Ingredient,Polycaprolactone (PCL),2027,1.619364823
-MEA,Ingredient,Polycaprolactone (PCL),2028,1.741183903
-MEA,Ingredient,Polycaprolactone (PCL),2029,1.883587385
-MEA,Ingredient,Polycaprolactone (PCL),2030,2.053240081
-MEA,Ingredient,Polycaprolactone (PCL),2031,2.238173213
-MEA,Ingredient,Polycaprolactone (PCL),2032,2.439763074
-MEA,Ingredient,Exosomes,2024,0.396973416
-MEA,Ingredient,Exosomes,2025,0.423840332
-MEA,Ingredient,Exosomes,2026,0.452999401
-MEA,Ingredient,Exosomes,2027,0.485224168
-MEA,Ingredient,Exosomes,2028,0.521520426
-MEA,Ingredient,Exosomes,2029,0.563246431
-MEA,Ingredient,Exosomes,2030,0.612172712
-MEA,Ingredient,Exosomes,2031,0.664447498
-MEA,Ingredient,Exosomes,2032,0.720163217
-MEA,Gender,Female,2024,12.838956
-MEA,Gender,Female,2025,13.78399027
-MEA,Gender,Female,2026,14.83091444
-MEA,Gender,Female,2027,16.01098078
-MEA,Gender,Female,2028,17.3650539
-MEA,Gender,Female,2029,18.94852995
-MEA,Gender,Female,2030,20.83472343
-MEA,Gender,Female,2031,22.90867426
-MEA,Gender,Female,2032,25.18907238
-MEA,Gender,Male,2024,2.084856623
-MEA,Gender,Male,2025,2.268816549
-MEA,Gender,Male,2026,2.474017493
-MEA,Gender,Male,2027,2.706433226
-MEA,Gender,Male,2028,2.973964557
-MEA,Gender,Male,2029,3.287401253
-MEA,Gender,Male,2030,3.661181248
-MEA,Gender,Male,2031,4.076898795
-MEA,Gender,Male,2032,4.539209259
-MEA,End User,Medspas,2024,8.948318048
-MEA,End User,Medspas,2025,9.694564861
-MEA,End User,Medspas,2026,10.52599002
-MEA,End User,Medspas,2027,11.46712699
-MEA,End User,Medspas,2028,12.55031086
-MEA,End User,Medspas,2029,13.81960186
-MEA,End User,Medspas,2030,15.33378643
-MEA,End User,Medspas,2031,17.01387701
-MEA,End User,Medspas,2032,18.87805155
-MEA,End User,Dermatology Clinics,2024,5.975494574
-MEA,End User,Dermatology Clinics,2025,6.358241956
-MEA,End User,Dermatology Clinics,2026,6.778941917
-MEA,End User,Dermatology Clinics,2027,7.250287017
-MEA,End User,Dermatology Clinics,2028,7.7887076
-MEA,End User,Dermatology Clinics,2029,8.41632934
-MEA,End User,Dermatology Clinics,2030,9.162118246
-MEA,End User,Dermatology Clinics,2031,9.971696053
-MEA,End User,Dermatology Clinics,2032,10.85023009
-MEA,Type,Mesotherapy,2024,7.083609553
-MEA,Type,Mesotherapy,2025,7.589575555
-MEA,Type,Mesotherapy,2026,8.149446011
-MEA,Type,Mesotherapy,2027,8.780024345
-MEA,Type,Mesotherapy,2028,9.503236693
-MEA,Type,Mesotherapy,2029,10.34876582
-MEA,Type,Mesotherapy,2030,11.35581747
-MEA,Type,Mesotherapy,2031,12.46086661
-MEA,Type,Mesotherapy,2032,13.67344949
-MEA,Type,Micro-needle,2024,3.324279887
-MEA,Type,Micro-needle,2025,3.511769531
-MEA,Type,Micro-needle,2026,3.717426046
-MEA,Type,Micro-needle,2027,3.947793525
-MEA,Type,Micro-needle,2028,4.211258831
-MEA,Type,Micro-needle,2029,4.51904099
-MEA,Type,Micro-needle,2030,4.885707791
-MEA,Type,Micro-needle,2031,5.281302511
-MEA,Type,Micro-needle,2032,5.708016224
-MEA,Ingredient,Hyaluronic acid (HA),2024,7.051345096
-MEA,Ingredient,Hyaluronic acid (HA),2025,7.51063167
-MEA,Ingredient,Hyaluronic acid (HA),2026,8.01731012
-MEA,Ingredient,Hyaluronic acid (HA),2027,8.586930281
-MEA,Ingredient,Hyaluronic acid (HA),2028,9.239647089
-MEA,Ingredient,Hyaluronic acid (HA),2029,10.00262569
-MEA,Ingredient,Hyaluronic acid (HA),2030,10.91152575
-MEA,Ingredient,Hyaluronic acid (HA),2031,11.90301405
-MEA,Ingredient,Hyaluronic acid (HA),2032,12.98459507
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2024,1.203152019
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2025,1.297303631
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2026,1.401878861
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2027,1.519974758
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2028,1.655657335
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2029,1.814453012
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2030,2.0037052
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2031,2.212696885
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2032,2.443486949
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2024,1.372455576
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2025,1.468291084
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2026,1.574250181
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2027,1.693527982
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2028,1.830286999
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2029,1.990156366
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2030,2.180559973
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2031,2.389180005
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2032,2.617759276
-MEA,Ingredient,Polycaprolactone (PCL),2024,0.540169462
-MEA,Ingredient,Polycaprolactone (PCL),2025,0.570398212
-MEA,Ingredient,Polycaprolactone (PCL),2026,0.603634436
-MEA,Ingredient,Polycaprolactone (PCL),2027,0.640954047
-MEA,Ingredient,Polycaprolactone (PCL),2028,0.683735254
-MEA,Ingredient,Polycaprolactone (PCL),2029,0.733821176
-MEA,Ingredient,Polycaprolactone (PCL),2030,0.793606721
-MEA,Ingredient,Polycaprolactone (PCL),2031,0.858263088
-MEA,Ingredient,Polycaprolactone (PCL),2032,0.928187108
-MEA,Ingredient,Exosomes,2024,0.240767287
-MEA,Ingredient,Exosomes,2025,0.254720489
-MEA,Ingredient,Exosomes,2026,0.269798459
-MEA,Ingredient,Exosomes,2027,0.286430802
-MEA,Ingredient,Exosomes,2028,0.305168847
-MEA,Ingredient,Exosomes,2029,0.326750562
-MEA,Ingredient,Exosomes,2030,0.352127619
-MEA,Ingredient,Exosomes,2031,0.379015091
-MEA,Ingredient,Exosomes,2032,0.40743731
-MEA,Gender,Female,2024,9.088169059
-MEA,Gender,Female,2025,9.673337771
-MEA,Gender,Female,2026,10.31867734
-MEA,Gender,Female,2027,11.04405974
-MEA,Gender,Female,2028,11.87521974
-MEA,Gender,Female,2029,12.84682326
-MEA,Gender,Female,2030,14.00434092
-MEA,Gender,Female,2031,15.26615263
-MEA,Gender,Female,2032,16.64165542
-MEA,Gender,Male,2024,1.319720381
-MEA,Gender,Male,2025,1.428007315
-MEA,Gender,Male,2026,1.548194721
-MEA,Gender,Male,2027,1.683758134
-MEA,Gender,Male,2028,1.839275783
-MEA,Gender,Male,2029,2.020983547
-MEA,Gender,Male,2030,2.237184338
-MEA,Gender,Male,2031,2.476016491
-MEA,Gender,Male,2032,2.739810295
-MEA,End User,Medspas,2024,6.25826392
-MEA,End User,Medspas,2025,6.719962901
-MEA,End User,Medspas,2026,7.231486854
-MEA,End User,Medspas,2027,7.80809991
-MEA,End User,Medspas,2028,8.469764117
-MEA,End User,Medspas,2029,9.243542793
-MEA,End User,Medspas,2030,10.16525851
-MEA,End User,Medspas,2031,11.17888269
-MEA,End User,Medspas,2032,12.29357995
-MEA,End User,Dermatology Clinics,2024,4.14962552
-MEA,End User,Dermatology Clinics,2025,4.381382186
-MEA,End User,Dermatology Clinics,2026,4.635385202
-MEA,End User,Dermatology Clinics,2027,4.91971796
-MEA,End User,Dermatology Clinics,2028,5.244731408
-MEA,End User,Dermatology Clinics,2029,5.624264015
-MEA,End User,Dermatology Clinics,2030,6.076266753
-MEA,End User,Dermatology Clinics,2031,6.563286428
-MEA,End User,Dermatology Clinics,2032,7.087885764
-MEA,Type,Mesotherapy,2024,11.76498065
-MEA,Type,Mesotherapy,2025,12.72498342
-MEA,Type,Mesotherapy,2026,13.79338815
-MEA,Type,Mesotherapy,2027,15.00174313
-MEA,Type,Mesotherapy,2028,16.391575
-MEA,Type,Mesotherapy,2029,18.01942102
-MEA,Type,Mesotherapy,2030,19.96061005
-MEA,Type,Mesotherapy,2031,22.11091874
-MEA,Type,Mesotherapy,2032,24.49287502
-MEA,Type,Micro-needle,2024,5.473086236
-MEA,Type,Micro-needle,2025,5.856503876
-MEA,Type,Micro-needle,2026,6.27997347
-MEA,Type,Micro-needle,2027,6.756146986
-MEA,Type,Micro-needle,2028,7.301511647
-MEA,Type,Micro-needle,2029,7.93836771
-MEA,Type,Micro-needle,2030,8.696116168
-MEA,Type,Micro-needle,2031,9.525364558
-MEA,Type,Micro-needle,2032,10.43276209
-MEA,Ingredient,Hyaluronic acid (HA),2024,11.53399055
-MEA,Ingredient,Hyaluronic acid (HA),2025,12.41671042
-MEA,Ingredient,Hyaluronic acid (HA),2026,13.39618813
-MEA,Ingredient,Hyaluronic acid (HA),2027,14.50150106
-MEA,Ingredient,Hyaluronic acid (HA),2028,15.77076905
-MEA,Ingredient,Hyaluronic acid (HA),2029,17.25575526
-MEA,Ingredient,Hyaluronic acid (HA),2030,19.02514186
-MEA,Ingredient,Hyaluronic acid (HA),2031,20.97595945
-MEA,Ingredient,Hyaluronic acid (HA),2032,23.12681179
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2024,1.746216175
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2025,1.90508055
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2026,2.08293829
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2027,2.285054165
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2028,2.518400445
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2029,2.792506952
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2030,3.120157874
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2031,3.486252793
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2032,3.895302426
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2024,2.35299613
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2025,2.543982135
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2026,2.756478604
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2027,2.996761837
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2028,3.273090594
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2029,3.596706583
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2030,3.982582895
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2031,4.409858337
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2032,4.882974459
-MEA,Ingredient,Polycaprolactone (PCL),2024,1.237693202
-MEA,Ingredient,Polycaprolactone (PCL),2025,1.320675865
-MEA,Ingredient,Polycaprolactone (PCL),2026,1.412300787
-MEA,Ingredient,Polycaprolactone (PCL),2027,1.515357825
-MEA,Ingredient,Polycaprolactone (PCL),2028,1.633470832
-MEA,Ingredient,Polycaprolactone (PCL),2029,1.77153101
-MEA,Ingredient,Polycaprolactone (PCL),2030,1.935971521
-MEA,Ingredient,Polycaprolactone (PCL),2031,2.11567605
-MEA,Ingredient,Polycaprolactone (PCL),2032,2.312061465
-MEA,Ingredient,Exosomes,2024,0.367170825
-MEA,Ingredient,Exosomes,2025,0.395038332
-MEA,Ingredient,Exosomes,2026,0.425455804
-MEA,Ingredient,Exosomes,2027,0.45921523
-MEA,Ingredient,Exosomes,2028,0.497355719
-MEA,Ingredient,Exosomes,2029,0.541288918
-MEA,Ingredient,Exosomes,2030,0.592872073
-MEA,Ingredient,Exosomes,2031,0.648536658
-MEA,Ingredient,Exosomes,2032,0.708486964
-MEA,Gender,Female,2024,14.68338537
-MEA,Gender,Female,2025,15.79605546
-MEA,Gender,Female,2026,17.03016386
-MEA,Gender,Female,2027,18.42239283
-MEA,Gender,Female,2028,20.02080075
-MEA,Gender,Female,2029,21.89061866
-MEA,Gender,Female,2030,24.11834249
-MEA,Gender,Female,2031,26.57277319
-MEA,Gender,Female,2032,29.27698183
-MEA,Gender,Male,2024,2.554681512
-MEA,Gender,Male,2025,2.785431839
-MEA,Gender,Male,2026,3.043197756
-MEA,Gender,Male,2027,3.335497287
-MEA,Gender,Male,2028,3.672285893
-MEA,Gender,Male,2029,4.067170067
-MEA,Gender,Male,2030,4.538383731
-MEA,Gender,Male,2031,5.063510106
-MEA,Gender,Male,2032,5.648655274
-MEA,End User,Medspas,2024,10.29629735
-MEA,End User,Medspas,2025,11.15532585
-MEA,End User,Medspas,2026,12.1124269
-MEA,End User,Medspas,2027,13.19584218
-MEA,End User,Medspas,2028,14.44279508
-MEA,End User,Medspas,2029,15.90400754
-MEA,End User,Medspas,2030,17.6471561
-MEA,End User,Medspas,2031,19.58136133
-MEA,End User,Medspas,2032,21.7275639
-MEA,End User,Dermatology Clinics,2024,6.941769535
-MEA,End User,Dermatology Clinics,2025,7.426161451
-MEA,End User,Dermatology Clinics,2026,7.960934716
-MEA,End User,Dermatology Clinics,2027,8.562047935
-MEA,End User,Dermatology Clinics,2028,9.250291565
-MEA,End User,Dermatology Clinics,2029,10.05378118
-MEA,End User,Dermatology Clinics,2030,11.00957012
-MEA,End User,Dermatology Clinics,2031,12.05492196
-MEA,End User,Dermatology Clinics,2032,13.19807321
-MEA,Type,Mesotherapy,2024,10.21937154
-MEA,Type,Mesotherapy,2025,10.98042366
-MEA,Type,Mesotherapy,2026,11.80829638
-MEA,Type,Mesotherapy,2027,12.72360237
-MEA,Type,Mesotherapy,2028,13.75331219
-MEA,Type,Mesotherapy,2029,14.93400427
-MEA,Type,Mesotherapy,2030,16.31354407
-MEA,Type,Mesotherapy,2031,17.78954628
-MEA,Type,Mesotherapy,2032,19.36305529
-MEA,Type,Micro-needle,2024,5.442500551
-MEA,Type,Micro-needle,2025,5.800824342
-MEA,Type,Micro-needle,2026,6.187790389
-MEA,Type,Micro-needle,2027,6.613286286
-MEA,Type,Micro-needle,2028,7.090132018
-MEA,Type,Micro-needle,2029,7.635609583
-MEA,Type,Micro-needle,2030,8.272114878
-MEA,Type,Micro-needle,2031,8.945693196
-MEA,Type,Micro-needle,2032,9.655699137
-MEA,Ingredient,Hyaluronic acid (HA),2024,10.23346722
-MEA,Ingredient,Hyaluronic acid (HA),2025,10.94951663
-MEA,Ingredient,Hyaluronic acid (HA),2026,11.72574194
-MEA,Ingredient,Hyaluronic acid (HA),2027,12.58173147
-MEA,Ingredient,Hyaluronic acid (HA),2028,13.54299946
-MEA,Ingredient,Hyaluronic acid (HA),2029,14.64404543
-MEA,Ingredient,Hyaluronic acid (HA),2030,15.9298011
-MEA,Ingredient,Hyaluronic acid (HA),2031,17.29832852
-MEA,Ingredient,Hyaluronic acid (HA),2032,18.74953024
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2024,1.500407346
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2025,1.627096046
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2026,1.765998934
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2027,1.920535681
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2028,2.095215474
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2029,2.2961844
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2030,2.53155817
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2031,2.786208172
-MEA,Ingredient,Polydeoxyribonucleotides (PDRN),2032,3.060776901
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2024,2.314824695
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2025,2.488949395
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2026,2.678472958
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2027,2.888106215
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2028,3.124017267
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2029,3.394575301
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2030,3.710740189
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2031,4.049301836
-MEA,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2032,4.410544578
-MEA,Ingredient,Polycaprolactone (PCL),2024,1.229456959
-MEA,Ingredient,Polycaprolactone (PCL),2025,1.303496025
-MEA,Ingredient,Polycaprolactone (PCL),2026,1.383182011
-MEA,Ingredient,Polycaprolactone (PCL),2027,1.470630772
-MEA,Ingredient,Polycaprolactone (PCL),2028,1.568564332
-MEA,Ingredient,Polycaprolactone (PCL),2029,1.68063258
-MEA,Ingredient,Polycaprolactone (PCL),2030,1.811533213
-MEA,Ingredient,Polycaprolactone (PCL),2031,1.949235557
-MEA,Ingredient,Polycaprolactone (PCL),2032,2.093508904
-MEA,Ingredient,Exosomes,2024,0.383715866
-MEA,Ingredient,Exosomes,2025,0.412189908
-MEA,Ingredient,Exosomes,2026,0.442690923
-MEA,Ingredient,Exosomes,2027,0.475884521
-MEA,Ingredient,Exosomes,2028,0.512647677
-MEA,Ingredient,Exosomes,2029,0.554176145
-MEA,Ingredient,Exosomes,2030,0.602026276
-MEA,Ingredient,Exosomes,2031,0.65216539
-MEA,Ingredient,Exosomes,2032,0.704393804
-MEA,Gender,Female,2024,13.49270281
-MEA,Gender,Female,2025,14.438251
-MEA,Gender,Female,2026,15.46334551
-MEA,Gender,Female,2027,16.59384496
-MEA,Gender,Female,2028,17.86343465
-MEA,Gender,Female,2029,19.31766631
-MEA,Gender,Female,2030,21.01587293
-MEA,Gender,Female,2031,22.82362954
-MEA,Gender,Female,2032,24.74084042
-MEA,Gender,Male,2024,2.169169284
-MEA,Gender,Male,2025,2.342997007
-MEA,Gender,Male,2026,2.532741251
-MEA,Gender,Male,2027,2.743043702
-MEA,Gender,Male,2028,2.980009562
-MEA,Gender,Male,2029,3.251947542
-MEA,Gender,Male,2030,3.56978602
-MEA,Gender,Male,2031,3.911609936
-MEA,Gender,Male,2032,4.277914007
-MEA,End User,Medspas,2024,9.603233491
-MEA,End User,Medspas,2025,10.35338549
-MEA,End User,Medspas,2026,11.17173229
-MEA,End User,Medspas,2027,12.07850966
-MEA,End User,Medspas,2028,13.1002792
-MEA,End User,Medspas,2029,14.27313946
-MEA,End User,Medspas,2030,15.64449491
-MEA,End User,Medspas,2031,17.1178054
-MEA,End User,Medspas,2032,18.69506962
-South America,Country,Brazil,2024,51.01383263
-South America,Country,Brazil,2025,56.38836731
-South America,Country,Brazil,2026,62.33198723
-South America,Country,Brazil,2027,68.98321221
-South America,Country,Brazil,2028,76.52671596
-South America,Country,Brazil,2029,85.21592295
-South America,Country,Brazil,2030,95.38889922
-South America,Country,Brazil,2031,106.5079979
-South America,Country,Brazil,2032,118.6080906
-South America,Country,Argentina,2024,13.2403025
-South America,Country,Argentina,2025,14.42803627
-South America,Country,Argentina,2026,15.72303674
-South America,Country,Argentina,2027,17.15444297
-South America,Country,Argentina,2028,18.7609158
-South America,Country,Argentina,2029,20.59536346
-South America,Country,Argentina,2030,22.72763764
-South America,Country,Argentina,2031,25.01764534
-South America,Country,Argentina,2032,27.46542195
-South America,Country,Chile,2024,7.780191825
-South America,Country,Chile,2025,8.375954686
-South America,Country,Chile,2026,9.017750583
-South America,Country,Chile,2027,9.72015313
-South America,Country,Chile,2028,10.50231928
-South America,Country,Chile,2029,11.39030464
-South America,Country,Chile,2030,12.41809196
-South America,Country,Chile,2031,13.50459931
-South America,Country,Chile,2032,14.64725503
-South America,Country,Colambia,2024,9.18714867
-South America,Country,Colambia,2025,9.948958677
-South America,Country,Colambia,2026,10.77443227
-South America,Country,Colambia,2027,11.68213314
-South America,Country,Colambia,2028,12.69659101
-South America,Country,Colambia,2029,13.85128678
-South America,Country,Colambia,2030,15.19016606
-South America,Country,Colambia,2031,16.61660213
-South America,Country,Colambia,2032,18.12882388
-South America,Country,Peru,2024,7.109324985
-South America,Country,Peru,2025,7.629599457
-South America,Country,Peru,2026,8.188323569
-South America,Country,Peru,2027,8.798309608
-South America,Country,Peru,2028,9.476341603
-South America,Country,Peru,2029,10.24519402
-South America,Country,Peru,2030,11.13445788
-South America,Country,Peru,2031,12.07050013
-South America,Country,Peru,2032,13.05056044
-South America,Country,Rest of south America,2024,4.8451494
-South America,Country,Rest of south America,2025,5.191712759
-South America,Country,Rest of south America,2026,5.547488549
-South America,Country,Rest of south America,2027,5.916621327
-South America,Country,Rest of south America,2028,6.304791336
-South America,Country,Rest of south America,2029,6.720010371
-South America,Country,Rest of south America,2030,7.17233433
-South America,Country,Rest of south America,2031,7.603402301
-South America,Country,Rest of south America,2032,8.000965662
-South America,Type,Mesotherapy,2024,55.99668956
-South America,Type,Mesotherapy,2025,61.5602129
-South America,Type,Mesotherapy,2026,67.68046699
-South America,Type,Mesotherapy,2027,74.4977952
-South America,Type,Mesotherapy,2028,82.19905623
-South America,Type,Mesotherapy,2029,91.04049974
-South America,Type,Mesotherapy,2030,101.3627731
-South America,Type,Mesotherapy,2031,112.5735942
-South America,Type,Mesotherapy,2032,124.6951175
-South America,Type,Micro-needle,2024,37.17926044
-South America,Type,Micro-needle,2025,40.40241626
-South America,Type,Micro-needle,2026,43.90255195
-South America,Type,Micro-needle,2027,47.75707718
-South America,Type,Micro-needle,2028,52.06861875
-South America,Type,Micro-needle,2029,56.97758248
-South America,Type,Micro-needle,2030,62.668814
-South America,Type,Micro-needle,2031,68.74715292
-South America,Type,Micro-needle,2032,75.206
-South America,Ingredient,Hyaluronic acid (HA),2024,58.08161791
-South America,Ingredient,Hyaluronic acid (HA),2025,63.46706125
-South America,Ingredient,Hyaluronic acid (HA),2026,69.35512986
-South America,Ingredient,Hyaluronic acid (HA),2027,75.87878596
-South America,Ingredient,Hyaluronic acid (HA),2028,83.2146796
-South America,Ingredient,Hyaluronic acid (HA),2029,91.60476434
-South America,Ingredient,Hyaluronic acid (HA),2030,101.3692161
-South America,Ingredient,Hyaluronic acid (HA),2031,111.8927331
-South America,Ingredient,Hyaluronic acid (HA),2032,123.1815948
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2024,10.4855723
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2025,11.60864421
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2026,12.85263765
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2027,14.24674145
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2028,15.82987867
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2029,17.65546644
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2030,19.7948302
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2031,22.13773801
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2032,24.69243989
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2024,14.50117241
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2025,15.91909843
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2026,17.47638125
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2027,19.20849483
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2028,21.16265571
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2029,23.40360632
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2030,26.01732088
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2031,28.85010591
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2032,31.90639207
-South America,Ingredient,Polycaprolactone (PCL),2024,7.429090133
-South America,Ingredient,Polycaprolactone (PCL),2025,8.055271771
-South America,Ingredient,Polycaprolactone (PCL),2026,8.734466034
-South America,Ingredient,Polycaprolactone (PCL),2027,9.481881923
-South America,Ingredient,Polycaprolactone (PCL),2028,10.31763838
-South America,Ingredient,Polycaprolactone (PCL),2029,11.26921718
-South America,Ingredient,Polycaprolactone (PCL),2030,12.3727317
-South America,Ingredient,Polycaprolactone (PCL),2031,13.54980501
-South America,Ingredient,Polycaprolactone (PCL),2032,14.7991175
-South America,Ingredient,Exosomes,2024,2.678497242
-South America,Ingredient,Exosomes,2025,2.912553506
-South America,Ingredient,Exosomes,2026,3.164404149
-South America,Ingredient,Exosomes,2027,3.438968215
-South America,Ingredient,Exosomes,2028,3.742822621
-South America,Ingredient,Exosomes,2029,4.085027947
-South America,Ingredient,Exosomes,2030,4.477488216
-South America,Ingredient,Exosomes,2031,4.890365135
-South America,Ingredient,Exosomes,2032,5.321573291
-South America,Gender,Female,2024,74.46845639
-South America,Gender,Female,2025,81.31925506
-South America,Gender,Female,2026,88.80372122
-South America,Gender,Female,2027,97.0905003
-South America,Gender,Female,2028,106.4035982
-South America,Gender,Female,2029,117.049792
-South America,Gender,Female,2030,129.4348115
-South America,Gender,Female,2031,142.7695253
-South America,Gender,Female,2032,157.0595247
-South America,Gender,Male,2024,18.70749361
-South America,Gender,Male,2025,20.6433741
-South America,Gender,Male,2026,22.77929772
-South America,Gender,Male,2027,25.16437209
-South America,Gender,Male,2028,27.86407675
-South America,Gender,Male,2029,30.96829017
-South America,Gender,Male,2030,34.59677557
-South America,Gender,Male,2031,38.55122188
-South America,Gender,Male,2032,42.84159284
-South America,End User,Medspas,2024,55.00760076
-South America,End User,Medspas,2025,60.57992751
-South America,End User,Medspas,2026,66.7201356
-South America,End User,Medspas,2027,73.56956295
-South America,End User,Medspas,2028,81.31648793
-South America,End User,Medspas,2029,90.2191819
-South America,End User,Medspas,2030,100.6213763
-South America,End User,Medspas,2031,111.9413336
-South America,End User,Medspas,2032,124.205216
-South America,End User,Dermatology Clinics,2024,38.16834924
-South America,End User,Dermatology Clinics,2025,41.38270164
-South America,End User,Dermatology Clinics,2026,44.86288334
-South America,End User,Dermatology Clinics,2027,48.68530943
-South America,End User,Dermatology Clinics,2028,52.95118706
-South America,End User,Dermatology Clinics,2029,57.79890033
-South America,End User,Dermatology Clinics,2030,63.41021079
-South America,End User,Dermatology Clinics,2031,69.37941354
-South America,End User,Dermatology Clinics,2032,75.69590154
-South America,Type,Mesotherapy,2024,30.42975116
-South America,Type,Mesotherapy,2025,33.80383941
-South America,Type,Mesotherapy,2026,37.55377021
-South America,Type,Mesotherapy,2027,41.76880466
-South America,Type,Mesotherapy,2028,46.56801987
-South America,Type,Mesotherapy,2029,52.11485201
-South America,Type,Mesotherapy,2030,58.62794282
-South America,Type,Mesotherapy,2031,65.78927516
-South America,Type,Mesotherapy,2032,73.62973822
-South America,Type,Micro-needle,2024,20.58408146
-South America,Type,Micro-needle,2025,22.58452791
-South America,Type,Micro-needle,2026,24.77821702
-South America,Type,Micro-needle,2027,27.21440756
-South America,Type,Micro-needle,2028,29.95869609
-South America,Type,Micro-needle,2029,33.10107094
-South America,Type,Micro-needle,2030,36.7609564
-South America,Type,Micro-needle,2031,40.71872278
-South America,Type,Micro-needle,2032,44.97835233
-South America,Ingredient,Hyaluronic acid (HA),2024,31.60306931
-South America,Ingredient,Hyaluronic acid (HA),2025,34.88718118
-South America,Ingredient,Hyaluronic acid (HA),2026,38.51433322
-South America,Ingredient,Hyaluronic acid (HA),2027,42.56864965
-South America,Ingredient,Hyaluronic acid (HA),2028,47.16225768
-South America,Ingredient,Hyaluronic acid (HA),2029,52.44901206
-South America,Ingredient,Hyaluronic acid (HA),2030,58.63398979
-South America,Ingredient,Hyaluronic acid (HA),2031,65.38360783
-South America,Ingredient,Hyaluronic acid (HA),2032,72.71701183
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2024,5.570710523
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2025,6.230885266
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2026,6.969615238
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2027,7.805106612
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2028,8.761653996
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2029,9.872596103
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2030,11.18268395
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2031,12.63479009
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2032,14.23763057
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2024,8.060185555
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2025,8.935199185
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2026,9.905657841
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2027,10.99444711
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2028,12.23209059
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2029,13.66048113
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2030,15.33559787
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2031,17.17286387
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2032,19.17928673
-South America,Ingredient,Polycaprolactone (PCL),2024,4.264756407
-South America,Ingredient,Polycaprolactone (PCL),2025,4.667869646
-South America,Ingredient,Polycaprolactone (PCL),2026,5.109319892
-South America,Ingredient,Polycaprolactone (PCL),2027,5.599103002
-South America,Ingredient,Polycaprolactone (PCL),2028,6.150508769
-South America,Ingredient,Polycaprolactone (PCL),2029,6.781747867
-South America,Ingredient,Polycaprolactone (PCL),2030,7.516949741
-South America,Ingredient,Polycaprolactone (PCL),2031,8.310917144
-South America,Ingredient,Polycaprolactone (PCL),2032,9.164398546
-South America,Ingredient,Exosomes,2024,1.515110829
-South America,Ingredient,Exosomes,2025,1.667232037
-South America,Ingredient,Exosomes,2026,1.833061045
-South America,Ingredient,Exosomes,2027,2.01590584
-South America,Ingredient,Exosomes,2028,2.220204927
-South America,Ingredient,Exosomes,2029,2.45208579
-South America,Ingredient,Exosomes,2030,2.719677867
-South America,Ingredient,Exosomes,2031,3.005819003
-South America,Ingredient,Exosomes,2032,3.309762877
-South America,Gender,Female,2024,40.64272045
-South America,Gender,Female,2025,44.82577809
-South America,Gender,Female,2026,49.44163105
-South America,Gender,Female,2027,54.59699368
-South America,Gender,Female,2028,60.4340768
-South America,Gender,Female,2029,67.14799776
-South America,Gender,Female,2030,74.99868555
-South America,Gender,Female,2031,83.55674926
-South America,Gender,Female,2032,92.84470236
-South America,Gender,Male,2024,10.37111217
-South America,Gender,Male,2025,11.56258922
-South America,Gender,Male,2026,12.89035619
-South America,Gender,Male,2027,14.38621853
-South America,Gender,Male,2028,16.09263916
-South America,Gender,Male,2029,18.06792519
-South America,Gender,Male,2030,20.39021367
-South America,Gender,Male,2031,22.95124868
-South America,Gender,Male,2032,25.76338819
-South America,End User,Medspas,2024,29.70535474
-South America,End User,Medspas,2025,33.05822392
-South America,End User,Medspas,2026,36.79121895
-South America,End User,Medspas,2027,40.99395539
-South America,End User,Medspas,2028,45.78599897
-South America,End User,Medspas,2029,51.33145523
-South America,End User,Medspas,2030,57.85006729
-South America,End User,Medspas,2031,65.03265122
-South America,End User,Medspas,2032,72.91330083
-South America,End User,Dermatology Clinics,2024,21.30847789
-South America,End User,Dermatology Clinics,2025,23.33014339
-South America,End User,Dermatology Clinics,2026,25.54076828
-South America,End User,Dermatology Clinics,2027,27.98925682
-South America,End User,Dermatology Clinics,2028,30.74071699
-South America,End User,Dermatology Clinics,2029,33.88446772
-South America,End User,Dermatology Clinics,2030,37.53883193
-South America,End User,Dermatology Clinics,2031,41.47534672
-South America,End User,Dermatology Clinics,2032,45.69478972
-South America,Type,Mesotherapy,2024,8.084528703
-South America,Type,Mesotherapy,2025,8.858212619
-South America,Type,Mesotherapy,2026,9.706381994
-South America,Type,Mesotherapy,2027,10.64828448
-South America,Type,Mesotherapy,2028,11.70952111
-South America,Type,Mesotherapy,2029,12.92518105
-South America,Type,Mesotherapy,2030,14.34179618
-South America,Type,Mesotherapy,2031,15.87368493
-South America,Type,Mesotherapy,2032,17.5226455
-South America,Type,Micro-needle,2024,5.155773792
-South America,Type,Micro-needle,2025,5.569823648
-South America,Type,Micro-needle,2026,6.016654742
-South America,Type,Micro-needle,2027,6.50615849
-South America,Type,Micro-needle,2028,7.051394686
-South America,Type,Micro-needle,2029,7.670182408
-South America,Type,Micro-needle,2030,8.385841461
-South America,Type,Micro-needle,2031,9.143960407
-South America,Type,Micro-needle,2032,9.942776448
-South America,Ingredient,Hyaluronic acid (HA),2024,8.043483766
-South America,Ingredient,Hyaluronic acid (HA),2025,8.752760987
-South America,Ingredient,Hyaluronic acid (HA),2026,9.525018653
-South America,Ingredient,Hyaluronic acid (HA),2027,10.37761579
-South America,Ingredient,Hyaluronic acid (HA),2028,11.33356562
-South America,Ingredient,Hyaluronic acid (HA),2029,12.42434641
-South America,Ingredient,Hyaluronic acid (HA),2030,13.6914659
-South America,Ingredient,Hyaluronic acid (HA),2031,15.04990109
-South America,Ingredient,Hyaluronic acid (HA),2032,16.49928223
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2024,1.795385018
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2025,1.977766933
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2026,2.178775644
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2027,2.403039444
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2028,2.656724434
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2029,2.948289549
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2030,3.288994637
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2031,3.659851776
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2032,4.061734551
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2024,2.010763008
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2025,2.197713813
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2026,2.40215637
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2027,2.628708316
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2028,2.883505246
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2029,3.174951572
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2030,3.514170868
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2031,3.879858993
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2032,4.272250597
-South America,Ingredient,Polycaprolactone (PCL),2024,1.030817138
-South America,Ingredient,Polycaprolactone (PCL),2025,1.111493038
-South America,Ingredient,Polycaprolactone (PCL),2026,1.198537837
-South America,Ingredient,Polycaprolactone (PCL),2027,1.293920933
-South America,Ingredient,Polycaprolactone (PCL),2028,1.400235072
-South America,Ingredient,Polycaprolactone (PCL),2029,1.521010374
-South America,Ingredient,Polycaprolactone (PCL),2030,1.660859177
-South America,Ingredient,Polycaprolactone (PCL),2031,1.809009069
-South America,Ingredient,Polycaprolactone (PCL),2032,1.965153081
-South America,Ingredient,Exosomes,2024,0.359853566
-South America,Ingredient,Exosomes,2025,0.388301496
-South America,Ingredient,Exosomes,2026,0.418548232
-South America,Ingredient,Exosomes,2027,0.451158484
-South America,Ingredient,Exosomes,2028,0.486885428
-South America,Ingredient,Exosomes,2029,0.526765561
-South America,Ingredient,Exosomes,2030,0.572147055
-South America,Ingredient,Exosomes,2031,0.619024408
-South America,Ingredient,Exosomes,2032,0.66700149
-South America,Gender,Female,2024,10.63461096
-South America,Gender,Female,2025,11.56426267
-South America,Gender,Female,2026,12.57575808
-South America,Gender,Female,2027,13.69182653
-South America,Gender,Female,2028,14.94258808
-South America,Gender,Female,2029,16.36923085
-South America,Gender,Female,2030,18.02603177
-South America,Gender,Female,2031,19.80064282
-South America,Gender,Female,2032,21.69232768
-South America,Gender,Male,2024,2.605691531
-South America,Gender,Male,2025,2.863773595
-South America,Gender,Male,2026,3.147278658
-South America,Gender,Male,2027,3.462616441
-South America,Gender,Male,2028,3.818327715
-South America,Gender,Male,2029,4.226132606
-South America,Gender,Male,2030,4.701605871
-South America,Gender,Male,2031,5.21700252
-South America,Gender,Male,2032,5.773094265
-South America,End User,Medspas,2024,7.96006986
-South America,End User,Medspas,2025,8.734854352
-South America,End User,Medspas,2026,9.585490523
-South America,End User,Medspas,2027,10.53134897
-South America,End User,Medspas,2028,11.59820788
-South America,End User,Medspas,2029,12.82140992
-South America,End User,Medspas,2030,14.24787485
-South America,End User,Medspas,2031,15.7932568
-South America,End User,Medspas,2032,17.45987024
-South America,End User,Dermatology Clinics,2024,5.280232635
-South America,End User,Dermatology Clinics,2025,5.693181916
-South America,End User,Dermatology Clinics,2026,6.137546213
-South America,End User,Dermatology Clinics,2027,6.623093997
-South America,End User,Dermatology Clinics,2028,7.162707922
-South America,End User,Dermatology Clinics,2029,7.773953544
-South America,End User,Dermatology Clinics,2030,8.479762787
-South America,End User,Dermatology Clinics,2031,9.224388532
-South America,End User,Dermatology Clinics,2032,10.00555171
-South America,Type,Mesotherapy,2024,4.749807109
-South America,Type,Mesotherapy,2025,5.140110642
-South America,Type,Mesotherapy,2026,5.562741097
-South America,Type,Mesotherapy,2027,6.027208493
-South America,Type,Mesotherapy,2028,6.54607241
-South America,Type,Mesotherapy,2029,7.136469393
-South America,Type,Mesotherapy,2030,7.820876349
-South America,Type,Mesotherapy,2031,8.549382162
-South America,Type,Mesotherapy,2032,9.320983751
-South America,Type,Micro-needle,2024,3.030384716
-South America,Type,Micro-needle,2025,3.235844045
-South America,Type,Micro-needle,2026,3.455009486
-South America,Type,Micro-needle,2027,3.692944637
-South America,Type,Micro-needle,2028,3.956246868
-South America,Type,Micro-needle,2029,4.253835246
-South America,Type,Micro-needle,2030,4.597215615
-South America,Type,Micro-needle,2031,4.95521715
-South America,Type,Micro-needle,2032,5.326271276
-South America,Ingredient,Hyaluronic acid (HA),2024,4.894518677
-South America,Ingredient,Hyaluronic acid (HA),2025,5.262462986
-South America,Ingredient,Hyaluronic acid (HA),2026,5.658326506
-South America,Ingredient,Hyaluronic acid (HA),2027,6.091131025
-South America,Ingredient,Hyaluronic acid (HA),2028,6.572719548
-South America,Ingredient,Hyaluronic acid (HA),2029,7.119184926
-South America,Ingredient,Hyaluronic acid (HA),2030,7.751484022
-South America,Ingredient,Hyaluronic acid (HA),2031,8.418733023
-South America,Ingredient,Hyaluronic acid (HA),2032,9.119191323
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2024,0.850374966
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2025,0.926569299
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2026,1.009636938
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2027,1.101446845
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2028,1.204478573
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2029,1.32212533
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2030,1.458866605
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2031,1.605705293
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2032,1.762640741
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2024,1.181811138
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2025,1.276124439
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2026,1.37802742
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2027,1.489819587
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2028,1.614532245
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2029,1.756296268
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2030,1.920517389
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2031,2.094816606
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2032,2.278880128
-South America,Ingredient,Polycaprolactone (PCL),2024,0.582727756
-South America,Ingredient,Polycaprolactone (PCL),2025,0.621013502
-South America,Ingredient,Polycaprolactone (PCL),2026,0.661844962
-South America,Ingredient,Polycaprolactone (PCL),2027,0.706191489
-South America,Ingredient,Polycaprolactone (PCL),2028,0.755311181
-South America,Ingredient,Polycaprolactone (PCL),2029,0.810900112
-South America,Ingredient,Polycaprolactone (PCL),2030,0.875141375
-South America,Ingredient,Polycaprolactone (PCL),2031,0.94209863
-South America,Ingredient,Polycaprolactone (PCL),2032,1.011491498
-South America,Ingredient,Exosomes,2024,0.270759287
-South America,Ingredient,Exosomes,2025,0.28978446
-South America,Ingredient,Exosomes,2026,0.309914759
-South America,Ingredient,Exosomes,2027,0.331564184
-South America,Ingredient,Exosomes,2028,0.355277732
-South America,Ingredient,Exosomes,2029,0.381798002
-South America,Ingredient,Exosomes,2030,0.412082573
-South America,Ingredient,Exosomes,2031,0.443245759
-South America,Ingredient,Exosomes,2032,0.475051337
-South America,Gender,Female,2024,6.132347196
-South America,Gender,Female,2025,6.588723629
-South America,Gender,Female,2026,7.079388277
-South America,Gender,Female,2027,7.615548025
-South America,Gender,Female,2028,8.211903036
-South America,Gender,Female,2029,8.888418131
-South America,Gender,Female,2030,9.671070518
-South America,Gender,Female,2031,10.49619577
-South America,Gender,Female,2032,11.36153483
-South America,Gender,Male,2024,1.647844629
-South America,Gender,Male,2025,1.787231058
-South America,Gender,Male,2026,1.938362306
-South America,Gender,Male,2027,2.104605105
-South America,Gender,Male,2028,2.290416242
-South America,Gender,Male,2029,2.501886508
-South America,Gender,Male,2030,2.747021446
-South America,Gender,Male,2031,3.008403538
-South America,Gender,Male,2032,3.2857202
-South America,End User,Medspas,2024,4.545966083
-South America,End User,Medspas,2025,4.921477117
-South America,End User,Medspas,2026,5.328250507
-South America,End User,Medspas,2027,5.775436153
-South America,End User,Medspas,2028,6.275121831
-South America,End User,Medspas,2029,6.84380378
-South America,End User,Medspas,2030,7.50312784
-South America,End User,Medspas,2031,8.205299581
-South America,End User,Medspas,2032,8.949406745
-South America,End User,Dermatology Clinics,2024,3.234225742
-South America,End User,Dermatology Clinics,2025,3.454477569
-South America,End User,Dermatology Clinics,2026,3.689500077
-South America,End User,Dermatology Clinics,2027,3.944716977
-South America,End User,Dermatology Clinics,2028,4.227197447
-South America,End User,Dermatology Clinics,2029,4.546500858
-South America,End User,Dermatology Clinics,2030,4.914964124
-South America,End User,Dermatology Clinics,2031,5.299299731
-South America,End User,Dermatology Clinics,2032,5.697848282
-South America,Type,Mesotherapy,2024,5.486565186
-South America,Type,Mesotherapy,2025,5.962313435
-South America,Type,Mesotherapy,2026,6.479611212
-South America,Type,Mesotherapy,2027,7.050080582
-South America,Type,Mesotherapy,2028,7.689116417
-South America,Type,Mesotherapy,2029,8.417765134
-South America,Type,Mesotherapy,2030,9.263744781
-South America,Type,Mesotherapy,2031,10.16912669
-South America,Type,Mesotherapy,2032,11.13341617
-South America,Type,Micro-needle,2024,3.700583484
-South America,Type,Micro-needle,2025,3.986645242
-South America,Type,Micro-needle,2026,4.29482106
-South America,Type,Micro-needle,2027,4.632052556
-South America,Type,Micro-needle,2028,5.007474592
-South America,Type,Micro-needle,2029,5.433521645
-South America,Type,Micro-needle,2030,5.926421278
-South America,Type,Micro-needle,2031,6.447475439
-South America,Type,Micro-needle,2032,6.995407708
-South America,Ingredient,Hyaluronic acid (HA),2024,5.833839405
-South America,Ingredient,Hyaluronic acid (HA),2025,6.309375894
-South America,Ingredient,Hyaluronic acid (HA),2026,6.823987467
-South America,Ingredient,Hyaluronic acid (HA),2027,7.389261333
-South America,Ingredient,Hyaluronic acid (HA),2028,8.020492829
-South America,Ingredient,Hyaluronic acid (HA),2029,8.738544371
-South America,Ingredient,Hyaluronic acid (HA),2030,9.570762651
-South America,Ingredient,Hyaluronic acid (HA),2031,10.45589698
-South America,Ingredient,Hyaluronic acid (HA),2032,11.39262374
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2024,1.03631037
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2025,1.135372776
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2026,1.24396166
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2027,1.364540723
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2028,1.500386783
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2029,1.655990994
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2030,1.837308656
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2031,2.033356699
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2032,2.244361083
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2024,1.443301056
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2025,1.568139247
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2026,1.703853321
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2027,1.853492245
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2028,2.021094239
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2029,2.21217952
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2030,2.434016848
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2031,2.671370292
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2032,2.92410062
-South America,Ingredient,Polycaprolactone (PCL),2024,0.626563539
-South America,Ingredient,Polycaprolactone (PCL),2025,0.671733792
-South America,Ingredient,Polycaprolactone (PCL),2026,0.720193437
-South America,Ingredient,Polycaprolactone (PCL),2027,0.773058055
-South America,Ingredient,Polycaprolactone (PCL),2028,0.831787296
-South America,Ingredient,Polycaprolactone (PCL),2029,0.898360129
-South America,Ingredient,Polycaprolactone (PCL),2030,0.975344555
-South America,Ingredient,Polycaprolactone (PCL),2031,1.056265167
-South America,Ingredient,Polycaprolactone (PCL),2032,1.140868427
-South America,Ingredient,Exosomes,2024,0.247134299
-South America,Ingredient,Exosomes,2025,0.264336967
-South America,Ingredient,Exosomes,2026,0.282436387
-South America,Ingredient,Exosomes,2027,0.301780781
-South America,Ingredient,Exosomes,2028,0.322829863
-South America,Ingredient,Exosomes,2029,0.346211766
-South America,Ingredient,Exosomes,2030,0.372733348
-South America,Ingredient,Exosomes,2031,0.399712991
-South America,Ingredient,Exosomes,2032,0.426870015
-South America,Gender,Female,2024,7.450777571
-South America,Gender,Female,2025,8.055695718
-South America,Gender,Female,2026,8.710125135
-South America,Gender,Female,2027,9.42880649
-South America,Gender,Female,2028,10.23119292
-South America,Gender,Female,2029,11.14381354
-South America,Gender,Female,2030,12.20143217
-South America,Gender,Female,2031,13.32585495
-South America,Gender,Female,2032,14.51533498
-South America,Gender,Male,2024,1.736371099
-South America,Gender,Male,2025,1.893262959
-South America,Gender,Male,2026,2.064307136
-South America,Gender,Male,2027,2.253326648
-South America,Gender,Male,2028,2.465398094
-South America,Gender,Male,2029,2.707473235
-South America,Gender,Male,2030,2.988733892
-South America,Gender,Male,2031,3.290747179
-South America,Gender,Male,2032,3.613488901
-South America,End User,Medspas,2024,5.607835548
-South America,End User,Medspas,2025,6.110496011
-South America,End User,Medspas,2026,6.658517514
-South America,End User,Medspas,2027,7.264230485
-South America,End User,Medspas,2028,7.943993991
-South America,End User,Medspas,2029,8.720195287
-South America,End User,Medspas,2030,9.622389322
-South America,End User,Medspas,2031,10.59124312
-South America,End User,Medspas,2032,11.62675869
-South America,End User,Dermatology Clinics,2024,3.579313122
-South America,End User,Dermatology Clinics,2025,3.838462665
-South America,End User,Dermatology Clinics,2026,4.115914757
-South America,End User,Dermatology Clinics,2027,4.417902652
-South America,End User,Dermatology Clinics,2028,4.752597019
-South America,End User,Dermatology Clinics,2029,5.131091493
-South America,End User,Dermatology Clinics,2030,5.567776737
-South America,End User,Dermatology Clinics,2031,6.025359016
-South America,End User,Dermatology Clinics,2032,6.502065195
-South America,Type,Mesotherapy,2024,4.333133578
-South America,Type,Mesotherapy,2025,4.666051688
-South America,Type,Mesotherapy,2026,5.024778235
-South America,Type,Mesotherapy,2027,5.417454102
-South America,Type,Mesotherapy,2028,5.854783018
-South America,Type,Mesotherapy,2029,6.351325652
-South America,Type,Mesotherapy,2030,6.926077818
-South America,Type,Mesotherapy,2031,7.533861843
-South America,Type,Mesotherapy,2032,8.173266235
-South America,Type,Micro-needle,2024,2.776191407
-South America,Type,Micro-needle,2025,2.963547769
-South America,Type,Micro-needle,2026,3.163545334
-South America,Type,Micro-needle,2027,3.380855506
-South America,Type,Micro-needle,2028,3.621558585
-South America,Type,Micro-needle,2029,3.893868372
-South America,Type,Micro-needle,2030,4.20838006
-South America,Type,Micro-needle,2031,4.536638285
-South America,Type,Micro-needle,2032,4.877294205
-South America,Ingredient,Hyaluronic acid (HA),2024,4.685756098
-South America,Ingredient,Hyaluronic acid (HA),2025,5.022131732
-South America,Ingredient,Hyaluronic acid (HA),2026,5.382901183
-South America,Ingredient,Hyaluronic acid (HA),2027,5.776379284
-South America,Ingredient,Hyaluronic acid (HA),2028,6.213441574
-South America,Ingredient,Hyaluronic acid (HA),2029,6.708829404
-South America,Ingredient,Hyaluronic acid (HA),2030,7.281664877
-South America,Ingredient,Hyaluronic acid (HA),2031,7.883551804
-South America,Ingredient,Hyaluronic acid (HA),2032,8.512573465
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2024,0.720174621
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2025,0.782230254
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2026,0.849671969
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2027,0.92401487
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2028,1.007265253
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2029,1.102165359
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2030,1.212325028
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2031,1.330144075
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2032,1.455546239
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2024,1.04151611
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2025,1.121089529
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2026,1.206797736
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2027,1.300587765
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2028,1.405018571
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2029,1.523570227
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2030,1.660780739
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2031,1.805799053
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2032,1.958277577
-South America,Ingredient,Polycaprolactone (PCL),2024,0.510449534
-South America,Ingredient,Polycaprolactone (PCL),2025,0.542272408
-South America,Ingredient,Polycaprolactone (PCL),2026,0.576105589
-South America,Ingredient,Polycaprolactone (PCL),2027,0.612770229
-South America,Ingredient,Polycaprolactone (PCL),2028,0.653326763
-South America,Ingredient,Polycaprolactone (PCL),2029,0.699199732
-South America,Ingredient,Polycaprolactone (PCL),2030,0.752214094
-South America,Ingredient,Polycaprolactone (PCL),2031,0.807214545
-South America,Ingredient,Polycaprolactone (PCL),2032,0.86394123
-South America,Ingredient,Exosomes,2024,0.151428622
-South America,Ingredient,Exosomes,2025,0.161875533
-South America,Ingredient,Exosomes,2026,0.172847093
-South America,Ingredient,Exosomes,2027,0.184557459
-South America,Ingredient,Exosomes,2028,0.197289443
-South America,Ingredient,Exosomes,2029,0.211429302
-South America,Ingredient,Exosomes,2030,0.22747314
-South America,Ingredient,Exosomes,2031,0.243790651
-South America,Ingredient,Exosomes,2032,0.260221928
-South America,Gender,Female,2024,5.629163523
-South America,Gender,Female,2025,6.029034616
-South America,Gender,Female,2026,6.457606478
-South America,Gender,Female,2027,6.92478608
-South America,Gender,Female,2028,7.443520184
-South America,Gender,Female,2029,8.031347019
-South America,Gender,Female,2030,8.710996151
-South America,Gender,Female,2031,9.424418246
-South America,Gender,Female,2032,10.16925154
-South America,Gender,Male,2024,1.480161462
-South America,Gender,Male,2025,1.600564841
-South America,Gender,Male,2026,1.730717091
-South America,Gender,Male,2027,1.873523527
-South America,Gender,Male,2028,2.032821419
-South America,Gender,Male,2029,2.213847005
-South America,Gender,Male,2030,2.423461728
-South America,Gender,Male,2031,2.646081882
-South America,Gender,Male,2032,2.881308897
-South America,End User,Medspas,2024,4.246399814
-South America,End User,Medspas,2025,4.58040127
-South America,End User,Medspas,2026,4.940899914
-South America,End User,Medspas,2027,5.336046115
-South America,End User,Medspas,2028,5.776573645
-South America,End User,Medspas,2029,6.277100285
-South America,End User,Medspas,2030,6.856732857
-South America,End User,Medspas,2031,7.471068024
-South America,End User,Medspas,2032,8.118875112
-South America,End User,Dermatology Clinics,2024,2.862925171
-South America,End User,Dermatology Clinics,2025,3.049198186
-South America,End User,Dermatology Clinics,2026,3.247423656
-South America,End User,Dermatology Clinics,2027,3.462263492
-South America,End User,Dermatology Clinics,2028,3.699767958
-South America,End User,Dermatology Clinics,2029,3.968093738
-South America,End User,Dermatology Clinics,2030,4.277725022
-South America,End User,Dermatology Clinics,2031,4.599432104
-South America,End User,Dermatology Clinics,2032,4.931685328
-South America,Type,Mesotherapy,2024,2.912903819
-South America,Type,Mesotherapy,2025,3.129685107
-South America,Type,Mesotherapy,2026,3.353184239
-South America,Type,Mesotherapy,2027,3.585962894
-South America,Type,Mesotherapy,2028,3.831543402
-South America,Type,Mesotherapy,2029,4.0949065
-South America,Type,Mesotherapy,2030,4.382335138
-South America,Type,Mesotherapy,2031,4.658263448
-South America,Type,Mesotherapy,2032,4.91506763
-South America,Type,Micro-needle,2024,1.932245581
-South America,Type,Micro-needle,2025,2.062027652
-South America,Type,Micro-needle,2026,2.194304309
-South America,Type,Micro-needle,2027,2.330658433
-South America,Type,Micro-needle,2028,2.473247935
-South America,Type,Micro-needle,2029,2.62510387
-South America,Type,Micro-needle,2030,2.789999192
-South America,Type,Micro-needle,2031,2.945138853
-South America,Type,Micro-needle,2032,3.085898032
-South America,Ingredient,Hyaluronic acid (HA),2024,3.020950651
-South America,Ingredient,Hyaluronic acid (HA),2025,3.233148466
-South America,Ingredient,Hyaluronic acid (HA),2026,3.450562829
-South America,Ingredient,Hyaluronic acid (HA),2027,3.675748879
-South America,Ingredient,Hyaluronic acid (HA),2028,3.912202356
-South America,Ingredient,Hyaluronic acid (HA),2029,4.16484717
-South America,Ingredient,Hyaluronic acid (HA),2030,4.439848851
-South America,Ingredient,Hyaluronic acid (HA),2031,4.701042348
-South America,Ingredient,Hyaluronic acid (HA),2032,4.940912169
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2024,0.512616807
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2025,0.55581968
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2026,0.600976201
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2027,0.64859296
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2028,0.69936963
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2029,0.754299102
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2030,0.814651326
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2031,0.873890079
-South America,Ingredient,Polydeoxyribonucleotides (PDRN),2032,0.930526705
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2024,0.763595545
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2025,0.820832215
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2026,0.879888567
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2027,0.941439808
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2028,1.006414823
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2029,1.076127609
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2030,1.152237166
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2031,1.225397098
-South America,Ingredient,"Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)",2032,1.293596428
-South America,Ingredient,Polycaprolactone (PCL),2024,0.413775759
-South America,Ingredient,Polycaprolactone (PCL),2025,0.440889385
-South America,Ingredient,Polycaprolactone (PCL),2026,0.468464317
-South America,Ingredient,Polycaprolactone (PCL),2027,0.496838214
-South America,Ingredient,Polycaprolactone (PCL),2028,0.5264693
-South America,Ingredient,Polycaprolactone (PCL),2029,0.557998963
-South America,Ingredient,Polycaprolactone (PCL),2030,0.592222755
-South America,Ingredient,Polycaprolactone (PCL),2031,0.624300453
-South America,Ingredient,Polycaprolactone (PCL),2032,0.653264717
-South America,Ingredient,Exosomes,2024,0.134210638
-South America,Ingredient,Exosomes,2025,0.141023013
-South America,Ingredient,Exosomes,2026,0.147596635
-South America,Ingredient,Exosomes,2027,0.154001466
-South America,Ingredient,Exosomes,2028,0.160335228
-South America,Ingredient,Exosomes,2029,0.166737526
-South America,Ingredient,Exosomes,2030,0.173374232
-South America,Ingredient,Exosomes,2031,0.178772323
-South America,Ingredient,Exosomes,2032,0.182665644
-South America,Gender,Female,2024,3.978836687
-South America,Gender,Female,2025,4.255760336
-South America,Gender,Female,2026,4.539212205
-South America,Gender,Female,2027,4.832539494
-South America,Gender,Female,2028,5.140317214
-South America,Gender,Female,2029,5.468984741
-South America,Gender,Female,2030,5.82659537
-South America,Gender,Female,2031,6.165664217
-South America,Gender,Female,2032,6.476373268
-South America,Gender,Male,2024,0.866312713
-South America,Gender,Male,2025,0.935952423
-South America,Gender,Male,2026,1.008276344
-South America,Gender,Male,2027,1.084081834
-South America,Gender,Male,2028,1.164474123
-South America,Gender,Male,2029,1.25102563
-South America,Gender,Male,2030,1.34573896
-South America,Gender,Male,2031,1.437738084
-South America,Gender,Male,2032,1.524592395
-South America,End User,Medspas,2024,2.941974716
-South America,End User,Medspas,2025,3.174474843
-South America,End User,Medspas,2026,3.415758191
-South America,End User,Medspas,2027,3.668545832
-South America,End User,Medspas,2028,3.936591613
-South America,End User,Medspas,2029,4.225217394
-South America,End User,Medspas,2030,4.541184133
-South America,End User,Medspas,2031,4.847814872
-South America,End User,Medspas,2032,5.137004355`;
-  }
-
-  /**
-   * Parse CSV using Papa Parse
-   * @private
-   */
-  _parseCSV(csvText) {
-    return new Promise((resolve, reject) => {
-      Papa.parse(csvText, {
-        header: true,
-        skipEmptyLines: true,
-        dynamicTyping: true,
-        transformHeader: (header) => header.trim(),
-        transform: (value, header) => {
-          if (header === 'Year') {
-            return parseInt(value);
-          }
-          if (header.includes('Value')) {
-            return parseFloat(value) || 0;
-          }
-          return typeof value === 'string' ? value.trim() : value;
-        },
-        complete: (results) => {
-          if (results.errors.length > 0) {
-            console.warn('CSV parsing warnings:', results.errors);
-          }
-          resolve(results.data);
-        },
-        error: (error) => reject(error)
-      });
-    });
+  async _loadCSVText(dataset) {
+    const response = await fetch(`/data/${dataset.file}`);
+    if (!response.ok) {
+      throw new Error(`Failed to load CSV file: ${response.statusText}`);
+    }
+    return response.text();
   }
 
   /**
    * Transform CSV data to market data structure
    * @private
    */
-  _transformToMarketData(csvData) {
-    const groupedData = this._groupDataByCategory(csvData);
-    const marketTotals = this._calculateMarketTotals(groupedData);
+  _transformToMarketData(csvData, dataset, sourceRows = null) {
+    // The manifest's currency/units override whatever the header says
+    const valueColumn = findValueColumn(Object.keys(csvData[0] || {}));
+    const valueUnit = resolveValueUnit(
+      valueColumn,
+      dataset.units ? { currency: dataset.currency, unit: dataset.units } : null
+    );
+
+    const groupedData = this._groupDataByCategory(csvData, valueColumn, valueUnit, sourceRows);
+    const yearWindow = resolveYearWindow(getAvailableYears(groupedData), dataset);
+    const marketTotals = this._calculateMarketTotals(groupedData, yearWindow);
     
     return {
-      overview: this._generateOverview(marketTotals),
+      overview: this._generateOverview(marketTotals, dataset, valueUnit),
       regions: this._transformRegions(groupedData, marketTotals),
       productTypes: this._transformProductTypes(groupedData, marketTotals),
       ingredients: this._transformIngredients(groupedData, marketTotals),
       gender: this._transformGender(groupedData, marketTotals),
       endUsers: this._transformEndUsers(groupedData, marketTotals),
-      countries: this._transformCountries(groupedData),
+      countries: this._transformCountries(groupedData, marketTotals),
       timeSeries: this._generateTimeSeries(groupedData),
       marketPlayers: this._generateMarketPlayers(),
       trends: this._generateMarketTrends(),
       metadata: {
         processedAt: new Date().toISOString(),
         totalRecords: csvData.length,
-        dataSource: 'embedded-csv'
+        dataSource: 'embedded-csv',
+        datasetId: dataset.id,
+        lineage: createLineage({ file: dataset.file, sourceRows }, valueColumn, valueUnit)
       }
     };
   }
 
   /**
-   * Group CSV data by region, segment type, and segment name
+   * Group CSV data by region, segment type, and segment name,
+   * resolving names to the canonical taxonomy and normalizing values
+   * to USD Million (or million units). Each point records its source row.
    * @private
    */
-  _groupDataByCategory(csvData) {
+  _groupDataByCategory(csvData, valueColumn, valueUnit, sourceRows = null) {
     const grouped = {};
     
-    csvData.forEach(row => {
-      const region = row.Region;
-      const segmentType = row['Segment Type'];
-      const segmentName = row['Segment Name'];
+    csvData.forEach((row, index) => {
+      const resolved = taxonomyService.resolveRow(row);
+      const { region, segmentType, segmentName } = resolved;
       const year = row.Year;
-      const value = row['Value (USD Thousand)'] / 1000; // Convert to millions
+      const value = toInternalValue(row[valueColumn], valueUnit);
+      const provenance = createPointProvenance(
+        index,
+        sourceRows,
+        { region: row.Region, segmentType: row['Segment Type'], segmentName: row['Segment Name'] },
+        resolved
+      );
       
       if (!grouped[region]) grouped[region] = {};
       if (!grouped[region][segmentType]) grouped[region][segmentType] = {};
@@ -4346,7 +190,7 @@ South America,End User,Medspas,2032,5.137004355`;
         grouped[region][segmentType][segmentName] = [];
       }
       
-      grouped[region][segmentType][segmentName].push({ year, value });
+      grouped[region][segmentType][segmentName].push({ year, value, provenance });
     });
     
     // Sort time series data by year
@@ -4365,26 +209,27 @@ South America,End User,Medspas,2032,5.137004355`;
    * Calculate market totals and CAGR
    * @private
    */
-  _calculateMarketTotals(groupedData) {
-    const totals = {};
+  _calculateMarketTotals(groupedData, yearWindow) {
+    const { baseYear, forecastYear, period } = yearWindow;
+    const totals = { yearWindow };
     
     if (groupedData.Global && groupedData.Global.Type) {
-      let total2024 = 0;
-      let total2032 = 0;
+      let totalBase = 0;
+      let totalForecast = 0;
       
       Object.keys(groupedData.Global.Type).forEach(segmentName => {
         const timeSeries = groupedData.Global.Type[segmentName];
-        const value2024 = timeSeries.find(d => d.year === 2024)?.value || 0;
-        const value2032 = timeSeries.find(d => d.year === 2032)?.value || 0;
+        const valueBase = timeSeries.find(d => d.year === baseYear)?.value || 0;
+        const valueForecast = timeSeries.find(d => d.year === forecastYear)?.value || 0;
         
-        total2024 += value2024;
-        total2032 += value2032;
+        totalBase += valueBase;
+        totalForecast += valueForecast;
       });
       
       totals.global = {
-        marketSize2024: total2024,
-        marketSize2032: total2032,
-        cagr: this._calculateCAGR(total2024, total2032, 8)
+        marketSizeBase: totalBase,
+        marketSizeForecast: totalForecast,
+        cagr: this._calculateCAGR(totalBase, totalForecast, period)
       };
     }
     
@@ -4412,27 +257,23 @@ South America,End User,Medspas,2032,5.137004355`;
    * Generate overview data
    * @private
    */
-  _generateOverview(marketTotals) {
-    const global = marketTotals.global || { marketSize2024: 0, marketSize2032: 0, cagr: 0 };
+  _generateOverview(marketTotals, dataset, valueUnit) {
+    const global = marketTotals.global || { marketSizeBase: 0, marketSizeForecast: 0, cagr: 0 };
+    const { baseYear, forecastYear, availableYears } = marketTotals.yearWindow;
     
     return {
-      marketName: "Global Skin Boosters Market",
-      baseYear: 2024,
-      forecastYear: 2032,
+      marketName: dataset.marketName,
+      baseYear,
+      forecastYear,
+      availableYears,
       cagr: global.cagr,
-      marketSizeBase: global.marketSize2024,
-      marketSizeForecast: global.marketSize2032,
-      keyDrivers: [
-        "Rising awareness about aesthetic treatments",
-        "Increasing disposable income in emerging markets",
-        "Growing aging population globally",
-        "Technological advancements in minimally invasive procedures"
-      ],
-      keyRestraints: [
-        "High cost of treatments",
-        "Risk of side effects and complications",
-        "Lack of skilled professionals in developing regions"
-      ]
+      marketSizeBase: global.marketSizeBase,
+      marketSizeForecast: global.marketSizeForecast,
+      currency: valueUnit.currency,
+      units: valueUnit.unit,
+      measure: valueUnit.currency ? 'value' : 'volume',
+      keyDrivers: dataset.keyDrivers || [],
+      keyRestraints: dataset.keyRestraints || []
     };
   }
 
@@ -4442,31 +283,32 @@ South America,End User,Medspas,2032,5.137004355`;
    */
   _transformRegions(groupedData, marketTotals) {
     const regions = [];
-    const globalTotal2024 = marketTotals.global?.marketSize2024 || 0;
-    const globalTotal2032 = marketTotals.global?.marketSize2032 || 0;
+    const { baseYear, forecastYear, period } = marketTotals.yearWindow;
+    const globalTotalBase = marketTotals.global?.marketSizeBase || 0;
+    const globalTotalForecast = marketTotals.global?.marketSizeForecast || 0;
     
     Object.keys(groupedData).forEach(regionName => {
       if (regionName === 'Global') return;
       
       const regionData = groupedData[regionName];
-      let regionTotal2024 = 0;
-      let regionTotal2032 = 0;
+      let regionTotalBase = 0;
+      let regionTotalForecast = 0;
       
       // Calculate regional totals from Type data
       if (regionData.Type) {
         Object.keys(regionData.Type).forEach(segmentName => {
           const timeSeries = regionData.Type[segmentName];
-          regionTotal2024 += timeSeries.find(d => d.year === 2024)?.value || 0;
-          regionTotal2032 += timeSeries.find(d => d.year === 2032)?.value || 0;
+          regionTotalBase += timeSeries.find(d => d.year === baseYear)?.value || 0;
+          regionTotalForecast += timeSeries.find(d => d.year === forecastYear)?.value || 0;
         });
       }
       
-      if (regionTotal2024 > 0 || regionTotal2032 > 0) {
+      if (regionTotalBase > 0 || regionTotalForecast > 0) {
         regions.push({
           name: regionName,
-          marketShare2024: this._calculateMarketShare(regionTotal2024, globalTotal2024),
-          marketShare2032: this._calculateMarketShare(regionTotal2032, globalTotal2032),
-          cagr: this._calculateCAGR(regionTotal2024, regionTotal2032, 8),
+          marketShareBase: this._calculateMarketShare(regionTotalBase, globalTotalBase),
+          marketShareForecast: this._calculateMarketShare(regionTotalForecast, globalTotalForecast),
+          cagr: this._calculateCAGR(regionTotalBase, regionTotalForecast, period),
           keyMarkets: this._extractCountries(regionData),
           marketDrivers: this._getRegionalDrivers(regionName)
         });
@@ -4482,21 +324,22 @@ South America,End User,Medspas,2032,5.137004355`;
    */
   _transformProductTypes(groupedData, marketTotals) {
     const productTypes = [];
+    const { baseYear, forecastYear, period } = marketTotals.yearWindow;
     const globalData = groupedData.Global;
-    const globalTotal2024 = marketTotals.global?.marketSize2024 || 0;
-    const globalTotal2032 = marketTotals.global?.marketSize2032 || 0;
+    const globalTotalBase = marketTotals.global?.marketSizeBase || 0;
+    const globalTotalForecast = marketTotals.global?.marketSizeForecast || 0;
     
     if (globalData && globalData.Type) {
       Object.keys(globalData.Type).forEach(typeName => {
         const timeSeries = globalData.Type[typeName];
-        const value2024 = timeSeries.find(d => d.year === 2024)?.value || 0;
-        const value2032 = timeSeries.find(d => d.year === 2032)?.value || 0;
+        const valueBase = timeSeries.find(d => d.year === baseYear)?.value || 0;
+        const valueForecast = timeSeries.find(d => d.year === forecastYear)?.value || 0;
         
         productTypes.push({
           name: typeName,
-          marketShare2024: this._calculateMarketShare(value2024, globalTotal2024),
-          marketShare2032: this._calculateMarketShare(value2032, globalTotal2032),
-          cagr: this._calculateCAGR(value2024, value2032, 8),
+          marketShareBase: this._calculateMarketShare(valueBase, globalTotalBase),
+          marketShareForecast: this._calculateMarketShare(valueForecast, globalTotalForecast),
+          cagr: this._calculateCAGR(valueBase, valueForecast, period),
           description: this._getProductDescription(typeName),
           applications: this._getProductApplications(typeName)
         });
@@ -4512,21 +355,22 @@ South America,End User,Medspas,2032,5.137004355`;
    */
   _transformIngredients(groupedData, marketTotals) {
     const ingredients = [];
+    const { baseYear, forecastYear, period } = marketTotals.yearWindow;
     const globalData = groupedData.Global;
-    const globalTotal2024 = marketTotals.global?.marketSize2024 || 0;
-    const globalTotal2032 = marketTotals.global?.marketSize2032 || 0;
+    const globalTotalBase = marketTotals.global?.marketSizeBase || 0;
+    const globalTotalForecast = marketTotals.global?.marketSizeForecast || 0;
     
     if (globalData && globalData.Ingredient) {
       Object.keys(globalData.Ingredient).forEach(ingredientName => {
         const timeSeries = globalData.Ingredient[ingredientName];
-        const value2024 = timeSeries.find(d => d.year === 2024)?.value || 0;
-        const value2032 = timeSeries.find(d => d.year === 2032)?.value || 0;
+        const valueBase = timeSeries.find(d => d.year === baseYear)?.value || 0;
+        const valueForecast = timeSeries.find(d => d.year === forecastYear)?.value || 0;
         
         ingredients.push({
           name: ingredientName,
-          marketShare2024: this._calculateMarketShare(value2024, globalTotal2024),
-          marketShare2032: this._calculateMarketShare(value2032, globalTotal2032),
-          cagr: this._calculateCAGR(value2024, value2032, 8),
+          marketShareBase: this._calculateMarketShare(valueBase, globalTotalBase),
+          marketShareForecast: this._calculateMarketShare(valueForecast, globalTotalForecast),
+          cagr: this._calculateCAGR(valueBase, valueForecast, period),
           benefits: this._getIngredientBenefits(ingredientName)
         });
       });
@@ -4541,21 +385,22 @@ South America,End User,Medspas,2032,5.137004355`;
    */
   _transformGender(groupedData, marketTotals) {
     const genderSegments = [];
+    const { baseYear, forecastYear, period } = marketTotals.yearWindow;
     const globalData = groupedData.Global;
-    const globalTotal2024 = marketTotals.global?.marketSize2024 || 0;
-    const globalTotal2032 = marketTotals.global?.marketSize2032 || 0;
+    const globalTotalBase = marketTotals.global?.marketSizeBase || 0;
+    const globalTotalForecast = marketTotals.global?.marketSizeForecast || 0;
     
     if (globalData && globalData.Gender) {
       Object.keys(globalData.Gender).forEach(genderName => {
         const timeSeries = globalData.Gender[genderName];
-        const value2024 = timeSeries.find(d => d.year === 2024)?.value || 0;
-        const value2032 = timeSeries.find(d => d.year === 2032)?.value || 0;
+        const valueBase = timeSeries.find(d => d.year === baseYear)?.value || 0;
+        const valueForecast = timeSeries.find(d => d.year === forecastYear)?.value || 0;
         
         genderSegments.push({
           name: genderName,
-          marketShare2024: this._calculateMarketShare(value2024, globalTotal2024),
-          marketShare2032: this._calculateMarketShare(value2032, globalTotal2032),
-          cagr: this._calculateCAGR(value2024, value2032, 8),
+          marketShareBase: this._calculateMarketShare(valueBase, globalTotalBase),
+          marketShareForecast: this._calculateMarketShare(valueForecast, globalTotalForecast),
+          cagr: this._calculateCAGR(valueBase, valueForecast, period),
           ageGroups: this._getAgeGroups(genderName)
         });
       });
@@ -4570,8 +415,9 @@ South America,End User,Medspas,2032,5.137004355`;
    */
   _transformEndUsers(groupedData, marketTotals) {
     const endUsers = [];
-    const globalTotal2024 = marketTotals.global?.marketSize2024 || 0;
-    const globalTotal2032 = marketTotals.global?.marketSize2032 || 0;
+    const { baseYear, forecastYear, period } = marketTotals.yearWindow;
+    const globalTotalBase = marketTotals.global?.marketSizeBase || 0;
+    const globalTotalForecast = marketTotals.global?.marketSizeForecast || 0;
     
     Object.keys(groupedData).forEach(regionName => {
       const regionData = groupedData[regionName];
@@ -4579,15 +425,15 @@ South America,End User,Medspas,2032,5.137004355`;
       if (regionData['End User']) {
         Object.keys(regionData['End User']).forEach(endUserName => {
           const timeSeries = regionData['End User'][endUserName];
-          const value2024 = timeSeries.find(d => d.year === 2024)?.value || 0;
-          const value2032 = timeSeries.find(d => d.year === 2032)?.value || 0;
+          const valueBase = timeSeries.find(d => d.year === baseYear)?.value || 0;
+          const valueForecast = timeSeries.find(d => d.year === forecastYear)?.value || 0;
           
           if (!endUsers.find(eu => eu.name === endUserName)) {
             endUsers.push({
               name: endUserName,
-              marketShare2024: this._calculateMarketShare(value2024, globalTotal2024),
-              marketShare2032: this._calculateMarketShare(value2032, globalTotal2032),
-              cagr: this._calculateCAGR(value2024, value2032, 8),
+              marketShareBase: this._calculateMarketShare(valueBase, globalTotalBase),
+              marketShareForecast: this._calculateMarketShare(valueForecast, globalTotalForecast),
+              cagr: this._calculateCAGR(valueBase, valueForecast, period),
               characteristics: this._getEndUserCharacteristics(endUserName)
             });
           }
@@ -4602,8 +448,9 @@ South America,End User,Medspas,2032,5.137004355`;
    * Transform country data
    * @private
    */
-  _transformCountries(groupedData) {
+  _transformCountries(groupedData, marketTotals) {
     const countries = {};
+    const { baseYear, forecastYear, period } = marketTotals.yearWindow;
     
     Object.keys(groupedData).forEach(regionName => {
       const regionData = groupedData[regionName];
@@ -4611,16 +458,14 @@ South America,End User,Medspas,2032,5.137004355`;
       if (regionData.Country) {
         Object.keys(regionData.Country).forEach(countryName => {
           const timeSeries = regionData.Country[countryName];
-          const value2024 = timeSeries.find(d => d.year === 2024)?.value || 0;
-          const value2032 = timeSeries.find(d => d.year === 2032)?.value || 0;
+          const valueBase = timeSeries.find(d => d.year === baseYear)?.value || 0;
+          const valueForecast = timeSeries.find(d => d.year === forecastYear)?.value || 0;
           
           countries[countryName] = {
-            marketSize2024: value2024,
-            marketSize2032: value2032,
-            cagr: this._calculateCAGR(value2024, value2032, 8),
-            population: this._getCountryPopulation(countryName),
-            penetrationRate: this._getCountryPenetration(countryName),
-            averageSpending: this._getCountrySpending(countryName)
+            marketSizeBase: valueBase,
+            marketSizeForecast: valueForecast,
+            cagr: this._calculateCAGR(valueBase, valueForecast, period),
+            ...taxonomyService.getCountryProfile(countryName)
           };
         });
       }
@@ -4692,36 +537,6 @@ South America,End User,Medspas,2032,5.137004355`;
     return characteristics[endUserName] || ['Professional service', 'Quality treatment'];
   }
 
-  _getCountryPopulation(countryName) {
-    const populations = {
-      'US': 331.9,
-      'United States': 331.9,
-      'Canada': 38.2,
-      'Mexico': 128.9
-    };
-    return populations[countryName] || 50.0;
-  }
-
-  _getCountryPenetration(countryName) {
-    const penetrations = {
-      'US': 2.8,
-      'United States': 2.8,
-      'Canada': 3.2,
-      'Mexico': 1.1
-    };
-    return penetrations[countryName] || 2.0;
-  }
-
-  _getCountrySpending(countryName) {
-    const spending = {
-      'US': 890,
-      'United States': 890,
-      'Canada': 1150,
-      'Mexico': 650
-    };
-    return spending[countryName] || 750;
-  }
-
   _generateMarketPlayers() {
     return [
       {
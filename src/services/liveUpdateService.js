@@ -0,0 +1,207 @@
+// src/services/liveUpdateService.js
+// Client side of Live Mode: follows /api/live and reloads changed datasets
+
+import { datasetRegistry } from '@/services/datasetRegistry';
+import { reloadDataset, isShowingStoredVersion } from '@/data/marketData';
+import { auditLogService } from '@/services/auditLogService';
+
+const LIVE_EVENTS_URL = '/api/live';
+const LIVE_MODE_KEY = 'liveMode';
+const EVENT_TYPES = ['dataset-changed', 'dataset-error', 'file-added'];
+
+/**
+ * Live Update Service
+ * While Live Mode is on, keeps one EventSource open to the server's data
+ * directory watcher. Changed datasets are reloaded (every dashboard page
+ * follows the active one) and each event is passed on for notifications.
+ * The setting is remembered across page loads.
+ */
+class LiveUpdateService {
+  constructor() {
+    this.eventSource = null;
+    this.enabled = null;
+    this.status = 'off'; // 'off', 'connecting', 'connected', 'error', 'unsupported'
+    this.lastSync = null;
+    this.listeners = new Set();
+    this.eventListeners = new Set();
+  }
+
+  /**
+   * Whether Live Mode is on (restored from the last session)
+   */
+  isEnabled() {
+    if (this.enabled === null) {
+      try {
+        this.enabled = typeof window !== 'undefined' && localStorage.getItem(LIVE_MODE_KEY) === 'true';
+      } catch {
+        this.enabled = false;
+      }
+    }
+    return this.enabled;
+  }
+
+  /**
+   * Turn Live Mode on or off
+   */
+  setEnabled(enabled) {
+    const changed = enabled !== this.isEnabled();
+    this.enabled = enabled;
+
+    try {
+      localStorage.setItem(LIVE_MODE_KEY, String(enabled));
+    } catch (error) {
+      console.warn('Failed to persist live mode:', error);
+    }
+
+    if (enabled) {
+      this._connect();
+    } else {
+      this._disconnect();
+    }
+
+    if (changed) {
+      auditLogService.record({
+        action: 'settings',
+        summary: `Live Mode turned ${enabled ? 'on' : 'off'}`,
+        datasetId: datasetRegistry.getActiveDatasetId()
+      });
+    }
+  }
+
+  /**
+   * Connect if Live Mode was left on; called by every dashboard page
+   */
+  start() {
+    if (this.isEnabled()) {
+      this._connect();
+    }
+  }
+
+  /**
+   * Current { enabled, status, lastSync }
+   */
+  getState() {
+    return { enabled: this.isEnabled(), status: this.status, lastSync: this.lastSync };
+  }
+
+  /**
+   * Subscribe to Live Mode state changes
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Subscribe to change events after their dataset was reloaded
+   * @param {Function} listener - Called with { type, datasetId, marketName, file, summary, overview, reloaded }
+   * @returns {Function} Unsubscribe function
+   */
+  subscribeToEvents(listener) {
+    this.eventListeners.add(listener);
+    return () => this.eventListeners.delete(listener);
+  }
+
+  /**
+   * @private
+   */
+  _connect() {
+    if (this.eventSource) return;
+
+    if (typeof window === 'undefined' || typeof EventSource === 'undefined') {
+      this._setStatus('unsupported');
+      return;
+    }
+
+    const eventSource = new EventSource(LIVE_EVENTS_URL);
+    this.eventSource = eventSource;
+    this._setStatus('connecting');
+
+    eventSource.onopen = () => {
+      this._setStatus('connected');
+      // Catch up on anything that changed before (or while) disconnected
+      this._reloadActiveDataset();
+    };
+    eventSource.onerror = () => {
+      // EventSource reconnects by itself unless the server refused the stream
+      this._setStatus(eventSource.readyState === EventSource.CLOSED ? 'error' : 'connecting');
+    };
+
+    EVENT_TYPES.forEach(type => {
+      eventSource.addEventListener(type, (message) => {
+        this._handleEvent(JSON.parse(message.data));
+      });
+    });
+  }
+
+  /**
+   * @private
+   */
+  _disconnect() {
+    this.eventSource?.close();
+    this.eventSource = null;
+    this._setStatus('off');
+  }
+
+  /**
+   * @private
+   */
+  async _reloadActiveDataset() {
+    // A version the user opened or just committed stays on screen
+    const datasetId = datasetRegistry.getActiveDatasetId();
+    if (isShowingStoredVersion(datasetId)) return;
+
+    try {
+      await reloadDataset(datasetId);
+      this.lastSync = new Date();
+      this._notify();
+    } catch (error) {
+      console.warn('Failed to reload the active dataset:', error);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _handleEvent(event) {
+    let notification = event;
+
+    if (event.type === 'dataset-changed') {
+      try {
+        const data = await reloadDataset(event.datasetId);
+        notification = {
+          ...event,
+          reloaded: data !== null,
+          active: datasetRegistry.getActiveDatasetId() === event.datasetId
+        };
+      } catch (error) {
+        notification = { ...event, type: 'dataset-error', message: error.message };
+      }
+    }
+
+    this.lastSync = new Date();
+    this._notify();
+    this.eventListeners.forEach(listener => listener(notification));
+  }
+
+  /**
+   * @private
+   */
+  _setStatus(status) {
+    this.status = status;
+    this._notify();
+  }
+
+  /**
+   * @private
+   */
+  _notify() {
+    this.listeners.forEach(listener => listener(this.getState()));
+  }
+}
+
+// Export singleton instance
+export const liveUpdateService = new LiveUpdateService();
+
+export default LiveUpdateService;
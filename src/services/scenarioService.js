@@ -0,0 +1,113 @@
+// src/services/scenarioService.js
+// Named growth scenarios saved by analysts, next to the built-in ones
+
+import { BUILT_IN_SCENARIOS } from '@/utils/scenarioModel';
+
+const STORAGE_KEY = 'growthScenarios';
+
+/**
+ * Scenario Service
+ * Stores custom scenarios in localStorage and notifies subscribers of changes
+ */
+class ScenarioService {
+  constructor() {
+    this.listeners = new Set();
+  }
+
+  /**
+   * Built-in scenarios followed by saved ones
+   * @returns {Array<Object>}
+   */
+  getScenarios() {
+    return [...BUILT_IN_SCENARIOS, ...this._loadScenarios()];
+  }
+
+  /**
+   * Find a scenario by id
+   * @param {string} id - Scenario id
+   * @returns {Object|null}
+   */
+  getScenario(id) {
+    return this.getScenarios().find(scenario => scenario.id === id) || null;
+  }
+
+  /**
+   * Save a scenario. Built-in scenarios cannot be changed, so saving one
+   * (or a scenario without an id) stores a new scenario.
+   * @param {Object} scenario - { id, name, assumptions }
+   * @returns {Object} The saved scenario
+   */
+  saveScenario(scenario) {
+    const name = String(scenario.name || '').trim();
+    if (!name) {
+      throw new Error('A scenario needs a name');
+    }
+
+    const saved = this._loadScenarios();
+    const isNew = !scenario.id || scenario.builtIn || !saved.some(s => s.id === scenario.id);
+    const next = {
+      id: isNew ? `scenario-${Date.now().toString(36)}` : scenario.id,
+      name,
+      builtIn: false,
+      assumptions: scenario.assumptions || [],
+      updatedAt: new Date().toISOString()
+    };
+
+    this._persist(isNew ? [...saved, next] : saved.map(s => (s.id === next.id ? next : s)));
+    return next;
+  }
+
+  /**
+   * Delete a saved scenario
+   * @param {string} id - Scenario id
+   */
+  deleteScenario(id) {
+    this._persist(this._loadScenarios().filter(scenario => scenario.id !== id));
+  }
+
+  /**
+   * Subscribe to scenario changes
+   * @param {Function} listener - Called when a scenario is saved or deleted
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Load saved scenarios
+   * @private
+   */
+  _loadScenarios() {
+    if (typeof window === 'undefined') return [];
+
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+    } catch (error) {
+      console.warn('Failed to read scenarios:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Store saved scenarios and notify subscribers
+   * @private
+   */
+  _persist(scenarios) {
+    if (typeof window !== 'undefined') {
+      try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(scenarios));
+      } catch (error) {
+        console.warn('Failed to save scenarios:', error);
+      }
+    }
+
+    this.listeners.forEach(listener => listener());
+  }
+}
+
+// Export singleton instance
+export const scenarioService = new ScenarioService();
+
+export default ScenarioService;
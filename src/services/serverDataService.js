@@ -0,0 +1,122 @@
+// src/services/serverDataService.js
+// Server-side access to the public/data datasets for API route handlers
+
+import { readFile, stat } from 'fs/promises';
+import path from 'path';
+import { embeddedDataService, getPrecomputedDataPath } from '@/services/embeddedDataService';
+
+// MARKET_DATA_DIR points the API and live mode at another folder with the same layout
+export const DATA_DIR = process.env.MARKET_DATA_DIR
+  ? path.resolve(process.env.MARKET_DATA_DIR)
+  : path.join(process.cwd(), 'public', 'data');
+export const MANIFEST_FILE_NAME = 'datasets.json';
+const MANIFEST_FILE = path.join(DATA_DIR, MANIFEST_FILE_NAME);
+
+/**
+ * Modification time of a file, or null when it does not exist
+ */
+const getModifiedTime = async (filePath) => {
+  try {
+    return (await stat(filePath)).mtimeMs;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Server Data Service
+ * Reads the dataset manifest and processed market data from disk with the
+ * same transformation as the dashboards. Results are cached until the
+ * underlying files change.
+ */
+class ServerDataService {
+  constructor() {
+    this.manifestCache = null;
+    this.dataCache = new Map();
+  }
+
+  /**
+   * Read the dataset manifest
+   * @returns {Promise<Object>} { defaultDataset, datasets }
+   */
+  async getManifest() {
+    const modifiedAt = await getModifiedTime(MANIFEST_FILE);
+    if (modifiedAt === null) {
+      throw new Error('Dataset manifest not found');
+    }
+
+    if (this.manifestCache?.modifiedAt !== modifiedAt) {
+      const manifest = JSON.parse(await readFile(MANIFEST_FILE, 'utf8'));
+      this.manifestCache = {
+        modifiedAt,
+        manifest: {
+          defaultDataset: manifest.defaultDataset || manifest.datasets[0]?.id || null,
+          datasets: manifest.datasets.map(dataset => ({ ...dataset, source: 'manifest' }))
+        }
+      };
+    }
+
+    return this.manifestCache.manifest;
+  }
+
+  /**
+   * List the datasets in the manifest
+   */
+  async listDatasets() {
+    return (await this.getManifest()).datasets;
+  }
+
+  /**
+   * Get a dataset descriptor by id
+   * @returns {Promise<Object|null>} Dataset, or null if unknown
+   */
+  async getDataset(id) {
+    return (await this.listDatasets()).find(dataset => dataset.id === id) || null;
+  }
+
+  /**
+   * Get processed market data for a dataset, preferring the precomputed
+   * artifact unless the CSV is newer
+   * @param {string} id - Dataset id
+   * @returns {Promise<Object|null>} Processed market data, or null if unknown
+   */
+  async getMarketData(id) {
+    const dataset = await this.getDataset(id);
+    if (!dataset) {
+      return null;
+    }
+
+    const csvFile = path.join(DATA_DIR, dataset.file);
+    const precomputedFile = path.join(DATA_DIR, getPrecomputedDataPath(dataset.id));
+    const [csvModifiedAt, precomputedModifiedAt] = await Promise.all([
+      getModifiedTime(csvFile),
+      getModifiedTime(precomputedFile)
+    ]);
+
+    if (csvModifiedAt === null && precomputedModifiedAt === null) {
+      throw new Error(`Data file not found for dataset ${id}`);
+    }
+
+    const usePrecomputed = precomputedModifiedAt !== null
+      && (csvModifiedAt === null || precomputedModifiedAt >= csvModifiedAt);
+    const cacheKey = `${usePrecomputed ? 'precomputed' : 'csv'}:${usePrecomputed ? precomputedModifiedAt : csvModifiedAt}`;
+
+    const cached = this.dataCache.get(id);
+    if (cached?.cacheKey !== cacheKey) {
+      const dataPromise = usePrecomputed
+        ? readFile(precomputedFile, 'utf8').then(JSON.parse)
+        : readFile(csvFile, 'utf8').then(csvText => embeddedDataService.processCSVText(csvText, dataset));
+      this.dataCache.set(id, { cacheKey, dataPromise });
+
+      // Allow a retry after a failed load
+      dataPromise.catch(() => this.dataCache.delete(id));
+    }
+
+    return this.dataCache.get(id).dataPromise;
+  }
+}
+
+// Export singleton instance
+export const serverDataService = new ServerDataService();
+
+export default ServerDataService;
@@ -0,0 +1,221 @@
+// src/services/taxonomyService.js
+// Canonical region/segment taxonomy with alias resolution, applied at ingest
+// so every data path produces the same region, segment and country names
+
+/**
+ * Canonical regions. `name` is what processed data and lookups use.
+ */
+export const REGIONS = [
+  { id: 'global', name: 'Global', shortName: 'Global', aliases: ['World', 'Worldwide', 'Total'] },
+  { id: 'north-america', name: 'North America', shortName: 'NA', aliases: ['NA', 'NAM', 'NORAM'] },
+  { id: 'europe', name: 'Europe', shortName: 'EU', aliases: ['EU'] },
+  { id: 'asia-pacific', name: 'Asia Pacific', shortName: 'APAC', aliases: ['APAC', 'APJ', 'AsiaPac', 'Asia'] },
+  { id: 'latin-america', name: 'Latin America', shortName: 'LATAM', aliases: ['LATAM', 'LAC', 'South America', 'Central & South America'] },
+  { id: 'middle-east-africa', name: 'Middle East & Africa', shortName: 'MEA', aliases: ['MEA', 'MENA', 'Middle East and Africa'] }
+];
+
+export const SEGMENT_TYPES = [
+  { id: 'type', name: 'Type', aliases: ['Product Type', 'Product', 'Types'] },
+  { id: 'ingredient', name: 'Ingredient', aliases: ['Active Ingredient', 'Ingredients'] },
+  { id: 'gender', name: 'Gender', aliases: ['Demographics', 'Sex'] },
+  { id: 'end-user', name: 'End User', aliases: ['End Users', 'Channel'] },
+  { id: 'country', name: 'Country', aliases: ['Countries'] }
+];
+
+/**
+ * Canonical segment names per segment type
+ */
+export const SEGMENTS = {
+  Type: [
+    { name: 'Mesotherapy', aliases: [] },
+    { name: 'Micro-needle', aliases: ['Microneedle', 'Microneedling', 'Micro-needling'] }
+  ],
+  Ingredient: [
+    { name: 'Hyaluronic acid (HA)', aliases: ['HA', 'Hyaluronic acid'] },
+    { name: 'Polydeoxyribonucleotides (PDRN)', aliases: ['PDRN'] },
+    {
+      name: 'Poly-L-Lactic Acid (PLLA)/ Poly-D, L-Lactic Acid (PDLLA)',
+      aliases: ['PLLA', 'PDLLA', 'PLLA/PDLLA', 'Poly-L-Lactic Acid (PLLA)']
+    },
+    { name: 'Polycaprolactone (PCL)', aliases: ['PCL'] },
+    { name: 'Exosomes', aliases: ['Exosome'] }
+  ],
+  Gender: [
+    { name: 'Female', aliases: ['F', 'Women'] },
+    { name: 'Male', aliases: ['M', 'Men'] }
+  ],
+  'End User': [
+    { name: 'Dermatology Clinics', aliases: ['Dermatology Clinic', 'Clinics'] },
+    { name: 'Medspas', aliases: ['Medspa', 'Med Spas', 'Medical Spas'] }
+  ]
+};
+
+/**
+ * Canonical countries with their region membership
+ */
+export const COUNTRIES = [
+  { name: 'United States', region: 'North America', aliases: ['US', 'USA', 'U.S.'] },
+  { name: 'Canada', region: 'North America', aliases: [] },
+  { name: 'Mexico', region: 'North America', aliases: [] },
+  { name: 'Germany', region: 'Europe', aliases: [] },
+  { name: 'United Kingdom', region: 'Europe', aliases: ['UK', 'Great Britain'] },
+  { name: 'France', region: 'Europe', aliases: [] },
+  { name: 'Italy', region: 'Europe', aliases: [] },
+  { name: 'Spain', region: 'Europe', aliases: [] },
+  { name: 'Sweden', region: 'Europe', aliases: [] },
+  { name: 'Russia', region: 'Europe', aliases: ['Russian Federation'] },
+  { name: 'Rest of Europe', region: 'Europe', aliases: [] },
+  { name: 'China', region: 'Asia Pacific', aliases: [] },
+  { name: 'Japan', region: 'Asia Pacific', aliases: [] },
+  { name: 'India', region: 'Asia Pacific', aliases: [] },
+  { name: 'South Korea', region: 'Asia Pacific', aliases: ['Korea', 'Republic of Korea'] },
+  { name: 'Australia', region: 'Asia Pacific', aliases: [] },
+  { name: 'Indonesia', region: 'Asia Pacific', aliases: [] },
+  { name: 'Malaysia', region: 'Asia Pacific', aliases: [] },
+  { name: 'Philippines', region: 'Asia Pacific', aliases: [] },
+  { name: 'Thailand', region: 'Asia Pacific', aliases: [] },
+  { name: 'Vietnam', region: 'Asia Pacific', aliases: ['Viet Nam'] },
+  { name: 'Rest of Asia Pacific', region: 'Asia Pacific', aliases: ['Rest of APAC'] },
+  { name: 'Brazil', region: 'Latin America', aliases: [] },
+  { name: 'Argentina', region: 'Latin America', aliases: [] },
+  { name: 'Chile', region: 'Latin America', aliases: [] },
+  { name: 'Colombia', region: 'Latin America', aliases: ['Colambia'] },
+  { name: 'Peru', region: 'Latin America', aliases: [] },
+  { name: 'Rest of Latin America', region: 'Latin America', aliases: ['Rest of South America', 'Rest of LATAM'] },
+  { name: 'GCC', region: 'Middle East & Africa', aliases: ['GCC Countries'] },
+  { name: 'UAE', region: 'Middle East & Africa', aliases: ['United Arab Emirates'] },
+  { name: 'Saudi Arabia', region: 'Middle East & Africa', aliases: ['KSA'] },
+  { name: 'South Africa', region: 'Middle East & Africa', aliases: [] },
+  { name: 'Egypt', region: 'Middle East & Africa', aliases: [] },
+  { name: 'Nigeria', region: 'Middle East & Africa', aliases: [] },
+  { name: 'Turkey', region: 'Middle East & Africa', aliases: ['Turkiye'] },
+  { name: 'Rest of Middle East & Africa', region: 'Middle East & Africa', aliases: ['Rest of MEA'] }
+];
+
+/**
+ * Market indicators per canonical country: population (millions),
+ * penetration rate (%) and average spending (USD per treatment)
+ */
+export const COUNTRY_PROFILES = {
+  'United States': { population: 331.9, penetrationRate: 2.8, averageSpending: 890 },
+  'Canada': { population: 38.2, penetrationRate: 3.2, averageSpending: 1150 },
+  'Mexico': { population: 128.9, penetrationRate: 1.1, averageSpending: 650 }
+};
+
+const DEFAULT_COUNTRY_PROFILE = { population: 50.0, penetrationRate: 2.0, averageSpending: 750 };
+
+// Compare names ignoring case, spacing and punctuation ("Asia-Pacific" = "asia pacific")
+const normalizeKey = (name) => String(name).toLowerCase().replace(/&/g, 'and').replace(/[^a-z0-9]/g, '');
+
+const buildIndex = (entries) => {
+  const index = new Map();
+  entries.forEach(entry => {
+    [entry.name, ...(entry.aliases || [])].forEach(alias => {
+      index.set(normalizeKey(alias), entry);
+    });
+  });
+  return index;
+};
+
+/**
+ * Taxonomy Service
+ * Resolves region, segment type, segment and country aliases to canonical names
+ */
+class TaxonomyService {
+  constructor() {
+    this.regionIndex = buildIndex(REGIONS);
+    this.segmentTypeIndex = buildIndex(SEGMENT_TYPES);
+    this.countryIndex = buildIndex(COUNTRIES);
+    this.segmentIndexes = {};
+    Object.entries(SEGMENTS).forEach(([segmentType, segments]) => {
+      this.segmentIndexes[segmentType] = buildIndex(segments);
+    });
+  }
+
+  /**
+   * Canonical region name (unknown names are returned trimmed)
+   */
+  resolveRegion(name) {
+    if (name === null || name === undefined) return name;
+    return this.regionIndex.get(normalizeKey(name))?.name || String(name).trim();
+  }
+
+  /**
+   * Canonical segment type name (unknown names are returned trimmed)
+   */
+  resolveSegmentType(name) {
+    if (name === null || name === undefined) return name;
+    return this.segmentTypeIndex.get(normalizeKey(name))?.name || String(name).trim();
+  }
+
+  /**
+   * Canonical segment or country name within a segment type
+   * @param {string} segmentType - Canonical segment type
+   * @param {string} name - Segment name as found in the file
+   * @returns {string} Canonical name (unknown names are returned trimmed)
+   */
+  resolveSegmentName(segmentType, name) {
+    if (name === null || name === undefined) return name;
+
+    const index = segmentType === 'Country' ? this.countryIndex : this.segmentIndexes[segmentType];
+    return index?.get(normalizeKey(name))?.name || String(name).trim();
+  }
+
+  /**
+   * Canonical Region / Segment Type / Segment Name of a long-format row
+   * @param {Object} row - CSV row
+   * @returns {Object} { region, segmentType, segmentName }
+   */
+  resolveRow(row) {
+    const segmentType = this.resolveSegmentType(row['Segment Type']);
+
+    return {
+      region: this.resolveRegion(row.Region),
+      segmentType,
+      segmentName: this.resolveSegmentName(segmentType, row['Segment Name'])
+    };
+  }
+
+  /**
+   * Region entry by canonical name, alias or id
+   */
+  getRegion(nameOrId) {
+    return REGIONS.find(region => region.id === nameOrId) || this.regionIndex.get(normalizeKey(nameOrId)) || null;
+  }
+
+  /**
+   * Canonical regions, optionally without Global
+   */
+  getRegions({ includeGlobal = true } = {}) {
+    return includeGlobal ? REGIONS : REGIONS.filter(region => region.id !== 'global');
+  }
+
+  /**
+   * Canonical region a country belongs to (null when unknown)
+   */
+  getCountryRegion(country) {
+    return this.countryIndex.get(normalizeKey(country))?.region || null;
+  }
+
+  /**
+   * Population, penetration rate and average spending of a country, by
+   * canonical name or alias (defaults when the country has no profile)
+   */
+  getCountryProfile(country) {
+    const name = this.resolveSegmentName('Country', country);
+    return { ...DEFAULT_COUNTRY_PROFILE, ...COUNTRY_PROFILES[name] };
+  }
+
+  /**
+   * Canonical countries belonging to a region
+   */
+  getCountriesInRegion(region) {
+    const regionName = this.resolveRegion(region);
+    return COUNTRIES.filter(country => country.region === regionName).map(country => country.name);
+  }
+}
+
+// Export singleton instance
+export const taxonomyService = new TaxonomyService();
+
+export default TaxonomyService;
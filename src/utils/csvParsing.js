@@ -0,0 +1,104 @@
+// src/utils/csvParsing.js
+// Shared Papa Parse configuration and chunked (streaming) parsing with
+// row-count progress. Runs on the main thread or inside the CSV worker.
+
+import Papa from 'papaparse';
+
+// Small chunks keep progress updates frequent on large files
+const CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * Papa Parse options shared by every CSV ingest path
+ */
+export const CSV_PARSE_CONFIG = {
+  header: true,
+  skipEmptyLines: true,
+  dynamicTyping: true,
+  transformHeader: (header) => {
+    // Clean and normalize whitespace, keeping the canonical column names
+    return header.trim().replace(/\s+/g, ' ');
+  },
+  transform: (value, header) => {
+    // Transform specific columns
+    if (header === 'Year') {
+      return parseInt(value);
+    }
+    if (header.includes('Value')) {
+      return parseFloat(value) || 0;
+    }
+    return typeof value === 'string' ? value.trim() : value;
+  }
+};
+
+/**
+ * Error thrown when a parse or transform is cancelled, matching fetch()
+ */
+export const createAbortError = () => {
+  const error = new Error('CSV processing was cancelled');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Parse a CSV source chunk by chunk
+ * @param {string|File|Object} source - URL, File, or { text } with the CSV content
+ * @param {Object} options - { onProgress, signal }; onProgress receives
+ *   { phase: 'parsing', rowsProcessed, bytesProcessed, totalBytes, percent }
+ * @returns {Promise<Array>} Parsed rows
+ */
+export const parseCSVInChunks = (source, options = {}) => {
+  const { onProgress = null, signal = null } = options;
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const rows = [];
+    const input = typeof source?.text === 'string' ? source.text : source;
+    const totalBytes = typeof input === 'string'
+      ? (typeof source === 'string' ? null : input.length)
+      : input.size ?? null;
+    const warnings = [];
+
+    Papa.parse(input, {
+      ...CSV_PARSE_CONFIG,
+      download: typeof source === 'string',
+      chunkSize: CHUNK_SIZE,
+      chunk: (results, parser) => {
+        if (signal?.aborted) {
+          parser.abort();
+          return;
+        }
+
+        results.data.forEach(row => rows.push(row));
+        results.errors.forEach(error => warnings.push(error));
+
+        if (onProgress) {
+          const bytesProcessed = results.meta.cursor;
+          onProgress({
+            phase: 'parsing',
+            rowsProcessed: rows.length,
+            bytesProcessed,
+            totalBytes,
+            percent: totalBytes ? Math.min(100, (bytesProcessed / totalBytes) * 100) : null
+          });
+        }
+      },
+      complete: () => {
+        if (signal?.aborted) {
+          reject(createAbortError());
+          return;
+        }
+        if (warnings.length > 0) {
+          console.warn('CSV parsing warnings:', warnings);
+        }
+        resolve(rows);
+      },
+      error: (error) => {
+        reject(error);
+      }
+    });
+  });
+};
@@ -0,0 +1,136 @@
+// src/utils/dataCoverage.js
+// Which Region × Segment Type × Year cells a dataset covers, and the
+// record and country counts shown on the Data Management page
+
+import { taxonomyService } from '@/services/taxonomyService';
+
+const COUNTRY_SEGMENT_TYPE = 'Country';
+
+/**
+ * Segments expected in a region for a segment type: the region's countries
+ * from the taxonomy for Country, otherwise every segment of that type the
+ * dataset reports anywhere
+ */
+const getExpectedSegments = (region, segmentType, segmentsByType) => {
+  const reported = segmentsByType.get(segmentType) || new Set();
+
+  if (segmentType !== COUNTRY_SEGMENT_TYPE) {
+    return [...reported];
+  }
+
+  // Countries roll up into their own region only
+  const expected = new Set(taxonomyService.getCountriesInRegion(region));
+  reported.forEach(country => {
+    if (taxonomyService.getCountryRegion(country) === region) expected.add(country);
+  });
+  return [...expected];
+};
+
+/**
+ * Region × Segment Type × Year coverage of processed market data
+ * @param {Object} data - Processed market data with timeSeries
+ * @returns {Object} { years, rows, summary } where each row is
+ *   { region, segmentType, expected, cells: [{ year, present, expected, missing }] }
+ *   and summary is { cells, complete, partial, empty, completeness }
+ */
+export const computeCoverage = (data) => {
+  const timeSeries = data?.timeSeries || {};
+  const years = data?.overview?.availableYears || [];
+
+  // Every segment name reported per segment type, across regions
+  const segmentsByType = new Map();
+  Object.values(timeSeries).forEach(segmentTypes => {
+    Object.entries(segmentTypes).forEach(([segmentType, segments]) => {
+      if (!segmentsByType.has(segmentType)) segmentsByType.set(segmentType, new Set());
+      Object.keys(segments).forEach(name => segmentsByType.get(segmentType).add(name));
+    });
+  });
+
+  const regions = Object.keys(timeSeries);
+  const rows = [];
+  let presentPoints = 0;
+  let expectedPoints = 0;
+  const counts = { complete: 0, partial: 0, empty: 0 };
+
+  regions.forEach(region => {
+    segmentsByType.forEach((_, segmentType) => {
+      const expected = getExpectedSegments(region, segmentType, segmentsByType);
+      if (expected.length === 0) return;
+
+      const segments = timeSeries[region][segmentType] || {};
+      const cells = years.map(year => {
+        const missing = expected.filter(name => !segments[name]?.some(point => point.year === year));
+        const present = expected.length - missing.length;
+
+        presentPoints += present;
+        expectedPoints += expected.length;
+        counts[present === expected.length ? 'complete' : present === 0 ? 'empty' : 'partial']++;
+
+        return { year, present, expected: expected.length, missing };
+      });
+
+      rows.push({ region, segmentType, expected: expected.length, cells });
+    });
+  });
+
+  return {
+    years,
+    rows,
+    summary: {
+      cells: counts.complete + counts.partial + counts.empty,
+      ...counts,
+      completeness: expectedPoints > 0 ? (presentPoints / expectedPoints) * 100 : 0
+    }
+  };
+};
+
+/**
+ * Countries reported per region from the Country segment type,
+ * against the countries the taxonomy places in that region
+ * @param {Object} data - Processed market data with timeSeries
+ * @returns {Array<Object>} [{ region, countries, expected, missing }]
+ */
+export const countCountriesByRegion = (data) => {
+  return taxonomyService.getRegions({ includeGlobal: false }).map(({ name: region }) => {
+    const countries = Object.keys(data?.timeSeries?.[region]?.[COUNTRY_SEGMENT_TYPE] || {});
+    const expected = taxonomyService.getCountriesInRegion(region);
+
+    return {
+      region,
+      countries,
+      expected: new Set([...expected, ...countries]).size,
+      missing: expected.filter(country => !countries.includes(country))
+    };
+  });
+};
+
+/**
+ * Headline counts of a dataset
+ * @param {Object} data - Processed market data with timeSeries
+ * @returns {Object} { records, regions, countries, segments, firstYear, lastYear }
+ */
+export const summarizeDataset = (data) => {
+  const timeSeries = data?.timeSeries || {};
+  const years = data?.overview?.availableYears || [];
+  const countries = new Set();
+  const segments = new Set();
+  let records = 0;
+
+  Object.values(timeSeries).forEach(segmentTypes => {
+    Object.entries(segmentTypes).forEach(([segmentType, segmentSeries]) => {
+      Object.entries(segmentSeries).forEach(([name, series]) => {
+        records += series.length;
+        (segmentType === COUNTRY_SEGMENT_TYPE ? countries : segments).add(`${segmentType}|${name}`);
+      });
+    });
+  });
+
+  return {
+    records,
+    regions: Object.keys(timeSeries).filter(region => region !== 'Global').length,
+    countries: countries.size,
+    segments: segments.size,
+    firstYear: years[0] ?? null,
+    lastYear: years[years.length - 1] ?? null
+  };
+};
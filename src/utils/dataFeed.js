@@ -0,0 +1,128 @@
+// src/utils/dataFeed.js
+// JSON feed contract for polled API data sources:
+//
+//   {
+//     "version": 1,
+//     "metadata": {
+//       "datasetId": "skin-boosters",          required
+//       "marketName": "Global Skin Boosters Market",
+//       "currency": "USD",                     null for volume feeds; defaults to USD
+//       "units": "Thousand",                   Units | Thousand | Million | Billion
+//       "baseYear": 2024, "forecastYear": 2032,
+//       "updatedAt": "2025-01-01T00:00:00Z"    informational; ignored for change detection
+//     },
+//     "rows": [
+//       { "region": "Global", "segmentType": "Type", "segmentName": "Mesotherapy", "year": 2024, "value": 823.93 }
+//     ]
+//   }
+//
+// Row values are validated by DataTransformer like any CSV upload.
+
+import { UNIT_SCALES } from '@/utils/valueUnits';
+import { getInternalValueUnit, querySeries } from '@/utils/seriesQuery';
+
+export const FEED_VERSION = 1;
+
+const ROW_FIELDS = ['region', 'segmentType', 'segmentName', 'year', 'value'];
+
+/**
+ * Check a feed's envelope against the contract
+ * @param {Object} feed - Parsed feed JSON
+ * @returns {Array<string>} Problems; empty when the feed is well formed
+ */
+export const validateFeed = (feed) => {
+  if (!feed || typeof feed !== 'object' || Array.isArray(feed)) {
+    return ['Feed must be a JSON object with "metadata" and "rows"'];
+  }
+
+  const problems = [];
+  const { version, metadata, rows } = feed;
+
+  if (version !== undefined && version !== FEED_VERSION) {
+    problems.push(`Unsupported feed version ${version}; expected ${FEED_VERSION}`);
+  }
+
+  if (!metadata || typeof metadata !== 'object') {
+    problems.push('Missing "metadata" object');
+  } else {
+    if (!metadata.datasetId) {
+      problems.push('"metadata.datasetId" is required');
+    }
+    if (!(metadata.units in UNIT_SCALES)) {
+      problems.push(`"metadata.units" must be one of ${Object.keys(UNIT_SCALES).join(', ')}`);
+    }
+  }
+
+  if (!Array.isArray(rows) || rows.length === 0) {
+    problems.push('"rows" must be a non-empty array');
+  } else {
+    const missingFields = ROW_FIELDS.filter(field => !(field in (rows[0] || {})));
+    if (missingFields.length > 0) {
+      problems.push(`Rows are missing fields: ${missingFields.join(', ')}`);
+    }
+  }
+
+  return problems;
+};
+
+/**
+ * Feed rows as long-format CSV rows for DataTransformer
+ */
+export const feedToRows = (feed) => {
+  return feed.rows.map(row => ({
+    Region: row.region,
+    'Segment Type': row.segmentType,
+    'Segment Name': row.segmentName,
+    Year: row.year,
+    Value: row.value
+  }));
+};
+
+/**
+ * Dataset descriptor for a feed; its currency/units override the value column
+ */
+export const feedToDataset = ({ metadata }) => ({
+  id: metadata.datasetId,
+  marketName: metadata.marketName || metadata.datasetId,
+  currency: metadata.currency === undefined ? 'USD' : metadata.currency,
+  units: metadata.units,
+  baseYear: metadata.baseYear,
+  forecastYear: metadata.forecastYear,
+  keyDrivers: metadata.keyDrivers || [],
+  keyRestraints: metadata.keyRestraints || []
+});
+
+/**
+ * Canonical text of a feed's content for change detection; metadata that
+ * changes on every publish (updatedAt) is left out
+ */
+export const serializeFeedContent = ({ metadata, rows }) => {
+  const content = { ...metadata };
+  delete content.updatedAt;
+  return JSON.stringify([content, rows]);
+};
+
+/**
+ * Build a feed from processed market data, e.g. to serve a dataset as a feed
+ * @param {Object} data - Processed market data
+ * @param {string} datasetId - Dataset id for the feed metadata
+ * @returns {Object} Feed following the contract
+ */
+export const marketDataToFeed = (data, datasetId) => {
+  const { overview = {} } = data;
+  const { currency, unit } = getInternalValueUnit(overview);
+
+  return {
+    version: FEED_VERSION,
+    metadata: {
+      datasetId,
+      marketName: overview.marketName,
+      currency,
+      units: unit,
+      baseYear: overview.baseYear,
+      forecastYear: overview.forecastYear,
+      updatedAt: data.metadata?.processedAt || new Date().toISOString()
+    },
+    rows: querySeries(data)
+  };
+};
@@ -2,6 +2,14 @@
 // Advanced data transformation utilities for CSV processing
 
 import Papa from 'papaparse';
+import { taxonomyService } from '@/services/taxonomyService';
+import { getAvailableYears, resolveYearWindow } from '@/utils/yearWindow';
+import { findValueColumn, resolveValueUnit, toInternalValue } from '@/utils/valueUnits';
+import { createAbortError } from '@/utils/csvParsing';
+import { createLineage, createPointProvenance } from '@/utils/provenance';
+
+// Rows between progress reports from the long-running loops
+const PROGRESS_INTERVAL = 5000;
 
 /**
  * Data Transformation Utilities
@@ -10,14 +18,15 @@ import Papa from 'papaparse';
 export class DataTransformer {
   constructor() {
     this.validationRules = {
-      requiredColumns: ['Region', 'Segment Type', 'Segment Name', 'Year', 'Value (USD Thousand)'],
+      requiredColumns: ['Region', 'Segment Type', 'Segment Name', 'Year'],
       dataTypes: {
         'Year': 'number',
-        'Value (USD Thousand)': 'number'
+        'Value': 'number'
       },
+      // Values are checked after normalization to USD Million
       valueRanges: {
-        'Year': { min: 2020, max: 2035 },
-        'Value (USD Thousand)': { min: 0, max: 10000000 }
+        'Year': { min: 1990, max: 2100 },
+        'Value': { min: 0, max: 10000 }
       }
     };
   }
@@ -25,24 +34,53 @@ export class DataTransformer {
   /**
    * Process and validate CSV data
    * @param {Array} rawData - Raw CSV data from Papa Parse
+   * @param {Object} dataset - Dataset descriptor (market name, drivers, currency, units).
+   *   currency/units override the unit read from the value column header.
+   * @param {Object} options - { onProgress, signal, source }; onProgress receives
+   *   { phase: 'cleaning' | 'validating' | 'transforming', rowsProcessed, totalRows, percent }.
+   *   source is { file, sourceRows } for the provenance of each point (see utils/provenance).
    * @returns {Object} Processed and validated data
    */
-  async processCSVData(rawData) {
+  async processCSVData(rawData, dataset = {}, options = {}) {
+    const { onProgress = null, signal = null, source = {} } = options;
+    const totalRows = Array.isArray(rawData) ? rawData.length : 0;
+
+    const progressFor = (phase) => (rowsProcessed) => {
+      if (signal?.aborted) throw createAbortError();
+      if (onProgress) {
+        onProgress({
+          phase,
+          rowsProcessed,
+          totalRows,
+          percent: totalRows > 0 ? (rowsProcessed / totalRows) * 100 : 100
+        });
+      }
+    };
+
     try {
       // Step 1: Validate structure
-      this.validateDataStructure(rawData);
+      const valueColumn = this.validateDataStructure(rawData);
+      const valueUnit = resolveValueUnit(
+        valueColumn,
+        dataset.units ? { currency: dataset.currency, unit: dataset.units } : null
+      );
       
       // Step 2: Clean and normalize data
-      const cleanedData = this.cleanData(rawData);
+      const cleanedData = this.cleanData(rawData, valueColumn, valueUnit, progressFor('cleaning'));
       
       // Step 3: Validate data quality
-      const validationResults = this.validateDataQuality(cleanedData);
+      const validationResults = this.validateDataQuality(cleanedData, progressFor('validating'), source.sourceRows);
       
       // Step 4: Transform to market data structure
-      const transformedData = this.transformToMarketData(cleanedData);
+      progressFor('transforming')(0);
+      const transformedData = this.transformToMarketData(cleanedData, dataset, valueUnit, source.sourceRows);
       
       // Step 5: Generate metadata
-      const metadata = this.generateMetadata(cleanedData, validationResults);
+      const metadata = {
+        ...this.generateMetadata(cleanedData, validationResults, valueUnit),
+        lineage: createLineage(source, valueColumn, valueUnit)
+      };
+      progressFor('transforming')(totalRows);
       
       return {
         data: transformedData,
@@ -51,12 +89,14 @@ export class DataTransformer {
         processedAt: new Date().toISOString()
       };
     } catch (error) {
+      if (error.name === 'AbortError') throw error;
       throw new Error(`Data processing failed: ${error.message}`);
     }
   }
 
   /**
    * Validate CSV data structure
+   * @returns {string} Name of the value column
    */
   validateDataStructure(data) {
     if (!Array.isArray(data) || data.length === 0) {
@@ -67,25 +107,35 @@ export class DataTransformer {
     const missingColumns = this.validationRules.requiredColumns.filter(
       col => !(col in firstRow)
     );
+    const valueColumn = findValueColumn(Object.keys(firstRow));
+    if (!valueColumn) {
+      missingColumns.push('Value');
+    }
 
     if (missingColumns.length > 0) {
       throw new Error(`Missing required columns: ${missingColumns.join(', ')}`);
     }
+
+    return valueColumn;
   }
 
   /**
-   * Clean and normalize data
+   * Clean and normalize data; the value column becomes `Value` in USD Million
    */
-  cleanData(data) {
+  cleanData(data, valueColumn, valueUnit, onProgress = null) {
     return data.map((row, index) => {
+      if (onProgress && index % PROGRESS_INTERVAL === 0) onProgress(index);
+
       const cleanedRow = {};
       
       Object.keys(row).forEach(key => {
-        const cleanKey = key.trim();
+        const cleanKey = key === valueColumn ? 'Value' : key.trim();
         let value = row[key];
         
         // Handle different data types
-        if (this.validationRules.dataTypes[cleanKey] === 'number') {
+        if (key === valueColumn) {
+          value = toInternalValue(this.parseNumber(value), valueUnit);
+        } else if (this.validationRules.dataTypes[cleanKey] === 'number') {
           value = this.parseNumber(value);
         } else if (typeof value === 'string') {
           value = value.trim();
@@ -121,18 +171,32 @@ export class DataTransformer {
            row['Segment Type'] && 
            row['Segment Name'] && 
            row.Year && 
-           typeof row['Value (USD Thousand)'] === 'number';
+           typeof row.Value === 'number';
   }
 
   /**
-   * Validate data quality
+   * Validate data quality in a single pass. Rows are indexed once by their
+   * canonical Region/Segment Type/Segment Name/Year key, so duplicates are
+   * reported per group rather than per row.
+   * Issues give the line of the source file they were read from (the
+   * header is line 1) as `row`, or `rows` for a duplicate group.
+   * @param {Array} data - Cleaned rows
+   * @param {Function} onProgress - Optional callback with the rows checked so far
+   * @param {Array<Object>} sourceRows - Positions of unpivoted rows, null for long files
+   * @returns {Object} { totalRows, validRows, errors, warnings, duplicates, quality }
    */
-  validateDataQuality(data) {
+  validateDataQuality(data, onProgress = null, sourceRows = null) {
     const results = {
       totalRows: data.length,
       validRows: 0,
       errors: [],
       warnings: [],
+      duplicates: {
+        groups: 0,
+        exactGroups: 0,
+        conflictingGroups: 0,
+        rows: 0
+      },
       quality: {
         completeness: 0,
         consistency: 0,
@@ -140,17 +204,26 @@ export class DataTransformer {
       }
     };
 
+    const ranges = Object.entries(this.validationRules.valueRanges);
+    const sourceLine = (index) => {
+      const position = data[index]._originalIndex ?? index;
+      return (sourceRows?.[position]?.row ?? position + 1) + 1;
+    };
+    const rowsByKey = new Map();
+    // Names repeat across years, so resolve each raw combination only once
+    const canonicalNames = new Map();
+
     data.forEach((row, index) => {
+      if (onProgress && index % PROGRESS_INTERVAL === 0) onProgress(index);
       let isValid = true;
       
       // Check value ranges
-      Object.keys(this.validationRules.valueRanges).forEach(column => {
+      ranges.forEach(([column, range]) => {
         const value = row[column];
-        const range = this.validationRules.valueRanges[column];
         
         if (value < range.min || value > range.max) {
           results.errors.push({
-            row: index,
+            row: sourceLine(index),
             column,
             value,
             message: `Value ${value} is outside expected range [${range.min}, ${range.max}]`
@@ -159,28 +232,53 @@ export class DataTransformer {
         }
       });
 
-      // Check for duplicate entries
-      const duplicates = data.filter((otherRow, otherIndex) => 
-        otherIndex !== index &&
-        otherRow.Region === row.Region &&
-        otherRow['Segment Type'] === row['Segment Type'] &&
-        otherRow['Segment Name'] === row['Segment Name'] &&
-        otherRow.Year === row.Year
-      );
-
-      if (duplicates.length > 0) {
-        results.warnings.push({
-          row: index,
-          message: `Potential duplicate entry for ${row.Region} - ${row['Segment Name']} (${row.Year})`
-        });
+      // Index by canonical composite key
+      const rawNames = `${row.Region}\u0000${row['Segment Type']}\u0000${row['Segment Name']}`;
+      let names = canonicalNames.get(rawNames);
+      if (!names) {
+        const { region, segmentType, segmentName } = taxonomyService.resolveRow(row);
+        names = { region, segmentType, segmentName, key: `${region}\u0000${segmentType}\u0000${segmentName}` };
+        canonicalNames.set(rawNames, names);
+      }
+      const key = `${names.key}\u0000${row.Year}`;
+      const group = rowsByKey.get(key);
+      if (group) {
+        group.indices.push(index);
+      } else {
+        rowsByKey.set(key, { names, year: row.Year, indices: [index] });
       }
 
       if (isValid) results.validRows++;
     });
 
+    // Report each duplicate group once, separating exact repeats from conflicting values
+    rowsByKey.forEach(({ names, year, indices }) => {
+      if (indices.length < 2) return;
+
+      const { region, segmentType, segmentName } = names;
+      const values = [...new Set(indices.map(index => data[index].Value))];
+      const conflicting = values.length > 1;
+
+      results.duplicates.groups++;
+      results.duplicates.rows += indices.length;
+      results.duplicates[conflicting ? 'conflictingGroups' : 'exactGroups']++;
+
+      results.warnings.push({
+        row: sourceLine(indices[0]),
+        rows: indices.map(sourceLine),
+        type: conflicting ? 'conflicting-duplicate' : 'duplicate',
+        key: { region, segmentType, segmentName, year },
+        values,
+        message: conflicting
+          ? `${indices.length} rows for ${region} - ${segmentType} - ${segmentName} (${year}) have different values`
+          : `${indices.length} identical rows for ${region} - ${segmentType} - ${segmentName} (${year})`
+      });
+    });
+
     // Calculate quality metrics
+    const extraDuplicateRows = results.duplicates.rows - results.duplicates.groups;
     results.quality.completeness = (results.validRows / results.totalRows) * 100;
-    results.quality.consistency = Math.max(0, 100 - (results.warnings.length / results.totalRows) * 100);
+    results.quality.consistency = Math.max(0, 100 - (extraDuplicateRows / results.totalRows) * 100);
     results.quality.accuracy = Math.max(0, 100 - (results.errors.length / results.totalRows) * 100);
 
     return results;
@@ -189,18 +287,19 @@ export class DataTransformer {
   /**
    * Transform cleaned data to market data structure
    */
-  transformToMarketData(data) {
-    const grouped = this.groupDataByHierarchy(data);
-    const marketTotals = this.calculateMarketTotals(grouped);
+  transformToMarketData(data, dataset = {}, valueUnit, sourceRows = null) {
+    const grouped = this.groupDataByHierarchy(data, sourceRows);
+    const yearWindow = resolveYearWindow(getAvailableYears(grouped), dataset);
+    const marketTotals = this.calculateMarketTotals(grouped, yearWindow);
     
     return {
-      overview: this.generateOverview(marketTotals),
+      overview: this.generateOverview(marketTotals, dataset, valueUnit),
       regions: this.transformRegions(grouped, marketTotals),
       productTypes: this.transformProductTypes(grouped, marketTotals),
       ingredients: this.transformIngredients(grouped, marketTotals),
       gender: this.transformGender(grouped, marketTotals),
       endUsers: this.transformEndUsers(grouped, marketTotals),
-      countries: this.transformCountries(grouped),
+      countries: this.transformCountries(grouped, marketTotals),
       timeSeries: this.generateTimeSeriesData(grouped),
       marketPlayers: this.getStaticMarketPlayers(),
       trends: this.getStaticMarketTrends()
@@ -208,17 +307,24 @@ export class DataTransformer {
   }
 
   /**
-   * Group data by hierarchical structure
+   * Group data by hierarchical structure; each point records the source
+   * row it was read from
    */
-  groupDataByHierarchy(data) {
+  groupDataByHierarchy(data, sourceRows = null) {
     const grouped = {};
     
-    data.forEach(row => {
+    data.forEach((row, index) => {
       const region = this.normalizeRegionName(row.Region);
       const segmentType = this.normalizeSegmentType(row['Segment Type']);
-      const segmentName = this.normalizeSegmentName(row['Segment Name']);
+      const segmentName = this.normalizeSegmentName(row['Segment Name'], segmentType);
       const year = parseInt(row.Year);
-      const value = parseFloat(row['Value (USD Thousand)']) / 1000; // Convert to millions
+      const value = row.Value;
+      const provenance = createPointProvenance(
+        row._originalIndex ?? index,
+        sourceRows,
+        { region: row.Region, segmentType: row['Segment Type'], segmentName: row['Segment Name'] },
+        { region, segmentType, segmentName }
+      );
       
       // Initialize nested structure
       if (!grouped[region]) grouped[region] = {};
@@ -227,7 +333,7 @@ export class DataTransformer {
         grouped[region][segmentType][segmentName] = [];
       }
       
-      grouped[region][segmentType][segmentName].push({ year, value });
+      grouped[region][segmentType][segmentName].push({ year, value, provenance });
     });
     
     // Sort time series by year
@@ -243,113 +349,74 @@ export class DataTransformer {
   }
 
   /**
-   * Normalize region names for consistency
+   * Normalize region names to the canonical taxonomy
    */
   normalizeRegionName(region) {
-    const regionMap = {
-      'North America': 'North America',
-      'NA': 'North America',
-      'Europe': 'Europe',
-      'EU': 'Europe',
-      'Asia Pacific': 'Asia Pacific',
-      'APAC': 'Asia Pacific',
-      'Asia-Pacific': 'Asia Pacific',
-      'Latin America': 'Latin America',
-      'LATAM': 'Latin America',
-      'South America': 'Latin America',
-      'Middle East & Africa': 'Middle East & Africa',
-      'MEA': 'Middle East & Africa',
-      'MENA': 'Middle East & Africa',
-      'Global': 'Global'
-    };
-    
-    return regionMap[region] || region;
+    return taxonomyService.resolveRegion(region);
   }
 
   /**
-   * Normalize segment type names
+   * Normalize segment type names to the canonical taxonomy
    */
   normalizeSegmentType(segmentType) {
-    const typeMap = {
-      'Type': 'Type',
-      'Product Type': 'Type',
-      'Ingredient': 'Ingredient',
-      'Active Ingredient': 'Ingredient',
-      'Gender': 'Gender',
-      'Demographics': 'Gender',
-      'End User': 'End User',
-      'Channel': 'End User',
-      'Country': 'Country'
-    };
-    
-    return typeMap[segmentType] || segmentType;
+    return taxonomyService.resolveSegmentType(segmentType);
   }
 
   /**
-   * Normalize segment names
+   * Normalize segment and country names to the canonical taxonomy
    */
-  normalizeSegmentName(segmentName) {
-    // Handle common variations and abbreviations
-    const nameMap = {
-      'HA': 'Hyaluronic Acid (HA)',
-      'Hyaluronic acid': 'Hyaluronic Acid (HA)',
-      'PDRN': 'Polydeoxyribonucleotides (PDRN)',
-      'PCL': 'Polycaprolactone (PCL)',
-      'PLLA': 'Poly-L-Lactic Acid (PLLA)',
-      'US': 'United States',
-      'USA': 'United States',
-      'UK': 'United Kingdom'
-    };
-    
-    return nameMap[segmentName] || segmentName;
+  normalizeSegmentName(segmentName, segmentType) {
+    return taxonomyService.resolveSegmentName(segmentType, segmentName);
   }
 
   /**
    * Calculate market totals and key metrics
    */
-  calculateMarketTotals(grouped) {
+  calculateMarketTotals(grouped, yearWindow) {
+    const { baseYear, forecastYear, period } = yearWindow;
     const totals = {
-      global: { marketSize2024: 0, marketSize2032: 0 },
-      regional: {}
+      global: { marketSizeBase: 0, marketSizeForecast: 0 },
+      regional: {},
+      yearWindow
     };
     
     // Calculate global totals from product types
     if (grouped.Global && grouped.Global.Type) {
       Object.keys(grouped.Global.Type).forEach(productType => {
         const timeSeries = grouped.Global.Type[productType];
-        const value2024 = timeSeries.find(d => d.year === 2024)?.value || 0;
-        const value2032 = timeSeries.find(d => d.year === 2032)?.value || 0;
+        const valueBase = timeSeries.find(d => d.year === baseYear)?.value || 0;
+        const valueForecast = timeSeries.find(d => d.year === forecastYear)?.value || 0;
         
-        totals.global.marketSize2024 += value2024;
-        totals.global.marketSize2032 += value2032;
+        totals.global.marketSizeBase += valueBase;
+        totals.global.marketSizeForecast += valueForecast;
       });
     }
     
     totals.global.cagr = this.calculateCAGR(
-      totals.global.marketSize2024, 
-      totals.global.marketSize2032, 
-      8
+      totals.global.marketSizeBase, 
+      totals.global.marketSizeForecast, 
+      period
     );
     
     // Calculate regional totals
     Object.keys(grouped).forEach(region => {
       if (region === 'Global') return;
       
-      let regionTotal2024 = 0;
-      let regionTotal2032 = 0;
+      let regionTotalBase = 0;
+      let regionTotalForecast = 0;
       
       if (grouped[region].Type) {
         Object.keys(grouped[region].Type).forEach(productType => {
           const timeSeries = grouped[region].Type[productType];
-          regionTotal2024 += timeSeries.find(d => d.year === 2024)?.value || 0;
-          regionTotal2032 += timeSeries.find(d => d.year === 2032)?.value || 0;
+          regionTotalBase += timeSeries.find(d => d.year === baseYear)?.value || 0;
+          regionTotalForecast += timeSeries.find(d => d.year === forecastYear)?.value || 0;
         });
       }
       
       totals.regional[region] = {
-        marketSize2024: regionTotal2024,
-        marketSize2032: regionTotal2032,
-        cagr: this.calculateCAGR(regionTotal2024, regionTotal2032, 8)
+        marketSizeBase: regionTotalBase,
+        marketSizeForecast: regionTotalForecast,
+        cagr: this.calculateCAGR(regionTotalBase, regionTotalForecast, period)
       };
     });
     
@@ -374,25 +441,22 @@ export class DataTransformer {
   /**
    * Generate overview data
    */
-  generateOverview(totals) {
+  generateOverview(totals, dataset = {}, valueUnit) {
+    const { baseYear, forecastYear, availableYears } = totals.yearWindow;
+
     return {
-      marketName: "Global Skin Boosters Market",
-      baseYear: 2024,
-      forecastYear: 2032,
+      marketName: dataset.marketName || 'Uploaded Market Data',
+      baseYear,
+      forecastYear,
+      availableYears,
       cagr: totals.global.cagr,
-      marketSizeBase: totals.global.marketSize2024,
-      marketSizeForecast: totals.global.marketSize2032,
-      keyDrivers: [
-        "Rising awareness about aesthetic treatments",
-        "Increasing disposable income in emerging markets",
-        "Growing aging population globally",
-        "Technological advancements in minimally invasive procedures"
-      ],
-      keyRestraints: [
-        "High cost of treatments",
-        "Risk of side effects and complications",
-        "Lack of skilled professionals in developing regions"
-      ]
+      marketSizeBase: totals.global.marketSizeBase,
+      marketSizeForecast: totals.global.marketSizeForecast,
+      currency: valueUnit.currency,
+      units: valueUnit.unit,
+      measure: valueUnit.currency ? 'value' : 'volume',
+      keyDrivers: dataset.keyDrivers || [],
+      keyRestraints: dataset.keyRestraints || []
     };
   }
 
@@ -407,13 +471,13 @@ export class DataTransformer {
       
       regions.push({
         name: regionName,
-        marketShare2024: this.calculateMarketShare(
-          regionTotals.marketSize2024, 
-          totals.global.marketSize2024
+        marketShareBase: this.calculateMarketShare(
+          regionTotals.marketSizeBase, 
+          totals.global.marketSizeBase
         ),
-        marketShare2032: this.calculateMarketShare(
-          regionTotals.marketSize2032, 
-          totals.global.marketSize2032
+        marketShareForecast: this.calculateMarketShare(
+          regionTotals.marketSizeForecast, 
+          totals.global.marketSizeForecast
         ),
         cagr: regionTotals.cagr,
         keyMarkets: this.extractCountries(grouped[regionName]),
@@ -421,7 +485,7 @@ export class DataTransformer {
       });
     });
     
-    return regions.sort((a, b) => b.marketShare2032 - a.marketShare2032);
+    return regions.sort((a, b) => b.marketShareForecast - a.marketShareForecast);
   }
 
   /**
@@ -429,25 +493,26 @@ export class DataTransformer {
    */
   transformProductTypes(grouped, totals) {
     const productTypes = [];
+    const { baseYear, forecastYear, period } = totals.yearWindow;
     
     if (grouped.Global && grouped.Global.Type) {
       Object.keys(grouped.Global.Type).forEach(typeName => {
         const timeSeries = grouped.Global.Type[typeName];
-        const value2024 = timeSeries.find(d => d.year === 2024)?.value || 0;
-        const value2032 = timeSeries.find(d => d.year === 2032)?.value || 0;
+        const valueBase = timeSeries.find(d => d.year === baseYear)?.value || 0;
+        const valueForecast = timeSeries.find(d => d.year === forecastYear)?.value || 0;
         
         productTypes.push({
           name: typeName,
-          marketShare2024: this.calculateMarketShare(value2024, totals.global.marketSize2024),
-          marketShare2032: this.calculateMarketShare(value2032, totals.global.marketSize2032),
-          cagr: this.calculateCAGR(value2024, value2032, 8),
+          marketShareBase: this.calculateMarketShare(valueBase, totals.global.marketSizeBase),
+          marketShareForecast: this.calculateMarketShare(valueForecast, totals.global.marketSizeForecast),
+          cagr: this.calculateCAGR(valueBase, valueForecast, period),
           description: this.getProductDescription(typeName),
           applications: this.getProductApplications(typeName)
         });
       });
     }
     
-    return productTypes.sort((a, b) => b.marketShare2032 - a.marketShare2032);
+    return productTypes.sort((a, b) => b.marketShareForecast - a.marketShareForecast);
   }
 
   /**
@@ -455,24 +520,25 @@ export class DataTransformer {
    */
   transformIngredients(grouped, totals) {
     const ingredients = [];
+    const { baseYear, forecastYear, period } = totals.yearWindow;
     
     if (grouped.Global && grouped.Global.Ingredient) {
       Object.keys(grouped.Global.Ingredient).forEach(ingredientName => {
         const timeSeries = grouped.Global.Ingredient[ingredientName];
-        const value2024 = timeSeries.find(d => d.year === 2024)?.value || 0;
-        const value2032 = timeSeries.find(d => d.year === 2032)?.value || 0;
+        const valueBase = timeSeries.find(d => d.year === baseYear)?.value || 0;
+        const valueForecast = timeSeries.find(d => d.year === forecastYear)?.value || 0;
         
         ingredients.push({
           name: ingredientName,
-          marketShare2024: this.calculateMarketShare(value2024, totals.global.marketSize2024),
-          marketShare2032: this.calculateMarketShare(value2032, totals.global.marketSize2032),
-          cagr: this.calculateCAGR(value2024, value2032, 8),
+          marketShareBase: this.calculateMarketShare(valueBase, totals.global.marketSizeBase),
+          marketShareForecast: this.calculateMarketShare(valueForecast, totals.global.marketSizeForecast),
+          cagr: this.calculateCAGR(valueBase, valueForecast, period),
           benefits: this.getIngredientBenefits(ingredientName)
         });
       });
     }
     
-    return ingredients.sort((a, b) => b.marketShare2032 - a.marketShare2032);
+    return ingredients.sort((a, b) => b.marketShareForecast - a.marketShareForecast);
   }
 
   /**
@@ -480,18 +546,19 @@ export class DataTransformer {
    */
   transformGender(grouped, totals) {
     const genderSegments = [];
+    const { baseYear, forecastYear, period } = totals.yearWindow;
     
     if (grouped.Global && grouped.Global.Gender) {
       Object.keys(grouped.Global.Gender).forEach(genderName => {
         const timeSeries = grouped.Global.Gender[genderName];
-        const value2024 = timeSeries.find(d => d.year === 2024)?.value || 0;
-        const value2032 = timeSeries.find(d => d.year === 2032)?.value || 0;
+        const valueBase = timeSeries.find(d => d.year === baseYear)?.value || 0;
+        const valueForecast = timeSeries.find(d => d.year === forecastYear)?.value || 0;
         
         genderSegments.push({
           name: genderName,
-          marketShare2024: this.calculateMarketShare(value2024, totals.global.marketSize2024),
-          marketShare2032: this.calculateMarketShare(value2032, totals.global.marketSize2032),
-          cagr: this.calculateCAGR(value2024, value2032, 8),
+          marketShareBase: this.calculateMarketShare(valueBase, totals.global.marketSizeBase),
+          marketShareForecast: this.calculateMarketShare(valueForecast, totals.global.marketSizeForecast),
+          cagr: this.calculateCAGR(valueBase, valueForecast, period),
           ageGroups: this.getAgeGroups(genderName)
         });
       });
@@ -505,22 +572,23 @@ export class DataTransformer {
    */
   transformEndUsers(grouped, totals) {
     const endUsers = [];
+    const { baseYear, forecastYear, period } = totals.yearWindow;
     
     // Look for end user data in any region
     Object.keys(grouped).forEach(regionName => {
       if (grouped[regionName]['End User']) {
         Object.keys(grouped[regionName]['End User']).forEach(endUserName => {
           const timeSeries = grouped[regionName]['End User'][endUserName];
-          const value2024 = timeSeries.find(d => d.year === 2024)?.value || 0;
-          const value2032 = timeSeries.find(d => d.year === 2032)?.value || 0;
+          const valueBase = timeSeries.find(d => d.year === baseYear)?.value || 0;
+          const valueForecast = timeSeries.find(d => d.year === forecastYear)?.value || 0;
           
           // Avoid duplicates
           if (!endUsers.find(eu => eu.name === endUserName)) {
             endUsers.push({
               name: endUserName,
-              marketShare2024: this.calculateMarketShare(value2024, totals.global.marketSize2024),
-              marketShare2032: this.calculateMarketShare(value2032, totals.global.marketSize2032),
-              cagr: this.calculateCAGR(value2024, value2032, 8),
+              marketShareBase: this.calculateMarketShare(valueBase, totals.global.marketSizeBase),
+              marketShareForecast: this.calculateMarketShare(valueForecast, totals.global.marketSizeForecast),
+              cagr: this.calculateCAGR(valueBase, valueForecast, period),
               characteristics: this.getEndUserCharacteristics(endUserName)
             });
           }
@@ -534,23 +602,22 @@ export class DataTransformer {
   /**
    * Transform country data
    */
-  transformCountries(grouped) {
+  transformCountries(grouped, totals) {
     const countries = {};
+    const { baseYear, forecastYear, period } = totals.yearWindow;
     
     Object.keys(grouped).forEach(regionName => {
       if (grouped[regionName].Country) {
         Object.keys(grouped[regionName].Country).forEach(countryName => {
           const timeSeries = grouped[regionName].Country[countryName];
-          const value2024 = timeSeries.find(d => d.year === 2024)?.value || 0;
-          const value2032 = timeSeries.find(d => d.year === 2032)?.value || 0;
+          const valueBase = timeSeries.find(d => d.year === baseYear)?.value || 0;
+          const valueForecast = timeSeries.find(d => d.year === forecastYear)?.value || 0;
           
           countries[countryName] = {
-            marketSize2024: value2024,
-            marketSize2032: value2032,
-            cagr: this.calculateCAGR(value2024, value2032, 8),
-            population: this.getCountryPopulation(countryName),
-            penetrationRate: this.getCountryPenetration(countryName),
-            averageSpending: this.getCountrySpending(countryName)
+            marketSizeBase: valueBase,
+            marketSizeForecast: valueForecast,
+            cagr: this.calculateCAGR(valueBase, valueForecast, period),
+            ...taxonomyService.getCountryProfile(countryName)
           };
         });
       }
@@ -569,7 +636,7 @@ export class DataTransformer {
   /**
    * Generate processing metadata
    */
-  generateMetadata(data, validationResults) {
+  generateMetadata(data, validationResults, valueUnit) {
     const regions = [...new Set(data.map(row => row.Region))];
     const segmentTypes = [...new Set(data.map(row => row['Segment Type']))];
     const years = [...new Set(data.map(row => row.Year))].sort();
@@ -578,6 +645,7 @@ export class DataTransformer {
       totalRecords: data.length,
       validRecords: validationResults.validRows,
       dataQuality: validationResults.quality,
+      valueUnit,
       coverage: {
         regions: regions.length,
         segmentTypes: segmentTypes.length,
@@ -659,36 +727,6 @@ export class DataTransformer {
     return characteristics[endUserName] || ['Professional service', 'Quality treatment'];
   }
 
-  getCountryPopulation(countryName) {
-    const populations = {
-      'United States': 331.9,
-      'US': 331.9,
-      'Canada': 38.2,
-      'Mexico': 128.9
-    };
-    return populations[countryName] || 50.0;
-  }
-
-  getCountryPenetration(countryName) {
-    const penetrations = {
-      'United States': 2.8,
-      'US': 2.8,
-      'Canada': 3.2,
-      'Mexico': 1.1
-    };
-    return penetrations[countryName] || 2.0;
-  }
-
-  getCountrySpending(countryName) {
-    const spending = {
-      'United States': 890,
-      'US': 890,
-      'Canada': 1150,
-      'Mexico': 650
-    };
-    return spending[countryName] || 750;
-  }
-
   getStaticMarketPlayers() {
     return [
       {
@@ -0,0 +1,191 @@
+// src/utils/datasetDiff.js
+// Cell-level comparison of two datasets aligned on
+// Region / Segment Type / Segment Name / Year, plus the roll-up impact
+// on the overview market size and CAGR.
+
+import { taxonomyService } from '@/services/taxonomyService';
+import { findValueColumn, toInternalValue } from '@/utils/valueUnits';
+
+// Absolute differences below this (USD Million) are treated as unchanged
+const DEFAULT_TOLERANCE = 1e-9;
+
+export const CHANGE_TYPES = {
+  added: 'Added',
+  removed: 'Removed',
+  changed: 'Changed'
+};
+
+const OVERVIEW_FIELDS = [
+  { field: 'marketSizeBase', label: 'Base market size', kind: 'value' },
+  { field: 'marketSizeForecast', label: 'Forecast market size', kind: 'value' },
+  { field: 'cagr', label: 'CAGR', kind: 'percentage' }
+];
+
+const cellKey = (region, segmentType, segmentName, year) => `${region}|${segmentType}|${segmentName}|${year}`;
+
+const percentDelta = (base, compare) => {
+  if (base === null || compare === null || base === 0) return null;
+  return ((compare - base) / Math.abs(base)) * 100;
+};
+
+/**
+ * Cells of processed market data, keyed by Region/Segment Type/Segment Name/Year
+ * @param {Object} data - Processed market data with timeSeries
+ * @returns {Map} key -> { region, segmentType, segmentName, year, value }
+ */
+export const cellsFromMarketData = (data) => {
+  const cells = new Map();
+
+  Object.entries(data?.timeSeries || {}).forEach(([region, segmentTypes]) => {
+    Object.entries(segmentTypes).forEach(([segmentType, segments]) => {
+      Object.entries(segments).forEach(([segmentName, series]) => {
+        series.forEach(({ year, value }) => {
+          cells.set(cellKey(region, segmentType, segmentName, year), { region, segmentType, segmentName, year, value });
+        });
+      });
+    });
+  });
+
+  return cells;
+};
+
+/**
+ * Cells of raw long-format rows (e.g. `csvDataService.csvData`), with names
+ * resolved through the taxonomy and values normalized to USD Million
+ * @param {Array<Object>} rows - Long-format CSV rows
+ * @param {Object} valueUnit - Source { currency, unit } of the value column
+ * @returns {Map} key -> { region, segmentType, segmentName, year, value }
+ */
+export const cellsFromRows = (rows = [], valueUnit) => {
+  const cells = new Map();
+  const valueColumn = findValueColumn(Object.keys(rows[0] || {}));
+
+  rows.forEach(row => {
+    const { region, segmentType, segmentName } = taxonomyService.resolveRow(row);
+    const year = Number(row.Year);
+    if (!region || !segmentType || !segmentName || !Number.isFinite(year)) return;
+
+    cells.set(cellKey(region, segmentType, segmentName, year), {
+      region,
+      segmentType,
+      segmentName,
+      year,
+      value: toInternalValue(row[valueColumn], valueUnit)
+    });
+  });
+
+  return cells;
+};
+
+/**
+ * List added, removed and changed cells between two cell maps
+ * @param {Map} baseCells - Cells of the earlier dataset
+ * @param {Map} compareCells - Cells of the revised dataset
+ * @param {Object} options - { tolerance } absolute difference treated as unchanged
+ * @returns {Object} { changes, summary } with changes sorted by absolute delta
+ */
+export const diffCells = (baseCells, compareCells, options = {}) => {
+  const { tolerance = DEFAULT_TOLERANCE } = options;
+  const changes = [];
+  let unchanged = 0;
+
+  compareCells.forEach(({ value, ...location }, key) => {
+    const baseCell = baseCells.get(key);
+    const base = baseCell ? baseCell.value : null;
+    const delta = value - (base ?? 0);
+
+    if (baseCell && Math.abs(delta) <= tolerance) {
+      unchanged++;
+      return;
+    }
+
+    changes.push({
+      ...location,
+      type: baseCell ? 'changed' : 'added',
+      base,
+      compare: value,
+      delta,
+      percentDelta: percentDelta(base, value)
+    });
+  });
+
+  baseCells.forEach(({ value, ...location }, key) => {
+    if (compareCells.has(key)) return;
+
+    changes.push({
+      ...location,
+      type: 'removed',
+      base: value,
+      compare: null,
+      delta: -value,
+      percentDelta: null
+    });
+  });
+
+  changes.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+
+  const count = (type) => changes.filter(change => change.type === type).length;
+
+  return {
+    changes,
+    summary: {
+      added: count('added'),
+      removed: count('removed'),
+      changed: count('changed'),
+      unchanged,
+      compared: new Set([...baseCells.keys(), ...compareCells.keys()]).size,
+      identical: changes.length === 0
+    }
+  };
+};
+
+/**
+ * Roll-up impact on the overview market size and CAGR
+ * @param {Object} baseOverview - Overview of the earlier dataset
+ * @param {Object} compareOverview - Overview of the revised dataset
+ * @returns {Array<Object>} [{ field, label, kind, base, compare, delta, percentDelta }]
+ */
+export const diffOverview = (baseOverview = {}, compareOverview = {}) => {
+  return OVERVIEW_FIELDS.map(({ field, label, kind }) => {
+    const base = baseOverview[field] ?? null;
+    const compare = compareOverview[field] ?? null;
+
+    return {
+      field,
+      label,
+      kind,
+      base,
+      compare,
+      delta: base !== null && compare !== null ? compare - base : null,
+      // CAGR deltas are reported in percentage points only
+      percentDelta: kind === 'value' ? percentDelta(base, compare) : null
+    };
+  });
+};
+
+/**
+ * Compare two raw row sets, e.g. the active `csvDataService.csvData`
+ * against a revised file
+ * @param {Array<Object>} baseRows - Rows of the earlier dataset
+ * @param {Array<Object>} compareRows - Rows of the revised dataset
+ * @param {Object} options - { baseUnit, compareUnit, tolerance }
+ * @returns {Object} { changes, summary }
+ */
+export const diffRows = (baseRows, compareRows, options = {}) => {
+  const { baseUnit, compareUnit, ...diffOptions } = options;
+  return diffCells(cellsFromRows(baseRows, baseUnit), cellsFromRows(compareRows, compareUnit), diffOptions);
+};
+
+/**
+ * Compare two processed datasets, cell by cell and on the overview
+ * @param {Object} baseData - Processed market data of the earlier dataset
+ * @param {Object} compareData - Processed market data of the revised dataset
+ * @param {Object} options - { tolerance }
+ * @returns {Object} { changes, summary, overview }
+ */
+export const diffMarketData = (baseData, compareData, options = {}) => {
+  return {
+    ...diffCells(cellsFromMarketData(baseData), cellsFromMarketData(compareData), options),
+    overview: diffOverview(baseData?.overview, compareData?.overview)
+  };
+};
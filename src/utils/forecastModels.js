@@ -0,0 +1,376 @@
+// src/utils/forecastModels.js
+// Statistical trend models fitted to the years of a market series:
+// linear, exponential, logistic (S-curve) and Holt's damped trend.
+// Each fit exposes predict(year), which returns the fitted value inside
+// the fit window and the projection after it.
+
+import { getValueForYear } from '@/utils/yearWindow';
+
+export const FORECAST_MODELS = {
+  linear: {
+    label: 'Linear',
+    parameters: 2,
+    description: 'The same absolute increase every year'
+  },
+  exponential: {
+    label: 'Exponential',
+    parameters: 2,
+    description: 'The same percentage growth every year'
+  },
+  logistic: {
+    label: 'Logistic (S-curve)',
+    parameters: 3,
+    description: 'Growth that slows down towards a saturation level'
+  },
+  holt: {
+    label: "Holt's damped trend",
+    parameters: 3,
+    description: 'Exponential smoothing with a trend that fades out'
+  }
+};
+
+// Fewest years a model is fitted to; the logistic curve has three parameters
+export const MIN_FIT_POINTS = 4;
+
+const SEGMENT_SERIES_TYPES = ['Type', 'Ingredient', 'Gender', 'End User'];
+
+// Saturation levels tried for the logistic curve, as multiples of the largest value
+const LOGISTIC_CAPACITY_RANGE = [1.01, 20];
+const LOGISTIC_CAPACITY_STEPS = 80;
+
+const HOLT_GRID = {
+  alpha: [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1],
+  beta: [0.05, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1],
+  phi: [0.8, 0.84, 0.88, 0.9, 0.92, 0.94, 0.96, 0.98]
+};
+
+/**
+ * Market series that can be modelled: the total market, each region and
+ * each segment. Totals are the sum of product types, like the market
+ * sizes on the dashboards; without a Global breakdown the market and its
+ * segments are the sum of the regions.
+ * @param {Object} data - Processed market data
+ * @returns {Array<Object>} [{ key, label, group, points: [{ year, value }] }]
+ */
+export const getForecastSeries = (data) => {
+  const timeSeries = data?.timeSeries || {};
+  const years = data?.overview?.availableYears || [];
+  const regions = Object.keys(timeSeries).filter(region => region !== 'Global');
+
+  const sumSeries = (seriesList) => years.map(year => ({
+    year,
+    value: seriesList.reduce((sum, series) => sum + getValueForYear(series, year), 0)
+  }));
+  const typeSeries = (region) => Object.values(timeSeries[region]?.Type || {});
+
+  const series = [];
+  const marketTypes = timeSeries.Global?.Type ? typeSeries('Global') : regions.flatMap(typeSeries);
+  if (marketTypes.length > 0) {
+    series.push({ key: 'market', label: 'Total market', group: 'Market', points: sumSeries(marketTypes) });
+  }
+
+  regions
+    .filter(region => timeSeries[region].Type)
+    .forEach(region => {
+      series.push({ key: `region:${region}`, label: region, group: 'Regions', points: sumSeries(typeSeries(region)) });
+    });
+
+  SEGMENT_SERIES_TYPES.forEach(segmentType => {
+    const segments = timeSeries.Global?.[segmentType]
+      ? Object.entries(timeSeries.Global[segmentType]).map(([segment, points]) => [segment, [points]])
+      : [...new Set(regions.flatMap(region => Object.keys(timeSeries[region][segmentType] || {})))]
+        .map(segment => [segment, regions.map(region => timeSeries[region][segmentType]?.[segment]).filter(Boolean)]);
+
+    segments.forEach(([segment, seriesList]) => {
+      series.push({
+        key: `segment:${segmentType}:${segment}`,
+        label: segment,
+        group: segmentType,
+        points: sumSeries(seriesList)
+      });
+    });
+  });
+
+  return series;
+};
+
+/**
+ * Ordinary least squares line through (x, y)
+ * @returns {Object} { intercept, slope }
+ */
+const leastSquares = (xs, ys) => {
+  const n = xs.length;
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+  let covariance = 0;
+  let variance = 0;
+
+  xs.forEach((x, i) => {
+    covariance += (x - meanX) * (ys[i] - meanY);
+    variance += (x - meanX) ** 2;
+  });
+
+  const slope = variance > 0 ? covariance / variance : 0;
+  return { intercept: meanY - slope * meanX, slope };
+};
+
+const sumSquaredErrors = (points, predict) => {
+  return points.reduce((sum, { year, value }) => sum + (value - predict(year)) ** 2, 0);
+};
+
+const fitLinear = (points, origin) => {
+  const { intercept, slope } = leastSquares(points.map(p => p.year - origin), points.map(p => p.value));
+
+  return {
+    params: { intercept, slope },
+    predict: (year) => intercept + slope * (year - origin)
+  };
+};
+
+// Fitted on the log scale, so every value must be positive
+const fitExponential = (points, origin) => {
+  if (points.some(p => p.value <= 0)) return null;
+
+  const { intercept, slope } = leastSquares(points.map(p => p.year - origin), points.map(p => Math.log(p.value)));
+  const start = Math.exp(intercept);
+
+  return {
+    params: { start, growthRate: Math.exp(slope) - 1 },
+    predict: (year) => start * Math.exp(slope * (year - origin))
+  };
+};
+
+/**
+ * K / (1 + e^(-r (t - t0))). For a given saturation level K the curve is a
+ * straight line in ln(K / y - 1), so K is searched on a log grid and r, t0
+ * follow by least squares; the K with the smallest error wins.
+ */
+const fitLogistic = (points, origin) => {
+  if (points.some(p => p.value <= 0)) return null;
+
+  const maxValue = Math.max(...points.map(p => p.value));
+  const [low, high] = LOGISTIC_CAPACITY_RANGE;
+  const xs = points.map(p => p.year - origin);
+  let best = null;
+
+  for (let step = 0; step <= LOGISTIC_CAPACITY_STEPS; step++) {
+    const capacity = maxValue * low * Math.pow(high / low, step / LOGISTIC_CAPACITY_STEPS);
+    const { intercept, slope } = leastSquares(xs, points.map(p => Math.log(capacity / p.value - 1)));
+    const rate = -slope;
+    if (rate <= 0) continue;
+
+    const midpoint = intercept / rate;
+    const predict = (year) => capacity / (1 + Math.exp(-rate * (year - origin - midpoint)));
+    const sse = sumSquaredErrors(points, predict);
+
+    if (!best || sse < best.sse) {
+      best = { sse, params: { capacity, rate, midpointYear: origin + midpoint }, predict };
+    }
+  }
+
+  return best && { params: best.params, predict: best.predict };
+};
+
+/**
+ * Holt's additive damped trend. Smoothing parameters are picked by grid
+ * search on the one-step-ahead errors; the level and trend start from
+ * the first two observed years, and missing years follow the forecast.
+ */
+const fitHolt = (points) => {
+  const observed = new Map(points.map(p => [p.year, p.value]));
+  const firstYear = points[0].year;
+  const lastYear = points[points.length - 1].year;
+
+  // Steps one year at a time, so fitted[i] is the one-step forecast for firstYear + i
+  const run = (alpha, beta, phi) => {
+    let level = points[0].value;
+    let trend = (points[1].value - points[0].value) / (points[1].year - firstYear);
+    const fitted = [level];
+    let sse = 0;
+
+    for (let year = firstYear + 1; year <= lastYear; year++) {
+      const forecast = level + phi * trend;
+      fitted.push(forecast);
+
+      if (observed.has(year)) {
+        const value = observed.get(year);
+        sse += (value - forecast) ** 2;
+
+        const previousLevel = level;
+        level = alpha * value + (1 - alpha) * forecast;
+        trend = beta * (level - previousLevel) + (1 - beta) * phi * trend;
+      } else {
+        // A missing year carries the forecast forward
+        level = forecast;
+        trend = phi * trend;
+      }
+    }
+
+    return { sse, fitted, level, trend };
+  };
+
+  let best = null;
+  HOLT_GRID.alpha.forEach(alpha => HOLT_GRID.beta.forEach(beta => HOLT_GRID.phi.forEach(phi => {
+    const result = run(alpha, beta, phi);
+    if (!best || result.sse < best.sse) best = { ...result, alpha, beta, phi };
+  })));
+
+  const { alpha, beta, phi, fitted, level, trend } = best;
+
+  return {
+    params: { alpha, beta, phi },
+    predict: (year) => {
+      if (year < firstYear) return null;
+      if (year <= lastYear) return fitted[year - firstYear];
+
+      // Damped trend: the h-step forecast adds phi + phi^2 + ... + phi^h trends
+      const horizon = year - lastYear;
+      const damping = phi === 1 ? horizon : (phi * (1 - Math.pow(phi, horizon))) / (1 - phi);
+      return level + damping * trend;
+    }
+  };
+};
+
+const FITTERS = {
+  linear: fitLinear,
+  exponential: fitExponential,
+  logistic: fitLogistic,
+  holt: fitHolt
+};
+
+/**
+ * Goodness of fit of a model on the years it was fitted to
+ * @param {Array<Object>} points - [{ year, value }]
+ * @param {Function} predict - Fitted model
+ * @param {number} parameters - Number of fitted parameters, for the AIC
+ * @returns {Object} { rmse, mape, r2, aic }
+ */
+export const measureFit = (points, predict, parameters) => {
+  const n = points.length;
+  const mean = points.reduce((sum, p) => sum + p.value, 0) / n;
+  const sse = sumSquaredErrors(points, predict);
+  const sst = points.reduce((sum, p) => sum + (p.value - mean) ** 2, 0);
+  const percentErrors = points.filter(p => p.value !== 0).map(p => Math.abs((p.value - predict(p.year)) / p.value));
+
+  return {
+    rmse: Math.sqrt(sse / n),
+    mape: percentErrors.length > 0 ? (percentErrors.reduce((sum, e) => sum + e, 0) / percentErrors.length) * 100 : null,
+    r2: sst > 0 ? 1 - sse / sst : null,
+    // Floor the error so exact fits do not give -Infinity
+    aic: n * Math.log(Math.max(sse / n, 1e-12)) + 2 * parameters
+  };
+};
+
+/**
+ * Fit every model to a series up to a year
+ * @param {Array<Object>} points - [{ year, value }] sorted by year
+ * @param {number} fitThroughYear - Last year the models are fitted to
+ * @param {Array<string>} models - Models to fit, all by default
+ * @returns {Object} { fits, recommended }. fits are [{ model, label, params,
+ *   predict, metrics, holdout }] where holdout is the MAPE against the
+ *   series' later years (null when there are none); recommended is the
+ *   model with the lowest AIC, or null when the window is too short.
+ */
+export const fitForecastModels = (points, fitThroughYear, models = Object.keys(FORECAST_MODELS)) => {
+  const fitPoints = points.filter(p => p.year <= fitThroughYear);
+  const laterPoints = points.filter(p => p.year > fitThroughYear);
+  if (fitPoints.length < MIN_FIT_POINTS) {
+    return { fits: [], recommended: null };
+  }
+
+  const origin = fitPoints[0].year;
+  const fits = Object.entries(FORECAST_MODELS)
+    .filter(([model]) => models.includes(model))
+    .map(([model, { label, parameters }]) => {
+      const fit = FITTERS[model](fitPoints, origin);
+      if (!fit) return null;
+
+      return {
+        model,
+        label,
+        params: fit.params,
+        predict: fit.predict,
+        metrics: measureFit(fitPoints, fit.predict, parameters),
+        holdout: laterPoints.length > 0 ? measureFit(laterPoints, fit.predict, parameters).mape : null
+      };
+    })
+    .filter(Boolean);
+
+  const recommended = fits.reduce((best, fit) => (!best || fit.metrics.aic < best.metrics.aic ? fit : best), null);
+
+  return { fits, recommended: recommended?.model || null };
+};
+
+/**
+ * Years a fit can end on: enough years to fit, and at least one year left to project
+ * @param {Array<number>} years - Sorted available years
+ */
+export const getFitThroughYears = (years = []) => years.slice(MIN_FIT_POINTS - 1, -1);
+
+/**
+ * Default year to fit through: the latest year that has already happened
+ * @param {Array<number>} years - Sorted available years
+ * @param {number} currentYear - Calendar year
+ * @returns {number|null}
+ */
+export const getDefaultFitThroughYear = (years = [], currentYear = new Date().getFullYear()) => {
+  const candidates = getFitThroughYears(years);
+  if (candidates.length === 0) return null;
+
+  const past = candidates.filter(year => year <= currentYear);
+  return past.length > 0 ? past[past.length - 1] : candidates[0];
+};
+
+/**
+ * Series values up to the fit-through year, then the model's projection.
+ * The projection keeps the model's growth from the last actual value, so
+ * it starts where the data ends; growthModifier scales that growth the way
+ * the scenarios scale the CAGR.
+ * @param {Array<Object>} points - Actual [{ year, value }]
+ * @param {Object} fit - Entry of fitForecastModels().fits
+ * @param {number} fitThroughYear - Last actual year used
+ * @param {Array<number>} years - Years to return
+ * @param {number} growthModifier - 1 for the model as fitted
+ * @returns {Array<Object>} [{ year, value, projected }]
+ */
+export const projectSeries = (points, fit, fitThroughYear, years, growthModifier = 1) => {
+  const actual = new Map(points.map(p => [p.year, p.value]));
+  const anchorValue = actual.get(fitThroughYear);
+  const anchorPrediction = fit.predict(fitThroughYear);
+
+  return years.map(year => {
+    if (year <= fitThroughYear) {
+      return { year, value: actual.get(year) ?? 0, projected: false };
+    }
+
+    const ratio = anchorPrediction > 0 ? Math.max(fit.predict(year), 0) / anchorPrediction : 1;
+    return { year, value: anchorValue * Math.pow(ratio, growthModifier), projected: true };
+  });
+};
+
+/**
+ * Baseline for scenarios that projects every series with one model: the
+ * dataset's values up to the fit-through year, the model's afterwards.
+ * Series the model cannot be fitted to keep the dataset's values.
+ * @param {string} model - FORECAST_MODELS key
+ * @param {number} fitThroughYear - Last year fitted
+ * @param {Array<number>} availableYears - Years of the dataset
+ * @returns {Function} (series, years) => values
+ */
+export const createModelBaseline = (model, fitThroughYear, availableYears) => {
+  // Scenarios compared side by side share the baseline, so each series is fitted once
+  const fitted = new WeakMap();
+
+  return (series, years) => {
+    if (!fitted.has(series)) {
+      const points = availableYears.map(year => ({ year, value: getValueForYear(series, year) }));
+      const [fit] = fitForecastModels(points, fitThroughYear, [model]).fits;
+      fitted.set(series, { points, fit });
+    }
+
+    const { points, fit } = fitted.get(series);
+    return fit
+      ? projectSeries(points, fit, fitThroughYear, years).map(point => point.value)
+      : years.map(year => getValueForYear(series, year));
+  };
+};
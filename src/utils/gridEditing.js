@@ -0,0 +1,170 @@
+// src/utils/gridEditing.js
+// Long-format rows of processed market data for the Data Explorer edit
+// grid: cell parsing, spreadsheet paste and the edits recorded on each row.
+// The grid edits processed values (aliases resolved, one row per year,
+// values in the internal unit), not the rows of the original file.
+
+import { querySeries, toLongFormatRows, getValueColumnHeader } from '@/utils/seriesQuery';
+
+export const NAME_COLUMNS = ['Region', 'Segment Type', 'Segment Name'];
+
+/**
+ * Editable long-format rows of processed market data
+ * @param {Object} data - Processed market data with timeSeries
+ * @returns {Object} { columns, valueColumn, rows }; each row has an `id`, the
+ *   long-format columns, and the provenance of the point it was read from
+ */
+export const marketDataToGridRows = (data) => {
+  const valueColumn = getValueColumnHeader(data?.overview);
+  const points = querySeries(data);
+  const provenance = [];
+
+  Object.values(data?.timeSeries || {}).forEach(segmentTypes => {
+    Object.values(segmentTypes).forEach(segments => {
+      Object.values(segments).forEach(series => {
+        series.forEach(point => provenance.push(point.provenance || null));
+      });
+    });
+  });
+
+  const rows = toLongFormatRows(points, data?.overview).map((row, index) => ({
+    id: index,
+    ...row,
+    provenance: provenance[index]
+  }));
+
+  return { columns: [...NAME_COLUMNS, 'Year', valueColumn], valueColumn, rows };
+};
+
+/**
+ * Parse a typed or pasted cell
+ * @param {string} text - Cell text
+ * @param {boolean} numeric - Whether the column holds numbers (Year, value)
+ * @returns {Object} { value } or { error }
+ */
+export const parseCellValue = (text, numeric) => {
+  const trimmed = String(text ?? '').trim();
+  if (!trimmed) {
+    return { error: 'A value is required' };
+  }
+  if (!numeric) {
+    return { value: trimmed };
+  }
+
+  // Spreadsheets copy thousands separators and currency symbols
+  const value = Number(trimmed.replace(/[,$\s]/g, ''));
+  return Number.isFinite(value) ? { value } : { error: `"${trimmed}" is not a number` };
+};
+
+/**
+ * Split text copied from a spreadsheet into rows of cells
+ * @param {string} text - Tab-separated clipboard text
+ * @returns {Array<Array<string>>}
+ */
+export const parseClipboardTable = (text = '') => {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+
+  // Spreadsheets end the copied block with a newline
+  if (lines.length > 1 && lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+
+  return lines.map(line => line.split('\t'));
+};
+
+/**
+ * Cell updates for a block pasted at a cell. Rows follow the order the
+ * grid shows them in; cells past the last row or column are dropped.
+ * @param {Array<Object>} visibleRows - Rows in display order
+ * @param {Array<string>} columns - Grid columns
+ * @param {Object} anchor - { rowIndex, columnIndex } of the top-left cell in visibleRows
+ * @param {Array<Array<string>>} table - Result of parseClipboardTable
+ * @param {Function} isNumeric - Whether a column holds numbers
+ * @returns {Object} { updates: [{ id, column, value }], skipped, invalid }
+ */
+export const pasteIntoRows = (visibleRows, columns, anchor, table, isNumeric) => {
+  const updates = [];
+  let skipped = 0;
+  let invalid = 0;
+
+  table.forEach((cells, rowOffset) => {
+    const row = visibleRows[anchor.rowIndex + rowOffset];
+
+    cells.forEach((text, columnOffset) => {
+      const column = columns[anchor.columnIndex + columnOffset];
+      if (!row || !column) {
+        skipped++;
+        return;
+      }
+
+      const { value, error } = parseCellValue(text, isNumeric(column));
+      if (error) {
+        invalid++;
+        return;
+      }
+      updates.push({ id: row.id, column, value });
+    });
+  });
+
+  return { updates, skipped, invalid };
+};
+
+/**
+ * Apply cell updates, copying only the rows that change
+ * @param {Array<Object>} rows - Grid rows
+ * @param {Array<Object>} updates - [{ id, column, value }]
+ * @returns {Array<Object>} New rows, or the same array when nothing changed
+ */
+export const applyCellUpdates = (rows, updates) => {
+  let next = rows;
+
+  // Rows are never added or reordered, so a row's id is its index
+  updates.forEach(({ id, column, value }) => {
+    if (!next[id] || next[id][column] === value) return;
+
+    if (next === rows) next = [...rows];
+    next[id] = { ...next[id], [column]: value };
+  });
+
+  return next;
+};
+
+/**
+ * Cells that differ from the rows the edit started from
+ * @param {Array<Object>} originalRows - Rows before editing
+ * @param {Array<Object>} rows - Edited rows
+ * @param {Array<string>} columns - Grid columns
+ * @returns {Map} row id -> [{ field, from }]
+ */
+export const findEditedCells = (originalRows, rows, columns) => {
+  const edited = new Map();
+
+  rows.forEach((row, index) => {
+    const original = originalRows[index];
+    const fields = columns
+      .filter(column => row[column] !== original[column])
+      .map(column => ({ field: column, from: original[column] }));
+
+    if (fields.length > 0) {
+      edited.set(row.id, fields);
+    }
+  });
+
+  return edited;
+};
+
+/**
+ * Long-format rows to process, and the provenance of each: the row it was
+ * first read from plus the cells edited in the grid
+ * @param {Array<Object>} rows - Grid rows
+ * @param {Array<string>} columns - Grid columns
+ * @param {Map} edited - Result of findEditedCells
+ * @returns {Object} { rows, sourceRows }
+ */
+export const toProcessingInput = (rows, columns, edited) => ({
+  rows: rows.map(row => Object.fromEntries(columns.map(column => [column, row[column]]))),
+  sourceRows: rows.map(row => ({
+    ...(row.provenance || { row: null }),
+    ...(edited.has(row.id) && { edited: edited.get(row.id) })
+  }))
+});
@@ -0,0 +1,151 @@
+// src/utils/growthDecomposition.js
+// Splits the change in the global market between two years into the
+// contributions of its regions or of the segments of one segment type.
+// Contributions are read straight off the time series, so they add up to
+// the change in the total; anything the parts do not cover is reported as
+// a separate "Other" step.
+
+export const REGION_DIMENSION = 'Region';
+
+// Segment types whose segments split the whole market; Country only exists per region
+const EXCLUDED_SEGMENT_TYPES = ['Country'];
+
+const DIMENSION_LABELS = {
+  [REGION_DIMENSION]: 'Region',
+  Type: 'Product type'
+};
+
+/**
+ * Label of a decomposition dimension
+ * @param {string} dimension - REGION_DIMENSION or a segment type
+ */
+export const getDimensionLabel = (dimension) => DIMENSION_LABELS[dimension] || dimension;
+
+const getRegions = (timeSeries) => Object.keys(timeSeries).filter(region => region !== 'Global');
+
+/**
+ * Dimensions the global change can be split along: regions, when the
+ * dataset has them, and every segment type of Global or its regions
+ * @param {Object} timeSeries - Processed or scenario time series
+ * @returns {Array<string>} REGION_DIMENSION and segment types
+ */
+export const getDecompositionDimensions = (timeSeries = {}) => {
+  const regions = getRegions(timeSeries);
+  const segmentTypes = new Set([timeSeries.Global, ...regions.map(region => timeSeries[region])]
+    .flatMap(region => Object.keys(region || {})));
+
+  return [
+    ...(regions.length > 0 ? [REGION_DIMENSION] : []),
+    ...[...segmentTypes].filter(segmentType => !EXCLUDED_SEGMENT_TYPES.includes(segmentType))
+  ];
+};
+
+const valueIn = (series = [], year) => series.find(point => point.year === year)?.value || 0;
+
+const sumIn = (segments = {}, year) => (
+  Object.values(segments).reduce((sum, series) => sum + valueIn(series, year), 0)
+);
+
+// Without a Global breakdown the market is the total of its regions
+const marketIn = (timeSeries, year) => (
+  timeSeries.Global?.Type
+    ? sumIn(timeSeries.Global.Type, year)
+    : getRegions(timeSeries).reduce((sum, region) => sum + sumIn(timeSeries[region]?.Type, year), 0)
+);
+
+// Each part of the dimension with its product-type or segment series,
+// summed over the regions when Global does not have the segment type
+const getParts = (timeSeries, dimension) => {
+  if (dimension === REGION_DIMENSION) {
+    return getRegions(timeSeries)
+      .map(region => ({ name: region, value: (year) => sumIn(timeSeries[region]?.Type, year) }));
+  }
+
+  if (timeSeries.Global?.[dimension]) {
+    return Object.entries(timeSeries.Global[dimension])
+      .map(([segment, series]) => ({ name: segment, value: (year) => valueIn(series, year) }));
+  }
+
+  const regions = getRegions(timeSeries);
+  const segments = new Set(regions.flatMap(region => Object.keys(timeSeries[region]?.[dimension] || {})));
+
+  return [...segments].map(segment => ({
+    name: segment,
+    value: (year) => regions.reduce((sum, region) => sum + valueIn(timeSeries[region]?.[dimension]?.[segment], year), 0)
+  }));
+};
+
+/**
+ * Contributions to the change in the global market between two years
+ * @param {Object} timeSeries - Processed or scenario time series
+ * @param {string} dimension - REGION_DIMENSION or a segment type
+ * @param {number} startYear - First year
+ * @param {number} endYear - Last year
+ * @returns {Object} { dimension, startYear, endYear, startValue, endValue, change,
+ *   contributions: [{ name, start, end, change, share }] } with contributions
+ *   sorted by change, largest first, and share as a percentage of the change
+ */
+export const decomposeGrowth = (timeSeries = {}, dimension, startYear, endYear) => {
+  const startValue = marketIn(timeSeries, startYear);
+  const endValue = marketIn(timeSeries, endYear);
+  const change = endValue - startValue;
+  const share = (value) => (change !== 0 ? (value / change) * 100 : 0);
+
+  const contributions = getParts(timeSeries, dimension).map(part => {
+    const start = part.value(startYear);
+    const end = part.value(endYear);
+    return { name: part.name, start, end, change: end - start, share: share(end - start) };
+  });
+
+  // Rounding in the source data can leave the parts slightly off the total
+  const covered = contributions.reduce((sum, contribution) => sum + contribution.change, 0);
+  const remainder = change - covered;
+  if (Math.abs(remainder) > Math.abs(change) * 0.001) {
+    contributions.push({
+      name: 'Other',
+      start: startValue - contributions.reduce((sum, contribution) => sum + contribution.start, 0),
+      end: endValue - contributions.reduce((sum, contribution) => sum + contribution.end, 0),
+      change: remainder,
+      share: share(remainder)
+    });
+  }
+
+  return {
+    dimension,
+    startYear,
+    endYear,
+    startValue,
+    endValue,
+    change,
+    contributions: contributions.sort((a, b) => b.change - a.change)
+  };
+};
+
+/**
+ * Waterfall steps for a decomposition: the start total, one floating bar per
+ * contribution and the end total
+ * @param {Object} decomposition - Result of decomposeGrowth
+ * @returns {Array<Object>} [{ name, range: [low, high], value, kind }] with
+ *   kind 'total', 'increase' or 'decrease'
+ */
+export const toWaterfallSteps = (decomposition) => {
+  const { startYear, endYear, startValue, endValue, contributions } = decomposition;
+  let running = startValue;
+
+  const steps = contributions.map(contribution => {
+    const from = running;
+    running += contribution.change;
+    return {
+      name: contribution.name,
+      range: [Math.min(from, running), Math.max(from, running)],
+      value: contribution.change,
+      kind: contribution.change >= 0 ? 'increase' : 'decrease'
+    };
+  });
+
+  return [
+    { name: String(startYear), range: [0, startValue], value: startValue, kind: 'total' },
+    ...steps,
+    { name: String(endYear), range: [0, endValue], value: endValue, kind: 'total' }
+  ];
+};
@@ -0,0 +1,200 @@
+// src/utils/monteCarlo.js
+// Monte Carlo ranges around a point forecast. Each uncertainty is a risk
+// factor with a spread on the CAGR and on the base-year value; every path
+// draws each factor once and applies it to all series the factor targets,
+// so a factor on "All regions" moves the whole market together while
+// regional factors move independently. As in the scenario model, a factor
+// on one segment moves its region and the market by that segment's change.
+
+import { ALL, appliesTo, coversAllSegments, getScenarioDimensions } from '@/utils/scenarioModel';
+
+export const DISTRIBUTIONS = {
+  normal: { label: 'Normal', description: 'Spread is one standard deviation' },
+  uniform: { label: 'Uniform', description: 'Equally likely anywhere within ± the spread' },
+  triangular: { label: 'Triangular', description: 'Most likely at the centre, within ± the spread' }
+};
+
+export const PATH_COUNTS = [1000, 2000, 5000, 10000];
+
+export const PERCENTILES = [10, 50, 90];
+
+/**
+ * New uncertainty factor, by default on the whole market
+ * @param {Object} fields - Fields to set; any id is replaced with a new one
+ */
+export const createUncertainty = (fields = {}) => ({
+  region: ALL,
+  segmentType: ALL,
+  segment: ALL,
+  distribution: 'normal',
+  cagrSpread: 2,
+  baseSpread: 5,
+  ...fields,
+  id: `uncertainty-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`
+});
+
+// Small seeded generator (mulberry32) so a run can be repeated
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Draws with mean 0 and scale 1: a standard deviation for normal, the half-width otherwise
+const SAMPLERS = {
+  normal: (random) => {
+    const u = 1 - random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+  },
+  uniform: (random) => random() * 2 - 1,
+  triangular: (random) => random() - random()
+};
+
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return 0;
+
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+const sumTypes = (segments = {}, i) => Object.values(segments).reduce((sum, series) => sum + (series[i]?.value || 0), 0);
+
+// Shift in the CAGR and factor on the base value from the draws of some factors
+const combineDraws = (factors, draws) => factors.reduce((combined, factor) => {
+  const draw = draws.get(factor.id);
+  return { cagrShift: combined.cagrShift + draw.cagr, baseFactor: combined.baseFactor * Math.max(1 + draw.base, 0) };
+}, { cagrShift: 0, baseFactor: 1 });
+
+/**
+ * Simulate paths around a scenario's time series
+ * @param {Object} timeSeries - Result of buildScenarioTimeSeries
+ * @param {Array<number>} years - Years it was built for; the first is the base year
+ * @param {Array<Object>} uncertainties - Factors from createUncertainty
+ * @param {Object} options - { paths, seed }
+ * @returns {Object} { years, paths, series: { market, [region]: Array<Float64Array> } }
+ *   with the sorted simulated values of each series for each year
+ */
+export const simulateForecast = (timeSeries, years, uncertainties, { paths = 2000, seed = 1 } = {}) => {
+  const random = createRandom(seed);
+  const { regions } = getScenarioDimensions({ timeSeries });
+  const lastIndex = years.length - 1;
+
+  // Region totals follow their product types, as the market does
+  const regionTotals = {};
+  const leaves = [];
+  regions.forEach(region => {
+    const segmentTypes = Object.keys(timeSeries[region] || {});
+    const referenceType = segmentTypes.includes('Type') ? 'Type' : segmentTypes[0];
+    if (!referenceType) return;
+
+    regionTotals[region] = years.map((year, i) => sumTypes(timeSeries[region][referenceType], i));
+
+    segmentTypes.forEach(segmentType => {
+      Object.entries(timeSeries[region][segmentType]).forEach(([segment, series]) => {
+        const factors = uncertainties.filter(u => appliesTo(u, region, segmentType, segment));
+        const shared = factors.filter(coversAllSegments);
+        const reference = segmentType === referenceType;
+
+        // Reference series carry every factor; the others add only what their own factors change
+        if (reference ? factors.length === 0 : shared.length === factors.length) return;
+
+        const start = series[0]?.value || 0;
+        const end = series[lastIndex]?.value || 0;
+        leaves.push({
+          region,
+          values: series.map(point => point.value),
+          growth: start > 0 && end > 0 ? Math.pow(end / start, 1 / lastIndex) : 1,
+          factors,
+          offsetFactors: reference ? null : shared
+        });
+      });
+    });
+  });
+
+  const seriesNames = ['market', ...Object.keys(regionTotals)];
+  const results = Object.fromEntries(seriesNames.map(name => [name, years.map(() => new Float64Array(paths))]));
+
+  // Global changes by the sum of the regional changes, as in the scenario itself
+  const marketPoint = years.map((year, i) => (
+    timeSeries.Global?.Type
+      ? sumTypes(timeSeries.Global.Type, i)
+      : Object.values(regionTotals).reduce((sum, totals) => sum + totals[i], 0)
+  ));
+
+  const simulate = (leaf, { cagrShift, baseFactor }, i) => {
+    const growthFactor = Math.max(leaf.growth + cagrShift, 0) / leaf.growth;
+    return leaf.values[i] * baseFactor * Math.pow(growthFactor, i);
+  };
+
+  for (let path = 0; path < paths; path++) {
+    const draws = new Map(uncertainties.map(u => {
+      const sample = SAMPLERS[u.distribution] || SAMPLERS.normal;
+      return [u.id, { cagr: sample(random) * u.cagrSpread / 100, base: sample(random) * u.baseSpread / 100 }];
+    }));
+
+    marketPoint.forEach((value, i) => { results.market[i][path] = value; });
+    Object.entries(regionTotals).forEach(([region, totals]) => {
+      totals.forEach((value, i) => { results[region][i][path] = value; });
+    });
+
+    leaves.forEach(leaf => {
+      const full = combineDraws(leaf.factors, draws);
+      const offset = leaf.offsetFactors && combineDraws(leaf.offsetFactors, draws);
+
+      leaf.values.forEach((value, i) => {
+        const change = simulate(leaf, full, i) - (offset ? simulate(leaf, offset, i) : value);
+        results.market[i][path] += change;
+        results[leaf.region][i][path] += change;
+      });
+    });
+  }
+
+  Object.values(results).forEach(byYear => byYear.forEach(values => values.sort()));
+  return { years, paths, series: results };
+};
+
+/**
+ * P10 / P50 / P90 of a simulated series for each year
+ * @param {Object} simulation - Result of simulateForecast
+ * @param {string} name - 'market' or a region
+ * @returns {Array<Object>} [{ year, p10, p50, p90 }]
+ */
+export const getFanData = (simulation, name = 'market') => {
+  const byYear = simulation.series[name] || [];
+
+  return simulation.years.map((year, i) => ({
+    year,
+    ...Object.fromEntries(PERCENTILES.map(p => [`p${p}`, percentile(byYear[i] || [], p)]))
+  }));
+};
+
+/**
+ * Share of paths at or above a target in a year
+ * @param {Object} simulation - Result of simulateForecast
+ * @param {string} name - 'market' or a region
+ * @param {number} year - Year to check
+ * @param {number} target - Internal value
+ * @returns {number} Probability between 0 and 1
+ */
+export const probabilityOfReaching = (simulation, name, year, target) => {
+  const values = simulation.series[name]?.[simulation.years.indexOf(year)];
+  if (!values || values.length === 0) return 0;
+
+  // Values are sorted, so find the first one at or above the target
+  let low = 0;
+  let high = values.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (values[mid] < target) low = mid + 1;
+    else high = mid;
+  }
+
+  return (values.length - low) / values.length;
+};
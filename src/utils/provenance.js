@@ -0,0 +1,167 @@
+// src/utils/provenance.js
+// Lineage of time-series values: where each point was read from and what
+// happened to it on the way into processed market data.
+//
+// Every point carries its own part:
+//   { year, value, provenance: { row, column?, renamed?, edited? } }
+// where row is the 1-based data row of the source file (the header is not
+// counted), column the year column of a wide file, renamed lists the
+// names resolved to the taxonomy ([{ field, from }]) and edited the cells
+// changed in the Data Explorer grid ([{ field, from }]). What applies to the
+// whole file is kept once in metadata.lineage:
+//   { file, layout, valueColumn, valueUnit, transforms }
+// and the dataset version in metadata.version.
+
+import { describeValueUnit, toInternalValue } from '@/utils/valueUnits';
+
+// Edited fields other than these are the value column
+const KEY_FIELDS = ['Region', 'Segment Type', 'Segment Name', 'Year'];
+
+const RENAMED_FIELDS = [
+  ['region', 'Region'],
+  ['segmentType', 'Segment Type'],
+  ['segmentName', 'Segment Name']
+];
+
+/**
+ * Provenance of the point read from one parsed row
+ * @param {number} index - Index of the row among the parsed (long-format) rows
+ * @param {Array<Object>} sourceRows - Positions of unpivoted rows, null for long files
+ * @param {Object} raw - { region, segmentType, segmentName } as written in the file
+ * @param {Object} resolved - The same names resolved to the taxonomy
+ * @returns {Object} { row, column?, renamed? }
+ */
+export const createPointProvenance = (index, sourceRows, raw, resolved) => {
+  const provenance = { ...(sourceRows?.[index] || { row: index + 1 }) };
+
+  const renamed = RENAMED_FIELDS
+    .filter(([key]) => raw[key] !== undefined && String(raw[key]) !== resolved[key])
+    .map(([key, field]) => ({ field, from: String(raw[key]) }));
+  if (renamed.length > 0) {
+    provenance.renamed = renamed;
+  }
+
+  return provenance;
+};
+
+/**
+ * Lineage shared by every point of a processed file
+ * @param {Object} source - { file, sourceRows } of the parsed rows
+ * @param {string} valueColumn - Value column header
+ * @param {Object} valueUnit - Unit the values were read in
+ * @returns {Object} { file, layout, valueColumn, valueUnit, transforms }
+ */
+export const createLineage = ({ file = null, sourceRows = null } = {}, valueColumn, valueUnit) => {
+  const layout = sourceRows ? 'wide' : 'long';
+  const from = describeValueUnit(valueUnit);
+  const to = valueUnit.currency ? 'USD Million' : 'Million Units';
+  const transforms = [];
+
+  if (layout === 'wide') {
+    transforms.push({ type: 'unpivot' });
+  }
+  if (from !== to) {
+    transforms.push({ type: 'unit-conversion', from, to, factor: toInternalValue(1, valueUnit) });
+  }
+
+  return { file, layout, valueColumn, valueUnit, transforms };
+};
+
+/**
+ * Human readable description of a transformation
+ */
+export const describeTransform = (transform) => {
+  switch (transform.type) {
+    case 'unpivot':
+      return 'Year columns unpivoted into one row per year';
+    case 'unit-conversion':
+      return `Converted from ${transform.from} to ${transform.to}`;
+    case 'rename':
+      return `${transform.field} "${transform.from}" resolved to "${transform.to}"`;
+    case 'edit':
+      return `${transform.field} edited in the Data Explorer (was ${transform.from})`;
+    case 'sum':
+      return `Sum of ${transform.count} values`;
+    case 'interpolation':
+      return `${transform.year} interpolated at ${transform.cagr.toFixed(1)}% CAGR between the ${transform.from} and ${transform.to} values`;
+    default:
+      return transform.description || transform.type;
+  }
+};
+
+/**
+ * Region holding a segment's series, preferring Global like the dashboards
+ */
+const findRegion = (timeSeries, segmentType, segment) => {
+  if (timeSeries.Global?.[segmentType]?.[segment]) return 'Global';
+  return Object.keys(timeSeries).find(region => timeSeries[region][segmentType]?.[segment]) || null;
+};
+
+/**
+ * Trace a dashboard value back to its source rows. Without a segment the
+ * value is the sum of every segment of the type in the region (a region's
+ * market size is the sum of its product types).
+ * @param {Object} data - Processed market data
+ * @param {Object} target - { region, segmentType, segment, year }; region
+ *   may be omitted for a segment, which is then looked up like the dashboards do
+ * @returns {Object|null} { region, segmentType, segment, year, value, points,
+ *   file, datasetId, version, transforms }, or null when no point matches
+ */
+export const traceValue = (data, { region = null, segmentType, segment = null, year }) => {
+  const timeSeries = data?.timeSeries || {};
+  const resolvedRegion = region || (segment ? findRegion(timeSeries, segmentType, segment) : null);
+  const segments = timeSeries[resolvedRegion]?.[segmentType];
+  if (!segments) return null;
+
+  const lineage = data.metadata?.lineage || null;
+  const conversion = lineage?.transforms.find(transform => transform.type === 'unit-conversion');
+  const names = segment ? [segment] : Object.keys(segments);
+
+  const points = names
+    .map(name => {
+      const point = segments[name]?.find(entry => entry.year === year);
+      if (!point) return null;
+
+      // An edited value no longer matches its source row
+      const valueEdited = (point.provenance?.edited || []).some(({ field }) => !KEY_FIELDS.includes(field));
+
+      return {
+        segment: name,
+        value: point.value,
+        sourceValue: valueEdited ? null : conversion ? point.value / conversion.factor : point.value,
+        row: point.provenance?.row ?? null,
+        column: point.provenance?.column ?? null,
+        transforms: [
+          ...(point.provenance?.renamed || []).map(({ field, from }) => ({
+            type: 'rename',
+            field,
+            from,
+            to: field === 'Region' ? resolvedRegion : field === 'Segment Type' ? segmentType : name
+          })),
+          ...(point.provenance?.edited || []).map(({ field, from }) => ({ type: 'edit', field, from }))
+        ]
+      };
+    })
+    .filter(Boolean);
+
+  if (points.length === 0) return null;
+
+  const transforms = [...(lineage?.transforms || [])];
+  if (!segment) {
+    transforms.push({ type: 'sum', count: points.length });
+  }
+
+  return {
+    region: resolvedRegion,
+    segmentType,
+    segment,
+    year,
+    value: points.reduce((sum, point) => sum + point.value, 0),
+    points,
+    file: lineage?.file ?? data.metadata?.fileName ?? null,
+    sourceUnit: lineage ? describeValueUnit(lineage.valueUnit) : null,
+    datasetId: data.metadata?.version?.datasetId || data.metadata?.datasetId || null,
+    version: data.metadata?.version || null,
+    transforms
+  };
+};
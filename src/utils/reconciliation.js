@@ -0,0 +1,166 @@
+// src/utils/reconciliation.js
+// Cross-hierarchy reconciliation of processed market data: checks that
+// regions add up to Global, segment dimensions agree within a region and
+// countries add up to their region, for every year.
+
+import { getAvailableYears, getValueForYear } from '@/utils/yearWindow';
+
+// Relative differences below this are treated as rounding
+const DEFAULT_TOLERANCE = 0.005;
+
+// Relative differences above this are reported as errors rather than warnings
+const ERROR_THRESHOLD = 0.05;
+
+const REFERENCE_SEGMENT_TYPE = 'Type';
+const COUNTRY_SEGMENT_TYPE = 'Country';
+
+export const RECONCILIATION_CHECKS = {
+  'region-global': {
+    label: 'Regions vs Global',
+    description: 'Regional totals add up to the Global total for each segment'
+  },
+  'segment-dimensions': {
+    label: 'Segment dimensions',
+    description: 'Ingredient, Gender and End User totals match the Type total within a region'
+  },
+  'country-region': {
+    label: 'Countries vs Region',
+    description: 'Country values add up to their region\'s Type total'
+  }
+};
+
+const sumSegments = (segments = {}, year) => {
+  return Object.values(segments).reduce((sum, series) => sum + getValueForYear(series, year), 0);
+};
+
+/**
+ * Reconcile every hierarchy identity of processed market data
+ * @param {Object} data - Processed market data with timeSeries
+ * @param {Object} options - { tolerance } relative difference accepted as rounding
+ * @returns {Object} { discrepancies, summary, years, tolerance }
+ */
+export const reconcileMarketData = (data, options = {}) => {
+  const { tolerance = DEFAULT_TOLERANCE } = options;
+  const timeSeries = data?.timeSeries || {};
+  const years = data?.overview?.availableYears || getAvailableYears(timeSeries);
+  const regions = Object.keys(timeSeries).filter(region => region !== 'Global');
+
+  const discrepancies = [];
+  const byCheck = {};
+  Object.keys(RECONCILIATION_CHECKS).forEach(check => {
+    byCheck[check] = { comparisons: 0, discrepancies: 0 };
+  });
+
+  const compare = (check, location, year, expected, actual) => {
+    byCheck[check].comparisons++;
+
+    const difference = actual - expected;
+    const relativeDifference = expected !== 0 ? difference / expected : (actual !== 0 ? 1 : 0);
+    if (Math.abs(relativeDifference) <= tolerance) return;
+
+    byCheck[check].discrepancies++;
+    discrepancies.push({
+      check,
+      year,
+      region: location.region,
+      segmentType: location.segmentType,
+      segmentName: location.segmentName || null,
+      comparedTo: location.comparedTo,
+      expected,
+      actual,
+      difference,
+      relativeDifference,
+      severity: Math.abs(relativeDifference) > ERROR_THRESHOLD ? 'error' : 'warning'
+    });
+  };
+
+  // Regions vs Global, per segment type and per segment
+  Object.keys(timeSeries.Global || {}).forEach(segmentType => {
+    if (segmentType === COUNTRY_SEGMENT_TYPE) return;
+
+    const reportingRegions = regions.filter(region => timeSeries[region][segmentType]);
+    if (reportingRegions.length === 0) return;
+
+    const segmentNames = new Set(Object.keys(timeSeries.Global[segmentType]));
+    reportingRegions.forEach(region => {
+      Object.keys(timeSeries[region][segmentType]).forEach(name => segmentNames.add(name));
+    });
+
+    years.forEach(year => {
+      compare(
+        'region-global',
+        { region: 'Global', segmentType, comparedTo: 'Sum of regions' },
+        year,
+        sumSegments(timeSeries.Global[segmentType], year),
+        reportingRegions.reduce((sum, region) => sum + sumSegments(timeSeries[region][segmentType], year), 0)
+      );
+
+      segmentNames.forEach(segmentName => {
+        compare(
+          'region-global',
+          { region: 'Global', segmentType, segmentName, comparedTo: 'Sum of regions' },
+          year,
+          getValueForYear(timeSeries.Global[segmentType][segmentName], year),
+          reportingRegions.reduce(
+            (sum, region) => sum + getValueForYear(timeSeries[region][segmentType][segmentName], year),
+            0
+          )
+        );
+      });
+    });
+  });
+
+  // Segment dimensions within each region, against the Type total
+  Object.entries(timeSeries).forEach(([region, segmentTypes]) => {
+    if (!segmentTypes[REFERENCE_SEGMENT_TYPE]) return;
+
+    Object.keys(segmentTypes).forEach(segmentType => {
+      if (segmentType === REFERENCE_SEGMENT_TYPE || segmentType === COUNTRY_SEGMENT_TYPE) return;
+
+      years.forEach(year => {
+        compare(
+          'segment-dimensions',
+          { region, segmentType, comparedTo: `${REFERENCE_SEGMENT_TYPE} total` },
+          year,
+          sumSegments(segmentTypes[REFERENCE_SEGMENT_TYPE], year),
+          sumSegments(segmentTypes[segmentType], year)
+        );
+      });
+    });
+  });
+
+  // Countries vs their region
+  regions.forEach(region => {
+    const segmentTypes = timeSeries[region];
+    if (!segmentTypes[COUNTRY_SEGMENT_TYPE] || !segmentTypes[REFERENCE_SEGMENT_TYPE]) return;
+
+    years.forEach(year => {
+      compare(
+        'country-region',
+        { region, segmentType: COUNTRY_SEGMENT_TYPE, comparedTo: `${region} ${REFERENCE_SEGMENT_TYPE} total` },
+        year,
+        sumSegments(segmentTypes[REFERENCE_SEGMENT_TYPE], year),
+        sumSegments(segmentTypes[COUNTRY_SEGMENT_TYPE], year)
+      );
+    });
+  });
+
+  discrepancies.sort((a, b) => Math.abs(b.relativeDifference) - Math.abs(a.relativeDifference));
+
+  const comparisons = Object.values(byCheck).reduce((sum, check) => sum + check.comparisons, 0);
+  const errors = discrepancies.filter(discrepancy => discrepancy.severity === 'error').length;
+
+  return {
+    discrepancies,
+    years,
+    tolerance,
+    summary: {
+      comparisons,
+      discrepancies: discrepancies.length,
+      errors,
+      warnings: discrepancies.length - errors,
+      passed: discrepancies.length === 0,
+      byCheck
+    }
+  };
+};
@@ -0,0 +1,307 @@
+// src/utils/scenarioModel.js
+// Growth scenarios: named sets of assumptions (CAGR overrides, growth
+// multipliers and shocks) applied to a region, segment type or segment
+// for chosen years. Assumptions act on the most detailed series and the
+// totals are added back up from them, so every chart of a scenario agrees.
+
+import { calculateCAGR } from '@/lib/utils';
+import { getValueForYear } from '@/utils/yearWindow';
+
+// Matches every region, segment type or segment
+export const ALL = 'All';
+
+export const ASSUMPTION_KINDS = {
+  cagr: {
+    label: 'CAGR override',
+    unit: '%',
+    defaultValue: 10,
+    description: 'Grow at this annual rate'
+  },
+  scale: {
+    label: 'Growth multiplier',
+    unit: '×',
+    defaultValue: 1,
+    description: 'Multiply the annual growth rate'
+  },
+  shock: {
+    label: 'Shock',
+    unit: '%',
+    defaultValue: -10,
+    description: 'Raise or lower the value'
+  }
+};
+
+const globalScale = (value) => [{
+  id: 'growth',
+  region: ALL,
+  segmentType: ALL,
+  segment: ALL,
+  kind: 'scale',
+  value,
+  fromYear: null,
+  toYear: null
+}];
+
+export const BUILT_IN_SCENARIOS = [
+  { id: 'conservative', name: 'Conservative', builtIn: true, assumptions: globalScale(0.85) },
+  { id: 'base', name: 'Base Case', builtIn: true, assumptions: [] },
+  { id: 'optimistic', name: 'Optimistic', builtIn: true, assumptions: globalScale(1.15) }
+];
+
+/**
+ * New assumption, by default covering the whole market and window
+ * @param {Object} fields - Fields to set; any id is replaced with a new one
+ */
+export const createAssumption = (fields = {}) => {
+  const kind = fields.kind || 'cagr';
+
+  return {
+    region: ALL,
+    segmentType: ALL,
+    segment: ALL,
+    kind,
+    value: ASSUMPTION_KINDS[kind].defaultValue,
+    fromYear: null,
+    toYear: null,
+    ...fields,
+    id: `assumption-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`
+  };
+};
+
+/**
+ * Regions whose series the assumptions act on: the regional breakdown
+ * when the dataset has one, otherwise Global
+ */
+const getLeafRegions = (timeSeries) => {
+  const regions = Object.keys(timeSeries).filter(region => region !== 'Global');
+  return regions.length > 0 ? regions : Object.keys(timeSeries);
+};
+
+/**
+ * Regions, segment types and segments an assumption can target
+ * @param {Object} data - Processed market data
+ * @returns {Object} { regions, segmentTypes, segments: { [segmentType]: [names] } }
+ */
+export const getScenarioDimensions = (data) => {
+  const timeSeries = data?.timeSeries || {};
+  const regions = getLeafRegions(timeSeries);
+  const segments = {};
+
+  regions.forEach(region => {
+    Object.entries(timeSeries[region] || {}).forEach(([segmentType, series]) => {
+      segments[segmentType] = [...new Set([...(segments[segmentType] || []), ...Object.keys(series)])];
+    });
+  });
+
+  return { regions, segmentTypes: Object.keys(segments), segments };
+};
+
+/**
+ * Whether an assumption (or anything else with region, segmentType and
+ * segment fields) targets a series
+ */
+export const appliesTo = (assumption, region, segmentType, segment) => (
+  (assumption.region === ALL || assumption.region === region) &&
+  (assumption.segmentType === ALL || assumption.segmentType === segmentType) &&
+  (assumption.segment === ALL || assumption.segment === segment)
+);
+
+const inRange = (assumption, year) => (
+  (assumption.fromYear == null || year >= assumption.fromYear) &&
+  (assumption.toYear == null || year <= assumption.toYear)
+);
+
+/**
+ * Apply assumptions to one series. CAGR overrides and multipliers change
+ * the growth into each year in their range, in the order listed; shocks
+ * then scale the resulting values in their range.
+ * @param {Array<number>} values - Baseline value for each year
+ * @param {Array<number>} years - Consecutive years
+ * @param {Array<Object>} assumptions - Assumptions that apply to the series
+ * @returns {Array<number>}
+ */
+export const applyAssumptions = (values, years, assumptions) => {
+  if (assumptions.length === 0) return values;
+
+  const growthAssumptions = assumptions.filter(a => a.kind !== 'shock');
+  const shocks = assumptions.filter(a => a.kind === 'shock');
+  const adjusted = [values[0]];
+
+  for (let i = 1; i < values.length; i++) {
+    let rate = values[i - 1] > 0 ? values[i] / values[i - 1] - 1 : null;
+
+    growthAssumptions.forEach(assumption => {
+      if (!inRange(assumption, years[i])) return;
+      if (assumption.kind === 'cagr') {
+        rate = assumption.value / 100;
+      } else if (rate !== null) {
+        rate *= assumption.value;
+      }
+    });
+
+    // Growth is undefined from zero, so those years keep their baseline value
+    adjusted.push(rate === null || adjusted[i - 1] <= 0 ? values[i] : adjusted[i - 1] * (1 + rate));
+  }
+
+  return adjusted.map((value, i) => shocks.reduce(
+    (result, shock) => (inRange(shock, years[i]) ? result * (1 + shock.value / 100) : result),
+    value
+  ));
+};
+
+const datasetBaseline = (series, years) => years.map(year => getValueForYear(series, year));
+
+/**
+ * Whether an assumption (or uncertainty) covers every segment of the
+ * regions it targets, and so moves every segment type alike
+ */
+export const coversAllSegments = (assumption) => assumption.segmentType === ALL && assumption.segment === ALL;
+
+const sumValues = (rows, length) => Array.from({ length }, (_, i) => rows.reduce((sum, values) => sum + values[i], 0));
+
+/**
+ * Time series of a scenario. Every segment type splits a region the same
+ * way, so an assumption on one segment also moves the region total: the
+ * region takes the assumptions that cover all its segments once, plus
+ * the change each segment type's own assumptions make, and the segments
+ * of every type are scaled to that total. Each Global series then changes
+ * by the sum of the regional changes, so Global stays the total of its
+ * regions and every segment type adds up to the same market.
+ * @param {Object} data - Processed market data
+ * @param {Object} scenario - { assumptions }
+ * @param {Array<number>} years - Consecutive years to build
+ * @param {Function} baseline - (series, years) => values before the
+ *   assumptions; defaults to the dataset's own values
+ * @returns {Object} timeSeries[region][segmentType][segment] = [{ year, value }]
+ */
+export const buildScenarioTimeSeries = (data, scenario, years, baseline = datasetBaseline) => {
+  const timeSeries = data?.timeSeries || {};
+  const leafRegions = getLeafRegions(timeSeries);
+  const assumptions = scenario?.assumptions || [];
+  const result = {};
+  const deltas = {};
+
+  const toPoints = (values) => values.map((value, i) => ({ year: years[i], value }));
+
+  leafRegions.forEach(region => {
+    const types = Object.entries(timeSeries[region] || {}).map(([segmentType, segments]) => {
+      const series = Object.entries(segments).map(([segment, points]) => {
+        const values = baseline(points, years);
+        const applicable = assumptions.filter(a => appliesTo(a, region, segmentType, segment));
+        const own = applicable.filter(a => !coversAllSegments(a));
+        const adjusted = applyAssumptions(values, years, applicable);
+        const shared = own.length > 0 ? applyAssumptions(values, years, applicable.filter(coversAllSegments)) : adjusted;
+
+        return { segment, values, adjusted, shared };
+      });
+
+      return {
+        segmentType,
+        series,
+        base: sumValues(series.map(s => s.values), years.length),
+        adjusted: sumValues(series.map(s => s.adjusted), years.length),
+        shared: sumValues(series.map(s => s.shared), years.length)
+      };
+    });
+
+    // Product types are the reference split, as for the market total
+    const reference = types.find(type => type.segmentType === 'Type') || types[0];
+    const regionTotal = reference
+      ? years.map((year, i) => reference.shared[i] + types.reduce((sum, type) => sum + type.adjusted[i] - type.shared[i], 0))
+      : [];
+
+    result[region] = {};
+    types.forEach(type => {
+      result[region][type.segmentType] = {};
+      deltas[type.segmentType] = deltas[type.segmentType] || {};
+
+      // Keep any difference between this split and the reference that the data already has
+      const scale = years.map((year, i) => {
+        const target = regionTotal[i] + type.base[i] - reference.base[i];
+        return type.adjusted[i] > 0 ? target / type.adjusted[i] : 1;
+      });
+
+      type.series.forEach(({ segment, values, adjusted }) => {
+        const scaled = adjusted.map((value, i) => value * scale[i]);
+        result[region][type.segmentType][segment] = toPoints(scaled);
+
+        const delta = deltas[type.segmentType][segment] || years.map(() => 0);
+        deltas[type.segmentType][segment] = delta.map((sum, i) => sum + scaled[i] - values[i]);
+      });
+    });
+  });
+
+  if (!leafRegions.includes('Global') && timeSeries.Global) {
+    result.Global = {};
+
+    Object.entries(timeSeries.Global).forEach(([segmentType, segments]) => {
+      result.Global[segmentType] = {};
+
+      Object.entries(segments).forEach(([segment, series]) => {
+        const delta = deltas[segmentType]?.[segment];
+        result.Global[segmentType][segment] = toPoints(
+          baseline(series, years).map((value, i) => value + (delta ? delta[i] : 0))
+        );
+      });
+    });
+  }
+
+  return result;
+};
+
+const sumTypes = (segments = {}, years) => years.map((year, i) => ({
+  year,
+  value: Object.values(segments).reduce((sum, series) => sum + (series[i]?.value || 0), 0)
+}));
+
+const growthSummary = (points) => {
+  const start = points[0]?.value || 0;
+  const end = points[points.length - 1]?.value || 0;
+
+  return {
+    start,
+    end,
+    cagr: calculateCAGR(start, end, points.length - 1),
+    totalGrowth: start > 0 ? ((end - start) / start) * 100 : 0
+  };
+};
+
+/**
+ * Market and regional totals of a scenario, as the sum of product types
+ * @param {Object} timeSeries - Result of buildScenarioTimeSeries
+ * @param {Array<number>} years - Years it was built for
+ * @returns {Object} { market: [{ year, value }], cagr, marketSizeBase,
+ *   marketSizeForecast, totalGrowth, regions: [{ region, data, cagr, ... }] }
+ */
+export const summarizeScenario = (timeSeries, years) => {
+  const regions = Object.keys(timeSeries)
+    .filter(region => region !== 'Global' && timeSeries[region].Type)
+    .map(region => {
+      const data = sumTypes(timeSeries[region].Type, years);
+      return { region, data, ...growthSummary(data) };
+    });
+
+  // Without a Global breakdown the market is the total of its regions
+  const market = timeSeries.Global?.Type
+    ? sumTypes(timeSeries.Global.Type, years)
+    : years.map((year, i) => ({ year, value: regions.reduce((sum, region) => sum + region.data[i].value, 0) }));
+  const { start, end, cagr, totalGrowth } = growthSummary(market);
+
+  return { market, cagr, marketSizeBase: start, marketSizeForecast: end, totalGrowth, regions };
+};
+
+/**
+ * One-line description of an assumption
+ * @param {Object} assumption - Scenario assumption
+ */
+export const describeAssumption = (assumption) => {
+  const target = [assumption.region, assumption.segmentType, assumption.segment]
+    .filter(part => part !== ALL)
+    .join(' › ') || 'Whole market';
+  const { label, unit } = ASSUMPTION_KINDS[assumption.kind];
+  const value = unit === '×' ? `×${assumption.value}` : `${assumption.value > 0 && assumption.kind === 'shock' ? '+' : ''}${assumption.value}%`;
+  const from = assumption.fromYear ?? 'start';
+  const to = assumption.toYear ?? 'end';
+
+  return `${target}: ${label} ${value} (${from}–${to})`;
+};
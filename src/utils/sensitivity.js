@@ -0,0 +1,110 @@
+// src/utils/sensitivity.js
+// One-at-a-time sensitivity of the forecast-year market size: each
+// region's and each segment's growth is lowered and raised by a share of
+// itself, on top of a scenario, and the change in the total is recorded.
+
+import { ALL, buildScenarioTimeSeries, createAssumption, getScenarioDimensions, summarizeScenario } from '@/utils/scenarioModel';
+import { calculateCAGR } from '@/lib/utils';
+
+export const PERTURBATION_SIZES = [5, 10, 20, 25, 50];
+
+// Countries only split their own region
+const EXCLUDED_SEGMENT_TYPES = ['Country'];
+
+/**
+ * Regions and segments whose growth can be perturbed. Segments are those
+ * of every segment type in the regions, perturbed in all regions at once.
+ * @param {Object} data - Processed market data
+ * @returns {Array<Object>} [{ key, label, dimension, region, segmentType, segment }]
+ */
+export const getSensitivityDrivers = (data) => {
+  const { regions, segmentTypes, segments } = getScenarioDimensions(data);
+  const drivers = [];
+
+  regions
+    .filter(region => region !== 'Global')
+    .forEach(region => {
+      drivers.push({ key: `region:${region}`, label: region, dimension: 'Region', region, segmentType: ALL, segment: ALL });
+    });
+
+  segmentTypes
+    .filter(segmentType => !EXCLUDED_SEGMENT_TYPES.includes(segmentType))
+    .forEach(segmentType => {
+      segments[segmentType].forEach(segment => {
+        drivers.push({
+          key: `segment:${segmentType}:${segment}`,
+          label: segment,
+          dimension: segmentType,
+          region: ALL,
+          segmentType,
+          segment
+        });
+      });
+    });
+
+  return drivers;
+};
+
+const sumAt = (seriesList, index) => seriesList.reduce((sum, series) => sum + (series?.[index]?.value || 0), 0);
+
+/**
+ * Perturb each driver's growth by ±perturbation% and measure the
+ * forecast-year global market
+ * @param {Object} data - Processed market data
+ * @param {Object} scenario - Scenario the perturbations are added to
+ * @param {Array<number>} years - Consecutive years, base year first
+ * @param {Object} options - { perturbation, baseline } where baseline is
+ *   passed to buildScenarioTimeSeries
+ * @returns {Object} { forecastYear, perturbation, baseValue, results } with
+ *   results [{ ...driver, cagr, low, high, lowChange, highChange, swing }]
+ *   sorted by swing, largest first
+ */
+export const runSensitivity = (data, scenario, years, { perturbation = 10, baseline } = {}) => {
+  const lastIndex = years.length - 1;
+  const build = (assumptions) => buildScenarioTimeSeries(
+    data,
+    { assumptions: [...(scenario?.assumptions || []), ...assumptions] },
+    years,
+    baseline
+  );
+  const measure = (timeSeries) => summarizeScenario(timeSeries, years).marketSizeForecast;
+  const base = build([]);
+  const baseValue = measure(base);
+  const { regions } = getScenarioDimensions(data);
+
+  // A driver's own series: its region's product types, or its segment summed over the regions
+  const driverSeries = (driver) => (driver.dimension === 'Region'
+    ? Object.values(base[driver.region]?.Type || {})
+    : regions.map(region => base[region]?.[driver.segmentType]?.[driver.segment]));
+
+  const results = getSensitivityDrivers(data).map(driver => {
+    const perturbed = (factor) => measure(build([createAssumption({
+      region: driver.region,
+      segmentType: driver.segmentType,
+      segment: driver.segment,
+      kind: 'scale',
+      value: factor
+    })]));
+
+    const low = perturbed(1 - perturbation / 100);
+    const high = perturbed(1 + perturbation / 100);
+    const series = driverSeries(driver);
+
+    return {
+      ...driver,
+      cagr: calculateCAGR(sumAt(series, 0), sumAt(series, lastIndex), lastIndex),
+      low,
+      high,
+      lowChange: low - baseValue,
+      highChange: high - baseValue,
+      swing: Math.abs(high - low)
+    };
+  });
+
+  return {
+    forecastYear: years[lastIndex],
+    perturbation,
+    baseValue,
+    results: results.sort((a, b) => b.swing - a.swing)
+  };
+};
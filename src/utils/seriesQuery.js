@@ -0,0 +1,95 @@
+// src/utils/seriesQuery.js
+// Flattening and filtering of processed time series for exports and the API
+
+import { taxonomyService } from '@/services/taxonomyService';
+import { describeValueUnit } from '@/utils/valueUnits';
+
+/**
+ * Unit of processed values: millions of USD, or millions of units for volumes
+ * @param {Object} overview - Processed market data overview
+ */
+export const getInternalValueUnit = (overview = {}) => ({
+  currency: overview.measure === 'volume' ? null : 'USD',
+  unit: 'Million'
+});
+
+/**
+ * Long-format value column header for processed values,
+ * e.g. "Value (USD Million)" or "Volume (Million Units)"
+ */
+export const getValueColumnHeader = (overview = {}) => {
+  const label = overview.measure === 'volume' ? 'Volume' : 'Value';
+  return `${label} (${describeValueUnit(getInternalValueUnit(overview))})`;
+};
+
+/**
+ * Parse a year query parameter
+ * @returns {number|null} Year, or null when absent
+ * @throws {Error} When the value is not a whole year
+ */
+const parseYear = (value, name) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const year = Number(value);
+  if (!Number.isInteger(year)) {
+    throw new Error(`"${name}" must be a year, got "${value}"`);
+  }
+  return year;
+};
+
+/**
+ * Filter processed time series into long-format points
+ * @param {Object} data - Processed market data with timeSeries
+ * @param {Object} filters - { region, segmentType, segment, from, to }; names
+ *   may be aliases and are resolved through the taxonomy
+ * @returns {Array<Object>} [{ region, segmentType, segmentName, year, value }]
+ * @throws {Error} When from/to are not years
+ */
+export const querySeries = (data, filters = {}) => {
+  const from = parseYear(filters.from, 'from');
+  const to = parseYear(filters.to, 'to');
+  const region = filters.region ? taxonomyService.resolveRegion(filters.region) : null;
+  const segmentType = filters.segmentType ? taxonomyService.resolveSegmentType(filters.segmentType) : null;
+
+  const points = [];
+
+  Object.entries(data?.timeSeries || {}).forEach(([regionName, segmentTypes]) => {
+    if (region && regionName !== region) return;
+
+    Object.entries(segmentTypes).forEach(([segmentTypeName, segments]) => {
+      if (segmentType && segmentTypeName !== segmentType) return;
+
+      const segment = filters.segment ? taxonomyService.resolveSegmentName(segmentTypeName, filters.segment) : null;
+
+      Object.entries(segments).forEach(([segmentName, series]) => {
+        if (segment && segmentName !== segment) return;
+
+        series.forEach(({ year, value }) => {
+          if ((from !== null && year < from) || (to !== null && year > to)) return;
+          points.push({ region: regionName, segmentType: segmentTypeName, segmentName, year, value });
+        });
+      });
+    });
+  });
+
+  return points;
+};
+
+/**
+ * Long-format CSV rows for series points, matching the upload layout
+ * @param {Array<Object>} points - Result of querySeries
+ * @param {Object} overview - Processed market data overview
+ */
+export const toLongFormatRows = (points, overview) => {
+  const valueHeader = getValueColumnHeader(overview);
+
+  return points.map(({ region, segmentType, segmentName, year, value }) => ({
+    Region: region,
+    'Segment Type': segmentType,
+    'Segment Name': segmentName,
+    Year: year,
+    [valueHeader]: value
+  }));
+};
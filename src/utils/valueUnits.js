@@ -0,0 +1,180 @@
+// src/utils/valueUnits.js
+// Value unit/currency detection, normalization and display conversion.
+// Processed market data always holds values in millions of USD
+// (or millions of units for volume datasets).
+
+/**
+ * Multipliers from each unit scale to a single unit
+ */
+export const UNIT_SCALES = {
+  Units: 1,
+  Thousand: 1e3,
+  Million: 1e6,
+  Billion: 1e9
+};
+
+const UNIT_SUFFIXES = {
+  Units: '',
+  Thousand: 'K',
+  Million: 'M',
+  Billion: 'B'
+};
+
+/**
+ * Local FX table: USD per one unit of each currency (year-end 2024 rates)
+ */
+export const FX_RATES = {
+  USD: 1,
+  EUR: 1.04,
+  GBP: 1.25,
+  CHF: 1.1,
+  JPY: 0.0064,
+  CNY: 0.137,
+  INR: 0.0117,
+  KRW: 0.00068
+};
+
+export const DEFAULT_VALUE_UNIT = { currency: 'USD', unit: 'Thousand' };
+
+const INTERNAL_SCALE = UNIT_SCALES.Million;
+
+const CURRENCY_PATTERNS = [
+  ['USD', /\busd\b|us\$|\$/],
+  ['EUR', /\beur\b|€/],
+  ['GBP', /\bgbp\b|£/],
+  ['CHF', /\bchf\b/],
+  ['JPY', /\bjpy\b|¥/],
+  ['CNY', /\bcny\b|\brmb\b/],
+  ['INR', /\binr\b|₹/],
+  ['KRW', /\bkrw\b|₩/]
+];
+
+const SCALE_PATTERNS = [
+  ['Billion', /\bbillions?\b|\bbn\b|\bb\b/],
+  ['Million', /\bmillions?\b|\bmn\b|\bmm\b|\bm\b/],
+  ['Thousand', /\bthousands?\b|\bk\b|'000|\b000s?\b/]
+];
+
+const VOLUME_PATTERN = /\bunits?\b|\bvolume\b|\bpcs\b|\bpieces\b|\bdoses\b|\bquantity\b/;
+
+/**
+ * Read the currency and unit scale from a value column header,
+ * e.g. "Value (USD Thousand)", "Revenue (EUR Mn)" or "Volume (Units)"
+ * @param {string} header - Value column header
+ * @returns {Object|null} { currency, unit } (currency is null for volumes), or null if nothing was recognised
+ */
+export const parseValueHeader = (header = '') => {
+  const text = String(header).toLowerCase();
+  const currency = CURRENCY_PATTERNS.find(([, pattern]) => pattern.test(text))?.[0] || null;
+  const unit = SCALE_PATTERNS.find(([, pattern]) => pattern.test(text))?.[0] || null;
+  const isVolume = !currency && VOLUME_PATTERN.test(text);
+
+  if (!currency && !unit && !isVolume) {
+    return null;
+  }
+  if (isVolume) {
+    return { currency: null, unit: unit || 'Units' };
+  }
+
+  return { currency: currency || DEFAULT_VALUE_UNIT.currency, unit: unit || 'Units' };
+};
+
+/**
+ * Find the value column among CSV headers
+ */
+export const findValueColumn = (headers = []) => {
+  return headers.find(header => /^(value|volume)/i.test(String(header).trim())) || null;
+};
+
+/**
+ * Resolve the unit of a value column: an explicit choice wins, then the
+ * header, then the historical USD Thousand default
+ * @param {string} header - Value column header
+ * @param {Object} explicit - Optional { currency, unit } chosen at import
+ * @returns {Object} { currency, unit, source: 'explicit' | 'header' | 'default' }
+ */
+export const resolveValueUnit = (header, explicit = null) => {
+  if (explicit?.unit) {
+    return { currency: explicit.currency ?? null, unit: explicit.unit, source: 'explicit' };
+  }
+
+  const parsed = parseValueHeader(header);
+  if (parsed) {
+    return { ...parsed, source: 'header' };
+  }
+
+  return { ...DEFAULT_VALUE_UNIT, source: 'default' };
+};
+
+/**
+ * Human readable unit, e.g. "EUR Thousand" or "Thousand Units"
+ */
+export const describeValueUnit = ({ currency, unit } = DEFAULT_VALUE_UNIT) => {
+  if (!currency) {
+    return unit === 'Units' ? 'Units' : `${unit} Units`;
+  }
+  return unit === 'Units' ? currency : `${currency} ${unit}`;
+};
+
+/**
+ * Convert a source value to the internal unit (USD Million, or million units)
+ * @param {number} value - Value as found in the file
+ * @param {Object} valueUnit - Source { currency, unit }
+ * @returns {number} Normalized value
+ */
+export const toInternalValue = (value, { currency, unit } = DEFAULT_VALUE_UNIT) => {
+  const rate = currency ? FX_RATES[currency] ?? 1 : 1;
+  return (Number(value) || 0) * (UNIT_SCALES[unit] ?? 1) * rate / INTERNAL_SCALE;
+};
+
+// Active display selection; measure follows the active dataset
+let displayUnits = { currency: 'USD', unit: 'Million', measure: 'value' };
+
+/**
+ * Current display currency, unit scale and measure
+ */
+export const getDisplayUnits = () => displayUnits;
+
+/**
+ * Update the display selection used by the value formatters
+ * @param {Object} units - Any of { currency, unit, measure }
+ * @returns {Object} Updated display selection
+ */
+export const updateDisplayUnits = (units = {}) => {
+  if (units.currency && !FX_RATES[units.currency]) {
+    throw new Error(`No exchange rate for ${units.currency}`);
+  }
+  if (units.unit && !UNIT_SCALES[units.unit]) {
+    throw new Error(`Unknown unit: ${units.unit}`);
+  }
+
+  displayUnits = { ...displayUnits, ...units };
+  return displayUnits;
+};
+
+/**
+ * Convert an internal value to the display currency and unit scale
+ * @param {number} value - Internal value (USD Million, or million units)
+ * @param {Object} units - Display selection, defaults to the active one
+ * @returns {number} Value in display units
+ */
+export const toDisplayValue = (value, units = displayUnits) => {
+  const rate = units.measure === 'volume' ? 1 : FX_RATES[units.currency] ?? 1;
+  return (Number(value) || 0) * INTERNAL_SCALE / rate / (UNIT_SCALES[units.unit] ?? 1);
+};
+
+/**
+ * Suffix for a unit scale, e.g. "M" for Million
+ */
+export const getUnitSuffix = (unit) => UNIT_SUFFIXES[unit] ?? '';
+
+/**
+ * Short label of the display selection for column headers, e.g. "EUR M" or "M units"
+ */
+export const getDisplayUnitLabel = (units = displayUnits) => {
+  const suffix = getUnitSuffix(units.unit);
+  if (units.measure === 'volume') {
+    return suffix ? `${suffix} units` : 'units';
+  }
+  return suffix ? `${units.currency} ${suffix}` : units.currency;
+};
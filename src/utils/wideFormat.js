@@ -0,0 +1,76 @@
+// src/utils/wideFormat.js
+// Detection and unpivot of wide (years-as-columns) market tables
+
+// Matches "2024", "FY2025", "2026E" and "2024 (USD Mn)"
+const YEAR_COLUMN_PATTERN = /^(?:fy\s*)?((?:19|20)\d{2})\s*[ef]?(?:\s*\((.+)\))?$/i;
+
+const MIN_YEAR_COLUMNS = 2;
+
+/**
+ * Find the year columns of a wide-format table
+ * @param {Array<string>} headers - Parsed CSV headers
+ * @returns {Array<Object>} [{ header, year, unit }] sorted by year, empty for long-format tables
+ */
+export const detectYearColumns = (headers = []) => {
+  if (headers.includes('Year')) return [];
+
+  const yearColumns = headers
+    .map(header => {
+      const match = String(header).trim().match(YEAR_COLUMN_PATTERN);
+      return match ? { header, year: parseInt(match[1], 10), unit: match[2]?.trim() || null } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.year - b.year);
+
+  return yearColumns.length >= MIN_YEAR_COLUMNS ? yearColumns : [];
+};
+
+const parseCell = (value) => {
+  if (typeof value === 'number') return value;
+  if (value === null || value === undefined) return null;
+
+  const cleaned = String(value).replace(/[,\s$€£¥₹]/g, '');
+  if (cleaned === '' || cleaned === '-') return null;
+
+  const parsed = parseFloat(cleaned);
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+/**
+ * Convert a wide table into the long Region/Segment/Year/Value layout.
+ * Long-format rows are returned untouched; empty year cells are skipped.
+ * sourceRows gives the file position of each long row ({ row, column },
+ * row being 1-based without the header) and is null for long files.
+ * @param {Array<Object>} rows - Parsed CSV rows
+ * @returns {Object} { rows, yearColumns, sourceRows }
+ */
+export const unpivotYearColumns = (rows = []) => {
+  const yearColumns = detectYearColumns(Object.keys(rows[0] || {}));
+  if (yearColumns.length === 0) {
+    return { rows, yearColumns, sourceRows: null };
+  }
+
+  // Carry a unit written in the year headers over to the value column
+  const unit = yearColumns.find(column => column.unit)?.unit;
+  const valueColumn = unit ? `Value (${unit})` : 'Value';
+  const yearHeaders = new Set(yearColumns.map(column => column.header));
+
+  const longRows = [];
+  const sourceRows = [];
+  rows.forEach((row, index) => {
+    const dimensions = {};
+    Object.keys(row).forEach(key => {
+      if (!yearHeaders.has(key)) dimensions[key] = row[key];
+    });
+
+    yearColumns.forEach(({ header, year }) => {
+      const value = parseCell(row[header]);
+      if (value === null) return;
+
+      longRows.push({ ...dimensions, Year: year, [valueColumn]: value });
+      sourceRows.push({ row: index + 1, column: header });
+    });
+  });
+
+  return { rows: longRows, yearColumns, sourceRows };
+};
@@ -0,0 +1,147 @@
+// src/utils/yearWindow.js
+// Base/forecast year detection and re-windowing of processed market data
+
+import { calculateCAGR } from '@/lib/utils';
+
+/**
+ * Collect the sorted list of years present in a time series tree
+ * @param {Object} timeSeries - timeSeries[region][segmentType][segmentName] = [{ year, value }]
+ * @returns {Array<number>} Sorted unique years
+ */
+export const getAvailableYears = (timeSeries = {}) => {
+  const years = new Set();
+
+  Object.values(timeSeries).forEach(segmentTypes => {
+    Object.values(segmentTypes).forEach(segments => {
+      Object.values(segments).forEach(series => {
+        series.forEach(point => {
+          if (Number.isFinite(point.year)) years.add(point.year);
+        });
+      });
+    });
+  });
+
+  return Array.from(years).sort((a, b) => a - b);
+};
+
+/**
+ * Pick a valid base/forecast pair from the available years.
+ * Preferred years are kept when present in the data, otherwise the
+ * first and last available years are used.
+ * @param {Array<number>} years - Sorted available years
+ * @param {Object} preferred - Optional { baseYear, forecastYear }
+ * @returns {Object} { baseYear, forecastYear, period, availableYears }
+ */
+export const resolveYearWindow = (years, preferred = {}) => {
+  if (years.length === 0) {
+    return { baseYear: null, forecastYear: null, period: 0, availableYears: years };
+  }
+
+  const baseYear = years.includes(preferred.baseYear) ? preferred.baseYear : years[0];
+  const forecastYear = years.includes(preferred.forecastYear) && preferred.forecastYear > baseYear
+    ? preferred.forecastYear
+    : years[years.length - 1];
+
+  return { baseYear, forecastYear, period: forecastYear - baseYear, availableYears: years };
+};
+
+/**
+ * Value of a series in a given year (0 when missing)
+ */
+export const getValueForYear = (series = [], year) => {
+  return series.find(d => d.year === year)?.value || 0;
+};
+
+const calculateMarketShare = (segmentValue, totalValue) => {
+  return totalValue > 0 ? (segmentValue / totalValue) * 100 : 0;
+};
+
+const sumSegments = (segments = {}, year) => {
+  return Object.values(segments).reduce((sum, series) => sum + getValueForYear(series, year), 0);
+};
+
+// Global series for a segment, or the first region that reports it
+const findSegmentSeries = (timeSeries, segmentType, segmentName) => {
+  if (timeSeries.Global?.[segmentType]?.[segmentName]) {
+    return timeSeries.Global[segmentType][segmentName];
+  }
+
+  const region = Object.keys(timeSeries).find(name => timeSeries[name][segmentType]?.[segmentName]);
+  return region ? timeSeries[region][segmentType][segmentName] : [];
+};
+
+/**
+ * Recompute sizes, shares and CAGRs of processed market data for a new
+ * base/forecast year pair. Descriptive fields are left untouched.
+ * @param {Object} data - Processed market data with timeSeries
+ * @param {Object} preferred - Requested { baseYear, forecastYear }
+ * @returns {Object} New market data for the resolved window
+ */
+export const applyYearWindow = (data, preferred = {}) => {
+  const timeSeries = data.timeSeries || {};
+  const { baseYear, forecastYear, period, availableYears } = resolveYearWindow(
+    getAvailableYears(timeSeries),
+    preferred
+  );
+
+  const globalBase = sumSegments(timeSeries.Global?.Type, baseYear);
+  const globalForecast = sumSegments(timeSeries.Global?.Type, forecastYear);
+
+  const rewindow = (segmentType) => (segment) => {
+    const series = findSegmentSeries(timeSeries, segmentType, segment.name);
+    const valueBase = getValueForYear(series, baseYear);
+    const valueForecast = getValueForYear(series, forecastYear);
+
+    return {
+      ...segment,
+      marketShareBase: calculateMarketShare(valueBase, globalBase),
+      marketShareForecast: calculateMarketShare(valueForecast, globalForecast),
+      cagr: calculateCAGR(valueBase, valueForecast, period)
+    };
+  };
+
+  const regions = (data.regions || []).map(region => {
+    const regionBase = sumSegments(timeSeries[region.name]?.Type, baseYear);
+    const regionForecast = sumSegments(timeSeries[region.name]?.Type, forecastYear);
+
+    return {
+      ...region,
+      marketShareBase: calculateMarketShare(regionBase, globalBase),
+      marketShareForecast: calculateMarketShare(regionForecast, globalForecast),
+      cagr: calculateCAGR(regionBase, regionForecast, period)
+    };
+  });
+
+  const countries = {};
+  Object.entries(data.countries || {}).forEach(([countryName, country]) => {
+    const series = findSegmentSeries(timeSeries, 'Country', countryName);
+    const valueBase = getValueForYear(series, baseYear);
+    const valueForecast = getValueForYear(series, forecastYear);
+
+    countries[countryName] = {
+      ...country,
+      marketSizeBase: valueBase,
+      marketSizeForecast: valueForecast,
+      cagr: calculateCAGR(valueBase, valueForecast, period)
+    };
+  });
+
+  return {
+    ...data,
+    overview: {
+      ...data.overview,
+      baseYear,
+      forecastYear,
+      availableYears,
+      cagr: calculateCAGR(globalBase, globalForecast, period),
+      marketSizeBase: globalBase,
+      marketSizeForecast: globalForecast
+    },
+    regions,
+    productTypes: (data.productTypes || []).map(rewindow('Type')),
+    ingredients: (data.ingredients || []).map(rewindow('Ingredient')),
+    gender: (data.gender || []).map(rewindow('Gender')),
+    endUsers: (data.endUsers || []).map(rewindow('End User')),
+    countries
+  };
+};
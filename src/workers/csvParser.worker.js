@@ -0,0 +1,36 @@
+// src/workers/csvParser.worker.js
+// Parses, validates and transforms CSV files off the main thread.
+// Messages: { id, type: 'parse' | 'process', ... } -> progress, complete or error replies.
+
+import { parseCSVInChunks } from '@/utils/csvParsing';
+import { unpivotYearColumns } from '@/utils/wideFormat';
+import { dataTransformer } from '@/utils/dataTransformation';
+
+const handlers = {
+  // Parse a File, URL or { text } and unpivot wide layouts
+  parse: async ({ source }, onProgress) => {
+    const rows = await parseCSVInChunks(source, { onProgress });
+    return unpivotYearColumns(rows);
+  },
+
+  // Clean, validate and transform already-mapped rows
+  process: ({ rows, dataset, source }, onProgress) => {
+    return dataTransformer.processCSVData(rows, dataset, { onProgress, source });
+  }
+};
+
+self.onmessage = async (event) => {
+  const { id, type, ...payload } = event.data;
+  const onProgress = (progress) => self.postMessage({ id, type: 'progress', progress });
+
+  try {
+    if (!handlers[type]) {
+      throw new Error(`Unknown CSV worker request: ${type}`);
+    }
+
+    const result = await handlers[type](payload, onProgress);
+    self.postMessage({ id, type: 'complete', result });
+  } catch (error) {
+    self.postMessage({ id, type: 'error', error: { name: error.name, message: error.message } });
+  }
+};